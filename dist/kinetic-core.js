@@ -41,11 +41,16 @@ var Kinetic = {};
 Kinetic.GlobalObject = {
     stages: [],
     idCounter: 0,
+    colorKeyCounter: 1,
+    freeColorKeys: [],
+    shapes: {},
     tempNodes: [],
     animations: [],
+    batchLayers: [],
     animIdCounter: 0,
     animRunning: false,
     maxDragTimeInterval: 20,
+    dragVelocityTime: 100,
     frame: {
         time: 0,
         timeDiff: 0,
@@ -54,6 +59,11 @@ Kinetic.GlobalObject = {
     drag: {
         moving: false,
         node: undefined,
+        nodes: [],
+        target: undefined,
+        start: undefined,
+        released: false,
+        samples: [],
         offset: {
             x: 0,
             y: 0
@@ -106,8 +116,25 @@ Kinetic.GlobalObject = {
             anim.func(this.frame);
         }
 
+        /*
+         * draw the batched layers after the animation functions
+         * have run so that their changes are drawn in this frame.  The
+         * queue is replaced first so that layers can be batched again
+         * while they are drawn
+         */
+        var drawn = {};
+        var batchLayers = this.batchLayers;
+        this.batchLayers = [];
+        for(var n = 0; n < batchLayers.length; n++) {
+            var layer = batchLayers[n];
+            layer._draw();
+            drawn[layer._id] = true;
+        }
+
         for(var key in nodes) {
-            nodes[key].draw();
+            if(drawn[key] === undefined) {
+                nodes[key].draw();
+            }
         }
     },
     _updateFrameObject: function() {
@@ -123,7 +150,7 @@ Kinetic.GlobalObject = {
         }
     },
     _animationLoop: function() {
-        if(this.animations.length > 0) {
+        if(this.animations.length > 0 || this.batchLayers.length > 0) {
             this._updateFrameObject();
             this._runFrames();
             var that = this;
@@ -146,6 +173,74 @@ Kinetic.GlobalObject = {
             this.frame.lastTime = 0;
         }
     },
+    /*
+     * queue a layer to be drawn on the next animation frame.  A layer
+     * is only queued once no matter how many times it's batched
+     */
+    _batchDraw: function(layer) {
+        for(var n = 0; n < this.batchLayers.length; n++) {
+            if(this.batchLayers[n] === layer) {
+                return;
+            }
+        }
+        this.batchLayers.push(layer);
+
+        if(!this.animRunning) {
+            this.animRunning = true;
+            var that = this;
+            requestAnimFrame(function() {
+                that._animationLoop();
+            });
+        }
+    },
+    _removeBatchDraw: function(layer) {
+        for(var n = 0; n < this.batchLayers.length; n++) {
+            if(this.batchLayers[n] === layer) {
+                this.batchLayers.splice(n, 1);
+                return;
+            }
+        }
+    },
+    /*
+     * hit graph support
+     */
+    _getColorKey: function() {
+        /*
+         * color keys come from a counter so that every shape gets its
+         * own key, even if it hasn't been drawn onto a hit graph yet.
+         * The keys of destroyed shapes are used again first
+         */
+        if(this.freeColorKeys.length > 0) {
+            return this.freeColorKeys.pop();
+        }
+
+        /*
+         * the counter wraps around to 1 rather than 0, because black is
+         * the color of the empty hit graph pixels, and skips the keys of
+         * shapes that are still on a hit graph
+         */
+        var key;
+        do {
+            if(this.colorKeyCounter > 0xffffff) {
+                this.colorKeyCounter = 1;
+            }
+            var n = this.colorKeyCounter++;
+            key = this._rgbToHex((n >> 16) & 255, (n >> 8) & 255, n & 255);
+        } while(this.shapes[key] !== undefined);
+
+        return key;
+    },
+    /*
+     * free the color key of a destroyed shape so that new shapes can use it
+     */
+    _freeColorKey: function(key) {
+        if(key !== undefined) {
+            this.freeColorKeys.push(key);
+        }
+    },
+    _rgbToHex: function(r, g, b) {
+        return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+    },
     /*
      * cherry-picked and modified utilities from underscore.js
      */
@@ -173,6 +268,66 @@ Kinetic.GlobalObject = {
         }
         return names.length > 0;
     },
+    /*
+     * deep copy arrays and pure objects.  Other objects such as
+     * functions, images, and DOM elements are copied by reference
+     */
+    _clone: function(obj) {
+        var type = Object.prototype.toString.call(obj);
+        if(type === '[object Array]') {
+            var arr = [];
+            for(var n = 0; n < obj.length; n++) {
+                arr.push(this._clone(obj[n]));
+            }
+            return arr;
+        }
+        else if(type === '[object Object]' && !this._isElement(obj) && !this._hasMethods(obj)) {
+            var copy = {};
+            for(var key in obj) {
+                copy[key] = this._clone(obj[key]);
+            }
+            return copy;
+        }
+        return obj;
+    },
+    /*
+     * deep compare arrays and pure objects.  Other values
+     * are compared by reference
+     */
+    _isEqual: function(a, b) {
+        if(a === b) {
+            return true;
+        }
+        var type = Object.prototype.toString.call(a);
+        if(type !== Object.prototype.toString.call(b)) {
+            return false;
+        }
+        if(type === '[object Array]') {
+            if(a.length !== b.length) {
+                return false;
+            }
+            for(var n = 0; n < a.length; n++) {
+                if(!this._isEqual(a[n], b[n])) {
+                    return false;
+                }
+            }
+            return true;
+        }
+        else if(type === '[object Object]' && !this._isElement(a) && !this._hasMethods(a) && !this._isElement(b) && !this._hasMethods(b)) {
+            for(var key in a) {
+                if(!this._isEqual(a[key], b[key])) {
+                    return false;
+                }
+            }
+            for(var key in b) {
+                if(!(key in a)) {
+                    return false;
+                }
+            }
+            return true;
+        }
+        return false;
+    },
     /*
      * The argument can be:
      * - an integer (will be applied to both x and y)
@@ -314,6 +469,37 @@ Kinetic.GlobalObject = {
             height: 0
         };
     },
+    /*
+     * get the rect that bounds an array of point objects
+     */
+    _getPointsRect: function(points) {
+        if(points.length === 0) {
+            return {
+                x: 0,
+                y: 0,
+                width: 0,
+                height: 0
+            };
+        }
+
+        var minX = points[0].x;
+        var minY = points[0].y;
+        var maxX = minX;
+        var maxY = minY;
+        for(var n = 1; n < points.length; n++) {
+            minX = Math.min(minX, points[n].x);
+            minY = Math.min(minY, points[n].y);
+            maxX = Math.max(maxX, points[n].x);
+            maxY = Math.max(maxY, points[n].y);
+        }
+
+        return {
+            x: minX,
+            y: minY,
+            width: maxX - minX,
+            height: maxY - minY
+        };
+    },
     /*
      * arg will be an array of numbers or
      *  an array of point objects
@@ -395,6 +581,7 @@ Kinetic.Node = function(config) {
 
     this.setDefaultAttrs(this.defaultNodeAttrs);
     this.eventListeners = {};
+    this.sceneNode = true;
     this.setAttrs(config);
 };
 /*
@@ -404,14 +591,23 @@ Kinetic.Node.prototype = {
     /**
      * bind events to the node.  KineticJS supports mouseover, mousemove,
      * mouseout, mousedown, mouseup, click, dblclick, touchstart, touchmove,
-     * touchend, tap, dbltap, dragstart, dragmove, and dragend.  Pass in a string
+     * touchend, tap, dbltap, dragstart, dragmove, dragend, pinchstart, pinchmove,
+     * pinchend, rotatestart, rotatemove, rotateend, keydown, keyup, keypress,
+     * focus, blur, and destroy.  Drop targets also support dragenter, dragover,
+     * dragleave, and drop, whose events hold the dragNode.  Dragged nodes fire
+     * dragstop when they come to rest after dragend.  Attr changes fire change events named after
+     * the attr, such as xChange, rotationChange, and fillChange, followed by
+     * attrchange.  Their events hold the attr, oldVal and newVal.  Pass in a string
      * of event types delimmited by a space to bind multiple events at once
      * such as 'mousedown mouseup mousemove'. include a namespace to bind an
-     * event by name such as 'click.foobar'.
+     * event by name such as 'click.foobar'.  Handlers are passed a Kinetic.Event.
+     * Events bubble up to the stage.  Set capture to true to run the handler
+     * while the event travels down from the stage to the target instead
      * @param {String} typesStr
      * @param {Function} handler
+     * @param {Boolean} [capture]
      */
-    on: function(typesStr, handler) {
+    on: function(typesStr, handler, capture) {
         var types = typesStr.split(' ');
         /*
          * loop through types and attach event listeners to
@@ -432,7 +628,8 @@ Kinetic.Node.prototype = {
 
             this.eventListeners[baseEvent].push({
                 name: name,
-                handler: handler
+                handler: handler,
+                capture: capture === true
             });
         }
     },
@@ -513,6 +710,19 @@ Kinetic.Node.prototype = {
 
         // set properties from config
         if(config !== undefined) {
+            /*
+             * save the old values of the top level attrs so that
+             * change events can be fired after the attrs are set.
+             * draggable and listening fire their own change events
+             */
+            var oldAttrs = {};
+            for(var key in config) {
+                var attr = key === 'rotationDeg' ? 'rotation' : key;
+                if(attr !== 'draggable' && attr !== 'listening') {
+                    oldAttrs[attr] = go._clone(this.attrs[attr]);
+                }
+            }
+
             function setAttrs(obj, c) {
                 for(var key in c) {
                     var val = c[key];
@@ -592,7 +802,23 @@ Kinetic.Node.prototype = {
                     }
                 }
             }
+            // the attrs set together are undone together
+            var history = this._getHistory();
+            if(history !== undefined) {
+                history.begin();
+            }
+
             setAttrs(this.attrs, config);
+
+            for(var attr in oldAttrs) {
+                if(!go._isEqual(oldAttrs[attr], this.attrs[attr])) {
+                    this._fireChangeEvent(attr, oldAttrs[attr], this.attrs[attr]);
+                }
+            }
+
+            if(history !== undefined) {
+                history.end();
+            }
         }
     },
     /**
@@ -606,17 +832,27 @@ Kinetic.Node.prototype = {
         }
         return this.attrs.visible;
     },
+    /**
+     * determine if node is listening for events.  A node is listening
+     * only if it's listening and all of its ancestors are listening
+     */
+    isListening: function() {
+        if(this.getParent() && !this.getParent().isListening()) {
+            return false;
+        }
+        return this.attrs.listening;
+    },
     /**
      * show node
      */
     show: function() {
-        this.attrs.visible = true;
+        this._setAttr('visible', true);
     },
     /**
      * hide node
      */
     hide: function() {
-        this.attrs.visible = false;
+        this._setAttr('visible', false);
     },
     /**
      * get zIndex
@@ -698,14 +934,14 @@ Kinetic.Node.prototype = {
      * @param {Number} x
      */
     setX: function(x) {
-        this.attrs.x = x;
+        this._setAttr('x', x);
     },
     /**
      * set node y position
      * @param {Number} y
      */
     setY: function(y) {
-        this.attrs.y = y;
+        this._setAttr('y', y);
     },
     /**
      * get node x position
@@ -724,7 +960,7 @@ Kinetic.Node.prototype = {
      * @param {String} type can be "path" or "pixel"
      */
     setDetectionType: function(type) {
-        this.attrs.detectionType = type;
+        this._setAttr('detectionType', type);
     },
     /**
      * get detection type
@@ -753,44 +989,8 @@ Kinetic.Node.prototype = {
      *  y property
      */
     setAbsolutePosition: function() {
-        var pos = Kinetic.GlobalObject._getXY(arguments);
-        /*
-         * save rotation and scale and
-         * then remove them from the transform
-         */
-        var rot = this.attrs.rotation;
-        var scale = {
-            x: this.attrs.scale.x,
-            y: this.attrs.scale.y
-        };
-        var centerOffset = {
-            x: this.attrs.centerOffset.x,
-            y: this.attrs.centerOffset.y
-        };
-
-        this.attrs.rotation = 0;
-        this.attrs.scale = {
-            x: 1,
-            y: 1
-        };
-
-        // unravel transform
-        var it = this.getAbsoluteTransform();
-        it.invert();
-        it.translate(pos.x, pos.y);
-        pos = {
-            x: this.attrs.x + it.getTranslation().x,
-            y: this.attrs.y + it.getTranslation().y
-        };
-
+        var pos = this._getRelativePosition(Kinetic.GlobalObject._getXY(arguments));
         this.setPosition(pos.x, pos.y);
-
-        // restore rotation and scale
-        this.rotate(rot);
-        this.attrs.scale = {
-            x: scale.x,
-            y: scale.y
-        };
     },
     /**
      * move node by an amount
@@ -798,22 +998,24 @@ Kinetic.Node.prototype = {
      * @param {Number} y
      */
     move: function(x, y) {
-        this.attrs.x += x;
-        this.attrs.y += y;
+        this.setAttrs({
+            x: this.attrs.x + x,
+            y: this.attrs.y + y
+        });
     },
     /**
      * set node rotation in radians
      * @param {Number} theta
      */
     setRotation: function(theta) {
-        this.attrs.rotation = theta;
+        this._setAttr('rotation', theta);
     },
     /**
      * set node rotation in degrees
      * @param {Number} deg
      */
     setRotationDeg: function(deg) {
-        this.attrs.rotation = (deg * Math.PI / 180);
+        this._setAttr('rotation', deg * Math.PI / 180);
     },
     /**
      * get rotation in radians
@@ -832,21 +1034,21 @@ Kinetic.Node.prototype = {
      * @param {Number} theta
      */
     rotate: function(theta) {
-        this.attrs.rotation += theta;
+        this._setAttr('rotation', this.attrs.rotation + theta);
     },
     /**
      * rotate node by an amount in degrees
      * @param {Number} deg
      */
     rotateDeg: function(deg) {
-        this.attrs.rotation += (deg * Math.PI / 180);
+        this._setAttr('rotation', this.attrs.rotation + deg * Math.PI / 180);
     },
     /**
      * listen or don't listen to events
      * @param {Boolean} listening
      */
     listen: function(listening) {
-        this.attrs.listening = listening;
+        this._setAttr('listening', listening);
     },
     /**
      * move node to top
@@ -856,6 +1058,7 @@ Kinetic.Node.prototype = {
         this.parent.children.splice(index, 1);
         this.parent.children.push(this);
         this.parent._setChildrenIndices();
+        this._recordOrder(index);
     },
     /**
      * move node up
@@ -865,6 +1068,7 @@ Kinetic.Node.prototype = {
         this.parent.children.splice(index, 1);
         this.parent.children.splice(index + 1, 0, this);
         this.parent._setChildrenIndices();
+        this._recordOrder(index);
     },
     /**
      * move node down
@@ -875,6 +1079,7 @@ Kinetic.Node.prototype = {
             this.parent.children.splice(index, 1);
             this.parent.children.splice(index - 1, 0, this);
             this.parent._setChildrenIndices();
+            this._recordOrder(index);
         }
     },
     /**
@@ -885,6 +1090,7 @@ Kinetic.Node.prototype = {
         this.parent.children.splice(index, 1);
         this.parent.children.unshift(this);
         this.parent._setChildrenIndices();
+        this._recordOrder(index);
     },
     /**
      * set zIndex
@@ -895,6 +1101,7 @@ Kinetic.Node.prototype = {
         this.parent.children.splice(index, 1);
         this.parent.children.splice(zIndex, 0, this);
         this.parent._setChildrenIndices();
+        this._recordOrder(index);
     },
     /**
      * set alpha.  Alpha values range from 0 to 1.
@@ -903,7 +1110,7 @@ Kinetic.Node.prototype = {
      * @param {Object} alpha
      */
     setAlpha: function(alpha) {
-        this.attrs.alpha = alpha;
+        this._setAttr('alpha', alpha);
     },
     /**
      * get alpha.  Alpha values range from 0 to 1.
@@ -938,7 +1145,7 @@ Kinetic.Node.prototype = {
             else {
                 this._dragCleanup();
             }
-            this.attrs.draggable = isDraggable;
+            this._setAttr('draggable', isDraggable);
         }
     },
     /**
@@ -948,12 +1155,29 @@ Kinetic.Node.prototype = {
         var go = Kinetic.GlobalObject;
         return go.drag.node !== undefined && go.drag.node._id === this._id && go.drag.moving;
     },
+    /**
+     * set drop target flag.  Drop targets receive dragenter, dragover,
+     *  dragleave, and drop events when other nodes are dragged over them
+     * @param {Boolean} dropTarget
+     */
+    setDropTarget: function(dropTarget) {
+        this._setAttr('dropTarget', dropTarget);
+    },
+    /**
+     * get drop target flag
+     */
+    getDropTarget: function() {
+        return this.attrs.dropTarget;
+    },
     /**
      * move node to another container
      * @param {Container} newContainer
      */
     moveTo: function(newContainer) {
         var parent = this.parent;
+        var index = this.index;
+        var history = this._getHistory();
+
         // remove from parent's children
         parent.children.splice(this.index, 1);
         parent._setChildrenIndices();
@@ -963,6 +1187,17 @@ Kinetic.Node.prototype = {
         this.index = newContainer.children.length - 1;
         this.parent = newContainer;
         newContainer._setChildrenIndices();
+
+        if(history !== undefined) {
+            history._record({
+                type: 'move',
+                node: this,
+                oldParent: parent,
+                oldIndex: index,
+                newParent: newContainer,
+                newIndex: this.index
+            });
+        }
     },
     /**
      * get parent container
@@ -1010,14 +1245,189 @@ Kinetic.Node.prototype = {
         return this.attrs.id;
     },
     /**
-     * simulate event
+     * create a copy of the node.  Attrs are deep copied, and containers
+     *  clone their children.  The id and name of the clone are registered
+     *  with the stage once the clone is added to it
+     * ex:
+     * var copy = circle.clone({x: 200, name: 'copy'});
+     * layer.add(copy);
+     * @param {Object} [obj] attrs that override the copied attrs
+     * @param {Boolean} [cloneListeners] set to false to leave out the event
+     *  listeners.  Listeners are copied by default
+     */
+    clone: function(obj, cloneListeners) {
+        var go = Kinetic.GlobalObject;
+        /*
+         * clone each attr because attrs objects hold functions
+         * such as drawFunc, which stop them from being deep copied
+         */
+        var config = {};
+        for(var key in this.attrs) {
+            config[key] = go._clone(this.attrs[key]);
+        }
+        if(obj !== undefined) {
+            for(var key in obj) {
+                config[key] = obj[key];
+            }
+        }
+
+        // custom shapes don't have a shape type
+        var type = this.nodeType;
+        if(type === 'Shape' && this.shapeType !== undefined) {
+            type = this.shapeType;
+        }
+        var node = new Kinetic[type](config);
+
+        if(cloneListeners !== false) {
+            for(var baseEvent in this.eventListeners) {
+                var listeners = this.eventListeners[baseEvent];
+                if(listeners !== undefined) {
+                    for(var n = 0; n < listeners.length; n++) {
+                        var listener = listeners[n];
+                        // internal listeners, such as drag listeners, are bound by the clone itself
+                        if(Kinetic.Node.internalNames[listener.name.replace(/\d+$/, '')] !== true) {
+                            node.on(listener.name === '' ? baseEvent : baseEvent + '.' + listener.name, listener.handler, listener.capture);
+                        }
+                    }
+                }
+            }
+        }
+
+        if(this.nodeType === 'Layer') {
+            node.beforeDrawFunc = this.beforeDrawFunc;
+            node.afterDrawFunc = this.afterDrawFunc;
+        }
+
+        // clone children
+        if(this.children !== undefined) {
+            for(var n = 0; n < this.children.length; n++) {
+                node.add(this.children[n].clone(undefined, cloneListeners));
+            }
+        }
+
+        return node;
+    },
+    /**
+     * destroy the node and its descendants.  A destroy event is fired
+     *  on each node, then the node is removed from its parent, from the
+     *  stage registries, and from any running transitions, animations,
+     *  or drag and drop operation.  Destroyed nodes can't be restored, so
+     *  the stage history forgets the changes that refer to them
+     */
+    destroy: function() {
+        var go = Kinetic.GlobalObject;
+        var stage = this.getStage();
+        // the history is cleaned up once, by the node that the destroy started from
+        var isRoot = this.parent === undefined || this.parent.destroyed !== true;
+        this.fire('destroy');
+        this.destroyed = true;
+
+        if(this.children !== undefined) {
+            var children = this.children.slice(0);
+            for(var n = 0; n < children.length; n++) {
+                children[n].destroy();
+            }
+        }
+
+        // stop transitions and animations
+        if(this.transAnim !== undefined) {
+            go._removeAnimation(this.transAnim);
+            this.transAnim = undefined;
+        }
+        this._stopInertia();
+        for(var n = 0; n < go.animations.length; n++) {
+            if(go.animations[n].node === this) {
+                go.animations.splice(n, 1);
+                n--;
+            }
+        }
+
+        var parent = this.parent;
+        if(parent !== undefined && parent.children[this.index] === this) {
+            parent.remove(this);
+        }
+        else {
+            // detached nodes can still be referenced by global registries
+            for(var n = 0; n < go.tempNodes.length; n++) {
+                if(go.tempNodes[n]._id === this._id) {
+                    go.tempNodes.splice(n, 1);
+                    break;
+                }
+            }
+            if(go.shapes[this.colorKey] === this) {
+                delete go.shapes[this.colorKey];
+            }
+            if(go.drag.node === this) {
+                go.drag.node = undefined;
+                go.drag.moving = false;
+            }
+        }
+
+        // do extra stuff if needed
+        if(this._destroy !== undefined) {
+            this._destroy();
+        }
+
+        if(isRoot && stage !== undefined && stage.history !== undefined) {
+            stage.history._forgetDestroyed();
+        }
+
+        this.parent = undefined;
+        this.eventListeners = {};
+    },
+    /**
+     * give the node keyboard focus.  keydown, keyup, and keypress
+     *  events are delivered to the focused node and bubble up through
+     *  its ancestors
+     */
+    focus: function() {
+        var stage = this.getStage();
+        if(stage !== undefined) {
+            stage._setFocus(this);
+        }
+    },
+    /**
+     * remove keyboard focus from the node
+     */
+    blur: function() {
+        var stage = this.getStage();
+        if(stage !== undefined && stage.getFocusedNode() === this) {
+            stage._setFocus(undefined);
+        }
+    },
+    /**
+     * determine if the node has keyboard focus
+     */
+    isFocused: function() {
+        var stage = this.getStage();
+        return stage !== undefined && stage.getFocusedNode() === this;
+    },
+    /**
+     * simulate event.  The event is captured and bubbles through the
+     *  node's ancestors like an event fired by the user
      * @param {String} eventType
      */
     simulate: function(eventType) {
-        var el = this.eventListeners[eventType];
-        for(var n = 0; n < el.length; n++) {
-            el[n].handler.call(this);
+        this.fire(eventType, undefined, true);
+    },
+    /**
+     * fire an event on the node.  Any event type can be fired, including
+     *  application defined types such as 'selected'.  The properties of
+     *  the payload are added to the Kinetic.Event passed to the handlers,
+     *  and payloads with reserved keys such as type and target throw an
+     *  error.  Returns the event object
+     * @param {String} eventType
+     * @param {Object} [payload]
+     * @param {Boolean} [bubble] set to true to capture and bubble the event
+     *  through the node's ancestors
+     */
+    fire: function(eventType, payload, bubble) {
+        if(bubble) {
+            return this._handleEvents(eventType, undefined, payload);
         }
+        var e = new Kinetic.Event(eventType, undefined, this, payload);
+        this._fireListeners(this, e, 'target');
+        return e;
     },
     /**
      * set center offset
@@ -1054,12 +1464,20 @@ Kinetic.Node.prototype = {
 
         /*
          * clear transition if one is currently running for this
-         * node
+         * node.  The attrs from before the cleared transition are
+         * kept so that the history records where both transitions started
          */
+        var startAttrs = {};
         if(this.transAnim !== undefined) {
+            startAttrs = this.transAnim.startAttrs;
             go._removeAnimation(this.transAnim);
             this.transAnim = undefined;
         }
+        for(var key in config) {
+            if(key !== 'duration' && key !== 'easing' && key !== 'callback' && startAttrs[key] === undefined) {
+                startAttrs[key] = go._clone(this.attrs[key]);
+            }
+        }
 
         /*
          * create new transition
@@ -1071,7 +1489,8 @@ Kinetic.Node.prototype = {
             func: function() {
                 trans._onEnterFrame();
             },
-            node: node
+            node: node,
+            startAttrs: startAttrs
         };
 
         // store reference to transition animation
@@ -1089,6 +1508,12 @@ Kinetic.Node.prototype = {
             go._removeAnimation(anim);
             that.transAnim = undefined;
 
+            // the history records the end result instead of every frame
+            var history = that._getHistory();
+            if(history !== undefined) {
+                history._recordAttrs(that, startAttrs, 'transition');
+            }
+
             // callback
             if(config.callback !== undefined) {
                 config.callback();
@@ -1103,12 +1528,33 @@ Kinetic.Node.prototype = {
 
         return trans;
     },
+    /**
+     * serialize node and its descendants as a JSON document string with
+     *  the version of the format.  The attrs of the nodes aren't changed.
+     *  Images are stored as src or data URLs, and drawFuncs, event
+     *  handlers, and custom shape classes are only stored if they've been
+     *  registered with Kinetic.Serializer.  Use Kinetic.Node.create to
+     *  build the nodes again, or Stage.load for stages
+     */
+    toJSON: function() {
+        return JSON.stringify(Kinetic.Serializer.serializeDocument(this));
+    },
+    /**
+     * convert node and its descendants into an SVG document string.
+     *  Nodes are positioned the same way as they are on the stage.  Shapes
+     *  with custom drawing functions are recorded with an SVG context
+     *  that implements the canvas path API
+     */
+    toSVG: function() {
+        var svg = new Kinetic.SVG();
+        return svg.getDocument(this);
+    },
     /**
      * set drag constraint
      * @param {String} constraint
      */
     setDragConstraint: function(constraint) {
-        this.attrs.dragConstraint = constraint;
+        this._setAttr('dragConstraint', constraint);
     },
     /**
      * get drag constraint
@@ -1125,7 +1571,7 @@ Kinetic.Node.prototype = {
      * @config {Number} [bottom] bottom bounds position
      */
     setDragBounds: function(bounds) {
-        this.attrs.dragBounds = bounds;
+        this._setAttr('dragBounds', bounds);
     },
     /**
      * get drag bounds
@@ -1133,6 +1579,76 @@ Kinetic.Node.prototype = {
     getDragBounds: function() {
         return this.attrs.dragBounds;
     },
+    /**
+     * set drag bound function.  The function is called with the node
+     *  as the context while it's dragged.  It's passed the absolute position
+     *  that the node is about to be moved to, after the drag constraint, snap,
+     *  and bounds have been applied, and returns the absolute position to use
+     * @param {Function} func
+     */
+    setDragBoundFunc: function(func) {
+        this._setAttr('dragBoundFunc', func);
+    },
+    /**
+     * get drag bound function
+     */
+    getDragBoundFunc: function() {
+        return this.attrs.dragBoundFunc;
+    },
+    /**
+     * set drag snap.  Dragged nodes can snap their absolute position to
+     *  a grid, and snap the edges and centers of their client rects to the
+     *  edges and centers of their siblings
+     * @param {Object} snap
+     * @config {Number|Object} [grid] grid spacing, or an object with x and
+     *  y spacings
+     * @config {Boolean} [edges] snap to sibling edges
+     * @config {Number} [tolerance] distance in pixels within which edges
+     *  snap.  The default is 5
+     */
+    setDragSnap: function(snap) {
+        this._setAttr('dragSnap', snap);
+    },
+    /**
+     * get drag snap
+     */
+    getDragSnap: function() {
+        return this.attrs.dragSnap;
+    },
+    /**
+     * set drag distance.  Dragging doesn't start until the user has
+     *  moved this many pixels from where they pressed down, so small
+     *  movements while clicking still fire click events
+     * @param {Number} distance
+     */
+    setDragDistance: function(distance) {
+        this._setAttr('dragDistance', distance);
+    },
+    /**
+     * get drag distance
+     */
+    getDragDistance: function() {
+        return this.attrs.dragDistance;
+    },
+    /**
+     * set drag inertia.  Nodes with drag inertia keep moving after they're
+     *  released at the velocity that they were dragged at, and slow down
+     *  until they come to rest.  Pass in true to use the defaults
+     * @param {Boolean|Object} inertia
+     * @config {Number} [friction] fraction of the velocity that's kept every
+     *  1/60 of a second.  The default is 0.95
+     * @config {Number} [minVelocity] speed in pixels per second below which
+     *  the node comes to rest.  The default is 20
+     */
+    setDragInertia: function(inertia) {
+        this._setAttr('dragInertia', inertia);
+    },
+    /**
+     * get drag inertia
+     */
+    getDragInertia: function() {
+        return this.attrs.dragInertia;
+    },
     /**
      * get transform of the node while taking into
      * account the transforms of its parents
@@ -1178,8 +1694,67 @@ Kinetic.Node.prototype = {
 
         return m;
     },
-    _listenDrag: function() {
-        this._dragCleanup();
+    /**
+     * get the absolute transform that the node is drawn with, which
+     *  also includes the center offsets of the node and its ancestors
+     */
+    _getDrawTransform: function() {
+        var am = new Kinetic.Transform();
+        var family = [];
+        var parent = this.parent;
+
+        family.unshift(this);
+        while(parent) {
+            family.unshift(parent);
+            parent = parent.parent;
+        }
+
+        for(var n = 0; n < family.length; n++) {
+            var node = family[n];
+            var m = node.getTransform();
+
+            // center offset
+            if(node.attrs.centerOffset.x !== 0 || node.attrs.centerOffset.y !== 0) {
+                m.translate(-1 * node.attrs.centerOffset.x, -1 * node.attrs.centerOffset.y);
+            }
+
+            am.multiply(m);
+        }
+
+        return am;
+    },
+    /**
+     * transform a rect from the node's drawing space into the space
+     *  of another node, or into stage space if relativeTo is undefined.
+     *  Returns the axis aligned rect that bounds the transformed corners
+     * @param {Object} rect
+     * @param {Node} [relativeTo]
+     */
+    _getRectRelativeTo: function(rect, relativeTo) {
+        var t = this._getDrawTransform();
+        if(relativeTo !== undefined) {
+            var rt = relativeTo._getDrawTransform();
+            rt.invert();
+            rt.multiply(t);
+            t = rt;
+        }
+
+        var m = t.getMatrix();
+        var corners = [[rect.x, rect.y], [rect.x + rect.width, rect.y], [rect.x + rect.width, rect.y + rect.height], [rect.x, rect.y + rect.height]];
+        var points = [];
+        for(var n = 0; n < corners.length; n++) {
+            var x = corners[n][0];
+            var y = corners[n][1];
+            points.push({
+                x: m[0] * x + m[2] * y + m[4],
+                y: m[1] * x + m[3] * y + m[5]
+            });
+        }
+
+        return Kinetic.GlobalObject._getPointsRect(points);
+    },
+    _listenDrag: function() {
+        this._dragCleanup();
         var go = Kinetic.GlobalObject;
         var that = this;
         this.on('mousedown.initdrag touchstart.initdrag', function(evt) {
@@ -1194,11 +1769,108 @@ Kinetic.Node.prototype = {
         if(pos) {
             var m = this.getTransform().getTranslation();
             var am = this.getAbsoluteTransform().getTranslation();
+            // grabbing a node that's moving with inertia stops it
+            this._stopInertia();
             go.drag.node = this;
+            go.drag.start = {
+                x: pos.x,
+                y: pos.y
+            };
             go.drag.offset.x = pos.x - this.getAbsoluteTransform().getTranslation().x;
             go.drag.offset.y = pos.y - this.getAbsoluteTransform().getTranslation().y;
         }
     },
+    /**
+     * stop moving with drag inertia
+     */
+    _stopInertia: function() {
+        if(this.inertiaAnim !== undefined) {
+            Kinetic.GlobalObject._removeAnimation(this.inertiaAnim);
+            this.inertiaAnim = undefined;
+
+            // the drag gesture ends when the node stops moving
+            var stage = this.getStage();
+            if(stage !== undefined) {
+                stage._endDragHistory();
+            }
+        }
+    },
+    /**
+     * determine if the node is being dragged, either as the drag
+     *  node or as one of the selected nodes that move with it.  Nodes
+     *  aren't dragged anymore once the user has released them
+     */
+    _isDragged: function() {
+        var go = Kinetic.GlobalObject;
+        if(!go.drag.moving || go.drag.released) {
+            return false;
+        }
+        if(go.drag.node === this) {
+            return true;
+        }
+        for(var n = 0; n < go.drag.nodes.length; n++) {
+            if(go.drag.nodes[n] === this) {
+                return true;
+            }
+        }
+        return false;
+    },
+    /**
+     * get the position relative to the parent that places
+     *  the node at an absolute position
+     * @param {Object} pos absolute position
+     */
+    _getRelativePosition: function(pos) {
+        /*
+         * save rotation and scale and
+         * then remove them from the transform
+         */
+        var rot = this.attrs.rotation;
+        var scale = {
+            x: this.attrs.scale.x,
+            y: this.attrs.scale.y
+        };
+
+        this.attrs.rotation = 0;
+        this.attrs.scale = {
+            x: 1,
+            y: 1
+        };
+
+        // unravel transform
+        var it = this.getAbsoluteTransform();
+        it.invert();
+        it.translate(pos.x, pos.y);
+        var relativePos = {
+            x: this.attrs.x + it.getTranslation().x,
+            y: this.attrs.y + it.getTranslation().y
+        };
+
+        /*
+         * restore rotation and scale before the caller sets the
+         * position so that change event handlers see the node as it is
+         */
+        this.attrs.rotation = rot;
+        this.attrs.scale = {
+            x: scale.x,
+            y: scale.y
+        };
+
+        return relativePos;
+    },
+    /**
+     * determine if the node is part of the scene.  Nodes that are
+     *  drawn over the scene to edit it, such as transformers and
+     *  their anchors, aren't part of it
+     */
+    _isSceneNode: function() {
+        for(var node = this; node !== undefined; node = node.parent) {
+            if(node.sceneNode === false) {
+                return false;
+            }
+        }
+        return true;
+    },
     /**
      * remove drag and drop event listener
      */
@@ -1207,51 +1879,466 @@ Kinetic.Node.prototype = {
         this.off('touchstart.initdrag');
     },
     /**
-     * handle node events
+     * handle node events.  A Kinetic.Event is dispatched through the
+     *  capture phase from the stage down to the node's parent, then the
+     *  target phase on the node, then the bubble phase back up to the stage
      * @param {String} eventType
-     * @param {Event} evt
+     * @param {Event} evt DOM event
+     * @param {Object} [payload] properties to add to the event object
+     */
+    _handleEvents: function(eventType, evt, payload) {
+        var e = new Kinetic.Event(eventType, evt, this, payload);
+
+        var stage = this.getStage();
+        var path = this._getEventPath(this);
+        var relatedPath = [];
+
+        /*
+         * mouseover and mouseout handlers are skipped for ancestors that
+         * are shared with the shape that the mouse came from or went to
+         */
+        if(stage !== undefined) {
+            if(eventType === 'mouseover') {
+                relatedPath = this._getEventPath(stage.mouseoutShape);
+            }
+            else if(eventType === 'mouseout') {
+                relatedPath = this._getEventPath(stage.mouseoverShape);
+            }
+        }
+
+        function skip(n) {
+            return relatedPath[n] !== undefined && relatedPath[n]._id === path[n]._id;
+        }
+
+        // capture phase
+        for(var n = path.length - 1; n > 0; n--) {
+            if(!skip(n)) {
+                this._fireListeners(path[n], e, 'capture');
+                if(e.cancelBubble) {
+                    return e;
+                }
+            }
+        }
+
+        // target phase
+        if(!skip(0)) {
+            this._fireListeners(path[0], e, 'target');
+            if(e.cancelBubble) {
+                return e;
+            }
+        }
+
+        // bubble phase
+        for(var n = 1; n < path.length; n++) {
+            if(!skip(n)) {
+                this._fireListeners(path[n], e, 'bubble');
+                if(e.cancelBubble) {
+                    return e;
+                }
+            }
+        }
+
+        return e;
+    },
+    /**
+     * get a node and its ancestors up to the stage
+     * @param {Node} node
+     */
+    _getEventPath: function(node) {
+        var path = [];
+        while(node !== undefined) {
+            path.push(node);
+            node = node.parent;
+        }
+        return path;
+    },
+    /**
+     * run the listeners of a node for an event phase.  Capture
+     *  listeners run during the capture phase, other listeners run during
+     *  the bubble phase, and both run during the target phase
+     * @param {Node} node
+     * @param {Kinetic.Event} e
+     * @param {String} phase
+     */
+    _fireListeners: function(node, e, phase) {
+        var listeners = node.eventListeners[e.type];
+        if(listeners === undefined) {
+            return;
+        }
+
+        // copy the listeners so that handlers can unbind themselves
+        listeners = listeners.slice(0);
+        e._setCurrentTarget(node, phase);
+        for(var n = 0; n < listeners.length; n++) {
+            var capture = listeners[n].capture;
+            if(phase === 'target' || (phase === 'capture') === capture) {
+                listeners[n].handler.apply(node, [e]);
+            }
+        }
+    },
+    /**
+     * set an attr and fire change events if its value changed
+     * @param {String} key
+     * @param {*} val
      */
-    _handleEvents: function(eventType, evt) {
-        if(this.nodeType === 'Shape') {
-            evt.shape = this;
+    _setAttr: function(key, val) {
+        var oldVal = this.attrs[key];
+        this.attrs[key] = val;
+        if(oldVal !== val) {
+            this._fireChangeEvent(key, oldVal, val);
         }
+    },
+    /**
+     * get the history of the stage that the node is on, if it has one
+     */
+    _getHistory: function() {
         var stage = this.getStage();
-        this._handleEvent(this, stage.mouseoverShape, stage.mouseoutShape, eventType, evt);
+        return stage === undefined ? undefined : stage.history;
+    },
+    /**
+     * record a change of the node's index in the history of the stage
+     * @param {Number} oldIndex
+     */
+    _recordOrder: function(oldIndex) {
+        var history = this._getHistory();
+        if(history !== undefined && this.index !== oldIndex) {
+            history._record({
+                type: 'order',
+                node: this,
+                oldIndex: oldIndex,
+                newIndex: this.index
+            });
+        }
     },
     /**
-     * handle node event
+     * mark the node dirty, record the change in the history of the
+     *  stage, and fire the attr change event, such as xChange, followed
+     *  by the generic attrchange event.  The event objects hold the attr
+     *  name, oldVal and newVal
+     * @param {String} key
+     * @param {*} oldVal
+     * @param {*} newVal
+     * @param {Boolean} [record] set to false for changes that
+     *  aren't edits, such as transition frames
      */
-    _handleEvent: function(node, mouseoverNode, mouseoutNode, eventType, evt) {
-        var el = node.eventListeners;
-        var okayToRun = true;
+    _fireChangeEvent: function(key, oldVal, newVal, record) {
+        this._setDirty();
 
-        /*
-         * determine if event handler should be skipped by comparing
-         * parent nodes
-         */
-        if(eventType === 'mouseover' && mouseoutNode && mouseoutNode._id === node._id) {
-            okayToRun = false;
+        if(record !== false) {
+            var history = this._getHistory();
+            if(history !== undefined) {
+                history._recordAttr(this, key, oldVal, newVal);
+            }
+        }
+
+        var payload = {
+            attr: key,
+            oldVal: oldVal,
+            newVal: newVal
+        };
+        if(this.eventListeners[key + 'Change'] !== undefined) {
+            this.fire(key + 'Change', payload);
+        }
+        if(this.eventListeners.attrchange !== undefined) {
+            this.fire('attrchange', payload);
+        }
+    },
+    /**
+     * add the node to the dirty nodes of its layer.  Changes to
+     *  the stage make every layer dirty.  Layers with autoDraw
+     *  enabled are queued to be drawn on the next animation frame
+     */
+    _setDirty: function() {
+        if(this.nodeType === 'Stage') {
+            for(var n = 0; n < this.children.length; n++) {
+                this.children[n]._setDirty();
+            }
+            return;
+        }
+
+        var layer = this;
+        while(layer !== undefined && layer.nodeType !== 'Layer') {
+            layer = layer.parent;
+        }
+        if(layer !== undefined) {
+            layer.dirtyNodes[this._id] = this;
+            if(layer.attrs.autoDraw) {
+                layer.batchDraw();
+            }
+        }
+    }
+};
+/**
+ * namespaces of the event listeners that Kinetic binds for its own use,
+ *  such as the drag listeners bound by the draggable attr and the listeners
+ *  of transformers.  Namespaces can end with the number of the instance
+ *  that bound them, such as transformer12.  They aren't copied when nodes
+ *  are cloned
+ */
+Kinetic.Node.internalNames = {
+    initdrag: true,
+    transformer: true
+};
+/**
+ * create a node and its descendants from JSON made by toJSON.  The nodes
+ *  are rebuilt with the same classes that Stage.load uses, and are added to
+ *  the container if there is one.  Images are loaded asynchronously, and the
+ *  node is drawn again once they've loaded if it's on a stage by then.
+ *  Older documents are migrated to the current version, and invalid
+ *  documents throw an error before any nodes are created
+ * ex:
+ * var copy = Kinetic.Node.create(group.toJSON(), layer);
+ * @param {String|Object} json JSON string or parsed object
+ * @param {Container} [container]
+ * @param {Function} [callback] called with the node once all of its
+ *  images have loaded
+ */
+Kinetic.Node.create = function(json, container, callback) {
+    var obj = Kinetic.Schema.upgrade(typeof json === 'string' ? JSON.parse(json) : json);
+    var loading = true;
+    var loaded = false;
+
+    function onLoad() {
+        if(callback !== undefined) {
+            callback(node);
         }
-        else if(eventType === 'mouseout' && mouseoverNode && mouseoverNode._id === node._id) {
-            okayToRun = false;
+    }
+
+    var node = Kinetic.Serializer.create(obj, function() {
+        loaded = true;
+        // images that load later need the node to be drawn again
+        if(!loading) {
+            new Kinetic.Collection(node).draw();
+            onLoad();
         }
+    });
+    loading = false;
+
+    if(container !== undefined) {
+        container.add(node);
+    }
+    if(loaded) {
+        onLoad();
+    }
+    return node;
+};
+
+///////////////////////////////////////////////////////////////////////
+//  Event
+///////////////////////////////////////////////////////////////////////
+/**
+ * Event constructor.  Event objects are passed to node event handlers
+ *  and wrap the DOM event that triggered them, if there is one.  Events
+ *  travel from the stage down to the target node during the capture
+ *  phase, and then bubble back up to the stage
+ * @constructor
+ * @param {String} type
+ * @param {Event} evt DOM event
+ * @param {Node} target
+ * @param {Object} [payload] properties to add to the event.  Keys that
+ *  are already properties or methods of the event, such as type and
+ *  target, are reserved and throw an error
+ */
+Kinetic.Event = function(type, evt, target, payload) {
+    this.type = type;
+    this.evt = evt;
+    this.target = target;
+    this.currentTarget = undefined;
+    this.eventPhase = undefined;
+    this.shape = target.nodeType === 'Shape' ? target : undefined;
+    this.cancelBubble = false;
+    this.defaultPrevented = false;
+
+    var stage = target.getStage();
+    var pos = stage === undefined ? undefined : stage.getUserPosition();
+    this.stagePos = pos === undefined ? undefined : {
+        x: pos.x,
+        y: pos.y
+    };
+    this.localPos = undefined;
 
-        if(el[eventType] && okayToRun) {
-            var events = el[eventType];
-            for(var i = 0; i < events.length; i++) {
-                events[i].handler.apply(node, [evt]);
+    if(payload !== undefined) {
+        for(var key in payload) {
+            // payloads can't replace the properties and methods of the event
+            if( key in this) {
+                throw new Error('Kinetic.Event: payload key "' + key + '" is reserved');
             }
+            this[key] = payload[key];
+        }
+    }
+};
+/*
+ * Event methods
+ */
+Kinetic.Event.prototype = {
+    /**
+     * stop the event from travelling to any other nodes.  Listeners
+     *  on the current node still run
+     */
+    stopPropagation: function() {
+        this.cancelBubble = true;
+    },
+    /**
+     * prevent the default browser action of the DOM event
+     */
+    preventDefault: function() {
+        this.defaultPrevented = true;
+        if(this.evt !== undefined && this.evt.preventDefault !== undefined) {
+            this.evt.preventDefault();
         }
+    },
+    /**
+     * get user position relative to the stage container
+     */
+    getStagePosition: function() {
+        return this.stagePos;
+    },
+    /**
+     * get user position in the coordinate space of the current
+     *  target
+     */
+    getLocalPosition: function() {
+        return this.localPos;
+    },
+    /**
+     * set the node whose listeners are running and the dispatch
+     *  phase, which is 'capture', 'target', or 'bubble'
+     * @param {Node} node
+     * @param {String} phase
+     */
+    _setCurrentTarget: function(node, phase) {
+        this.currentTarget = node;
+        this.eventPhase = phase;
+        this.localPos = undefined;
 
-        var mouseoverParent = mouseoverNode ? mouseoverNode.parent : undefined;
-        var mouseoutParent = mouseoutNode ? mouseoutNode.parent : undefined;
+        if(this.stagePos !== undefined) {
+            var m = node.getAbsoluteTransform();
+            // shapes are drawn relative to their center offset
+            if(node.attrs.centerOffset.x !== 0 || node.attrs.centerOffset.y !== 0) {
+                m.translate(-1 * node.attrs.centerOffset.x, -1 * node.attrs.centerOffset.y);
+            }
+            m.invert();
+            var mm = m.getMatrix();
+            var x = this.stagePos.x;
+            var y = this.stagePos.y;
+            this.localPos = {
+                x: mm[0] * x + mm[2] * y + mm[4],
+                y: mm[1] * x + mm[3] * y + mm[5]
+            };
+        }
+    }
+};
 
-        // simulate event bubbling
-        if(!evt.cancelBubble && node.parent && node.parent.nodeType !== 'Stage') {
-            this._handleEvent(node.parent, mouseoverParent, mouseoutParent, eventType, evt);
+///////////////////////////////////////////////////////////////////////
+//  Collection
+///////////////////////////////////////////////////////////////////////
+/**
+ * Collection constructor.  Collections are array-like lists of nodes
+ *  returned by Container.get.  Node methods such as setAttrs, on, hide,
+ *  and transitionTo can be called on a collection to apply them to every
+ *  node, and are chainable
+ * ex:
+ * stage.get('.handle').setAttrs({fill: 'red'}).show().draw();
+ * @constructor
+ * @param {Node} [node]* nodes to add to the collection
+ */
+Kinetic.Collection = function() {
+    var length = arguments.length;
+    this.length = 0;
+    for(var n = 0; n < length; n++) {
+        this.push(arguments[n]);
+    }
+};
+Kinetic.Collection.prototype = [];
+/**
+ * iterate through the nodes.  The function is called with
+ *  the node as the context and is passed the node and its index.
+ *  Return false to stop iterating
+ * @param {Function} func
+ */
+Kinetic.Collection.prototype.each = function(func) {
+    for(var n = 0; n < this.length; n++) {
+        if(func.call(this[n], this[n], n) === false) {
+            break;
+        }
+    }
+    return this;
+};
+/**
+ * get a new collection with the nodes that pass a test.  The
+ *  function is called with the node as the context and is passed
+ *  the node and its index
+ * @param {Function} func
+ */
+Kinetic.Collection.prototype.filter = function(func) {
+    var collection = new Kinetic.Collection();
+    for(var n = 0; n < this.length; n++) {
+        if(func.call(this[n], this[n], n)) {
+            collection.push(this[n]);
+        }
+    }
+    return collection;
+};
+/**
+ * get an array with the results of calling a function on
+ *  every node.  The function is called with the node as the
+ *  context and is passed the node and its index
+ * @param {Function} func
+ */
+Kinetic.Collection.prototype.map = function(func) {
+    var arr = [];
+    for(var n = 0; n < this.length; n++) {
+        arr.push(func.call(this[n], this[n], n));
+    }
+    return arr;
+};
+/**
+ * get the nodes as a plain array
+ */
+Kinetic.Collection.prototype.toArray = function() {
+    var arr = [];
+    for(var n = 0; n < this.length; n++) {
+        arr.push(this[n]);
+    }
+    return arr;
+};
+/**
+ * draw the layers of the nodes.  Each layer is drawn only once,
+ *  and a stage in the collection draws all of its layers
+ */
+Kinetic.Collection.prototype.draw = function() {
+    var drawn = {};
+    for(var n = 0; n < this.length; n++) {
+        var node = this[n];
+        while(node !== undefined && node.nodeType !== 'Layer' && node.nodeType !== 'Stage') {
+            node = node.getParent();
         }
+        if(node !== undefined && drawn[node._id] === undefined) {
+            drawn[node._id] = true;
+            node.draw();
+        }
+    }
+    return this;
+};
+/**
+ * add collection methods that call a node method on every
+ *  node in the collection.  The collection methods are chainable
+ * @param {Array} methods node method names
+ */
+Kinetic.Collection.mapMethods = function(methods) {
+    function addMethod(name) {
+        Kinetic.Collection.prototype[name] = function() {
+            for(var n = 0; n < this.length; n++) {
+                this[n][name].apply(this[n], arguments);
+            }
+            return this;
+        };
+    }
+    for(var n = 0; n < methods.length; n++) {
+        addMethod(methods[n]);
     }
 };
+Kinetic.Collection.mapMethods(['on', 'off', 'fire', 'setAttrs', 'show', 'hide', 'move', 'rotate', 'rotateDeg', 'setPosition', 'setX', 'setY', 'setScale', 'setRotation', 'setRotationDeg', 'setAlpha', 'setCenterOffset', 'setZIndex', 'moveToTop', 'moveToBottom', 'moveUp', 'moveDown', 'moveTo', 'draggable', 'listen', 'transitionTo', 'destroy']);
 
 ///////////////////////////////////////////////////////////////////////
 //  Container
@@ -1299,8 +2386,7 @@ Kinetic.Container.prototype = {
             go.tempNodes.push(child);
         }
         else {
-            stage._addId(child);
-            stage._addName(child);
+            this._register(stage, child);
 
             /*
              * pull in other nodes that are now linked
@@ -1310,45 +2396,49 @@ Kinetic.Container.prototype = {
             go._pullNodes(stage);
         }
 
+        child._setDirty();
+
         // do extra stuff if needed
         if(this._add !== undefined) {
             this._add(child);
         }
 
+        var history = child._getHistory();
+        if(history !== undefined) {
+            history._record({
+                type: 'add',
+                node: child,
+                parent: this,
+                index: child.index
+            });
+        }
+
         // chainable
         return this;
     },
     /**
-     * remove child from container
+     * remove child from container.  The child keeps its descendants, so
+     *  it can be added again, and the stage references to the child and
+     *  its descendants are cleared
      * @param {Node} child
      */
     remove: function(child) {
         if(child && child.index !== undefined && this.children[child.index]._id == child._id) {
             var stage = this.getStage();
-            if(stage !== undefined) {
-                stage._removeId(child);
-                stage._removeName(child);
+            if(stage !== undefined && stage.history !== undefined) {
+                stage.history._record({
+                    type: 'remove',
+                    node: child,
+                    parent: this,
+                    index: child.index
+                });
             }
 
-            var go = Kinetic.GlobalObject;
-            for(var n = 0; n < go.tempNodes.length; n++) {
-                var node = go.tempNodes[n];
-                if(node._id === child._id) {
-                    go.tempNodes.splice(n, 1);
-                    break;
-                }
-            }
+            this._unregister(stage, child);
 
             this.children.splice(child.index, 1);
             this._setChildrenIndices();
 
-            // remove children
-            if(child.children) {
-                for(var n = 0; n < child.children.length; n++) {
-                    child.remove(child.children[n]);
-                }
-            }
-
             // do extra stuff if needed
             if(this._remove !== undefined) {
                 this._remove(child);
@@ -1359,39 +2449,30 @@ Kinetic.Container.prototype = {
         return this;
     },
     /**
-     * return an array of nodes that match the selector.  Use '#' for id selections
-     * and '.' for name selections
+     * return a Kinetic.Collection of nodes that match the selector in document order.
+     * Use '#' for id selections, '.' for name selections, node types or shape
+     * types for type selections, and brackets for attribute selections.
+     * Selectors can be combined with white space to select descendants,
+     * with '>' to select children, and with ',' to select the union
      * ex:
      * var node = stage.get('#foo'); // selects node with id foo
      * var nodes = layer.get('.bar'); // selects nodes with name bar inside layer
+     * var nodes = stage.get('Rect, Text'); // selects rects and texts
+     * var nodes = stage.get('Group > .handle'); // selects children of groups with name handle
+     * var nodes = stage.get('Rect[draggable=true]'); // selects draggable rects
+     * var nodes = stage.get('[alpha<0.5]'); // selects nodes with an alpha less than 0.5
      * @param {String} selector
      */
     get: function(selector) {
         var stage = this.getStage();
-        var arr;
-        var key = selector.slice(1);
-        if(selector.charAt(0) === '#') {
-            arr = stage.ids[key] !== undefined ? [stage.ids[key]] : [];
-        }
-        else if(selector.charAt(0) === '.') {
-            arr = stage.names[key] !== undefined ? stage.names[key] : [];
-        }
-        else if(selector === 'Shape' || selector === 'Group' || selector === 'Layer') {
-            return this._getNodes(selector);
-        }
-        else {
-            return false;
-        }
-
-        var retArr = [];
-        for(var n = 0; n < arr.length; n++) {
-            var node = arr[n];
-            if(this.isAncestorOf(node)) {
-                retArr.push(node);
-            }
+
+        // use the id index for simple id selections
+        if(stage !== undefined && /^#[^\s#.\[\],>]+$/.test(selector)) {
+            var node = stage.ids[selector.slice(1)];
+            return node !== undefined && this.isAncestorOf(node) ? new Kinetic.Collection(node) : new Kinetic.Collection();
         }
 
-        return retArr;
+        return Kinetic.Selector.select(this, selector);
     },
     /**
      * determine if node is an ancestor
@@ -1413,27 +2494,6 @@ Kinetic.Container.prototype = {
 
         return false;
     },
-    /**
-     * get all shapes inside container
-     */
-    _getNodes: function(sel) {
-        var arr = [];
-        function traverse(cont) {
-            var children = cont.getChildren();
-            for(var n = 0; n < children.length; n++) {
-                var child = children[n];
-                if(child.nodeType === sel) {
-                    arr.push(child);
-                }
-                else if(child.nodeType !== 'Shape') {
-                    traverse(child);
-                }
-            }
-        }
-        traverse(this);
-
-        return arr;
-    },
     /**
      * draw children
      */
@@ -1453,24 +2513,126 @@ Kinetic.Container.prototype = {
         }
     },
     /**
-     * set children indices
+     * draw children onto the hit graph of a layer.  Only visible
+     *  and listening nodes are drawn.  Dragged nodes are left out so
+     *  that the drop targets under them can be detected
+     * @param {Layer} layer
      */
-    _setChildrenIndices: function() {
-        /*
-         * if reordering Layers, remove all canvas elements
-         * from the container except the buffer and backstage canvases
-         * and then readd all the layers
-         */
-        if(this.nodeType === 'Stage') {
-            var canvases = this.content.children;
-            var bufferCanvas = canvases[0];
-            var backstageCanvas = canvases[1];
+    _drawChildrenHit: function(layer) {
+        var children = this.children;
+        for(var n = 0; n < children.length; n++) {
+            var child = children[n];
+            if(child.attrs.visible && child.attrs.listening && !child._isDragged()) {
+                if(child.nodeType === 'Shape') {
+                    child._drawHit(layer);
+                }
+                else {
+                    child._drawChildrenHit(layer);
+                }
+            }
+        }
+    },
+    /**
+     * get the rect that the visible descendants of the container take
+     *  up on the stage.  The rect is the union of the client rects of
+     *  the children
+     * @param {Object} [config]
+     * @config {Node} [relativeTo] get the rect in the coordinate space of
+     *  another node, such as an ancestor
+     * @config {Boolean} [skipTransform] get the rect in the container's
+     *  own coordinate space
+     * @config {Boolean} [skipStroke] ignore stroke widths
+     * @config {Boolean} [skipShadow] ignore shadows
+     */
+    getClientRect: function(config) {
+        var c = config === undefined ? {} : config;
+        var childConfig = {
+            relativeTo: c.skipTransform ? this : c.relativeTo,
+            skipStroke: c.skipStroke,
+            skipShadow: c.skipShadow
+        };
+        var points = [];
+
+        for(var n = 0; n < this.children.length; n++) {
+            var child = this.children[n];
+            if(child.attrs.visible) {
+                var rect = child.getClientRect(childConfig);
+                // ignore empty containers
+                if(child.nodeType === 'Shape' || rect.width > 0 || rect.height > 0) {
+                    points.push({
+                        x: rect.x,
+                        y: rect.y
+                    });
+                    points.push({
+                        x: rect.x + rect.width,
+                        y: rect.y + rect.height
+                    });
+                }
+            }
+        }
+
+        return Kinetic.GlobalObject._getPointsRect(points);
+    },
+    /**
+     * add a node and its descendants to the id and name registries of
+     *  a stage.  The descendants of nodes that were removed and then added
+     *  again aren't temp nodes, so they're registered here
+     * @param {Stage} stage
+     * @param {Node} node
+     */
+    _register: function(stage, node) {
+        stage._addId(node);
+        stage._addName(node);
+        if(node.children !== undefined) {
+            for(var n = 0; n < node.children.length; n++) {
+                this._register(stage, node.children[n]);
+            }
+        }
+    },
+    /**
+     * remove a node and its descendants from the stage registries, the
+     *  temp nodes, and the hit graph registry.  The descendants stay in the
+     *  removed node so that it can be added again
+     * @param {Stage} stage
+     * @param {Node} node
+     */
+    _unregister: function(stage, node) {
+        var go = Kinetic.GlobalObject;
+        if(stage !== undefined) {
+            stage._removeId(node);
+            stage._removeName(node);
+            stage._clearReferences(node);
+        }
 
-            this.content.innerHTML = '';
-            this.content.appendChild(bufferCanvas);
-            this.content.appendChild(backstageCanvas);
+        for(var n = 0; n < go.tempNodes.length; n++) {
+            if(go.tempNodes[n]._id === node._id) {
+                go.tempNodes.splice(n, 1);
+                break;
+            }
+        }
+
+        // remove shape from the hit graph registry
+        if(node.nodeType === 'Shape' && go.shapes[node.colorKey] !== undefined && go.shapes[node.colorKey]._id === node._id) {
+            delete go.shapes[node.colorKey];
         }
 
+        if(node.children !== undefined) {
+            for(var n = 0; n < node.children.length; n++) {
+                this._unregister(stage, node.children[n]);
+            }
+        }
+    },
+    /**
+     * set children indices.  Reordering the children of a layer
+     *  or group makes it dirty
+     */
+    _setChildrenIndices: function() {
+        /*
+         * if reordering Layers, append the layer canvases again in
+         * order.  Appending a canvas moves it after the buffer and
+         * backstage canvases and the other layers, and leaves the
+         * other elements of the container in place
+         */
         for(var n = 0; n < this.children.length; n++) {
             this.children[n].index = n;
 
@@ -1478,6 +2640,15 @@ Kinetic.Container.prototype = {
                 this.content.appendChild(this.children[n].canvas);
             }
         }
+
+        // keep the selection marquee above the layers
+        if(this.nodeType === 'Stage' && this.marquee !== undefined && this.marquee.div !== undefined) {
+            this.content.appendChild(this.marquee.div);
+        }
+
+        if(this.nodeType !== 'Stage') {
+            this._setDirty();
+        }
     }
 };
 
@@ -1486,7 +2657,13 @@ Kinetic.Container.prototype = {
 ///////////////////////////////////////////////////////////////////////
 /**
  * Stage constructor.  A stage is used to contain multiple layers and handle
- * animations
+ * animations.  Nodes with a selectable attr set to true can be selected by
+ * clicking them, and shift clicking adds or removes them from the selection.
+ * Set the marquee attr to true to select nodes by dragging a rectangle over
+ * an empty area of the stage.  Nodes with a dropTarget attr set to true
+ * receive dragenter, dragover, dragleave, and drop events when other nodes
+ * are dragged over them.  Create a Kinetic.History with the stage to record
+ * changes so that they can be undone
  * @constructor
  * @augments Kinetic.Container
  * @augments Kinetic.Node
@@ -1503,6 +2680,8 @@ Kinetic.Stage = function(config) {
 
     this.nodeType = 'Stage';
     this.lastEventTime = 0;
+    this.history = undefined;
+    this.dragHistory = undefined;
 
     /*
      * if container is a string, assume it's an id for
@@ -1517,6 +2696,7 @@ Kinetic.Stage = function(config) {
     Kinetic.Node.apply(this, [config]);
 
     this.content = document.createElement('div');
+    this.contentHandlers = {};
     this.dblClickWindow = 400;
 
     this._setStageDefaultProperties();
@@ -1572,6 +2752,19 @@ Kinetic.Stage.prototype = {
     draw: function() {
         this._drawChildren();
     },
+    /**
+     * draw only the layers that have dirty nodes.  Nodes become
+     *  dirty when their attrs change, or when they are added, removed,
+     *  or reordered
+     */
+    drawDirty: function() {
+        var layers = this.children;
+        for(var n = 0; n < layers.length; n++) {
+            if(layers[n].isDirty()) {
+                layers[n].draw();
+            }
+        }
+    },
     /**
      * set stage size
      */
@@ -1603,6 +2796,8 @@ Kinetic.Stage.prototype = {
             var layer = layers[n];
             layer.getCanvas().width = width;
             layer.getCanvas().height = height;
+            layer.getHitCanvas().width = width;
+            layer.getHitCanvas().height = height;
             layer.draw();
         }
     },
@@ -1664,44 +2859,6 @@ Kinetic.Stage.prototype = {
         bufferLayer.clear();
         addLayer(0);
     },
-    /**
-     * serialize stage and children as a JSON object
-     */
-    toJSON: function() {
-        var go = Kinetic.GlobalObject;
-
-        function addNode(node) {
-            var obj = {};
-
-            var cleanAttrs = node.attrs;
-
-            // remove function, image, DOM, and objects with methods
-            for(var key in cleanAttrs) {
-                var val = cleanAttrs[key];
-                if(go._isFunction(val) || go._isElement(val) || go._hasMethods(val)) {
-                    cleanAttrs[key] = undefined;
-                }
-            }
-
-            obj.attrs = cleanAttrs;
-
-            obj.nodeType = node.nodeType;
-            obj.shapeType = node.shapeType;
-
-            if(node.nodeType !== 'Shape') {
-                obj.children = [];
-
-                var children = node.getChildren();
-                for(var n = 0; n < children.length; n++) {
-                    var child = children[n];
-                    obj.children.push(addNode(child));
-                }
-            }
-
-            return obj;
-        }
-        return JSON.stringify(addNode(this));
-    },
     /**
      * reset stage to default state
      */
@@ -1714,52 +2871,70 @@ Kinetic.Stage.prototype = {
         this.setAttrs(this.defaultNodeAttrs);
     },
     /**
-     * load stage with JSON string.  De-serializtion does not generate custom
-     *  shape drawing functions, images, or event handlers (this would make the
-     * 	serialized object huge).  If your app uses custom shapes, images, and
-     *  event handlers (it probably does), then you need to select the appropriate
-     *  shapes after loading the stage and set these properties via on(), setDrawFunc(),
-     *  and setImage()
+     * load stage with JSON string.  Images are reloaded from their src or
+     *  data URLs, and the stage is drawn again once they've loaded.  Custom
+     *  shape classes, drawFuncs, and event handlers are rebuilt if they've
+     *  been registered with Kinetic.Serializer.  Anything else that couldn't
+     *  be serialized, such as unregistered event handlers, needs to be set
+     *  again after loading the stage.  Documents saved with older versions
+     *  are migrated to the current version.  Invalid documents throw an
+     *  error, with an errors property that holds the path and message of
+     *  each problem, and the stage isn't changed
      * @param {String} JSON string
+     * @param {Function} [callback] called once all of the images have loaded
      */
-    load: function(json) {
-        this.reset();
-
-        function loadNode(node, obj) {
-            var children = obj.children;
-            if(children !== undefined) {
-                for(var n = 0; n < children.length; n++) {
-                    var child = children[n];
-                    var type;
-
-                    // determine type
-                    if(child.nodeType === 'Shape') {
-                        // add custom shape
-                        if(child.shapeType === undefined) {
-                            type = 'Shape';
-                        }
-                        // add standard shape
-                        else {
-                            type = child.shapeType;
-                        }
-                    }
-                    else {
-                        type = child.nodeType;
-                    }
+    load: function(json, callback) {
+        var that = this;
+        var loading = true;
+        var loaded = false;
 
-                    var no = new Kinetic[type](child.attrs);
-                    node.add(no);
-                    loadNode(no, child);
-                }
+        function onLoad() {
+            that.draw();
+            if(callback !== undefined) {
+                callback();
             }
         }
-        var obj = JSON.parse(json);
 
-        // copy over stage properties
-        this.attrs = obj.attrs;
+        var obj = Kinetic.Schema.upgrade(JSON.parse(json));
+        if(obj.nodeType !== 'Stage') {
+            throw new Error('Kinetic.Stage: only stage documents can be loaded into a stage');
+        }
+
+        this.reset();
+        Kinetic.Serializer.load(this, obj, function() {
+            loaded = true;
+            // images that load later need the stage to be drawn again
+            if(!loading) {
+                onLoad();
+            }
+        });
+        loading = false;
+
+        // changes made before the stage was loaded can't be undone
+        if(this.history !== undefined) {
+            this.history.clear();
+        }
 
-        loadNode(this, obj);
-        this.draw();
+        if(loaded) {
+            onLoad();
+        }
+        else {
+            this.draw();
+        }
+    },
+    /**
+     * apply a patch made by Kinetic.diff.  The nodes on the stage are
+     *  changed in place, and only the layers that changed are drawn again.
+     *  The stage has to be in the state that the patch was made from.
+     *  Invalid patches throw an error, with an errors property that holds
+     *  the path and message of each problem, and the stage isn't changed.
+     *  If the stage has a history, the patch is undone in one step.
+     *  Otherwise, removed nodes are destroyed
+     * @param {Object} patch
+     * @param {Function} [callback] called once all of the images have loaded
+     */
+    applyPatch: function(patch, callback) {
+        Kinetic.Patch.apply(this, patch, callback);
     },
     /**
      * get mouse position for desktop apps
@@ -1775,6 +2950,67 @@ Kinetic.Stage.prototype = {
     getTouchPosition: function(evt) {
         return this.touchPos;
     },
+    /**
+     * get positions of every active touch point for mobile apps.
+     *  Each position has an id property which holds the touch identifier
+     */
+    getTouchPositions: function() {
+        return this.touchPositions;
+    },
+    /**
+     * get the node that receives keyboard events, or undefined
+     *  if no node has focus
+     */
+    getFocusedNode: function() {
+        return this.focusedNode;
+    },
+    /**
+     * get a collection of the selected nodes in the order that
+     *  they were selected
+     */
+    getSelection: function() {
+        var collection = new Kinetic.Collection();
+        for(var n = 0; n < this.selection.length; n++) {
+            collection.push(this.selection[n]);
+        }
+        return collection;
+    },
+    /**
+     * replace the selection.  Fires a selectionchange event on
+     *  the stage if the selection changed
+     * @param {Array|Collection} nodes
+     */
+    setSelection: function(nodes) {
+        var selection = [];
+        for(var n = 0; n < nodes.length; n++) {
+            if(!this._inArray(selection, nodes[n])) {
+                selection.push(nodes[n]);
+            }
+        }
+
+        var changed = selection.length !== this.selection.length;
+        for(var n = 0; n < selection.length && !changed; n++) {
+            changed = selection[n] !== this.selection[n];
+        }
+
+        if(changed) {
+            this.selection = selection;
+            this._handleEvents('selectionchange');
+        }
+    },
+    /**
+     * clear the selection
+     */
+    clearSelection: function() {
+        this.setSelection([]);
+    },
+    /**
+     * determine if a node is selected
+     * @param {Node} node
+     */
+    isSelected: function(node) {
+        return this._inArray(this.selection, node);
+    },
     /**
      * get user position (mouse position or touch position)
      * @param {Event} evt
@@ -1859,6 +3095,8 @@ Kinetic.Stage.prototype = {
     _add: function(layer) {
         layer.canvas.width = this.attrs.width;
         layer.canvas.height = this.attrs.height;
+        layer.hitCanvas.width = this.attrs.width;
+        layer.hitCanvas.height = this.attrs.height;
 
         // draw layer and append canvas to container
         layer.draw();
@@ -1871,126 +3109,137 @@ Kinetic.Stage.prototype = {
          */
         layer.lastDrawTime = 0;
     },
+    /**
+     * get the top most shape at a point by looking up the
+     *  hit graphs of the layers, starting with the top layer
+     * @param {Object} pos
+     */
+    _getIntersectingShape: function(pos) {
+        if(pos === undefined) {
+            return undefined;
+        }
+
+        for(var n = this.children.length - 1; n >= 0; n--) {
+            var layer = this.children[n];
+            if(layer.isVisible() && layer.attrs.listening) {
+                var shape = layer.getIntersection(pos);
+                if(shape !== undefined) {
+                    return shape;
+                }
+            }
+        }
+
+        return undefined;
+    },
     /**
      * detect event
-     * @param {Shape} shape
+     * @param {Shape} shape top most shape under the
+     *  user position
      */
     _detectEvent: function(shape, evt) {
         var isDragging = Kinetic.GlobalObject.drag.moving;
         var go = Kinetic.GlobalObject;
-        var pos = this.getUserPosition();
-        var el = shape.eventListeners;
 
         if(this.targetShape && shape._id === this.targetShape._id) {
             this.targetFound = true;
         }
 
-        if(shape.isVisible() && pos !== undefined && shape.intersects(pos)) {
-            // handle onmousedown
-            if(!isDragging && this.mouseDown) {
-                this.mouseDown = false;
-                this.clickStart = true;
-                shape._handleEvents('mousedown', evt);
-                return true;
-            }
-            // handle onmouseup & onclick
-            else if(this.mouseUp) {
-                this.mouseUp = false;
-                shape._handleEvents('mouseup', evt);
+        // handle onmousedown
+        if(!isDragging && this.mouseDown) {
+            this.mouseDown = false;
+            this.clickStart = true;
+            shape._handleEvents('mousedown', evt);
+            return true;
+        }
+        // handle onmouseup & onclick
+        else if(this.mouseUp) {
+            this.mouseUp = false;
+            shape._handleEvents('mouseup', evt);
 
-                // detect if click or double click occurred
-                if(this.clickStart) {
-                    /*
-                     * if dragging and dropping, don't fire click or dbl click
-                     * event
-                     */
-                    if((!go.drag.moving) || !go.drag.node) {
-                        shape._handleEvents('click', evt);
+            // detect if click or double click occurred
+            if(this.clickStart) {
+                /*
+                 * if dragging and dropping, don't fire click or dbl click
+                 * event
+                 */
+                if((!go.drag.moving) || !go.drag.node) {
+                    shape._handleEvents('click', evt);
 
-                        if(shape.inDoubleClickWindow) {
-                            shape._handleEvents('dblclick', evt);
-                        }
-                        shape.inDoubleClickWindow = true;
-                        setTimeout(function() {
-                            shape.inDoubleClickWindow = false;
-                        }, this.dblClickWindow);
+                    if(shape.inDoubleClickWindow) {
+                        shape._handleEvents('dblclick', evt);
                     }
+                    shape.inDoubleClickWindow = true;
+                    setTimeout(function() {
+                        shape.inDoubleClickWindow = false;
+                    }, this.dblClickWindow);
                 }
-                return true;
             }
+            return true;
+        }
 
-            // handle touchstart
-            if(!isDragging && this.touchStart) {
-                this.touchStart = false;
-                this.tapStart = true;
-                shape._handleEvents('touchstart', evt);
-                return true;
-            }
-            // handle touchend & tap
-            else if(this.touchEnd) {
-                this.touchEnd = false;
-                shape._handleEvents('touchend', evt);
+        // handle touchstart
+        if(!isDragging && this.touchStart) {
+            this.touchStart = false;
+            this.tapStart = true;
+            shape._handleEvents('touchstart', evt);
+            return true;
+        }
+        // handle touchend & tap
+        else if(this.touchEnd) {
+            this.touchEnd = false;
+            shape._handleEvents('touchend', evt);
 
-                // detect if tap or double tap occurred
-                if(this.tapStart) {
-                    /*
-                     * if dragging and dropping, don't fire tap or dbltap
-                     * event
-                     */
-                    if((!go.drag.moving) || !go.drag.node) {
-                        shape._handleEvents('tap', evt);
+            // detect if tap or double tap occurred
+            if(this.tapStart) {
+                /*
+                 * if dragging and dropping, don't fire tap or dbltap
+                 * event
+                 */
+                if((!go.drag.moving) || !go.drag.node) {
+                    shape._handleEvents('tap', evt);
 
-                        if(shape.inDoubleClickWindow) {
-                            shape._handleEvents('dbltap', evt);
-                        }
-                        shape.inDoubleClickWindow = true;
-                        setTimeout(function() {
-                            shape.inDoubleClickWindow = false;
-                        }, this.dblClickWindow);
+                    if(shape.inDoubleClickWindow) {
+                        shape._handleEvents('dbltap', evt);
                     }
+                    shape.inDoubleClickWindow = true;
+                    setTimeout(function() {
+                        shape.inDoubleClickWindow = false;
+                    }, this.dblClickWindow);
                 }
-                return true;
             }
+            return true;
+        }
 
-            /*
-            * NOTE: these event handlers require target shape
-            * handling
-            */
-
-            // handle onmouseover
-            else if(!isDragging && this._isNewTarget(shape, evt)) {
-                /*
-                 * check to see if there are stored mouseout events first.
-                 * if there are, run those before running the onmouseover
-                 * events
-                 */
-                if(this.mouseoutShape) {
-                    this.mouseoverShape = shape;
-                    this.mouseoutShape._handleEvents('mouseout', evt);
-                    this.mouseoverShape = undefined;
-                }
+        /*
+        * NOTE: these event handlers require target shape
+        * handling
+        */
 
-                shape._handleEvents('mouseover', evt);
-                this._setTarget(shape);
-                return true;
+        // handle onmouseover
+        else if(!isDragging && this._isNewTarget(shape, evt)) {
+            /*
+             * check to see if there are stored mouseout events first.
+             * if there are, run those before running the onmouseover
+             * events
+             */
+            if(this.mouseoutShape) {
+                this.mouseoverShape = shape;
+                this.mouseoutShape._handleEvents('mouseout', evt);
+                this.mouseoverShape = undefined;
             }
 
-            // handle mousemove and touchmove
-            else if(!isDragging && this.mouseMove) {
-                shape._handleEvents('mousemove', evt);
-                return true;
-            }
-            
-else if(!isDragging && this.touchMove) {
-                shape._handleEvents('touchmove', evt);
-                return true;
-            }
+            shape._handleEvents('mouseover', evt);
+            this._setTarget(shape);
+            return true;
+        }
 
+        // handle mousemove and touchmove
+        else if(!isDragging && this.mouseMove) {
+            shape._handleEvents('mousemove', evt);
+            return true;
         }
-        // handle mouseout condition
-        else if(!isDragging && this.targetShape && this.targetShape._id === shape._id) {
-            this._setTarget(undefined);
-            this.mouseoutShape = shape;
+        else if(!isDragging && this.touchMove) {
+            shape._handleEvents('touchmove', evt);
             return true;
         }
 
@@ -2023,33 +3272,6 @@ else if(!isDragging && this.touchMove) {
             return false;
         }
     },
-    /**
-     * traverse container children
-     * @param {Container} obj
-     */
-    _traverseChildren: function(obj, evt) {
-        var children = obj.children;
-        // propapgate backwards through children
-        for(var i = children.length - 1; i >= 0; i--) {
-            var child = children[i];
-            if(child.attrs.listening) {
-                if(child.nodeType === 'Shape') {
-                    var exit = this._detectEvent(child, evt);
-                    if(exit) {
-                        return true;
-                    }
-                }
-                else {
-                    var exit = this._traverseChildren(child, evt);
-                    if(exit) {
-                        return true;
-                    }
-                }
-            }
-        }
-
-        return false;
-    },
     /**
      * handle incoming event
      * @param {Event} evt
@@ -2066,23 +3288,33 @@ else if(!isDragging && this.touchMove) {
 
         this._setMousePosition(evt);
         this._setTouchPosition(evt);
-        this.pathLayer.clear();
 
         /*
-         * loop through layers.  If at any point an event
-         * is triggered, n is set to -1 which will break out of the
-         * three nested loops
+         * dragged nodes are left out of the hit graphs so that the drop
+         * targets under them can be detected.  They're put back before a
+         * release is detected so that mouseup and touchend are fired on
+         * the dragged node rather than on the shape under it
+         */
+        if((this.mouseUp || this.touchEnd) && go.drag.moving && go.drag.node !== undefined && go.drag.node.nodeType !== 'Stage') {
+            go.drag.released = true;
+            this._drawDragHit();
+        }
+
+        /*
+         * find the top most shape under the user position
+         * with the layer hit graphs
          */
         this.targetFound = false;
         var shapeDetected = false;
-        for(var n = this.children.length - 1; n >= 0; n--) {
-            var layer = this.children[n];
-            if(layer.isVisible() && n >= 0 && layer.attrs.listening) {
-                if(this._traverseChildren(layer, evt)) {
-                    n = -1;
-                    shapeDetected = true;
-                }
-            }
+        var shape = this._getIntersectingShape(this.getUserPosition());
+
+        if(shape !== undefined) {
+            shapeDetected = this._detectEvent(shape, evt);
+        }
+        // handle mouseout condition
+        else if(!go.drag.moving && this.targetShape) {
+            this.mouseoutShape = this.targetShape;
+            this._setTarget(undefined);
         }
 
         /*
@@ -2096,14 +3328,39 @@ else if(!isDragging && this.touchMove) {
     },
     /**
      * begin listening for events by adding event handlers
-     * to the container
+     * to the container.  Pointer Events are used when the browser
+     * supports them, and are translated into the mouse and touch
+     * events used by the rest of the stage
      */
     _listen: function() {
         var go = Kinetic.GlobalObject;
         var that = this;
+        var types = ['mousedown', 'mousemove', 'mouseup', 'mouseover', 'mouseout', 'touchstart', 'touchmove', 'touchend', 'touchcancel'];
+
+        if(window.PointerEvent !== undefined) {
+            types = ['pointerdown', 'pointermove', 'pointerup', 'pointerover', 'pointerout', 'pointercancel'];
+            // let the stage handle touch pointers instead of the browser
+            this.content.style.touchAction = 'none';
+        }
+
+        for(var n = 0; n < types.length; n++) {
+            this.content.addEventListener(types[n], function(evt) {
+                that._handleInput(evt);
+            }, false);
+        }
+
+        // keyboard events are delivered to the focused node
+        this.content.tabIndex = -1;
+        this.content.style.outline = 'none';
+        var keyTypes = ['keydown', 'keyup', 'keypress'];
+        for(var n = 0; n < keyTypes.length; n++) {
+            this.content.addEventListener(keyTypes[n], function(evt) {
+                that._handleKeyEvent(evt);
+            }, false);
+        }
 
         // desktop events
-        this.content.addEventListener('mousedown', function(evt) {
+        this._onContent('mousedown', function(evt) {
             that.mouseDown = true;
             that.mouseUp = false;
             that.mouseMove = false;
@@ -2114,9 +3371,10 @@ else if(!isDragging && this.touchMove) {
             if(that.attrs.draggable) {
                 that._initDrag();
             }
-        }, false);
+            that._handleSelection(evt);
+        });
 
-        this.content.addEventListener('mousemove', function(evt) {
+        this._onContent('mousemove', function(evt) {
             /*
              * throttle mousemove
              */
@@ -2131,46 +3389,51 @@ else if(!isDragging && this.touchMove) {
                 that.mouseUp = false;
                 that.mouseMove = true;
                 that._handleStageEvent(evt);
+                that._moveMarquee();
             }
-        }, false);
+        });
 
-        this.content.addEventListener('mouseup', function(evt) {
+        this._onContent('mouseup', function(evt) {
             that.mouseDown = false;
             that.mouseUp = true;
             that.mouseMove = false;
             that._handleStageEvent(evt);
             that.clickStart = false;
-        }, false);
+            that._endMarquee();
+        });
 
-        this.content.addEventListener('mouseover', function(evt) {
+        this._onContent('mouseover', function(evt) {
             that._handleStageEvent(evt);
-        }, false);
+        });
 
-        this.content.addEventListener('mouseout', function(evt) {
+        this._onContent('mouseout', function(evt) {
             // if there's a current target shape, run mouseout handlers
             var targetShape = that.targetShape;
             if(targetShape) {
                 targetShape._handleEvents('mouseout', evt);
                 that.targetShape = undefined;
             }
+            that._endMarquee();
             that.mousePos = undefined;
-        }, false);
+        });
         // mobile events
-        this.content.addEventListener('touchstart', function(evt) {
+        this._onContent('touchstart', function(evt) {
             evt.preventDefault();
             that.touchStart = true;
             that.touchEnd = false;
             that.touchMove = false;
             that._handleStageEvent(evt);
+            that._handleGesture(evt);
             /*
              * init stage drag and drop
              */
             if(that.attrs.draggable) {
                 that._initDrag();
             }
-        }, false);
+            that._handleSelection(evt);
+        });
 
-        this.content.addEventListener('touchmove', function(evt) {
+        this._onContent('touchmove', function(evt) {
             /*
              * throttle touchmove
              */
@@ -2186,23 +3449,309 @@ else if(!isDragging && this.touchMove) {
                 that.touchEnd = false;
                 that.touchMove = true;
                 that._handleStageEvent(evt);
+                that._handleGesture(evt);
+                that._moveMarquee();
             }
-        }, false);
+        });
 
-        this.content.addEventListener('touchend', function(evt) {
+        this._onContent('touchend', function(evt) {
             that.touchStart = false;
             that.touchEnd = true;
             that.touchMove = false;
             that._handleStageEvent(evt);
+            that._handleGesture(evt);
             that.tapStart = false;
-        }, false);
+            that._endMarquee();
+        });
+
+        this._onContent('touchcancel', function(evt) {
+            that._setTouchPosition(evt);
+            that._handleGesture(evt);
+            that._endMarquee();
+        });
     },
     /**
-     * set mouse positon for desktop apps
+     * route a DOM input event to the content handlers.  Pointer
+     *  events are translated into mouse events, or into touch events
+     *  for touch pointers.  Touch pointers are tracked so that the
+     *  touch positions include every active finger
      * @param {Event} evt
      */
-    _setMousePosition: function(evt) {
-        var mouseX = evt.offsetX || (evt.clientX - this._getContentPosition().left + window.pageXOffset);
+    _handleInput: function(evt) {
+        var type = evt.type;
+
+        if(type.indexOf('pointer') === 0) {
+            var name = type.slice(7);
+            if(evt.pointerType === 'touch') {
+                var touchTypes = {
+                    down: 'touchstart',
+                    move: 'touchmove',
+                    up: 'touchend',
+                    cancel: 'touchcancel'
+                };
+                type = touchTypes[name];
+                // touch pointers don't have mouseover and mouseout semantics
+                if(type === undefined) {
+                    return;
+                }
+                var ended = type === 'touchend' || type === 'touchcancel';
+                this._setPointer(evt, ended);
+                this._setTouchPositions(this.pointers, ended ? [{
+                    identifier: evt.pointerId,
+                    clientX: evt.clientX,
+                    clientY: evt.clientY
+                }] : undefined);
+            }
+            else {
+                type = name === 'cancel' ? 'mouseout' : 'mouse' + name;
+            }
+        }
+
+        var handlers = this.contentHandlers[type];
+        if(handlers !== undefined) {
+            for(var n = 0; n < handlers.length; n++) {
+                handlers[n].call(this.content, evt);
+            }
+        }
+    },
+    /**
+     * add, update, or remove an active touch pointer
+     * @param {Event} evt
+     * @param {Boolean} remove
+     */
+    _setPointer: function(evt, remove) {
+        var pointers = this.pointers;
+        for(var n = 0; n < pointers.length; n++) {
+            if(pointers[n].identifier === evt.pointerId) {
+                pointers.splice(n, 1);
+                break;
+            }
+        }
+        if(!remove) {
+            var pointer = {
+                identifier: evt.pointerId,
+                clientX: evt.clientX,
+                clientY: evt.clientY
+            };
+            pointers.splice(n, 0, pointer);
+        }
+    },
+    /**
+     * move focus to a node.  blur events are fired on the previously
+     *  focused node and focus events are fired on the new one.  The
+     *  content element takes DOM focus so that it receives key events
+     * @param {Node} node
+     */
+    _setFocus: function(node) {
+        var oldNode = this.focusedNode;
+        if(oldNode === node) {
+            return;
+        }
+        this.focusedNode = node;
+        if(oldNode !== undefined) {
+            oldNode._handleEvents('blur');
+        }
+        if(node !== undefined) {
+            if(this.content.focus !== undefined) {
+                this.content.focus();
+            }
+            node._handleEvents('focus');
+        }
+    },
+    /**
+     * deliver a keyboard event to the focused node, or to the
+     *  stage if no node has focus
+     * @param {Event} evt
+     */
+    _handleKeyEvent: function(evt) {
+        var node = this.getFocusedNode();
+        if(node === undefined) {
+            node = this;
+        }
+        node._handleEvents(evt.type, evt);
+    },
+    /**
+     * update the selection when the user presses down.  Pressing a
+     *  selectable node selects it, and shift pressing it adds or removes
+     *  it from the selection.  Pressing anything else clears the selection,
+     *  and pressing an empty area of the stage starts the marquee
+     * @param {Event} evt
+     */
+    _handleSelection: function(evt) {
+        var pos = this.getUserPosition();
+        if(pos === undefined) {
+            return;
+        }
+
+        var shift = !!evt.shiftKey;
+        var shape = this._getIntersectingShape(pos);
+        var node = shape;
+        while(node !== undefined && node.attrs.selectable !== true) {
+            node = node.parent;
+        }
+
+        if(node !== undefined) {
+            if(shift) {
+                var selection = this.selection.slice(0);
+                for(var n = 0; n < selection.length; n++) {
+                    if(selection[n] === node) {
+                        selection.splice(n, 1);
+                        break;
+                    }
+                }
+                if(selection.length === this.selection.length) {
+                    selection.push(node);
+                }
+                this.setSelection(selection);
+            }
+            // keep the selection when pressing a selected node so that it can be dragged
+            else if(!this.isSelected(node)) {
+                this.setSelection([node]);
+            }
+            return;
+        }
+
+        if(!shift) {
+            this.clearSelection();
+        }
+
+        if(shape === undefined && this.attrs.marquee && !this.attrs.draggable) {
+            this.marquee = {
+                start: {
+                    x: pos.x,
+                    y: pos.y
+                },
+                end: {
+                    x: pos.x,
+                    y: pos.y
+                },
+                shift: shift,
+                div: undefined
+            };
+        }
+    },
+    /**
+     * resize the marquee to the user position.  The marquee is a
+     *  div that is shown over the content
+     */
+    _moveMarquee: function() {
+        var marquee = this.marquee;
+        var pos = this.getUserPosition();
+        if(marquee === undefined || pos === undefined) {
+            return;
+        }
+
+        marquee.end = {
+            x: pos.x,
+            y: pos.y
+        };
+
+        if(marquee.div === undefined) {
+            var div = document.createElement('div');
+            div.className = 'kineticjs-marquee';
+            div.style.position = 'absolute';
+            div.style.border = '1px dashed rgb(0, 161, 255)';
+            div.style.background = 'rgba(0, 161, 255, 0.1)';
+            div.style.pointerEvents = 'none';
+            this.content.appendChild(div);
+            marquee.div = div;
+        }
+
+        var rect = this._getMarqueeRect();
+        marquee.div.style.left = rect.x + 'px';
+        marquee.div.style.top = rect.y + 'px';
+        marquee.div.style.width = rect.width + 'px';
+        marquee.div.style.height = rect.height + 'px';
+    },
+    /**
+     * select the selectable nodes whose client rects intersect the
+     *  marquee, and remove the marquee.  Shift dragging adds the nodes
+     *  to the selection
+     */
+    _endMarquee: function() {
+        var marquee = this.marquee;
+        if(marquee === undefined) {
+            return;
+        }
+        this.marquee = undefined;
+
+        if(marquee.div !== undefined && marquee.div.parentNode !== null) {
+            marquee.div.parentNode.removeChild(marquee.div);
+        }
+
+        var rect = this._getMarqueeRect(marquee);
+        if(rect.width === 0 && rect.height === 0) {
+            return;
+        }
+
+        var selection = marquee.shift ? this.selection.slice(0) : [];
+        var nodes = this.get('[selectable=true]');
+        for(var n = 0; n < nodes.length; n++) {
+            var node = nodes[n];
+            if(node.isVisible()) {
+                var r = node.getClientRect();
+                if(r.x <= rect.x + rect.width && r.x + r.width >= rect.x && r.y <= rect.y + rect.height && r.y + r.height >= rect.y) {
+                    selection.push(node);
+                }
+            }
+        }
+        this.setSelection(selection);
+    },
+    /**
+     * get the rect of the marquee
+     * @param {Object} [marquee] defaults to the current marquee
+     */
+    _getMarqueeRect: function(marquee) {
+        var m = marquee === undefined ? this.marquee : marquee;
+        return {
+            x: Math.min(m.start.x, m.end.x),
+            y: Math.min(m.start.y, m.end.y),
+            width: Math.abs(m.end.x - m.start.x),
+            height: Math.abs(m.end.y - m.start.y)
+        };
+    },
+    /**
+     * get the other selected nodes that move with a dragged node.
+     *  Descendants of the dragged node already move with it
+     * @param {Node} node
+     */
+    _getDragNodes: function(node) {
+        var nodes = [];
+        if(!this.isSelected(node)) {
+            return nodes;
+        }
+
+        for(var n = 0; n < this.selection.length; n++) {
+            var other = this.selection[n];
+            var parent = other;
+            while(parent !== undefined && parent !== node) {
+                parent = parent.parent;
+            }
+            if(parent === undefined) {
+                nodes.push(other);
+            }
+        }
+        return nodes;
+    },
+    /**
+     * determine if an array contains a node
+     * @param {Array} arr
+     * @param {Node} node
+     */
+    _inArray: function(arr, node) {
+        for(var n = 0; n < arr.length; n++) {
+            if(arr[n] === node) {
+                return true;
+            }
+        }
+        return false;
+    },
+    /**
+     * set mouse positon for desktop apps
+     * @param {Event} evt
+     */
+    _setMousePosition: function(evt) {
+        var mouseX = evt.offsetX || (evt.clientX - this._getContentPosition().left + window.pageXOffset);
         var mouseY = evt.offsetY || (evt.clientY - this._getContentPosition().top + window.pageYOffset);
         this.mousePos = {
             x: mouseX,
@@ -2214,17 +3763,149 @@ else if(!isDragging && this.touchMove) {
      * @param {Event} evt
      */
     _setTouchPosition: function(evt) {
-        if(evt.touches !== undefined && evt.touches.length === 1) {// Only deal with
-            // one finger
-            var touch = evt.touches[0];
-            // Get the information for finger #1
-            var touchX = touch.clientX - this._getContentPosition().left + window.pageXOffset;
-            var touchY = touch.clientY - this._getContentPosition().top + window.pageYOffset;
+        if(evt.touches !== undefined) {
+            var ended = evt.type === 'touchend' || evt.type === 'touchcancel';
+            this._setTouchPositions(evt.touches, ended ? evt.changedTouches : undefined);
+        }
+    },
+    /**
+     * set positions of every active touch point from a list of
+     *  touches.  The touch position is the first finger, or the lifted
+     *  finger for touchend and touchcancel events
+     * @param {Array} touches
+     * @param {Array} [changedTouches] touches that were lifted
+     */
+    _setTouchPositions: function(touches, changedTouches) {
+        this.touchPositions = [];
+        for(var n = 0; n < touches.length; n++) {
+            this.touchPositions.push(this._getTouchPoint(touches[n]));
+        }
 
+        var pos;
+        if(changedTouches !== undefined && changedTouches.length > 0) {
+            pos = this._getTouchPoint(changedTouches[0]);
+        }
+        else if(this.touchPositions.length > 0) {
+            pos = this.touchPositions[0];
+        }
+        if(pos !== undefined) {
             this.touchPos = {
-                x: touchX,
-                y: touchY
+                x: pos.x,
+                y: pos.y
+            };
+        }
+    },
+    /**
+     * get the position of a touch relative to the stage
+     * @param {Object} touch
+     */
+    _getTouchPoint: function(touch) {
+        var contentPos = this._getContentPosition();
+        return {
+            id: touch.identifier,
+            x: touch.clientX - contentPos.left + window.pageXOffset,
+            y: touch.clientY - contentPos.top + window.pageYOffset
+        };
+    },
+    /**
+     * synthesize pinch and rotate gesture events from the first two
+     *  touch points.  The gesture target is the top most shape under the
+     *  centroid of the touch points, or the stage if there isn't one.
+     *  The Kinetic.Event is given a centroid, a scaleDelta and a
+     *  rotationDelta in radians, relative to the previous gesture event
+     * @param {Event} evt
+     */
+    _handleGesture: function(evt) {
+        var positions = this.touchPositions;
+        var gesture = this.gesture;
+
+        if(gesture === undefined) {
+            if(positions.length < 2) {
+                return;
+            }
+            var state = this._getGestureState(positions[0], positions[1]);
+            var target = this._getIntersectingShape(state.centroid);
+            this.gesture = gesture = {
+                ids: [positions[0].id, positions[1].id],
+                target: target === undefined ? this : target,
+                distance: state.distance,
+                angle: state.angle,
+                centroid: state.centroid
             };
+            this._fireGesture(['pinchstart', 'rotatestart'], evt, 1, 0);
+            return;
+        }
+
+        var p1 = undefined;
+        var p2 = undefined;
+        for(var n = 0; n < positions.length; n++) {
+            if(positions[n].id === gesture.ids[0]) {
+                p1 = positions[n];
+            }
+            else if(positions[n].id === gesture.ids[1]) {
+                p2 = positions[n];
+            }
+        }
+
+        // the gesture ends when one of its touch points is lifted
+        if(p1 === undefined || p2 === undefined) {
+            this._fireGesture(['pinchend', 'rotateend'], evt, 1, 0);
+            this.gesture = undefined;
+            return;
+        }
+
+        var state = this._getGestureState(p1, p2);
+        var scaleDelta = gesture.distance > 0 ? state.distance / gesture.distance : 1;
+        var rotationDelta = state.angle - gesture.angle;
+
+        // use the shortest rotation
+        if(rotationDelta > Math.PI) {
+            rotationDelta -= Math.PI * 2;
+        }
+        else if(rotationDelta < -1 * Math.PI) {
+            rotationDelta += Math.PI * 2;
+        }
+
+        gesture.distance = state.distance;
+        gesture.angle = state.angle;
+        gesture.centroid = state.centroid;
+        this._fireGesture(['pinchmove', 'rotatemove'], evt, scaleDelta, rotationDelta);
+    },
+    /**
+     * get distance, angle, and centroid of two touch points
+     * @param {Object} p1
+     * @param {Object} p2
+     */
+    _getGestureState: function(p1, p2) {
+        var dx = p2.x - p1.x;
+        var dy = p2.y - p1.y;
+        return {
+            distance: Math.sqrt(dx * dx + dy * dy),
+            angle: Math.atan2(dy, dx),
+            centroid: {
+                x: (p1.x + p2.x) / 2,
+                y: (p1.y + p2.y) / 2
+            }
+        };
+    },
+    /**
+     * fire gesture events on the gesture target
+     * @param {Array} types
+     * @param {Event} evt
+     * @param {Number} scaleDelta
+     * @param {Number} rotationDelta
+     */
+    _fireGesture: function(types, evt, scaleDelta, rotationDelta) {
+        var gesture = this.gesture;
+        for(var n = 0; n < types.length; n++) {
+            gesture.target._handleEvents(types[n], evt, {
+                centroid: {
+                    x: gesture.centroid.x,
+                    y: gesture.centroid.y
+                },
+                scaleDelta: scaleDelta,
+                rotationDelta: rotationDelta
+            });
         }
     },
     /**
@@ -2271,106 +3952,543 @@ else if(!isDragging && this.touchMove) {
      */
     _endDrag: function(evt) {
         var go = Kinetic.GlobalObject;
-        if(go.drag.node) {
+        var node = go.drag.node;
+        if(node) {
             if(go.drag.moving) {
                 go.drag.moving = false;
-                go.drag.node._handleEvents('dragend', evt);
+                var target = go.drag.target;
+                var nodes = go.drag.nodes;
+                var velocity = this._getDragVelocity();
+                go.drag.target = undefined;
+
+                // put the dragged nodes back into the hit graph
+                if(node.nodeType !== 'Stage' && !go.drag.released) {
+                    this._drawDragHit();
+                }
+
+                if(target !== undefined) {
+                    target._handleEvents('drop', evt, {
+                        dragNode: node
+                    });
+                }
+                node._handleEvents('dragend', evt);
+                for(var n = 0; n < nodes.length; n++) {
+                    nodes[n]._handleEvents('dragend', evt);
+                }
+
+                // listeners can destroy the node or start dragging it again
+                if(node.getStage() !== undefined && go.drag.node === node) {
+                    if(node.attrs.dragInertia && (velocity.x !== 0 || velocity.y !== 0)) {
+                        this._startInertia(node, nodes, velocity);
+                    }
+                    else {
+                        this._fireDragStop(node, nodes);
+                    }
+                }
+                else {
+                    this._endDragHistory();
+                }
             }
         }
         go.drag.node = undefined;
+        go.drag.nodes = [];
+        go.drag.target = undefined;
+        go.drag.start = undefined;
+        go.drag.released = false;
+        go.drag.samples = [];
     },
     /**
-     * prepare drag and drop
+     * record the user position while dragging so that the drag
+     *  velocity can be measured when the node is released.  Only the
+     *  samples from the last dragVelocityTime ms are kept
+     * @param {Object} pos
      */
-    _prepareDrag: function() {
-        var that = this;
-
-        this._onContent('mousemove touchmove', function(evt) {
-            var go = Kinetic.GlobalObject;
-            var node = go.drag.node;
-            if(node) {
-                var pos = that.getUserPosition();
-                var dc = node.attrs.dragConstraint;
-                var db = node.attrs.dragBounds;
-                var lastNodePos = {
-                    x: node.attrs.x,
-                    y: node.attrs.y
-                };
+    _addDragSample: function(pos) {
+        var go = Kinetic.GlobalObject;
+        var time = new Date().getTime();
+        var samples = go.drag.samples;
+        samples.push({
+            x: pos.x,
+            y: pos.y,
+            time: time
+        });
+        while(time - samples[0].time > go.dragVelocityTime) {
+            samples.shift();
+        }
+    },
+    /**
+     * get the velocity of the user position in pixels per second when
+     *  a node is released.  The velocity is measured over at least
+     *  maxDragTimeInterval ms so that samples that are close together
+     *  don't give noisy velocities, and it's zero if the user stopped
+     *  moving before releasing
+     */
+    _getDragVelocity: function() {
+        var go = Kinetic.GlobalObject;
+        var samples = go.drag.samples;
+        var velocity = {
+            x: 0,
+            y: 0
+        };
+        var last = samples[samples.length - 1];
+        if(last === undefined || new Date().getTime() - last.time > go.dragVelocityTime) {
+            return velocity;
+        }
 
-                // default
-                var newNodePos = {
-                    x: pos.x - go.drag.offset.x,
-                    y: pos.y - go.drag.offset.y
-                };
+        var first = samples[0];
+        for(var n = samples.length - 2; n >= 0; n--) {
+            if(last.time - samples[n].time >= go.maxDragTimeInterval) {
+                first = samples[n];
+                break;
+            }
+        }
 
-                // bounds overrides
-                if(db.left !== undefined && newNodePos.x < db.left) {
-                    newNodePos.x = db.left;
-                }
-                if(db.right !== undefined && newNodePos.x > db.right) {
-                    newNodePos.x = db.right;
-                }
-                if(db.top !== undefined && newNodePos.y < db.top) {
-                    newNodePos.y = db.top;
-                }
-                if(db.bottom !== undefined && newNodePos.y > db.bottom) {
-                    newNodePos.y = db.bottom;
+        var timeDiff = last.time - first.time;
+        if(timeDiff > 0) {
+            velocity.x = (last.x - first.x) * 1000 / timeDiff;
+            velocity.y = (last.y - first.y) * 1000 / timeDiff;
+        }
+        return velocity;
+    },
+    /**
+     * keep moving a released node, and the selected nodes that were
+     *  dragged with it, through the animation loop.  The velocity decays with
+     *  the friction, and follows the drag constraint, bounds, and bound
+     *  function because it's measured from how far the node actually moved
+     * @param {Node} node
+     * @param {Array} nodes
+     * @param {Object} velocity
+     */
+    _startInertia: function(node, nodes, velocity) {
+        var go = Kinetic.GlobalObject;
+        var that = this;
+        var config = node.attrs.dragInertia;
+        var friction = config.friction === undefined ? 0.95 : config.friction;
+        var minVelocity = config.minVelocity === undefined ? 20 : config.minVelocity;
+        var lastTime = undefined;
+        var anim = {
+            func: function(frame) {
+                /*
+                 * the frame time diff isn't reset when the animation loop
+                 * starts, so the time is measured from the first frame.  Long
+                 * pauses, such as when the page is in the background, are ignored
+                 */
+                var timeDiff = lastTime === undefined ? 0 : Math.min(frame.lastTime - lastTime, 100);
+                lastTime = frame.lastTime;
+                if(timeDiff <= 0) {
+                    return;
                 }
 
-                node.setAbsolutePosition(newNodePos);
+                var lastAbsPos = node.getAbsolutePosition();
+                that._setDragPosition(node, that._constrainDragPosition(node, {
+                    x: lastAbsPos.x + velocity.x * timeDiff / 1000,
+                    y: lastAbsPos.y + velocity.y * timeDiff / 1000
+                }));
+                var absPos = node.getAbsolutePosition();
+                var dx = absPos.x - lastAbsPos.x;
+                var dy = absPos.y - lastAbsPos.y;
 
-                // constraint overrides
-                if(dc === 'horizontal') {
-                    node.attrs.y = lastNodePos.y;
-                }
-                else if(dc === 'vertical') {
-                    node.attrs.x = lastNodePos.x;
+                for(var n = 0; n < nodes.length; n++) {
+                    if(nodes[n].getStage() !== undefined) {
+                        var nodePos = nodes[n].getAbsolutePosition();
+                        nodes[n].setAbsolutePosition(nodePos.x + dx, nodePos.y + dy);
+                    }
                 }
 
                 /*
-                 * if dragging and dropping the stage,
-                 * draw all of the layers
+                 * the animation only draws the layer of the released node,
+                 * so the other layers of the selected nodes are batched and
+                 * drawn in the same frame
                  */
-                if(go.drag.node.nodeType === 'Stage') {
-                    go.drag.node.draw();
+                var drawn = {};
+                drawn[anim.node._id] = true;
+                for(var n = 0; n < nodes.length; n++) {
+                    var layer = nodes[n].getLayer();
+                    if(layer !== undefined && drawn[layer._id] === undefined) {
+                        drawn[layer._id] = true;
+                        layer.batchDraw();
+                    }
                 }
 
-                else {
-                    go.drag.node.getLayer().draw();
-                }
+                var decay = Math.pow(friction, timeDiff * 60 / 1000);
+                velocity.x = dx * 1000 / timeDiff * decay;
+                velocity.y = dy * 1000 / timeDiff * decay;
 
-                if(!go.drag.moving) {
-                    go.drag.moving = true;
-                    // execute dragstart events if defined
-                    go.drag.node._handleEvents('dragstart', evt);
+                if(Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y) < minVelocity) {
+                    node._stopInertia();
+                    anim.node.draw();
+                    that._fireDragStop(node, nodes);
                 }
+            },
+            node: node.nodeType === 'Stage' ? node : node.getLayer()
+        };
 
-                // execute user defined ondragmove if defined
-                go.drag.node._handleEvents('dragmove', evt);
+        node.inertiaAnim = anim;
+        go._addAnimation(anim);
+        go._handleAnimation();
+    },
+    /**
+     * end the drag gesture and fire dragstop on a released node and
+     *  the selected nodes that were dragged with it once they've come to rest
+     * @param {Node} node
+     * @param {Array} nodes
+     */
+    _fireDragStop: function(node, nodes) {
+        this._endDragHistory();
+        node._handleEvents('dragstop');
+        for(var n = 0; n < nodes.length; n++) {
+            if(nodes[n].getStage() !== undefined) {
+                nodes[n]._handleEvents('dragstop');
             }
-        }, false);
-
-        this._onContent('mouseup touchend mouseout', function(evt) {
-            that._endDrag(evt);
-        });
+        }
     },
     /**
-     * build dom
+     * begin the history transaction of a drag gesture, so that the
+     *  changes made while dragging are undone together.  The transaction
+     *  ends when the dragged nodes come to rest
      */
-    _buildDOM: function() {
-        // content
-        this.content.style.position = 'relative';
-        this.content.style.display = 'inline-block';
-        this.content.className = 'kineticjs-content';
-        this.attrs.container.appendChild(this.content);
+    _beginDragHistory: function() {
+        this._endDragHistory();
+        if(this.history !== undefined) {
+            this.dragHistory = this.history;
+            this.history.begin('drag');
+        }
+    },
+    /**
+     * end the history transaction of a drag gesture
+     */
+    _endDragHistory: function() {
+        var history = this.dragHistory;
+        if(history !== undefined) {
+            this.dragHistory = undefined;
+            history.end();
+        }
+    },
+    /**
+     * determine if the user has moved far enough from where they
+     *  pressed down to start dragging a node
+     * @param {Node} node
+     * @param {Object} pos
+     */
+    _isDragDistanceReached: function(node, pos) {
+        var go = Kinetic.GlobalObject;
+        var distance = node.attrs.dragDistance;
+        if(!distance || go.drag.start === undefined || pos === undefined) {
+            return true;
+        }
+        var dx = pos.x - go.drag.start.x;
+        var dy = pos.y - go.drag.start.y;
+        return dx * dx + dy * dy >= distance * distance;
+    },
+    /**
+     * get the absolute position to drag a node to.  The drag snap is
+     *  applied first, then the drag bounds and the bound function
+     * @param {Node} node
+     * @param {Object} pos user position
+     * @param {Object} lastAbsPos absolute position of the node before the move
+     */
+    _getDragPosition: function(node, pos, lastAbsPos) {
+        var go = Kinetic.GlobalObject;
+        var newPos = {
+            x: pos.x - go.drag.offset.x,
+            y: pos.y - go.drag.offset.y
+        };
 
-        // default layers
-        this.bufferLayer = new Kinetic.Layer({
-            name: 'bufferLayer'
-        });
-        this.pathLayer = new Kinetic.Layer({
-            name: 'pathLayer'
-        });
+        if(node.attrs.dragSnap !== undefined) {
+            newPos = this._snapDragPosition(node, newPos, lastAbsPos);
+        }
+
+        return this._constrainDragPosition(node, newPos);
+    },
+    /**
+     * apply the drag bounds and then the drag bound function to an
+     *  absolute position.  Both work in absolute coordinates so that
+     *  they aren't affected by transformed ancestors
+     * @param {Node} node
+     * @param {Object} pos absolute position
+     */
+    _constrainDragPosition: function(node, pos) {
+        var db = node.attrs.dragBounds;
+        var newPos = {
+            x: pos.x,
+            y: pos.y
+        };
+
+        if(db.left !== undefined && newPos.x < db.left) {
+            newPos.x = db.left;
+        }
+        if(db.right !== undefined && newPos.x > db.right) {
+            newPos.x = db.right;
+        }
+        if(db.top !== undefined && newPos.y < db.top) {
+            newPos.y = db.top;
+        }
+        if(db.bottom !== undefined && newPos.y > db.bottom) {
+            newPos.y = db.bottom;
+        }
+
+        if(node.attrs.dragBoundFunc !== undefined) {
+            newPos = node.attrs.dragBoundFunc.call(node, newPos);
+        }
+
+        return newPos;
+    },
+    /**
+     * move a dragged node to an absolute position.  The drag constraint
+     *  keeps the node on a horizontal or vertical line of its parent,
+     *  so it's applied to the position relative to the parent
+     * @param {Node} node
+     * @param {Object} pos absolute position
+     */
+    _setDragPosition: function(node, pos) {
+        var dc = node.attrs.dragConstraint;
+        var newPos = node._getRelativePosition(pos);
+
+        if(dc === 'horizontal') {
+            newPos.y = node.attrs.y;
+        }
+        else if(dc === 'vertical') {
+            newPos.x = node.attrs.x;
+        }
+
+        node.setPosition(newPos.x, newPos.y);
+    },
+    /**
+     * snap an absolute drag position to the grid, and then snap the
+     *  edges and centers of the node's client rect to those of its siblings
+     * @param {Node} node
+     * @param {Object} pos
+     * @param {Object} lastAbsPos absolute position of the node before the move
+     */
+    _snapDragPosition: function(node, pos, lastAbsPos) {
+        var snap = node.attrs.dragSnap;
+        var grid = snap.grid;
+        var tolerance = snap.tolerance === undefined ? 5 : snap.tolerance;
+        var newPos = {
+            x: pos.x,
+            y: pos.y
+        };
+        var best = {
+            x: undefined,
+            y: undefined
+        };
+
+        // left, center, and right lines, or top, middle, and bottom lines
+        function getLines(rect, axis) {
+            var start = axis === 'x' ? rect.x : rect.y;
+            var size = axis === 'x' ? rect.width : rect.height;
+            return [start, start + size / 2, start + size];
+        }
+        function check(rect, siblingRect, axis) {
+            var lines = getLines(rect, axis);
+            var siblingLines = getLines(siblingRect, axis);
+            for(var i = 0; i < lines.length; i++) {
+                for(var j = 0; j < siblingLines.length; j++) {
+                    var diff = siblingLines[j] - lines[i];
+                    if(Math.abs(diff) <= tolerance && (best[axis] === undefined || Math.abs(diff) < Math.abs(best[axis]))) {
+                        best[axis] = diff;
+                    }
+                }
+            }
+        }
+
+        if(grid !== undefined) {
+            var gridX = typeof grid === 'number' ? grid : grid.x;
+            var gridY = typeof grid === 'number' ? grid : grid.y;
+            if(gridX) {
+                newPos.x = Math.round(newPos.x / gridX) * gridX;
+            }
+            if(gridY) {
+                newPos.y = Math.round(newPos.y / gridY) * gridY;
+            }
+        }
+
+        if(snap.edges && node.parent !== undefined) {
+            var rect = node.getClientRect();
+            rect.x += newPos.x - lastAbsPos.x;
+            rect.y += newPos.y - lastAbsPos.y;
+
+            var siblings = node.parent.getChildren();
+            for(var n = 0; n < siblings.length; n++) {
+                var sibling = siblings[n];
+                /*
+                 * skip nodes that move with the dragged node, such as the
+                 * other selected nodes, nodes that aren't part of the scene,
+                 * such as transformers, and empty containers
+                 */
+                if(sibling === node || !sibling.isVisible() || sibling._isDragged() || !sibling._isSceneNode() || (sibling.nodeType !== 'Shape' && sibling.getChildren().length === 0)) {
+                    continue;
+                }
+                var siblingRect = sibling.getClientRect();
+                check(rect, siblingRect, 'x');
+                check(rect, siblingRect, 'y');
+            }
+
+            if(best.x !== undefined) {
+                newPos.x += best.x;
+            }
+            if(best.y !== undefined) {
+                newPos.y += best.y;
+            }
+        }
+
+        return newPos;
+    },
+    /**
+     * redraw the hit graphs of the layers that hold the dragged nodes.
+     *  Layer draws are throttled, so the hit graphs are redrawn right
+     *  away when a drag starts and ends
+     */
+    _drawDragHit: function() {
+        var go = Kinetic.GlobalObject;
+        var nodes = [go.drag.node].concat(go.drag.nodes);
+        var drawn = {};
+        for(var n = 0; n < nodes.length; n++) {
+            var layer = nodes[n].getLayer();
+            if(layer !== undefined && drawn[layer._id] === undefined) {
+                drawn[layer._id] = true;
+                layer._drawHit();
+            }
+        }
+    },
+    /**
+     * get the nearest drop target at a point.  The dragged
+     *  nodes are left out of the hit graph while they are dragged
+     * @param {Object} pos
+     */
+    _getDropTarget: function(pos) {
+        var node = this._getIntersectingShape(pos);
+        while(node !== undefined && node.attrs.dropTarget !== true) {
+            node = node.parent;
+        }
+        return node;
+    },
+    /**
+     * fire dragleave and dragenter when the drop target under
+     *  the user position changes, and dragover while it stays over one
+     * @param {Event} evt
+     */
+    _handleDropTarget: function(evt) {
+        var go = Kinetic.GlobalObject;
+        var node = go.drag.node;
+        var target = this._getDropTarget(this.getUserPosition());
+        var payload = {
+            dragNode: node
+        };
+
+        if(target !== go.drag.target) {
+            var oldTarget = go.drag.target;
+            go.drag.target = target;
+            if(oldTarget !== undefined) {
+                oldTarget._handleEvents('dragleave', evt, payload);
+            }
+            if(target !== undefined) {
+                target._handleEvents('dragenter', evt, payload);
+            }
+        }
+
+        // listeners can end the drag or destroy the target
+        if(go.drag.node === node && go.drag.target !== undefined) {
+            go.drag.target._handleEvents('dragover', evt, payload);
+        }
+    },
+    /**
+     * prepare drag and drop
+     */
+    _prepareDrag: function() {
+        var that = this;
+
+        this._onContent('mousemove touchmove', function(evt) {
+            var go = Kinetic.GlobalObject;
+            var node = go.drag.node;
+            if(node) {
+                var pos = that.getUserPosition();
+                var lastAbsPos = node.getAbsolutePosition();
+                var dragStart = !go.drag.moving;
+
+                // wait until the user has moved far enough to start dragging
+                if(dragStart && !that._isDragDistanceReached(node, pos)) {
+                    return;
+                }
+
+                // selected nodes are dragged together
+                if(dragStart) {
+                    that._beginDragHistory();
+                    go.drag.nodes = node.nodeType === 'Stage' ? [] : that._getDragNodes(node);
+                    go.drag.moving = true;
+                }
+
+                that._setDragPosition(node, that._getDragPosition(node, pos, lastAbsPos));
+                that._addDragSample(pos);
+
+                // move the other selected nodes by the same amount
+                var absPos = node.getAbsolutePosition();
+                var nodes = go.drag.nodes;
+                for(var n = 0; n < nodes.length; n++) {
+                    var nodePos = nodes[n].getAbsolutePosition();
+                    nodes[n].setAbsolutePosition(nodePos.x + absPos.x - lastAbsPos.x, nodePos.y + absPos.y - lastAbsPos.y);
+                }
+
+                /*
+                 * if dragging and dropping the stage,
+                 * draw all of the layers
+                 */
+                if(go.drag.node.nodeType === 'Stage') {
+                    go.drag.node.draw();
+                }
+
+                else {
+                    var collection = new Kinetic.Collection(go.drag.node);
+                    for(var n = 0; n < nodes.length; n++) {
+                        collection.push(nodes[n]);
+                    }
+                    collection.draw();
+                }
+
+                if(dragStart) {
+                    if(node.nodeType !== 'Stage') {
+                        that._drawDragHit();
+                    }
+                    // execute dragstart events if defined
+                    go.drag.node._handleEvents('dragstart', evt);
+                    for(var n = 0; n < nodes.length; n++) {
+                        nodes[n]._handleEvents('dragstart', evt);
+                    }
+                }
+
+                // execute user defined ondragmove if defined
+                go.drag.node._handleEvents('dragmove', evt);
+                for(var n = 0; n < nodes.length; n++) {
+                    nodes[n]._handleEvents('dragmove', evt);
+                }
+
+                if(node.nodeType !== 'Stage' && go.drag.node === node) {
+                    that._handleDropTarget(evt);
+                }
+            }
+        }, false);
+
+        this._onContent('mouseup touchend mouseout', function(evt) {
+            that._endDrag(evt);
+        });
+    },
+    /**
+     * build dom
+     */
+    _buildDOM: function() {
+        // content
+        this.content.style.position = 'relative';
+        this.content.style.display = 'inline-block';
+        this.content.className = 'kineticjs-content';
+        this.attrs.container.appendChild(this.content);
+
+        // default layers
+        this.bufferLayer = new Kinetic.Layer({
+            name: 'bufferLayer'
+        });
+        this.pathLayer = new Kinetic.Layer({
+            name: 'pathLayer'
+        });
 
         // set parents
         this.bufferLayer.parent = this;
@@ -2396,38 +4514,154 @@ else if(!isDragging && this.touchMove) {
     _addId: function(node) {
         if(node.attrs.id !== undefined) {
             this.ids[node.attrs.id] = node;
+            this._getRegistryEntry(node).id = node.attrs.id;
         }
     },
     _removeId: function(node) {
-        if(node.attrs.id !== undefined) {
-            this.ids[node.attrs.id] = undefined;
+        // use the id the node was registered with in case its id was changed
+        var entry = this.registry[node._id];
+        if(entry !== undefined && entry.id !== undefined) {
+            if(this.ids[entry.id] === node) {
+                this.ids[entry.id] = undefined;
+            }
+            entry.id = undefined;
         }
     },
     _addName: function(node) {
-        var name = node.attrs.name;
-        if(name !== undefined) {
-            if(this.names[name] === undefined) {
-                this.names[name] = [];
+        var entry = this._getRegistryEntry(node);
+        // nodes can have several names separated by white space
+        var names = this._getNames(node);
+        for(var i = 0; i < names.length; i++) {
+            var name = names[i];
+            // nodes that are pulled in after being registered with their ancestors are only added once
+            if(entry.names[name] === undefined) {
+                if(this.names[name] === undefined) {
+                    this.names[name] = [];
+                }
+                entry.names[name] = this.names[name].length;
+                this.names[name].push(node);
             }
-            this.names[name].push(node);
         }
     },
     _removeName: function(node) {
-        if(node.attrs.name !== undefined) {
-            var nodes = this.names[node.attrs.name];
-            if(nodes !== undefined) {
-                for(var n = 0; n < nodes.length; n++) {
-                    var no = nodes[n];
-                    if(no._id === node._id) {
-                        nodes.splice(n, 1);
-                    }
-                }
-                if(nodes.length === 0) {
-                    this.names[node.attrs.name] = undefined;
+        // use the names the node was registered with in case its name was changed
+        var entry = this.registry[node._id];
+        if(entry === undefined) {
+            return;
+        }
+        for(var name in entry.names) {
+            /*
+             * move the last node with the name into the slot of the
+             * removed node so that removing a node doesn't shift the others
+             */
+            var nodes = this.names[name];
+            var index = entry.names[name];
+            var last = nodes.pop();
+            if(last !== node) {
+                nodes[index] = last;
+                this.registry[last._id].names[name] = index;
+            }
+            if(nodes.length === 0) {
+                this.names[name] = undefined;
+            }
+        }
+        delete this.registry[node._id];
+    },
+    /**
+     * get the registry entry of a node, which holds the id and the
+     *  names that the node was registered with, and the index of the node
+     *  in each name list.  Entries are keyed by node so that nodes can be
+     *  removed from the registries without scanning them
+     * @param {Node} node
+     */
+    _getRegistryEntry: function(node) {
+        var entry = this.registry[node._id];
+        if(entry === undefined) {
+            entry = {
+                id: undefined,
+                names: {}
+            };
+            this.registry[node._id] = entry;
+        }
+        return entry;
+    },
+    /**
+     * clear stage references to a node that is being removed
+     * @param {Node} node
+     */
+    _clearReferences: function(node) {
+        var go = Kinetic.GlobalObject;
+        var id = node._id;
+        if(this.targetShape !== undefined && this.targetShape._id === id) {
+            this.targetShape = undefined;
+        }
+        if(this.mouseoverShape !== undefined && this.mouseoverShape._id === id) {
+            this.mouseoverShape = undefined;
+        }
+        if(this.mouseoutShape !== undefined && this.mouseoutShape._id === id) {
+            this.mouseoutShape = undefined;
+        }
+        // removed nodes can't keep keyboard focus
+        if(this.focusedNode !== undefined && this.focusedNode._id === id) {
+            this.focusedNode = undefined;
+        }
+        if(this.gesture !== undefined && this.gesture.target._id === id) {
+            this.gesture = undefined;
+        }
+        if(go.drag.node !== undefined && go.drag.node._id === id) {
+            go.drag.node = undefined;
+            go.drag.moving = false;
+        }
+        if(go.drag.target !== undefined && go.drag.target._id === id) {
+            go.drag.target = undefined;
+        }
+        for(var n = 0; n < go.drag.nodes.length; n++) {
+            if(go.drag.nodes[n]._id === id) {
+                go.drag.nodes.splice(n, 1);
+                break;
+            }
+        }
+        // removed nodes can't stay selected
+        if(this.isSelected(node)) {
+            var selection = this.selection.slice(0);
+            for(var n = 0; n < selection.length; n++) {
+                if(selection[n] === node) {
+                    selection.splice(n, 1);
+                    break;
                 }
             }
+            this.setSelection(selection);
+        }
+    },
+    /**
+     * stop the stage animation and remove the stage from the DOM
+     *  when the stage is destroyed
+     */
+    _destroy: function() {
+        var go = Kinetic.GlobalObject;
+        if(this.anim !== undefined) {
+            this.stop();
+        }
+        this._clearReferences(this);
+        try {
+            this.attrs.container.removeChild(this.content);
+        }
+        catch(e) {
+        }
+        for(var n = 0; n < go.stages.length; n++) {
+            if(go.stages[n]._id === this._id) {
+                go.stages.splice(n, 1);
+                break;
+            }
         }
     },
+    _getNames: function(node) {
+        var name = node.attrs.name;
+        if(name === undefined || name === '') {
+            return [];
+        }
+        return name.replace(/^\s+|\s+$/g, '').split(/\s+/);
+    },
     /**
      * bind event listener to container DOM element
      * @param {String} typesStr
@@ -2437,7 +4671,10 @@ else if(!isDragging && this.touchMove) {
         var types = typesStr.split(' ');
         for(var n = 0; n < types.length; n++) {
             var baseEvent = types[n];
-            this.content.addEventListener(baseEvent, handler, false);
+            if(this.contentHandlers[baseEvent] === undefined) {
+                this.contentHandlers[baseEvent] = [];
+            }
+            this.contentHandlers[baseEvent].push(handler);
         }
     },
     /**
@@ -2458,13 +4695,21 @@ else if(!isDragging && this.touchMove) {
 
         // mobile flags
         this.touchPos = undefined;
+        this.touchPositions = [];
+        this.pointers = [];
+        this.gesture = undefined;
+        this.focusedNode = undefined;
         this.touchStart = false;
         this.touchEnd = false;
         this.touchMove = false;
         this.tapStart = false;
 
+        this.selection = [];
+        this.marquee = undefined;
+
         this.ids = {};
         this.names = {};
+        this.registry = {};
         this.anim = undefined;
         this.animRunning = false;
     }
@@ -2483,6 +4728,9 @@ Kinetic.GlobalObject.extend(Kinetic.Stage, Kinetic.Node);
  * @augments Kinetic.Container
  * @augments Kinetic.Node
  * @param {Object} config
+ * @config {Number} [throttle] maximum number of draws per second
+ * @config {Boolean} [autoDraw] set to true to batch a draw whenever
+ *  a node in the layer changes
  */
 Kinetic.Layer = function(config) {
     this.setDefaultAttrs({
@@ -2493,11 +4741,20 @@ Kinetic.Layer = function(config) {
     this.lastDrawTime = 0;
     this.beforeDrawFunc = undefined;
     this.afterDrawFunc = undefined;
+    this.dirtyNodes = {};
 
     this.canvas = document.createElement('canvas');
     this.context = this.canvas.getContext('2d');
     this.canvas.style.position = 'absolute';
 
+    /*
+     * the hit canvas is never added to the DOM.  Each listening
+     * shape is drawn onto it with its own unique color key so that
+     * event detection only has to look up a single pixel
+     */
+    this.hitCanvas = document.createElement('canvas');
+    this.hitContext = this.hitCanvas.getContext('2d');
+
     // call super constructors
     Kinetic.Container.apply(this, []);
     Kinetic.Node.apply(this, [config]);
@@ -2544,7 +4801,7 @@ Kinetic.Layer.prototype = {
      * @param {Number} throttle in ms
      */
     setThrottle: function(throttle) {
-        this.attrs.throttle = throttle;
+        this._setAttr('throttle', throttle);
     },
     /**
      * get throttle
@@ -2552,6 +4809,29 @@ Kinetic.Layer.prototype = {
     getThrottle: function() {
         return this.attrs.throttle;
     },
+    /**
+     * draw the layer on the next animation frame.  Batching the
+     *  draw several times before the next frame only draws the layer
+     *  once, in the same frame as running animations and transitions
+     */
+    batchDraw: function() {
+        Kinetic.GlobalObject._batchDraw(this);
+    },
+    /**
+     * enable or disable auto draw.  Layers with auto draw enabled
+     *  batch a draw whenever their nodes change, or nodes are added,
+     *  removed, or reordered
+     * @param {Boolean} autoDraw
+     */
+    setAutoDraw: function(autoDraw) {
+        this._setAttr('autoDraw', autoDraw);
+    },
+    /**
+     * get auto draw
+     */
+    getAutoDraw: function() {
+        return this.attrs.autoDraw;
+    },
     /**
      * set before draw function handler
      */
@@ -2564,6 +4844,27 @@ Kinetic.Layer.prototype = {
     afterDraw: function(func) {
         this.afterDrawFunc = func;
     },
+    /**
+     * determine if the layer has nodes whose attrs changed,
+     *  or were added or removed, since it was last drawn
+     */
+    isDirty: function() {
+        for(var key in this.dirtyNodes) {
+            return true;
+        }
+        return false;
+    },
+    /**
+     * get an array of the nodes whose attrs changed, or that
+     *  were added or removed, since the layer was last drawn
+     */
+    getDirtyNodes: function() {
+        var nodes = [];
+        for(var key in this.dirtyNodes) {
+            nodes.push(this.dirtyNodes[key]);
+        }
+        return nodes;
+    },
     /**
      * clears the canvas context tied to the layer.  Clearing
      *  a layer does not remove its children.  The nodes within
@@ -2587,6 +4888,49 @@ Kinetic.Layer.prototype = {
     getContext: function() {
         return this.context;
     },
+    /**
+     * get layer hit canvas
+     */
+    getHitCanvas: function() {
+        return this.hitCanvas;
+    },
+    /**
+     * get layer hit context
+     */
+    getHitContext: function() {
+        return this.hitContext;
+    },
+    /**
+     * get the shape drawn at a point on the hit canvas.  Returns
+     *  undefined if there isn't one
+     * @param {Object} point
+     */
+    getIntersection: function() {
+        var pos = Kinetic.GlobalObject._getXY(arguments);
+        var go = Kinetic.GlobalObject;
+        var p = this.hitContext.getImageData(Math.round(pos.x), Math.round(pos.y), 1, 1).data;
+
+        /*
+         * only fully opaque pixels are used because the blended colors
+         * of anti-aliased edges can match the key of another shape
+         */
+        if(p[3] !== 255) {
+            return undefined;
+        }
+
+        var shape = go.shapes[go._rgbToHex(p[0], p[1], p[2])];
+
+        /*
+         * the hit canvas is only redrawn when the layer is drawn, so
+         * make sure the shape hasn't been hidden or told to stop listening
+         * since then
+         */
+        if(shape !== undefined && shape.isVisible() && shape.isListening()) {
+            return shape;
+        }
+
+        return undefined;
+    },
     /**
      * private draw children
      */
@@ -2594,6 +4938,7 @@ Kinetic.Layer.prototype = {
         var date = new Date();
         var time = date.getTime();
         this.lastDrawTime = time;
+        this.dirtyNodes = {};
 
         // before draw  handler
         if(this.beforeDrawFunc !== undefined) {
@@ -2611,10 +4956,34 @@ Kinetic.Layer.prototype = {
             this._drawChildren();
         }
 
+        // redraw hit graph
+        this._drawHit();
+
         // after draw  handler
         if(this.afterDrawFunc !== undefined) {
             this.afterDrawFunc.call(this);
         }
+    },
+    /**
+     * private draw hit graph
+     */
+    _drawHit: function() {
+        var hitCanvas = this.getHitCanvas();
+        this.getHitContext().clearRect(0, 0, hitCanvas.width, hitCanvas.height);
+
+        if(this.isVisible() && this.attrs.listening && !this._isDragged()) {
+            this._drawChildrenHit(this);
+        }
+    },
+    /**
+     * cancel pending draws when the layer is destroyed
+     */
+    _destroy: function() {
+        if(this.drawTimeout !== undefined) {
+            clearTimeout(this.drawTimeout);
+            this.drawTimeout = undefined;
+        }
+        Kinetic.GlobalObject._removeBatchDraw(this);
     }
 };
 // Extend Container and Node
@@ -2671,7 +5040,9 @@ Kinetic.GlobalObject.extend(Kinetic.Group, Kinetic.Node);
  *  is "miter"
  * @config {Object} [shadow] shadow object
  * @config {String} [detectionType] shape detection type.  Can be "path" or "pixel".
- *  The default is "path" because it performs better
+ *  The default is "path" because it performs better.  Path detection treats the
+ *  whole path area as the shape, and pixel detection only uses the pixels
+ *  that are actually filled, stroked, or drawn by an image or text
  */
 Kinetic.Shape = function(config) {
     this.setDefaultAttrs({
@@ -2693,6 +5064,8 @@ Kinetic.Shape = function(config) {
     this.data = [];
     this.nodeType = 'Shape';
     this.appliedShadow = false;
+    this.drawingHit = false;
+    this.colorKey = Kinetic.GlobalObject._getColorKey();
 
     // call super constructor
     Kinetic.Node.apply(this, [config]);
@@ -2706,12 +5079,17 @@ Kinetic.Shape.prototype = {
      * the shape is being rendered, .getContext() returns the context of the
      * user created layer that contains the shape.  When the event detection
      * engine is determining whether or not an event has occured on that shape,
-     * .getContext() returns the context of the invisible path layer.
+     * .getContext() returns the context of the invisible path layer.  When the
+     * shape is being drawn onto the layer hit graph, .getContext() returns the
+     * context of the layer hit canvas.
      */
     getContext: function() {
         if(this.tempLayer === undefined) {
             return null;
         }
+        else if(this.drawingHit) {
+            return this.tempLayer.getHitContext();
+        }
         else {
             return this.tempLayer.getContext();
         }
@@ -2720,13 +5098,18 @@ Kinetic.Shape.prototype = {
      * get shape temp layer canvas
      */
     getCanvas: function() {
-        return this.tempLayer.getCanvas();
+        return this.drawingHit ? this.tempLayer.getHitCanvas() : this.tempLayer.getCanvas();
     },
     /**
      * helper method to stroke the shape and apply
      * shadows if needed
      */
     stroke: function() {
+        if(this.drawingHit) {
+            this._strokeHit();
+            return;
+        }
+
         var appliedShadow = false;
         var context = this.getContext();
         context.save();
@@ -2755,6 +5138,11 @@ Kinetic.Shape.prototype = {
      * radial gradient, or pattern, and also apply shadows if needed
      * */
     fill: function() {
+        if(this.drawingHit) {
+            this._fillHit();
+            return;
+        }
+
         var appliedShadow = false;
         var context = this.getContext();
         context.save();
@@ -2834,6 +5222,13 @@ Kinetic.Shape.prototype = {
      * helper method to fill text and appy shadows if needed
      */
     fillText: function(text, x, y) {
+        if(this.drawingHit) {
+            if(this.attrs.textFill !== undefined) {
+                this._textHit('fillText', text, x, y);
+            }
+            return;
+        }
+
         var appliedShadow = false;
         var context = this.getContext();
         context.save();
@@ -2855,6 +5250,13 @@ Kinetic.Shape.prototype = {
      * if needed
      */
     strokeText: function(text, x, y) {
+        if(this.drawingHit) {
+            if(this.attrs.textStroke !== undefined || this.attrs.textStrokeWidth !== undefined) {
+                this._textHit('strokeText', text, x, y);
+            }
+            return;
+        }
+
         var appliedShadow = false;
         var context = this.getContext();
         context.save();
@@ -2885,7 +5287,12 @@ Kinetic.Shape.prototype = {
      * a shadow if neede
      */
     drawImage: function() {
-        var appliedShadow = false;
+        if(this.drawingHit) {
+            this._drawImageHit.apply(this, arguments);
+            return;
+        }
+
+        var appliedShadow = false;
         var context = this.getContext();
         context.save();
         var a = arguments;
@@ -2966,7 +5373,7 @@ Kinetic.Shape.prototype = {
      * @param {String} stroke
      */
     setStroke: function(stroke) {
-        this.attrs.stroke = stroke;
+        this._setAttr('stroke', stroke);
     },
     /**
      * get stroke color
@@ -2980,7 +5387,7 @@ Kinetic.Shape.prototype = {
      *  default is miter
      */
     setLineJoin: function(lineJoin) {
-        this.attrs.lineJoin = lineJoin;
+        this._setAttr('lineJoin', lineJoin);
     },
     /**
      * get line join
@@ -2993,7 +5400,7 @@ Kinetic.Shape.prototype = {
      * @param {Number} strokeWidth
      */
     setStrokeWidth: function(strokeWidth) {
-        this.attrs.strokeWidth = strokeWidth;
+        this._setAttr('strokeWidth', strokeWidth);
     },
     /**
      * get stroke width
@@ -3021,7 +5428,7 @@ Kinetic.Shape.prototype = {
      * @param {Function} func drawing function
      */
     setDrawFunc: function(func) {
-        this.attrs.drawFunc = func;
+        this._setAttr('drawFunc', func);
     },
     /**
      * save shape data when using pixel detection.
@@ -3046,6 +5453,97 @@ Kinetic.Shape.prototype = {
     clearData: function() {
         this.data = [];
     },
+    /**
+     * get the rect that the shape takes up in its own coordinate space,
+     *  without its stroke, shadow, or transform.  Shapes with custom drawing
+     *  functions use their width and height attrs.  Built in shapes override
+     *  this method
+     */
+    getSelfRect: function() {
+        return {
+            x: 0,
+            y: 0,
+            width: typeof this.attrs.width === 'number' ? this.attrs.width : 0,
+            height: typeof this.attrs.height === 'number' ? this.attrs.height : 0
+        };
+    },
+    /**
+     * get the rect that the shape takes up on the stage, including its
+     *  stroke and shadow.  The rect bounds the shape after the absolute
+     *  transform is applied, so rotated shapes have larger rects
+     * @param {Object} [config]
+     * @config {Node} [relativeTo] get the rect in the coordinate space of
+     *  another node, such as an ancestor
+     * @config {Boolean} [skipTransform] get the rect in the shape's own
+     *  coordinate space
+     * @config {Boolean} [skipStroke] ignore the stroke width.  Lines always
+     *  include their stroke because it's all that they draw
+     * @config {Boolean} [skipShadow] ignore the shadow
+     */
+    getClientRect: function(config) {
+        var c = config === undefined ? {} : config;
+        var rect = this.getSelfRect();
+        var x1 = rect.x;
+        var y1 = rect.y;
+        var x2 = rect.x + rect.width;
+        var y2 = rect.y + rect.height;
+
+        if(!c.skipStroke && this.shapeType !== 'Line') {
+            var sw = this._getStrokeWidth() / 2;
+            x1 -= sw;
+            y1 -= sw;
+            x2 += sw;
+            y2 += sw;
+        }
+
+        var s = this.attrs.shadow;
+        if(!c.skipShadow && s !== undefined && s.color !== undefined && s.alpha !== undefined) {
+            var blur = s.blur === undefined ? 0 : s.blur;
+            var ox = s.offset === undefined ? 0 : s.offset.x;
+            var oy = s.offset === undefined ? 0 : s.offset.y;
+            x1 = Math.min(x1, x1 + ox - blur);
+            y1 = Math.min(y1, y1 + oy - blur);
+            x2 = Math.max(x2, x2 + ox + blur);
+            y2 = Math.max(y2, y2 + oy + blur);
+        }
+
+        rect = {
+            x: x1,
+            y: y1,
+            width: x2 - x1,
+            height: y2 - y1
+        };
+
+        return c.skipTransform ? rect : this._getRectRelativeTo(rect, c.relativeTo);
+    },
+    /**
+     * get SVG markup for the shape by recording the drawing function
+     *  with an SVG context.  Built in shapes override this method
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        if(this.attrs.drawFunc === undefined) {
+            return '';
+        }
+
+        var context = new Kinetic.SVGContext(svg, this.getAbsoluteAlpha());
+        var tempLayer = this.tempLayer;
+        this.tempLayer = {
+            getContext: function() {
+                return context;
+            },
+            getCanvas: function() {
+                return context.canvas;
+            }
+        };
+
+        this.applyLineJoin();
+        this.appliedShadow = false;
+        this.attrs.drawFunc.call(this);
+        this.tempLayer = tempLayer;
+
+        return context.getMarkup();
+    },
     /**
      * determines if point is in the shape
      */
@@ -3069,30 +5567,10 @@ Kinetic.Shape.prototype = {
     },
     _draw: function(layer) {
         if(layer !== undefined && this.attrs.drawFunc !== undefined) {
-            var stage = layer.getStage();
             var context = layer.getContext();
-            var family = [];
-            var parent = this.parent;
-
-            family.unshift(this);
-            while(parent) {
-                family.unshift(parent);
-                parent = parent.parent;
-            }
 
             context.save();
-            for(var n = 0; n < family.length; n++) {
-                var node = family[n];
-                var t = node.getTransform();
-
-                // center offset
-                if(node.attrs.centerOffset.x !== 0 || node.attrs.centerOffset.y !== 0) {
-                    t.translate(-1 * node.attrs.centerOffset.x, -1 * node.attrs.centerOffset.y);
-                }
-
-                var m = t.getMatrix();
-                context.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
-            }
+            this._applyTransforms(context);
 
             this.tempLayer = layer;
 
@@ -3109,6 +5587,169 @@ Kinetic.Shape.prototype = {
             this.attrs.drawFunc.call(this);
             context.restore();
         }
+    },
+    /**
+     * draw the shape onto the layer hit graph using its color key
+     * @param {Layer} layer
+     */
+    _drawHit: function(layer) {
+        if(layer !== undefined && this.attrs.drawFunc !== undefined) {
+            var context = layer.getHitContext();
+
+            context.save();
+            this._applyTransforms(context);
+
+            this.tempLayer = layer;
+            this.drawingHit = true;
+            this.applyLineJoin();
+            this.attrs.drawFunc.call(this);
+
+            /*
+             * path detection also uses the last path left in the context,
+             * which is what isPointInPath() used to test against
+             */
+            if(this.attrs.detectionType === 'path') {
+                context.fillStyle = this.colorKey;
+                context.fill();
+            }
+            this.drawingHit = false;
+            context.restore();
+
+            // register color key so that the shape can be found from the hit graph
+            Kinetic.GlobalObject.shapes[this.colorKey] = this;
+        }
+    },
+    /**
+     * get the width of the stroke that is drawn.  Returns 0 if
+     *  the shape isn't stroked
+     */
+    _getStrokeWidth: function() {
+        if(!!this.attrs.stroke || !!this.attrs.strokeWidth) {
+            return !!this.attrs.strokeWidth ? this.attrs.strokeWidth : 2;
+        }
+        return 0;
+    },
+    /**
+     * apply the transforms of the shape and all of its
+     * ancestors, including center offsets, to a context
+     * @param {CanvasContext} context
+     */
+    _applyTransforms: function(context) {
+        var m = this._getDrawTransform().getMatrix();
+        context.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
+    },
+    /**
+     * fill the current path on the hit graph.  With path detection
+     *  the whole path is used even if the shape doesn't have a fill
+     */
+    _fillHit: function() {
+        var context = this.getContext();
+        if(this.attrs.detectionType === 'path' || !!this.attrs.fill) {
+            context.fillStyle = this.colorKey;
+            context.fill();
+        }
+    },
+    /**
+     * stroke the current path on the hit graph.  Path detection
+     *  ignores strokes in the same way that isPointInPath() does,
+     *  but still uses the path area
+     */
+    _strokeHit: function() {
+        var context = this.getContext();
+        if(this.attrs.detectionType === 'path') {
+            context.fillStyle = this.colorKey;
+            context.fill();
+        }
+        else if(!!this.attrs.stroke || !!this.attrs.strokeWidth) {
+            context.save();
+            context.lineWidth = !!this.attrs.strokeWidth ? this.attrs.strokeWidth : 2;
+            context.strokeStyle = this.colorKey;
+            context.stroke();
+            context.restore();
+        }
+    },
+    /**
+     * draw text on the hit graph.  Only used by pixel detection
+     * @param {String} method fillText or strokeText
+     */
+    _textHit: function(method, text, x, y) {
+        if(this.attrs.detectionType === 'pixel') {
+            var context = this.getContext();
+            context.save();
+            context.fillStyle = this.colorKey;
+            context.strokeStyle = this.colorKey;
+            if(method === 'strokeText') {
+                context.lineWidth = this.attrs.textStrokeWidth !== undefined ? this.attrs.textStrokeWidth : 2;
+            }
+            context[method](text, x, y);
+            context.restore();
+        }
+    },
+    /**
+     * draw an image on the hit graph.  Only used by pixel detection.
+     *  The non transparent pixels of the image are painted with the
+     *  color key on a buffer canvas which is then drawn onto the hit graph
+     */
+    _drawImageHit: function() {
+        var a = arguments;
+        if(this.attrs.detectionType !== 'pixel' || (a.length !== 5 && a.length !== 9)) {
+            return;
+        }
+
+        var dest = a.length === 5 ? [a[1], a[2], a[3], a[4]] : [a[5], a[6], a[7], a[8]];
+        var width = Math.ceil(dest[2]);
+        var height = Math.ceil(dest[3]);
+
+        if(width <= 0 || height <= 0) {
+            return;
+        }
+
+        /*
+         * the color keyed image is cached so that it's only drawn again
+         * when the image, its crop, or its size change.  Images that are
+         * still loading are drawn again on every hit draw
+         */
+        var image = a[0];
+        var key = Array.prototype.slice.call(a, 1).join(',') + ',' + this.colorKey;
+        var cache = this.imageHit;
+        if(cache === undefined) {
+            cache = this.imageHit = {
+                canvas: document.createElement('canvas')
+            };
+        }
+
+        if(cache.image !== image || cache.key !== key || image.complete === false) {
+            // resizing the buffer also clears it
+            var buffer = cache.canvas;
+            buffer.width = width;
+            buffer.height = height;
+
+            var bufferContext = buffer.getContext('2d');
+            if(a.length === 5) {
+                bufferContext.drawImage(image, 0, 0, width, height);
+            }
+            else {
+                bufferContext.drawImage(image, a[1], a[2], a[3], a[4], 0, 0, width, height);
+            }
+
+            // replace the image colors with the color key and keep the alpha channel
+            bufferContext.globalCompositeOperation = 'source-in';
+            bufferContext.fillStyle = this.colorKey;
+            bufferContext.fillRect(0, 0, width, height);
+
+            cache.image = image;
+            cache.key = key;
+        }
+
+        this.getContext().drawImage(cache.canvas, dest[0], dest[1], dest[2], dest[3]);
+    },
+    /**
+     * free the color key when the shape is destroyed.  The key is
+     *  cleared so that destroying the shape again doesn't free it twice
+     */
+    _destroy: function() {
+        Kinetic.GlobalObject._freeColorKey(this.colorKey);
+        this.colorKey = undefined;
     }
 };
 // extend Node
@@ -3168,7 +5809,7 @@ Kinetic.Rect.prototype = {
      * @param {Number} width
      */
     setWidth: function(width) {
-        this.attrs.width = width;
+        this._setAttr('width', width);
     },
     /**
      * get width
@@ -3181,7 +5822,7 @@ Kinetic.Rect.prototype = {
      * @param {Number} height
      */
     setHeight: function(height) {
-        this.attrs.height = height;
+        this._setAttr('height', height);
     },
     /**
      * get height
@@ -3210,7 +5851,7 @@ Kinetic.Rect.prototype = {
      * @param {Number} radius
      */
     setCornerRadius: function(radius) {
-        this.attrs.cornerRadius = radius;
+        this._setAttr('cornerRadius', radius);
     },
     /**
      * get corner radius
@@ -3218,6 +5859,31 @@ Kinetic.Rect.prototype = {
     getCornerRadius: function() {
         return this.attrs.cornerRadius;
     },
+    /**
+     * get the rect that the rectangle takes up without its stroke
+     */
+    getSelfRect: function() {
+        return {
+            x: 0,
+            y: 0,
+            width: this.attrs.width,
+            height: this.attrs.height
+        };
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.width = this.attrs.width;
+        attrs.height = this.attrs.height;
+        if(this.attrs.cornerRadius !== 0) {
+            attrs.rx = this.attrs.cornerRadius;
+            attrs.ry = this.attrs.cornerRadius;
+        }
+        return svg.element('rect', attrs);
+    }
 };
 
 // extend Shape
@@ -3260,13 +5926,34 @@ Kinetic.Circle.prototype = {
      * @param {Number} radius
      */
     setRadius: function(radius) {
-        this.attrs.radius = radius;
+        this._setAttr('radius', radius);
     },
     /**
      * get radius
      */
     getRadius: function() {
         return this.attrs.radius;
+    },
+    /**
+     * get the rect that the circle takes up without its stroke
+     */
+    getSelfRect: function() {
+        var r = this.attrs.radius;
+        return {
+            x: -1 * r,
+            y: -1 * r,
+            width: r * 2,
+            height: r * 2
+        };
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.r = this.attrs.radius;
+        return svg.element('circle', attrs);
     }
 };
 
@@ -3295,8 +5982,9 @@ Kinetic.Image = function(config) {
     this.shapeType = "Image";
     config.drawFunc = function() {
         if(this.attrs.image !== undefined) {
-            var width = this.attrs.width !== undefined ? this.attrs.width : this.attrs.image.width;
-            var height = this.attrs.height !== undefined ? this.attrs.height : this.attrs.image.height;
+            var size = this._getDrawSize();
+            var width = size.width;
+            var height = size.height;
             var cropX = this.attrs.crop.x;
             var cropY = this.attrs.crop.y;
             var cropWidth = this.attrs.crop.width;
@@ -3332,7 +6020,7 @@ Kinetic.Image.prototype = {
      * @param {ImageObject} image
      */
     setImage: function(image) {
-        this.attrs.image = image;
+        this._setAttr('image', image);
     },
     /**
      * get image
@@ -3345,7 +6033,7 @@ Kinetic.Image.prototype = {
      * @param {Number} width
      */
     setWidth: function(width) {
-        this.attrs.width = width;
+        this._setAttr('width', width);
     },
     /**
      * get width
@@ -3358,7 +6046,7 @@ Kinetic.Image.prototype = {
      * @param {Number} height
      */
     setHeight: function(height) {
-        this.attrs.height = height;
+        this._setAttr('height', height);
     },
     /**
      * get height
@@ -3395,6 +6083,65 @@ Kinetic.Image.prototype = {
         this.setAttrs({
             crop: arguments
         });
+    },
+    /**
+     * get the rect that the image takes up without its stroke
+     */
+    getSelfRect: function() {
+        var size = this._getDrawSize();
+        return {
+            x: 0,
+            y: 0,
+            width: size.width,
+            height: size.height
+        };
+    },
+    /**
+     * get SVG markup.  The image is embedded as a data URL, and
+     *  only the cropped part of the image is embedded when cropping
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        if(this.attrs.image === undefined) {
+            return '';
+        }
+
+        var image = this.attrs.image;
+        var size = this._getDrawSize();
+        var width = size.width;
+        var height = size.height;
+        var crop = this.attrs.crop;
+        var attrs = svg.getShapeAttrs(this);
+        var str = '';
+
+        if(attrs.fill !== 'none' || attrs.stroke !== undefined) {
+            attrs.width = width;
+            attrs.height = height;
+            str += svg.element('rect', attrs);
+        }
+
+        str += svg.element('image', {
+            width: width,
+            height: height,
+            preserveAspectRatio: 'none',
+            filter: attrs.filter,
+            'xlink:href': svg.getImageURL(image, crop.width !== undefined && crop.height !== undefined ? crop : undefined)
+        });
+
+        return str;
+    },
+    /**
+     * get the size that the image is drawn at.  The width and height
+     *  attrs are used if they're set, and the natural size of the image
+     *  otherwise
+     */
+    _getDrawSize: function() {
+        var a = this.attrs;
+        var image = a.image;
+        return {
+            width: a.width !== undefined ? a.width : (image !== undefined ? image.width : 0),
+            height: a.height !== undefined ? a.height : (image !== undefined ? image.height : 0)
+        };
     }
 };
 // extend Shape
@@ -3410,6 +6157,7 @@ Kinetic.GlobalObject.extend(Kinetic.Image, Kinetic.Shape);
  * @param {Object} config
  */
 Kinetic.Sprite = function(config) {
+    this.shapeType = "Sprite";
     this.setDefaultAttrs({
         index: 0,
         frameRate: 17
@@ -3456,6 +6204,12 @@ Kinetic.Sprite.prototype = {
     stop: function() {
         clearInterval(this.interval);
     },
+    /**
+     * stop the animation when the sprite is destroyed
+     */
+    _destroy: function() {
+        this.stop();
+    },
     /**
      * set after frame event handler
      * @param {Integer} index frame index
@@ -3470,14 +6224,14 @@ Kinetic.Sprite.prototype = {
      * @param {String} anim animation key
      */
     setAnimation: function(anim) {
-        this.attrs.animation = anim;
+        this._setAttr('animation', anim);
     },
     /**
      * set animations obect
      * @param {Object} animations
      */
     setAnimations: function(animations) {
-        this.attrs.animations = animations;
+        this._setAttr('animations', animations);
     },
     /**
      * get animations object
@@ -3496,16 +6250,46 @@ Kinetic.Sprite.prototype = {
      * @param {Integer} index frame index
      */
     setIndex: function(index) {
-        this.attrs.index = index;
+        this._setAttr('index', index);
+    },
+    /**
+     * get the rect of the current animation frame
+     */
+    getSelfRect: function() {
+        var animations = this.attrs.animations;
+        var f = animations === undefined ? undefined : animations[this.attrs.animation][this.attrs.index];
+        return {
+            x: 0,
+            y: 0,
+            width: f === undefined ? 0 : f.width,
+            height: f === undefined ? 0 : f.height
+        };
+    },
+    /**
+     * get SVG markup.  Only the current frame is embedded
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        if(this.attrs.image === undefined) {
+            return '';
+        }
+
+        var f = this.attrs.animations[this.attrs.animation][this.attrs.index];
+        return svg.element('image', {
+            width: f.width,
+            height: f.height,
+            filter: svg.getShadow(this.attrs.shadow),
+            'xlink:href': svg.getImageURL(this.attrs.image, f)
+        });
     },
     _updateIndex: function() {
         var i = this.attrs.index;
         var a = this.attrs.animation;
         if(i < this.attrs.animations[a].length - 1) {
-            this.attrs.index++;
+            this._setAttr('index', i + 1);
         }
         else {
-            this.attrs.index = 0;
+            this._setAttr('index', 0);
         }
     }
 };
@@ -3560,6 +6344,21 @@ Kinetic.Polygon.prototype = {
      */
     getPoints: function() {
         return this.attrs.points;
+    },
+    /**
+     * get the rect that bounds the points of the polygon
+     */
+    getSelfRect: function() {
+        return Kinetic.GlobalObject._getPointsRect(this.attrs.points);
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.points = svg.getPointsString(this.attrs.points);
+        return svg.element('polygon', attrs);
     }
 };
 
@@ -3584,13 +6383,12 @@ Kinetic.RegularPolygon = function(config) {
     this.shapeType = "RegularPolygon";
     config.drawFunc = function() {
         var context = this.getContext();
+        var vertices = this._getVertices();
         context.beginPath();
-        context.moveTo(0, 0 - this.attrs.radius);
+        context.moveTo(vertices[0].x, vertices[0].y);
 
-        for(var n = 1; n < this.attrs.sides; n++) {
-            var x = this.attrs.radius * Math.sin(n * 2 * Math.PI / this.attrs.sides);
-            var y = -1 * this.attrs.radius * Math.cos(n * 2 * Math.PI / this.attrs.sides);
-            context.lineTo(x, y);
+        for(var n = 1; n < vertices.length; n++) {
+            context.lineTo(vertices[n].x, vertices[n].y);
         }
         context.closePath();
         this.fill();
@@ -3608,7 +6406,7 @@ Kinetic.RegularPolygon.prototype = {
      * @param {Number} radius
      */
     setRadius: function(radius) {
-        this.attrs.radius = radius;
+        this._setAttr('radius', radius);
     },
     /**
      * get radius
@@ -3621,13 +6419,46 @@ Kinetic.RegularPolygon.prototype = {
      * @param {int} sides
      */
     setSides: function(sides) {
-        this.attrs.sides = sides;
+        this._setAttr('sides', sides);
     },
     /**
      * get number of sides
      */
     getSides: function() {
         return this.attrs.sides;
+    },
+    /**
+     * get the rect that bounds the vertices of the polygon
+     */
+    getSelfRect: function() {
+        return Kinetic.GlobalObject._getPointsRect(this._getVertices());
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.points = svg.getPointsString(this._getVertices());
+        return svg.element('polygon', attrs);
+    },
+    /**
+     * get polygon vertices.  The first vertex is at the top
+     */
+    _getVertices: function() {
+        var vertices = [{
+            x: 0,
+            y: 0 - this.attrs.radius
+        }];
+
+        for(var n = 1; n < this.attrs.sides; n++) {
+            vertices.push({
+                x: this.attrs.radius * Math.sin(n * 2 * Math.PI / this.attrs.sides),
+                y: -1 * this.attrs.radius * Math.cos(n * 2 * Math.PI / this.attrs.sides)
+            });
+        }
+
+        return vertices;
     }
 };
 
@@ -3653,14 +6484,12 @@ Kinetic.Star = function(config) {
     this.shapeType = "Star";
     config.drawFunc = function() {
         var context = this.getContext();
+        var vertices = this._getVertices();
         context.beginPath();
-        context.moveTo(0, 0 - this.attrs.outerRadius);
+        context.moveTo(vertices[0].x, vertices[0].y);
 
-        for(var n = 1; n < this.attrs.numPoints * 2; n++) {
-            var radius = n % 2 === 0 ? this.attrs.outerRadius : this.attrs.innerRadius;
-            var x = radius * Math.sin(n * Math.PI / this.attrs.numPoints);
-            var y = -1 * radius * Math.cos(n * Math.PI / this.attrs.numPoints);
-            context.lineTo(x, y);
+        for(var n = 1; n < vertices.length; n++) {
+            context.lineTo(vertices[n].x, vertices[n].y);
         }
         context.closePath();
         
@@ -3679,7 +6508,7 @@ Kinetic.Star.prototype = {
      * @param {Integer} points
      */
     setNumPoints: function(numPoints) {
-        this.attrs.numPoints = numPoints;
+        this._setAttr('numPoints', numPoints);
     },
     /**
      * get number of points
@@ -3692,7 +6521,7 @@ Kinetic.Star.prototype = {
      * @param {Number} radius
      */
     setOuterRadius: function(radius) {
-        this.attrs.outerRadius = radius;
+        this._setAttr('outerRadius', radius);
     },
     /**
      * get outer radius
@@ -3705,13 +6534,48 @@ Kinetic.Star.prototype = {
      * @param {Number} radius
      */
     setInnerRadius: function(radius) {
-        this.attrs.innerRadius = radius;
+        this._setAttr('innerRadius', radius);
     },
     /**
      * get inner radius
      */
     getInnerRadius: function() {
         return this.attrs.innerRadius;
+    },
+    /**
+     * get the rect that bounds the vertices of the star
+     */
+    getSelfRect: function() {
+        return Kinetic.GlobalObject._getPointsRect(this._getVertices());
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.points = svg.getPointsString(this._getVertices());
+        return svg.element('polygon', attrs);
+    },
+    /**
+     * get star vertices, alternating between the outer
+     *  and inner radius.  The first vertex is at the top
+     */
+    _getVertices: function() {
+        var vertices = [{
+            x: 0,
+            y: 0 - this.attrs.outerRadius
+        }];
+
+        for(var n = 1; n < this.attrs.numPoints * 2; n++) {
+            var radius = n % 2 === 0 ? this.attrs.outerRadius : this.attrs.innerRadius;
+            vertices.push({
+                x: radius * Math.sin(n * Math.PI / this.attrs.numPoints),
+                y: -1 * radius * Math.cos(n * Math.PI / this.attrs.numPoints)
+            });
+        }
+
+        return vertices;
     }
 };
 // extend Shape
@@ -3745,30 +6609,12 @@ Kinetic.Text = function(config) {
         var context = this.getContext();
         context.font = this.attrs.fontStyle + ' ' + this.attrs.fontSize + 'pt ' + this.attrs.fontFamily;
         context.textBaseline = 'middle';
-        var textHeight = this.getTextHeight();
-        var textWidth = this.attrs.width === 'auto' ? this.getTextWidth() : this.attrs.width;
+        var box = this._getTextBox();
+        var textHeight = box.textHeight;
+        var textWidth = box.textWidth;
         var p = this.attrs.padding;
-        var x = 0;
-        var y = 0;
-        var that = this;
-
-        switch (this.attrs.align) {
-            case 'center':
-                x = textWidth / -2 - p;
-                break;
-            case 'right':
-                x = -1 * textWidth - p;
-                break;
-        }
-
-        switch (this.attrs.verticalAlign) {
-            case 'middle':
-                y = textHeight / -2 - p;
-                break;
-            case 'bottom':
-                y = -1 * textHeight - p;
-                break;
-        }
+        var x = box.x;
+        var y = box.y;
 
         // draw path
         context.save();
@@ -3811,7 +6657,7 @@ Kinetic.Text.prototype = {
      * @param {String} fontFamily
      */
     setFontFamily: function(fontFamily) {
-        this.attrs.fontFamily = fontFamily;
+        this._setAttr('fontFamily', fontFamily);
     },
     /**
      * get font family
@@ -3824,7 +6670,7 @@ Kinetic.Text.prototype = {
      * @param {int} fontSize
      */
     setFontSize: function(fontSize) {
-        this.attrs.fontSize = fontSize;
+        this._setAttr('fontSize', fontSize);
     },
     /**
      * get font size
@@ -3837,7 +6683,7 @@ Kinetic.Text.prototype = {
      * @param {String} fontStyle
      */
     setFontStyle: function(fontStyle) {
-        this.attrs.fontStyle = fontStyle;
+        this._setAttr('fontStyle', fontStyle);
     },
     /**
      * get font style
@@ -3850,7 +6696,7 @@ Kinetic.Text.prototype = {
      * @param {String} textFill
      */
     setTextFill: function(textFill) {
-        this.attrs.textFill = textFill;
+        this._setAttr('textFill', textFill);
     },
     /**
      * get text fill color
@@ -3863,7 +6709,7 @@ Kinetic.Text.prototype = {
      * @param {String} textStroke
      */
     setTextStroke: function(textStroke) {
-        this.attrs.textStroke = textStroke;
+        this._setAttr('textStroke', textStroke);
     },
     /**
      * get text stroke color
@@ -3876,7 +6722,7 @@ Kinetic.Text.prototype = {
      * @param {int} textStrokeWidth
      */
     setTextStrokeWidth: function(textStrokeWidth) {
-        this.attrs.textStrokeWidth = textStrokeWidth;
+        this._setAttr('textStrokeWidth', textStrokeWidth);
     },
     /**
      * get text stroke width
@@ -3889,7 +6735,7 @@ Kinetic.Text.prototype = {
      * @param {int} padding
      */
     setPadding: function(padding) {
-        this.attrs.padding = padding;
+        this._setAttr('padding', padding);
     },
     /**
      * get padding
@@ -3902,7 +6748,7 @@ Kinetic.Text.prototype = {
      * @param {String} align align can be 'left', 'center', or 'right'
      */
     setAlign: function(align) {
-        this.attrs.align = align;
+        this._setAttr('align', align);
     },
     /**
      * get horizontal align
@@ -3915,7 +6761,7 @@ Kinetic.Text.prototype = {
      * @param {String} verticalAlign verticalAlign can be "top", "middle", or "bottom"
      */
     setVerticalAlign: function(verticalAlign) {
-        this.attrs.verticalAlign = verticalAlign;
+        this._setAttr('verticalAlign', verticalAlign);
     },
     /**
      * get vertical align
@@ -3928,7 +6774,7 @@ Kinetic.Text.prototype = {
      * @param {String} text
      */
     setText: function(text) {
-        this.attrs.text = text;
+        this._setAttr('text', text);
     },
     /**
      * get text
@@ -3984,18 +6830,130 @@ Kinetic.Text.prototype = {
      * @param {Number} width
      */
     setWidth: function(width) {
-        this.attrs.width = width;
-    }
-};
-// extend Shape
-Kinetic.GlobalObject.extend(Kinetic.Text, Kinetic.Shape);
+        this._setAttr('width', width);
+    },
+    /**
+     * get the rect of the text box, which is the size of the text
+     *  plus padding, positioned by the alignment
+     */
+    getSelfRect: function() {
+        var box = this._getTextBox();
+        var p = this.attrs.padding;
+        return {
+            x: box.x,
+            y: box.y,
+            width: box.textWidth + p * 2,
+            height: box.textHeight + p * 2
+        };
+    },
+    /**
+     * get the size of the text and the position of the text box,
+     *  which is offset by the alignment.  Drawing, SVG export, and
+     *  getSelfRect all use it
+     */
+    _getTextBox: function() {
+        var a = this.attrs;
+        var textHeight = this.getTextHeight();
+        var textWidth = a.width === 'auto' ? this.getTextWidth() : a.width;
+        var p = a.padding;
+        var x = 0;
+        var y = 0;
 
-///////////////////////////////////////////////////////////////////////
-//  Line
-///////////////////////////////////////////////////////////////////////
-/**
- * Line constructor.&nbsp; Lines are defined by an array of points
- * @constructor
+        switch (a.align) {
+            case 'center':
+                x = textWidth / -2 - p;
+                break;
+            case 'right':
+                x = -1 * textWidth - p;
+                break;
+        }
+
+        switch (a.verticalAlign) {
+            case 'middle':
+                y = textHeight / -2 - p;
+                break;
+            case 'bottom':
+                y = -1 * textHeight - p;
+                break;
+        }
+
+        return {
+            x: x,
+            y: y,
+            textWidth: textWidth,
+            textHeight: textHeight
+        };
+    },
+    /**
+     * get SVG markup.  The text box is positioned the same way
+     *  as it is when the text is drawn on a canvas
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var a = this.attrs;
+        var box = this._getTextBox();
+        var textHeight = box.textHeight;
+        var textWidth = box.textWidth;
+        var p = a.padding;
+        var x = box.x;
+        var y = box.y;
+
+        // text box
+        var attrs = svg.getShapeAttrs(this);
+        var str = '';
+        if(attrs.fill !== 'none' || attrs.stroke !== undefined) {
+            attrs.x = x;
+            attrs.y = y;
+            attrs.width = textWidth + p * 2;
+            attrs.height = textHeight + p * 2;
+            str += svg.element('rect', attrs);
+        }
+
+        var hasFill = a.textFill !== undefined;
+        var hasStroke = a.textStroke !== undefined || a.textStrokeWidth !== undefined;
+        if(hasFill || hasStroke) {
+            var textAttrs = {
+                x: p + x,
+                y: textHeight / 2 + p + y,
+                'font-family': a.fontFamily,
+                'font-size': a.fontSize + 'pt',
+                'font-style': a.fontStyle === 'italic' ? 'italic' : undefined,
+                'font-weight': a.fontStyle === 'bold' ? 'bold' : undefined,
+                'dominant-baseline': 'central',
+                fill: hasFill ? a.textFill : 'none',
+                filter: attrs.filter
+            };
+
+            if(hasStroke) {
+                textAttrs.stroke = a.textStroke !== undefined ? a.textStroke : 'black';
+                textAttrs['stroke-width'] = a.textStrokeWidth !== undefined ? a.textStrokeWidth : 2;
+            }
+
+            // clipping region for max width
+            if(a.width !== 'auto') {
+                textAttrs['clip-path'] = svg.addClipPath(svg.element('rect', {
+                    x: x,
+                    y: y,
+                    width: textWidth + p,
+                    height: textHeight + p * 2
+                }));
+            }
+
+            str += svg.element('text', textAttrs, svg.escape(String(a.text)));
+        }
+
+        return str;
+    }
+};
+// extend Shape
+Kinetic.GlobalObject.extend(Kinetic.Text, Kinetic.Shape);
+
+///////////////////////////////////////////////////////////////////////
+//  Line
+///////////////////////////////////////////////////////////////////////
+/**
+ * Line constructor.&nbsp; Lines are defined by an array of points
+ * @constructor
  * @augments Kinetic.Shape
  * @param {Object} config
  */
@@ -4064,7 +7022,7 @@ Kinetic.Line.prototype = {
      * @param {String} lineCap
      */
     setLineCap: function(lineCap) {
-        this.attrs.lineCap = lineCap;
+        this._setAttr('lineCap', lineCap);
     },
     /**
      * get line cap
@@ -4083,7 +7041,7 @@ Kinetic.Line.prototype = {
      *  apart
      */
     setDashArray: function(dashArray) {
-        this.attrs.dashArray = dashArray;
+        this._setAttr('dashArray', dashArray);
     },
     /**
      * get dash array
@@ -4091,6 +7049,34 @@ Kinetic.Line.prototype = {
     getDashArray: function() {
         return this.attrs.dashArray;
     },
+    /**
+     * get the rect that bounds the points of the line.  The rect
+     *  includes the stroke width because lines are only stroked
+     */
+    getSelfRect: function() {
+        var rect = Kinetic.GlobalObject._getPointsRect(this.attrs.points);
+        var sw = this._getStrokeWidth();
+        return {
+            x: rect.x - sw / 2,
+            y: rect.y - sw / 2,
+            width: rect.width + sw,
+            height: rect.height + sw
+        };
+    },
+    /**
+     * get SVG markup.  Lines are only stroked
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.fill = 'none';
+        attrs.points = svg.getPointsString(this.attrs.points);
+        attrs['stroke-linecap'] = this.attrs.lineCap;
+        if(this.attrs.dashArray.length > 0) {
+            attrs['stroke-dasharray'] = this.attrs.dashArray.join(' ');
+        }
+        return svg.element('polyline', attrs);
+    },
     /**
      * draw dashed line.  Written by Phrogz
      */
@@ -4157,6 +7143,7 @@ Kinetic.GlobalObject.extend(Kinetic.Line, Kinetic.Shape);
 Kinetic.Path = function(config) {
     this.shapeType = "Path";
     this.dataArray = [];
+    this.geometry = undefined;
 
     config.drawFunc = function() {
         var context = this.getContext();
@@ -4197,13 +7184,15 @@ Kinetic.Path = function(config) {
  */
 Kinetic.Path.prototype = {
     /**
-     * get parsed data array from the data
-     *  string.  V, v, H, h, and l data are converted to
-     *  L data for the purpose of high performance Path
-     *  rendering
+     * get parsed data array from the data string.  Every SVG path
+     *  command is supported.  Relative commands are converted into
+     *  absolute commands, V, v, H, h, and l data are converted to L data,
+     *  S and s data are converted to C data, T and t data are converted to
+     *  Q data, and elliptical arcs are converted to C data for the purpose
+     *  of high performance Path rendering.  Invalid data throws an error
+     *  with an offset property that holds the character offset of the problem
      */
     getDataArray: function() {
-
         // Path Data Segment must begin with a moveTo
         //m (x y)+  Relative moveTo (subsequent points are treated as lineTo)
         //M (x y)+  Absolute moveTo (subsequent points are treated as lineTo)
@@ -4219,200 +7208,182 @@ Kinetic.Path.prototype = {
         //C (x1 y1 x2 y2 x y)+ Absolute Bezier curve
         //q (x1 y1 x y)+       Relative Quadratic Bezier
         //Q (x1 y1 x y)+       Absolute Quadratic Bezier
-        //t (x y)+	Shorthand/Smooth Relative Quadratic Bezier
-        //T (x y)+	Shorthand/Smooth Absolute Quadratic Bezier
-        //s (x2 y2 x y)+	   Shorthand/Smooth Relative Bezier curve
-        //S (x2 y2 x y)+	   Shorthand/Smooth Absolute Bezier curve
-
-        // Note: SVG a,A not implemented here
-        //a (rx ry x-axis-rotation large-arc-flag sweep-flag x y)+ 	Relative Elliptical Arc
-        //A (rx ry x-axis-rotation large-arc-flag sweep-flag x y)+  Absolute Elliptical Arc
+        //t (x y)+    Shorthand/Smooth Relative Quadratic Bezier
+        //T (x y)+    Shorthand/Smooth Absolute Quadratic Bezier
+        //s (x2 y2 x y)+       Shorthand/Smooth Relative Bezier curve
+        //S (x2 y2 x y)+       Shorthand/Smooth Absolute Bezier curve
+        //a (rx ry x-axis-rotation large-arc-flag sweep-flag x y)+     Relative Elliptical Arc
+        //A (rx ry x-axis-rotation large-arc-flag sweep-flag x y)+     Absolute Elliptical Arc
 
         // command string
-        var cs = this.attrs.data;
-        // command chars
-        var cc = ['m', 'M', 'l', 'L', 'v', 'V', 'h', 'H', 'z', 'Z', 'c', 'C', 'q', 'Q', 't', 'T', 's', 'S'];
-        // convert white spaces to commas
-        cs = cs.replace(new RegExp(' ', 'g'), ',');
-        // create pipes so that we can split the data
-        for(var n = 0; n < cc.length; n++) {
-            cs = cs.replace(new RegExp(cc[n], 'g'), '|' + cc[n]);
-        }
-        // create array
-        var arr = cs.split('|');
+        var cs = this.attrs.data === undefined ? '' : this.attrs.data;
+        var pos = 0;
+        var numberRegex = /[+\-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+\-]?\d+)?/g;
         var ca = [];
-        // init context point
+        // current command, and command of the previous segment
+        var c = undefined;
+        var prevCmd = undefined;
+        // init context point, subpath start point, and last control point
         var cpx = 0;
         var cpy = 0;
-        for(var n = 1; n < arr.length; n++) {
-            var str = arr[n];
-            var c = str.charAt(0);
-            str = str.slice(1);
-            // remove ,- for consistency
-            str = str.replace(new RegExp(',-', 'g'), '-');
-            // add commas so that it's easy to split
-            str = str.replace(new RegExp('-', 'g'), ',-');
-            var p = str.split(',');
-            if(p.length > 0 && p[0] === '') {
-                p.shift();
-            }
-            // convert strings to floats
-            for(var i = 0; i < p.length; i++) {
-                p[i] = parseFloat(p[i]);
-            }
-
-            while(p.length > 0) {
-                if(isNaN(p[0]))// case for a trailing comma before next command
-                    break;
-
-                var cmd = undefined;
-                var points = [];
-
-                // convert l, H, h, V, and v to L
-                switch(c) {
-
-                    // Note: Keep the lineTo's above the moveTo's in this switch
-                    case 'l':
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'L':
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        points.push(cpx, cpy);
-                        break;
-
-                    // Note: lineTo handlers need to be above this point
-                    case 'm':
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'M';
-                        points.push(cpx, cpy);
-                        c = 'l';
-                        // subsequent points are treated as relative lineTo
-                        break;
-                    case 'M':
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        cmd = 'M';
-                        points.push(cpx, cpy);
-                        c = 'L';
-                        // subsequent points are treated as absolute lineTo
-                        break;
+        var startX = 0;
+        var startY = 0;
+        var ctlPtx = 0;
+        var ctlPty = 0;
+
+        function error(message) {
+            var err = new Error('Kinetic.Path: ' + message + ' at offset ' + pos + ' in path data');
+            err.offset = pos;
+            throw err;
+        }
+        // skip white space and commas
+        function skip() {
+            while(pos < cs.length && ' \t\r\n\f,'.indexOf(cs.charAt(pos)) !== -1) {
+                pos++;
+            }
+        }
+        function number() {
+            skip();
+            numberRegex.lastIndex = pos;
+            var match = numberRegex.exec(cs);
+            if(match === null || match.index !== pos) {
+                error(pos < cs.length ? 'expected a number but found "' + cs.charAt(pos) + '"' : 'expected a number but reached the end');
+            }
+            pos += match[0].length;
+            return parseFloat(match[0]);
+        }
+        // arc flags can be written without separators, e.g. a1,1,0,00,10,10
+        function flag() {
+            skip();
+            var ch = cs.charAt(pos);
+            if(ch !== '0' && ch !== '1') {
+                error('expected an arc flag but found "' + ch + '"');
+            }
+            pos++;
+            return ch === '1';
+        }
+        function push(command, points) {
+            ca.push({
+                command: command,
+                points: points
+            });
+        }
 
-                    case 'h':
-                        cpx += p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'H':
-                        cpx = p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'v':
-                        cpy += p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'V':
-                        cpy = p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'C':
-                        points.push(p.shift(), p.shift(), p.shift(), p.shift());
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        points.push(cpx, cpy);
-                        break;
-                    case 'c':
-                        points.push(cpx + p.shift(), cpy + p.shift(), cpx + p.shift(), cpy + p.shift());
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'C'
-                        points.push(cpx, cpy);
-                        break;
-                    case 'S':
-                        var ctlPtx = cpx, ctlPty = cpy;
-                        var prevCmd = ca[ca.length - 1];
-                        if(prevCmd.command === 'C') {
-                            ctlPtx = cpx + (cpx - prevCmd.points[2]);
-                            ctlPty = cpy + (cpy - prevCmd.points[3]);
-                        }
-                        points.push(ctlPtx, ctlPty, p.shift(), p.shift())
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        cmd = 'C';
-                        points.push(cpx, cpy);
-                        break;
-                    case 's':
-                        var ctlPtx = cpx, ctlPty = cpy;
-                        var prevCmd = ca[ca.length - 1];
-                        if(prevCmd.command === 'C') {
-                            ctlPtx = cpx + (cpx - prevCmd.points[2]);
-                            ctlPty = cpy + (cpy - prevCmd.points[3]);
-                        }
-                        points.push(ctlPtx, ctlPty, cpx + p.shift(), cpy + p.shift())
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'C';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'Q':
-                        points.push(p.shift(), p.shift());
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        points.push(cpx, cpy);
-                        break;
-                    case 'q':
-                        points.push(cpx + p.shift(), cpy + p.shift());
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'Q'
-                        points.push(cpx, cpy);
-                        break;
-                    case 'T':
-                        var ctlPtx = cpx, ctlPty = cpy;
-                        var prevCmd = ca[ca.length - 1];
-                        if(prevCmd.command === 'Q') {
-                            ctlPtx = cpx + (cpx - prevCmd.points[0]);
-                            ctlPty = cpy + (cpy - prevCmd.points[1]);
-                        }
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        cmd = 'Q';
-                        points.push(ctlPtx, ctlPty, cpx, cpy);
-                        break;
-                    case 't':
-                        var ctlPtx = cpx, ctlPty = cpy;
-                        var prevCmd = ca[ca.length - 1];
-                        if(prevCmd.command === 'Q') {
-                            ctlPtx = cpx + (cpx - prevCmd.points[0]);
-                            ctlPty = cpy + (cpy - prevCmd.points[1]);
-                        }
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'Q';
-                        points.push(ctlPtx, ctlPty, cpx, cpy);
-                        break;
+        skip();
+        while(pos < cs.length) {
+            var ch = cs.charAt(pos);
+            var start = pos;
 
+            if('MmZzLlHhVvCcSsQqTtAa'.indexOf(ch) !== -1) {
+                if(c === undefined && ch !== 'M' && ch !== 'm') {
+                    error('path data must begin with a moveTo command');
                 }
+                c = ch;
+                pos++;
+            }
+            // numbers without a command repeat the previous command
+            else if(c === undefined) {
+                error('path data must begin with a moveTo command');
+            }
+            else if(c === 'z' || c === 'Z' || '+-.0123456789'.indexOf(ch) === -1) {
+                error('unexpected character "' + ch + '"');
+            }
 
-                ca.push({
-                    command: cmd || c,
-                    points: points
-                });
+            var relative = c === c.toLowerCase();
+            var ox = relative ? cpx : 0;
+            var oy = relative ? cpy : 0;
+            var upper = c.toUpperCase();
 
+            switch(upper) {
+                case 'M':
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    startX = cpx;
+                    startY = cpy;
+                    push('M', [cpx, cpy]);
+                    // subsequent points are treated as lineTo
+                    c = relative ? 'l' : 'L';
+                    break;
+                case 'L':
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('L', [cpx, cpy]);
+                    break;
+                case 'H':
+                    cpx = ox + number();
+                    push('L', [cpx, cpy]);
+                    break;
+                case 'V':
+                    cpy = oy + number();
+                    push('L', [cpx, cpy]);
+                    break;
+                case 'C':
+                    var x1 = ox + number(), y1 = oy + number();
+                    ctlPtx = ox + number();
+                    ctlPty = oy + number();
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('C', [x1, y1, ctlPtx, ctlPty, cpx, cpy]);
+                    break;
+                case 'S':
+                    // reflect the second control point of the previous cubic curve
+                    var x1 = cpx, y1 = cpy;
+                    if(prevCmd === 'C' || prevCmd === 'S') {
+                        x1 = cpx + (cpx - ctlPtx);
+                        y1 = cpy + (cpy - ctlPty);
+                    }
+                    ctlPtx = ox + number();
+                    ctlPty = oy + number();
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('C', [x1, y1, ctlPtx, ctlPty, cpx, cpy]);
+                    break;
+                case 'Q':
+                    ctlPtx = ox + number();
+                    ctlPty = oy + number();
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('Q', [ctlPtx, ctlPty, cpx, cpy]);
+                    break;
+                case 'T':
+                    // reflect the control point of the previous quadratic curve
+                    if(prevCmd === 'Q' || prevCmd === 'T') {
+                        ctlPtx = cpx + (cpx - ctlPtx);
+                        ctlPty = cpy + (cpy - ctlPty);
+                    }
+                    else {
+                        ctlPtx = cpx;
+                        ctlPty = cpy;
+                    }
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('Q', [ctlPtx, ctlPty, cpx, cpy]);
+                    break;
+                case 'A':
+                    var rx = number(), ry = number(), psi = number();
+                    var fa = flag(), fs = flag();
+                    var x = ox + number(), y = oy + number();
+                    var curves = this._convertArc(cpx, cpy, rx, ry, psi, fa, fs, x, y);
+                    for(var n = 0; n < curves.length; n++) {
+                        push(curves[n].length === 2 ? 'L' : 'C', curves[n]);
+                    }
+                    cpx = x;
+                    cpy = y;
+                    break;
+                case 'Z':
+                    push('z', []);
+                    cpx = startX;
+                    cpy = startY;
+                    break;
             }
 
-            if(c === 'z' || c === 'Z')
-                ca.push({
-                    command: 'z',
-                    points: []
-                });
+            prevCmd = upper;
+            skip();
+
+            // guard against commands that didn't consume anything
+            if(pos === start) {
+                error('unexpected character "' + ch + '"');
+            }
         }
 
         return ca;
@@ -4427,564 +7398,4818 @@ Kinetic.Path.prototype = {
      * set SVG path data string.  This method
      *  also automatically parses the data string
      *  into a data array.  Currently supported SVG data:
-     *  M, m, L, l, H, h, V, v, Q, q, T, t, C, c, S, s, Z, z
+     *  M, m, L, l, H, h, V, v, Q, q, T, t, C, c, S, s, A, a, Z, z
      * @param {String} SVG path command string
      */
     setData: function(data) {
+        var oldData = this.attrs.data;
         this.attrs.data = data;
         this.dataArray = this.getDataArray();
-    }
-};
-
-// extend Shape
-Kinetic.GlobalObject.extend(Kinetic.Path, Kinetic.Shape);
-
-/*
-* Last updated November 2011
-* By Simon Sarris
-* www.simonsarris.com
-* sarris@acm.org
-*
-* Free to use and distribute at will
-* So long as you are nice to people, etc
-*/
-
-/*
-* The usage of this class was inspired by some of the work done by a forked
-* project, KineticJS-Ext by Wappworks, which is based on Simon's Transform
-* class.
-*/
-
-/**
- * Matrix object
- */
-Kinetic.Transform = function() {
-    this.m = [1, 0, 0, 1, 0, 0];
-}
-
-Kinetic.Transform.prototype = {
+        this.geometry = undefined;
+        if(oldData !== data) {
+            this._fireChangeEvent('data', oldData, data);
+        }
+    },
     /**
-     * Apply translation
-     * @param {Number} x
-     * @param {Number} y
+     * get total length of the path
      */
-    translate: function(x, y) {
-        this.m[4] += this.m[0] * x + this.m[2] * y;
-        this.m[5] += this.m[1] * x + this.m[3] * y;
+    getLength: function() {
+        return this._getGeometry().length;
     },
     /**
-     * Apply scale
-     * @param {Number} sx
-     * @param {Number} sy
+     * get point on the path at a distance from the start of
+     *  the path.  The distance is clamped to the length of the
+     *  path.  Returns undefined if the path has no points
+     * @param {Number} length
      */
-    scale: function(sx, sy) {
-        this.m[0] *= sx;
-        this.m[1] *= sx;
-        this.m[2] *= sy;
-        this.m[3] *= sy;
+    getPointAtLength: function(length) {
+        var geom = this._getGeometry();
+        if(geom.segments.length === 0) {
+            return geom.start === undefined ? undefined : {
+                x: geom.start.x,
+                y: geom.start.y
+            };
+        }
+        var loc = this._getSegmentAtLength(length);
+        var p = this._getSegmentPoint(loc.segment, loc.t);
+        return {
+            x: p[0],
+            y: p[1]
+        };
     },
     /**
-     * Apply rotation
-     * @param {Number} rad  Angle in radians
+     * get angle in radians of the path tangent at a distance from
+     *  the start of the path.  The distance is clamped to the length
+     *  of the path.  Returns undefined if the path has no segments
+     * @param {Number} length
      */
-    rotate: function(rad) {
-        var c = Math.cos(rad);
-        var s = Math.sin(rad);
-        var m11 = this.m[0] * c + this.m[2] * s;
-        var m12 = this.m[1] * c + this.m[3] * s;
-        var m21 = this.m[0] * -s + this.m[2] * c;
-        var m22 = this.m[1] * -s + this.m[3] * c;
-        this.m[0] = m11;
-        this.m[1] = m12;
-        this.m[2] = m21;
-        this.m[3] = m22;
+    getAngleAtLength: function(length) {
+        var geom = this._getGeometry();
+        if(geom.segments.length === 0) {
+            return undefined;
+        }
+        var loc = this._getSegmentAtLength(length);
+        var seg = loc.segment;
+        var d = this._getSegmentDerivative(seg, loc.t);
+
+        /*
+         * curves with control points on top of their end points have
+         * no derivative at the ends, so use a nearby chord instead
+         */
+        if(d[0] === 0 && d[1] === 0) {
+            var t1 = Math.max(0, loc.t - 0.001);
+            var t2 = Math.min(1, loc.t + 0.001);
+            var p1 = this._getSegmentPoint(seg, t1);
+            var p2 = this._getSegmentPoint(seg, t2);
+            d = [p2[0] - p1[0], p2[1] - p1[1]];
+        }
+
+        return Math.atan2(d[1], d[0]);
     },
     /**
-     * Returns the translation
-     * @returns {Object} 2D point(x, y)
+     * get tight bounding box of the path in the path's own coordinate
+     *  space.  Curve extremes are included rather than curve control
+     *  points.  Returns undefined if the path has no points
      */
-    getTranslation: function() {
-        return {
-            x: this.m[4],
-            y: this.m[5]
+    getBoundingBox: function() {
+        var box = this._getGeometry().box;
+        return box === undefined ? undefined : {
+            x: box.x,
+            y: box.y,
+            width: box.width,
+            height: box.height
         };
     },
     /**
-     * Transform multiplication
-     * @param {Kinetic.Transform} matrix
+     * get cached path geometry.  The geometry is rebuilt whenever
+     *  the data array is replaced
      */
-    multiply: function(matrix) {
-        var m11 = this.m[0] * matrix.m[0] + this.m[2] * matrix.m[1];
-        var m12 = this.m[1] * matrix.m[0] + this.m[3] * matrix.m[1];
+    _getGeometry: function() {
+        if(this.geometry !== undefined && this.geometry.dataArray === this.dataArray) {
+            return this.geometry;
+        }
 
-        var m21 = this.m[0] * matrix.m[2] + this.m[2] * matrix.m[3];
-        var m22 = this.m[1] * matrix.m[2] + this.m[3] * matrix.m[3];
+        var ca = this.dataArray;
+        var segments = [];
+        var length = 0;
+        var start = undefined;
+        var cpx = 0;
+        var cpy = 0;
+        var startX = 0;
+        var startY = 0;
+        var minX = Infinity;
+        var minY = Infinity;
+        var maxX = -Infinity;
+        var maxY = -Infinity;
 
-        var dx = this.m[0] * matrix.m[4] + this.m[2] * matrix.m[5] + this.m[4];
-        var dy = this.m[1] * matrix.m[4] + this.m[3] * matrix.m[5] + this.m[5];
+        function addPoint(x, y) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
 
-        this.m[0] = m11;
-        this.m[1] = m12;
-        this.m[2] = m21;
-        this.m[3] = m22;
-        this.m[4] = dx;
-        this.m[5] = dy;
+        for(var n = 0; n < ca.length; n++) {
+            var c = ca[n].command;
+            var p = ca[n].points;
+            var points = undefined;
+
+            switch(c) {
+                case 'M':
+                    cpx = startX = p[0];
+                    cpy = startY = p[1];
+                    if(start === undefined) {
+                        start = {
+                            x: cpx,
+                            y: cpy
+                        };
+                    }
+                    addPoint(cpx, cpy);
+                    break;
+                case 'L':
+                case 'C':
+                case 'Q':
+                    points = [cpx, cpy].concat(p);
+                    break;
+                case 'z':
+                    points = [cpx, cpy, startX, startY];
+                    c = 'L';
+                    break;
+            }
+
+            if(points !== undefined) {
+                var seg = {
+                    command: c,
+                    points: points,
+                    offset: length
+                };
+                this._measureSegment(seg);
+                segments.push(seg);
+                length += seg.length;
+
+                var ts = [1].concat(this._getSegmentExtremes(seg));
+                for(var i = 0; i < ts.length; i++) {
+                    var pt = this._getSegmentPoint(seg, ts[i]);
+                    addPoint(pt[0], pt[1]);
+                }
+
+                cpx = points[points.length - 2];
+                cpy = points[points.length - 1];
+            }
+        }
+
+        this.geometry = {
+            dataArray: ca,
+            segments: segments,
+            length: length,
+            start: start,
+            box: start === undefined ? undefined : {
+                x: minX,
+                y: minY,
+                width: maxX - minX,
+                height: maxY - minY
+            }
+        };
+
+        return this.geometry;
     },
     /**
-     * Invert the matrix
+     * measure segment length.  Curves are flattened into a
+     *  table of cumulative lengths used to map distances to
+     *  curve parameters
+     * @param {Object} seg
      */
-    invert: function() {
-        var d = 1 / (this.m[0] * this.m[3] - this.m[1] * this.m[2]);
-        var m0 = this.m[3] * d;
-        var m1 = -this.m[1] * d;
-        var m2 = -this.m[2] * d;
-        var m3 = this.m[0] * d;
-        var m4 = d * (this.m[2] * this.m[5] - this.m[3] * this.m[4]);
-        var m5 = d * (this.m[1] * this.m[4] - this.m[0] * this.m[5]);
-        this.m[0] = m0;
-        this.m[1] = m1;
-        this.m[2] = m2;
-        this.m[3] = m3;
-        this.m[4] = m4;
-        this.m[5] = m5;
+    _measureSegment: function(seg) {
+        var p = seg.points;
+        if(seg.command === 'L') {
+            seg.length = Math.sqrt(Math.pow(p[2] - p[0], 2) + Math.pow(p[3] - p[1], 2));
+            return;
+        }
+
+        var steps = 32;
+        var table = [0];
+        var length = 0;
+        var last = [p[0], p[1]];
+        for(var n = 1; n <= steps; n++) {
+            var pt = this._getSegmentPoint(seg, n / steps);
+            length += Math.sqrt(Math.pow(pt[0] - last[0], 2) + Math.pow(pt[1] - last[1], 2));
+            table.push(length);
+            last = pt;
+        }
+        seg.length = length;
+        seg.table = table;
     },
     /**
-     * return matrix
+     * find the segment and segment parameter at a distance from
+     *  the start of the path
+     * @param {Number} length
      */
-    getMatrix: function() {
-        return this.m;
-    }
-};
+    _getSegmentAtLength: function(length) {
+        var geom = this._getGeometry();
+        var segments = geom.segments;
+        length = Math.max(0, Math.min(geom.length, length));
 
-/*
-* The Tween class was ported from an Adobe Flash Tween library
-* to JavaScript by Xaric.  In the context of KineticJS, a Tween is
-* an animation of a single Node property.  A Transition is a set of
-* multiple tweens
-*/
-
-/**
- * Transition constructor used by KineticJS.  The transitionTo() Node method
- *  returns a reference to the transition object which you can use
- *  to stop, resume, or restart the transition
- * @constructor
- */
-Kinetic.Transition = function(node, config) {
-    this.node = node;
-    this.config = config;
-    this.tweens = [];
-    var that = this;
+        var n = 0;
+        while(n < segments.length - 1 && length > segments[n].offset + segments[n].length) {
+            n++;
+        }
+        var seg = segments[n];
+        var local = length - seg.offset;
+        var t = 0;
 
-    // add tween for each property
-    function addTween(c, attrs) {
-        for(var key in c) {
-            if(key !== 'duration' && key !== 'easing' && key !== 'callback') {
-                // if val is an object then traverse
-                if(Kinetic.GlobalObject._isObject(c[key])) {
-                    addTween(c[key], attrs[key]);
-                }
-                else {
-                    that._add(that._getTween(attrs, key, c[key]));
+        if(seg.length > 0) {
+            if(seg.table === undefined) {
+                t = local / seg.length;
+            }
+            else {
+                var table = seg.table;
+                var i = 1;
+                while(i < table.length - 1 && table[i] < local) {
+                    i++;
                 }
+                var span = table[i] - table[i - 1];
+                var frac = span > 0 ? (local - table[i - 1]) / span : 0;
+                t = (i - 1 + frac) / (table.length - 1);
             }
         }
-    }
-    addTween(config, node.attrs);
 
-    var finishedTweens = 0;
-    for(var n = 0; n < this.tweens.length; n++) {
-        var tween = this.tweens[n];
-        tween.onFinished = function() {
-            finishedTweens++;
-            if(finishedTweens >= that.tweens.length) {
-                that.onFinished();
-            }
+        return {
+            segment: seg,
+            t: Math.min(1, t)
         };
-    }
-};
-/*
- * Transition methods
- */
-Kinetic.Transition.prototype = {
+    },
     /**
-     * start transition
+     * get point on a segment at parameter t
+     * @param {Object} seg
+     * @param {Number} t
      */
-    start: function() {
-        for(var n = 0; n < this.tweens.length; n++) {
-            this.tweens[n].start();
+    _getSegmentPoint: function(seg, t) {
+        var p = seg.points;
+        var mt = 1 - t;
+        switch(seg.command) {
+            case 'L':
+                return [p[0] + (p[2] - p[0]) * t, p[1] + (p[3] - p[1]) * t];
+            case 'Q':
+                return [mt * mt * p[0] + 2 * mt * t * p[2] + t * t * p[4], mt * mt * p[1] + 2 * mt * t * p[3] + t * t * p[5]];
+            case 'C':
+                var a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, d = t * t * t;
+                return [a * p[0] + b * p[2] + c * p[4] + d * p[6], a * p[1] + b * p[3] + c * p[5] + d * p[7]];
         }
     },
     /**
-     * stop transition
+     * get derivative of a segment at parameter t
+     * @param {Object} seg
+     * @param {Number} t
      */
-    stop: function() {
-        for(var n = 0; n < this.tweens.length; n++) {
-            this.tweens[n].stop();
+    _getSegmentDerivative: function(seg, t) {
+        var p = seg.points;
+        var mt = 1 - t;
+        switch(seg.command) {
+            case 'L':
+                return [p[2] - p[0], p[3] - p[1]];
+            case 'Q':
+                return [2 * mt * (p[2] - p[0]) + 2 * t * (p[4] - p[2]), 2 * mt * (p[3] - p[1]) + 2 * t * (p[5] - p[3])];
+            case 'C':
+                var a = 3 * mt * mt, b = 6 * mt * t, c = 3 * t * t;
+                return [a * (p[2] - p[0]) + b * (p[4] - p[2]) + c * (p[6] - p[4]), a * (p[3] - p[1]) + b * (p[5] - p[3]) + c * (p[7] - p[5])];
         }
     },
     /**
-     * resume transition
+     * get curve parameters between 0 and 1 where the x or y
+     *  derivative of a segment is zero
+     * @param {Object} seg
      */
-    resume: function() {
-        for(var n = 0; n < this.tweens.length; n++) {
-            this.tweens[n].resume();
+    _getSegmentExtremes: function(seg) {
+        var p = seg.points;
+        var ts = [];
+
+        function add(t) {
+            if(t > 0 && t < 1) {
+                ts.push(t);
+            }
         }
-    },
-    _onEnterFrame: function() {
-        for(var n = 0; n < this.tweens.length; n++) {
-            this.tweens[n].onEnterFrame();
+
+        for(var i = 0; i < 2; i++) {
+            if(seg.command === 'Q') {
+                var den = p[i] - 2 * p[i + 2] + p[i + 4];
+                if(den !== 0) {
+                    add((p[i] - p[i + 2]) / den);
+                }
+            }
+            else if(seg.command === 'C') {
+                // derivative is a * t^2 + b * t + c
+                var a = 3 * (-p[i] + 3 * p[i + 2] - 3 * p[i + 4] + p[i + 6]);
+                var b = 6 * (p[i] - 2 * p[i + 2] + p[i + 4]);
+                var c = 3 * (p[i + 2] - p[i]);
+                if(Math.abs(a) < 1e-12) {
+                    if(b !== 0) {
+                        add(-c / b);
+                    }
+                }
+                else {
+                    var disc = b * b - 4 * a * c;
+                    if(disc >= 0) {
+                        add((-b + Math.sqrt(disc)) / (2 * a));
+                        add((-b - Math.sqrt(disc)) / (2 * a));
+                    }
+                }
+            }
         }
+
+        return ts;
     },
-    _add: function(tween) {
-        this.tweens.push(tween);
-    },
-    _getTween: function(key, prop, val) {
-        var config = this.config;
-        var node = this.node;
-        var easing = config.easing;
-        if(easing === undefined) {
-            easing = 'linear';
+    /**
+     * convert an SVG elliptical arc from the current point into
+     *  cubic bezier curves.  The arc center parameterization follows
+     *  the SVG implementation notes.  Returns an array of point arrays,
+     *  which hold six numbers for curves or two numbers for lines
+     */
+    _convertArc: function(x1, y1, rx, ry, psiDeg, fa, fs, x2, y2) {
+        // an arc with the same endpoints is omitted
+        if(x1 === x2 && y1 === y2) {
+            return [];
         }
 
-        var tween = new Kinetic.Tween(node, function(i) {
-            key[prop] = i;
-        }, Kinetic.Tweens[easing], key[prop], val, config.duration);
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
 
-        return tween;
+        // an arc with a zero radius is a straight line
+        if(rx === 0 || ry === 0) {
+            return [[x2, y2]];
+        }
+
+        var psi = psiDeg * Math.PI / 180;
+        var cosPsi = Math.cos(psi);
+        var sinPsi = Math.sin(psi);
+        var dx = (x1 - x2) / 2;
+        var dy = (y1 - y2) / 2;
+        var xp = cosPsi * dx + sinPsi * dy;
+        var yp = -1 * sinPsi * dx + cosPsi * dy;
+
+        // scale up radii that are too small to reach the end point
+        var lambda = (xp * xp) / (rx * rx) + (yp * yp) / (ry * ry);
+        if(lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        var num = rx * rx * ry * ry - rx * rx * yp * yp - ry * ry * xp * xp;
+        var den = rx * rx * yp * yp + ry * ry * xp * xp;
+        var f = Math.sqrt(Math.max(0, num / den)) * (fa === fs ? -1 : 1);
+        var cxp = f * rx * yp / ry;
+        var cyp = f * -1 * ry * xp / rx;
+        var cx = cosPsi * cxp - sinPsi * cyp + (x1 + x2) / 2;
+        var cy = sinPsi * cxp + cosPsi * cyp + (y1 + y2) / 2;
+
+        function angle(ux, uy, vx, vy) {
+            return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        }
+
+        var theta = angle(1, 0, (xp - cxp) / rx, (yp - cyp) / ry);
+        var dTheta = angle((xp - cxp) / rx, (yp - cyp) / ry, (-xp - cxp) / rx, (-yp - cyp) / ry);
+
+        if(!fs && dTheta > 0) {
+            dTheta -= Math.PI * 2;
+        }
+        else if(fs && dTheta < 0) {
+            dTheta += Math.PI * 2;
+        }
+
+        // split the arc into curves of at most a quarter turn
+        var segments = Math.ceil(Math.abs(dTheta) / (Math.PI / 2));
+        var delta = dTheta / segments;
+        var k = 4 / 3 * Math.tan(delta / 4);
+        var curves = [];
+
+        function point(u, v) {
+            return [cx + rx * u * cosPsi - ry * v * sinPsi, cy + rx * u * sinPsi + ry * v * cosPsi];
+        }
+
+        for(var n = 0; n < segments; n++) {
+            var a1 = theta + n * delta;
+            var a2 = a1 + delta;
+            var cp1 = point(Math.cos(a1) - k * Math.sin(a1), Math.sin(a1) + k * Math.cos(a1));
+            var cp2 = point(Math.cos(a2) + k * Math.sin(a2), Math.sin(a2) - k * Math.cos(a2));
+            var end = n === segments - 1 ? [x2, y2] : point(Math.cos(a2), Math.sin(a2));
+            curves.push(cp1.concat(cp2, end));
+        }
+
+        return curves;
+    },
+    /**
+     * get the rect that bounds the path without its stroke
+     */
+    getSelfRect: function() {
+        var box = this.getBoundingBox();
+        return box === undefined ? {
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0
+        } : box;
+    },
+    /**
+     * get SVG markup.  The original path data string is used
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.d = this.attrs.data;
+        return svg.element('path', attrs);
     }
 };
 
+// extend Shape
+Kinetic.GlobalObject.extend(Kinetic.Path, Kinetic.Shape);
+
+///////////////////////////////////////////////////////////////////////
+//  Transformer
+///////////////////////////////////////////////////////////////////////
 /**
- * Tween constructor
+ * Transformer constructor.  Transformers are groups that draw a bounding
+ *  box around one or more nodes, with eight resize anchors and a rotation
+ *  anchor that can be dragged to scale and rotate the nodes.  Add the
+ *  transformer to a container, such as the layer of the nodes, and then
+ *  attach it to the nodes with attachTo()
+ * @constructor
+ * @augments Kinetic.Group
+ * @param {Object} config
+ * @config {Boolean} [keepRatio] set to true to keep the aspect ratio when
+ *  the corner anchors are dragged.  The default is false
+ * @config {Boolean} [resizeEnabled] the default is true
+ * @config {Boolean} [rotateEnabled] the default is true
+ * @config {Array} [rotationSnaps] rotations in degrees that the rotation
+ *  snaps to, such as [0, 90, 180, 270]
+ * @config {Number} [rotationSnapTolerance] how close in degrees the rotation
+ *  has to be to a snap.  The default is 5
+ * @config {Number} [minWidth] minimum width of the box.  The default is 5
+ * @config {Number} [minHeight] minimum height of the box.  The default is 5
+ * @config {Object} [bounds] the box can't be transformed outside of the bounds,
+ *  which are stage positions just like drag bounds
+ * @config {Number} [anchorSize] the default is 10
+ * @config {Number} [rotateAnchorOffset] distance of the rotation anchor
+ *  above the box.  The default is 30
  */
-Kinetic.Tween = function(obj, propFunc, func, begin, finish, duration) {
-    this._listeners = [];
-    this.addListener(this);
-    this.obj = obj;
-    this.propFunc = propFunc;
-    this.begin = begin;
-    this._pos = begin;
-    this.setDuration(duration);
-    this.isPlaying = false;
-    this._change = 0;
-    this.prevTime = 0;
-    this.prevPos = 0;
-    this.looping = false;
-    this._time = 0;
-    this._position = 0;
-    this._startTime = 0;
-    this._finish = 0;
-    this.name = '';
-    this.func = func;
-    this.setFinish(finish);
+Kinetic.Transformer = function(config) {
+    this.setDefaultAttrs({
+        keepRatio: false,
+        resizeEnabled: true,
+        rotateEnabled: true,
+        rotationSnaps: [],
+        rotationSnapTolerance: 5,
+        minWidth: 5,
+        minHeight: 5,
+        bounds: {},
+        anchorSize: 10,
+        anchorFill: 'white',
+        anchorStroke: 'rgb(0, 161, 255)',
+        borderStroke: 'rgb(0, 161, 255)',
+        rotateAnchorOffset: 30
+    });
+
+    this.shapeType = 'Transformer';
+    this.nodes = [];
+    this.anchors = {};
+    this.box = undefined;
+    this.transforming = false;
+
+    // call super constructor
+    Kinetic.Group.apply(this, [config]);
+
+    // transformers edit the scene rather than being part of it
+    this.sceneNode = false;
+    // each transformer binds its listeners to the nodes under its own namespace
+    this.namespace = 'transformer' + Kinetic.GlobalObject.idCounter++;
+    this._createElements();
 };
 /*
- * Tween methods
+ * Transformer methods
  */
-Kinetic.Tween.prototype = {
-    setTime: function(t) {
-        this.prevTime = this._time;
-        if(t > this.getDuration()) {
-            if(this.looping) {
-                this.rewind(t - this._duration);
-                this.update();
-                this.broadcastMessage('onLooped', {
-                    target: this,
-                    type: 'onLooped'
-                });
-            }
-            else {
-                this._time = this._duration;
-                this.update();
-                this.stop();
-                this.broadcastMessage('onFinished', {
-                    target: this,
-                    type: 'onFinished'
-                });
-            }
-        }
-        else if(t < 0) {
-            this.rewind();
-            this.update();
+Kinetic.Transformer.prototype = {
+    /**
+     * attach the transformer to nodes.  The nodes should be in
+     *  the same stage as the transformer
+     * @param {Node|Array|Collection} nodes
+     */
+    attachTo: function(nodes) {
+        this.detach();
+
+        var arr = nodes.nodeType === undefined ? nodes : [nodes];
+        var that = this;
+        for(var n = 0; n < arr.length; n++) {
+            var node = arr[n];
+            this.nodes.push(node);
+            node.on('attrchange.' + this.namespace, function() {
+                if(!that.transforming) {
+                    that.update();
+                }
+            });
+            node.on('destroy.' + this.namespace, function() {
+                that._removeNode(this);
+            });
         }
-        else {
-            this._time = t;
-            this.update();
+
+        this.update();
+    },
+    /**
+     * detach the transformer from its nodes
+     */
+    detach: function() {
+        for(var n = 0; n < this.nodes.length; n++) {
+            this.nodes[n].off('attrchange.' + this.namespace + ' destroy.' + this.namespace);
         }
+        this.nodes = [];
+        this.update();
     },
-    getTime: function() {
-        return this._time;
+    /**
+     * get the nodes that the transformer is attached to
+     */
+    getNodes: function() {
+        return this.nodes;
     },
-    setDuration: function(d) {
-        this._duration = (d === null || d <= 0) ? 100000 : d;
+    /**
+     * update the bounding box and the anchors to fit the nodes.  The
+     *  transformer updates itself when the attrs of the nodes change,
+     *  so this only has to be used after changing their descendants
+     */
+    update: function() {
+        this.box = this.parent === undefined ? undefined : this._getNodesBox();
+        this._layout();
     },
-    getDuration: function() {
-        return this._duration;
+    /**
+     * set keep ratio
+     * @param {Boolean} keepRatio
+     */
+    setKeepRatio: function(keepRatio) {
+        this._setAttr('keepRatio', keepRatio);
     },
-    setPosition: function(p) {
-        this.prevPos = this._pos;
-        //var a = this.suffixe != '' ? this.suffixe : '';
-        this.propFunc(p);
-        //+ a;
-        //this.obj(Math.round(p));
-        this._pos = p;
-        this.broadcastMessage('onChanged', {
-            target: this,
-            type: 'onChanged'
-        });
+    /**
+     * get keep ratio
+     */
+    getKeepRatio: function() {
+        return this.attrs.keepRatio;
     },
-    getPosition: function(t) {
-        if(t === undefined) {
-            t = this._time;
-        }
-        return this.func(t, this.begin, this._change, this._duration);
+    /**
+     * set rotation snaps
+     * @param {Array} rotationSnaps rotations in degrees
+     */
+    setRotationSnaps: function(rotationSnaps) {
+        this._setAttr('rotationSnaps', rotationSnaps);
     },
-    setFinish: function(f) {
-        this._change = f - this.begin;
+    /**
+     * get rotation snaps
+     */
+    getRotationSnaps: function() {
+        return this.attrs.rotationSnaps;
     },
-    getFinish: function() {
-        return this.begin + this._change;
+    /**
+     * create the border and the anchors
+     */
+    _createElements: function() {
+        var a = this.attrs;
+
+        this.border = new Kinetic.Rect({
+            stroke: a.borderStroke,
+            strokeWidth: 1,
+            listening: false
+        });
+        this.add(this.border);
+
+        var names = ['top-left', 'top-center', 'top-right', 'middle-right', 'bottom-right', 'bottom-center', 'bottom-left', 'middle-left', 'rotater'];
+        for(var n = 0; n < names.length; n++) {
+            var name = names[n];
+            var config = {
+                name: name,
+                fill: a.anchorFill,
+                stroke: a.anchorStroke,
+                strokeWidth: 1,
+                draggable: true
+            };
+            var anchor;
+            if(name === 'rotater') {
+                config.radius = a.anchorSize / 2;
+                anchor = new Kinetic.Circle(config);
+            }
+            else {
+                config.width = a.anchorSize;
+                config.height = a.anchorSize;
+                config.centerOffset = [a.anchorSize / 2, a.anchorSize / 2];
+                anchor = new Kinetic.Rect(config);
+            }
+            this._listenAnchor(anchor, name);
+            this.anchors[name] = anchor;
+            this.add(anchor);
+        }
+
+        this._layout();
     },
-    start: function() {
-        this.rewind();
-        this.startEnterFrame();
-        this.broadcastMessage('onStarted', {
-            target: this,
-            type: 'onStarted'
+    /**
+     * transform the nodes while an anchor is dragged
+     * @param {Shape} anchor
+     * @param {String} name
+     */
+    _listenAnchor: function(anchor, name) {
+        var that = this;
+        anchor.on('dragstart', function() {
+            that._startTransform(name);
+        });
+        anchor.on('dragmove', function() {
+            that._moveAnchor(name, this.getPosition());
+        });
+        anchor.on('dragend', function() {
+            that._endTransform(name);
         });
     },
-    rewind: function(t) {
-        this.stop();
-        this._time = (t === undefined) ? 0 : t;
-        this.fixTime();
-        this.update();
+    /**
+     * begin a transform.  Rotating moves the center offsets of the nodes
+     *  to their centers so that they rotate around their centers
+     * @param {String} name anchor name
+     */
+    _startTransform: function(name) {
+        this.transforming = true;
+        if(name === 'rotater') {
+            for(var n = 0; n < this.nodes.length; n++) {
+                this._centerNode(this.nodes[n]);
+            }
+        }
+        this._fire('transformstart', name);
     },
-    fforward: function() {
-        this._time = this._duration;
-        this.fixTime();
+    /**
+     * transform the nodes to follow an anchor
+     * @param {String} name anchor name
+     * @param {Object} pos anchor position in the coordinate space of
+     *  the box
+     */
+    _moveAnchor: function(name, pos) {
+        if(this.box === undefined) {
+            return;
+        }
+
+        var box = name === 'rotater' ? this._getRotatedBox(pos) : this._getResizedBox(name, pos);
+        if(this._isInBounds(box)) {
+            this._applyBox(box);
+            this._fire('transform', name);
+        }
+
+        // snap the anchors to the box
+        this._layout();
+        this._batchDraw();
+    },
+    /**
+     * end a transform
+     * @param {String} name anchor name
+     */
+    _endTransform: function(name) {
+        this.transforming = false;
         this.update();
+        this._batchDraw();
+        this._fire('transformend', name);
     },
-    update: function() {
-        this.setPosition(this.getPosition(this._time));
+    /**
+     * fire a transform event on the transformer and on the nodes
+     * @param {String} eventType
+     * @param {String} name anchor name
+     */
+    _fire: function(eventType, name) {
+        var payload = {
+            anchor: name
+        };
+        this.fire(eventType, payload);
+        for(var n = 0; n < this.nodes.length; n++) {
+            this.nodes[n].fire(eventType, payload);
+        }
     },
-    startEnterFrame: function() {
-        this.stopEnterFrame();
-        this.isPlaying = true;
-        this.onEnterFrame();
+    /**
+     * remove a destroyed node
+     * @param {Node} node
+     */
+    _removeNode: function(node) {
+        for(var n = 0; n < this.nodes.length; n++) {
+            if(this.nodes[n] === node) {
+                this.nodes.splice(n, 1);
+                break;
+            }
+        }
+        this.update();
     },
-    onEnterFrame: function() {
-        if(this.isPlaying) {
-            this.nextFrame();
+    /**
+     * draw the layer of the transformer and the layers of the nodes.
+     *  The dragged anchor's layer is drawn before the nodes are
+     *  transformed, so the layers are drawn again on the next frame
+     */
+    _batchDraw: function() {
+        var layer = this.getLayer();
+        layer.batchDraw();
+        for(var n = 0; n < this.nodes.length; n++) {
+            var nodeLayer = this.nodes[n].getLayer();
+            if(nodeLayer !== undefined && nodeLayer !== layer) {
+                nodeLayer.batchDraw();
+            }
         }
     },
-    nextFrame: function() {
-        this.setTime((this.getTimer() - this._startTime) / 1000);
+    /**
+     * get the box around the nodes in the coordinate space of the
+     *  transformer's parent.  The box of a single node is rotated with
+     *  the node.  The box of several nodes bounds their client rects
+     */
+    _getNodesBox: function() {
+        var nodes = this.nodes;
+        if(nodes.length === 0) {
+            return undefined;
+        }
+
+        if(nodes.length > 1) {
+            var points = [];
+            for(var n = 0; n < nodes.length; n++) {
+                var rect = nodes[n].getClientRect({
+                    relativeTo: this.parent,
+                    skipShadow: true
+                });
+                points.push({
+                    x: rect.x,
+                    y: rect.y
+                });
+                points.push({
+                    x: rect.x + rect.width,
+                    y: rect.y + rect.height
+                });
+            }
+            var r = Kinetic.GlobalObject._getPointsRect(points);
+            return {
+                x: r.x,
+                y: r.y,
+                width: r.width,
+                height: r.height,
+                rotation: 0
+            };
+        }
+
+        var node = nodes[0];
+        var rect = node.getClientRect({
+            skipTransform: true,
+            skipShadow: true
+        });
+        var t = this.parent._getDrawTransform();
+        t.invert();
+        t.multiply(node._getDrawTransform());
+        var m = t.getMatrix();
+
+        return {
+            x: m[0] * rect.x + m[2] * rect.y + m[4],
+            y: m[1] * rect.x + m[3] * rect.y + m[5],
+            width: rect.width * Math.sqrt(m[0] * m[0] + m[1] * m[1]),
+            height: rect.height * Math.sqrt(m[2] * m[2] + m[3] * m[3]),
+            rotation: Math.atan2(m[1], m[0])
+        };
     },
-    stop: function() {
-        this.stopEnterFrame();
-        this.broadcastMessage('onStopped', {
-            target: this,
-            type: 'onStopped'
+    /**
+     * get the box after dragging a resize anchor
+     * @param {String} name anchor name
+     * @param {Object} pos anchor position in the coordinate space of
+     *  the box
+     */
+    _getResizedBox: function(name, pos) {
+        var a = this.attrs;
+        var box = this.box;
+        var left = name.indexOf('left') !== -1;
+        var right = name.indexOf('right') !== -1;
+        var top = name.indexOf('top') !== -1;
+        var bottom = name.indexOf('bottom') !== -1;
+        var x1 = left ? pos.x : 0;
+        var y1 = top ? pos.y : 0;
+        var x2 = right ? pos.x : box.width;
+        var y2 = bottom ? pos.y : box.height;
+        var width = Math.max(x2 - x1, a.minWidth);
+        var height = Math.max(y2 - y1, a.minHeight);
+
+        // corner anchors can keep the aspect ratio
+        if(a.keepRatio && (left || right) && (top || bottom) && box.width > 0 && box.height > 0) {
+            var scale = Math.max(width / box.width, height / box.height, a.minWidth / box.width, a.minHeight / box.height);
+            width = box.width * scale;
+            height = box.height * scale;
+        }
+
+        // the opposite edges stay in place
+        x1 = left ? box.width - width : 0;
+        y1 = top ? box.height - height : 0;
+        if(!left && !right) {
+            width = box.width;
+        }
+        if(!top && !bottom) {
+            height = box.height;
+        }
+
+        var cos = Math.cos(box.rotation);
+        var sin = Math.sin(box.rotation);
+        return {
+            x: box.x + x1 * cos - y1 * sin,
+            y: box.y + x1 * sin + y1 * cos,
+            width: width,
+            height: height,
+            rotation: box.rotation
+        };
+    },
+    /**
+     * get the box after dragging the rotation anchor.  The box
+     *  rotates around its center
+     * @param {Object} pos anchor position in the coordinate space of
+     *  the box
+     */
+    _getRotatedBox: function(pos) {
+        var a = this.attrs;
+        var box = this.box;
+        var hw = box.width / 2;
+        var hh = box.height / 2;
+        var rotation = box.rotation + Math.atan2(pos.y - hh, pos.x - hw) + Math.PI / 2;
+
+        // snap rotation
+        var deg = rotation * 180 / Math.PI;
+        for(var n = 0; n < a.rotationSnaps.length; n++) {
+            var diff = (deg - a.rotationSnaps[n]) % 360;
+            if(diff > 180) {
+                diff -= 360;
+            }
+            else if(diff < -180) {
+                diff += 360;
+            }
+            if(Math.abs(diff) <= a.rotationSnapTolerance) {
+                rotation = (deg - diff) * Math.PI / 180;
+                break;
+            }
+        }
+
+        var cos = Math.cos(box.rotation);
+        var sin = Math.sin(box.rotation);
+        var cx = box.x + hw * cos - hh * sin;
+        var cy = box.y + hw * sin + hh * cos;
+        cos = Math.cos(rotation);
+        sin = Math.sin(rotation);
+
+        return {
+            x: cx - hw * cos + hh * sin,
+            y: cy - hw * sin - hh * cos,
+            width: box.width,
+            height: box.height,
+            rotation: rotation
+        };
+    },
+    /**
+     * determine if a box is inside of the bounds
+     * @param {Object} box
+     */
+    _isInBounds: function(box) {
+        var b = this.attrs.bounds;
+        var m = this.parent._getDrawTransform().getMatrix();
+        var cos = Math.cos(box.rotation);
+        var sin = Math.sin(box.rotation);
+        var corners = [[0, 0], [box.width, 0], [box.width, box.height], [0, box.height]];
+
+        for(var n = 0; n < corners.length; n++) {
+            var lx = box.x + corners[n][0] * cos - corners[n][1] * sin;
+            var ly = box.y + corners[n][0] * sin + corners[n][1] * cos;
+            var x = m[0] * lx + m[2] * ly + m[4];
+            var y = m[1] * lx + m[3] * ly + m[5];
+            if((b.left !== undefined && x < b.left) || (b.right !== undefined && x > b.right) || (b.top !== undefined && y < b.top) || (b.bottom !== undefined && y > b.bottom)) {
+                return false;
+            }
+        }
+        return true;
+    },
+    /**
+     * transform the nodes so that they fit a new box.  The nodes are
+     *  transformed by the transform that maps the old box onto the new box
+     * @param {Object} box
+     */
+    _applyBox: function(box) {
+        var old = this.box;
+        var d = new Kinetic.Transform();
+        d.translate(box.x, box.y);
+        d.rotate(box.rotation);
+        d.scale(old.width > 0 ? box.width / old.width : 1, old.height > 0 ? box.height / old.height : 1);
+        d.rotate(-1 * old.rotation);
+        d.translate(-1 * old.x, -1 * old.y);
+
+        // convert the transform from the parent space into stage space
+        var p = this.parent._getDrawTransform();
+        var ip = this.parent._getDrawTransform();
+        ip.invert();
+        p.multiply(d);
+        p.multiply(ip);
+
+        for(var n = 0; n < this.nodes.length; n++) {
+            var node = this.nodes[n];
+            var t = this._copyTransform(p);
+            t.multiply(node._getDrawTransform());
+            this._setNodeTransform(node, t);
+        }
+
+        this.box = box;
+    },
+    /**
+     * set the position, rotation, and scale of a node so that it's
+     *  drawn with a transform.  The center offset of the node is kept
+     * @param {Node} node
+     * @param {Kinetic.Transform} t absolute transform
+     */
+    _setNodeTransform: function(node, t) {
+        var l = node.parent._getDrawTransform();
+        l.invert();
+        l.multiply(t);
+
+        var m = l.getMatrix();
+        var c = node.attrs.centerOffset;
+        var sx = Math.sqrt(m[0] * m[0] + m[1] * m[1]);
+
+        node.setAttrs({
+            x: m[0] * c.x + m[2] * c.y + m[4],
+            y: m[1] * c.x + m[3] * c.y + m[5],
+            rotation: Math.atan2(m[1], m[0]),
+            scale: {
+                x: sx,
+                y: (m[0] * m[3] - m[1] * m[2]) / sx
+            }
         });
     },
-    stopEnterFrame: function() {
-        this.isPlaying = false;
+    /**
+     * move the center offset of a node to the center of its rect
+     *  without moving the node
+     * @param {Node} node
+     */
+    _centerNode: function(node) {
+        var rect = node.getClientRect({
+            skipTransform: true,
+            skipShadow: true
+        });
+        var c = node.attrs.centerOffset;
+        var cx = rect.x + rect.width / 2;
+        var cy = rect.y + rect.height / 2;
+
+        var t = node.getTransform();
+        t.translate(cx - c.x, cy - c.y);
+        var pos = t.getTranslation();
+
+        node.setAttrs({
+            x: pos.x,
+            y: pos.y,
+            centerOffset: {
+                x: cx,
+                y: cy
+            }
+        });
     },
-    continueTo: function(finish, duration) {
-        this.begin = this._pos;
-        this.setFinish(finish);
-        if(this._duration !== undefined) {
-            this.setDuration(duration);
+    /**
+     * copy a transform
+     * @param {Kinetic.Transform} t
+     */
+    _copyTransform: function(t) {
+        var copy = new Kinetic.Transform();
+        copy.m = t.getMatrix().slice(0);
+        return copy;
+    },
+    /**
+     * position the transformer, the border, and the anchors to match the
+     *  box.  The transformer is positioned and rotated so that the border
+     *  and anchors are in the coordinate space of the box
+     */
+    _layout: function() {
+        var box = this.box;
+        var a = this.attrs;
+        var visible = box !== undefined;
+        var width = visible ? box.width : 0;
+        var height = visible ? box.height : 0;
+
+        if(visible) {
+            this._setAttr('x', box.x);
+            this._setAttr('y', box.y);
+            this._setAttr('rotation', box.rotation);
+        }
+
+        this.border.attrs.visible = visible;
+        this.border.attrs.width = width;
+        this.border.attrs.height = height;
+
+        var positions = {
+            'top-left': [0, 0],
+            'top-center': [width / 2, 0],
+            'top-right': [width, 0],
+            'middle-right': [width, height / 2],
+            'bottom-right': [width, height],
+            'bottom-center': [width / 2, height],
+            'bottom-left': [0, height],
+            'middle-left': [0, height / 2],
+            'rotater': [width / 2, -1 * a.rotateAnchorOffset]
+        };
+        for(var name in positions) {
+            var anchor = this.anchors[name];
+            var enabled = name === 'rotater' ? a.rotateEnabled : a.resizeEnabled;
+            anchor.attrs.visible = visible && enabled;
+            anchor.attrs.x = positions[name][0];
+            anchor.attrs.y = positions[name][1];
+        }
+
+        this._setDirty();
+    }
+};
+// extend Group
+Kinetic.GlobalObject.extend(Kinetic.Transformer, Kinetic.Group);
+
+///////////////////////////////////////////////////////////////////////
+//  History
+///////////////////////////////////////////////////////////////////////
+/**
+ * History constructor.  Histories record the changes made to the nodes on
+ *  a stage so that they can be undone and redone.  Attr changes made with
+ *  setAttrs and the setters are recorded, along with nodes that are added,
+ *  removed, moved to other containers, or reordered.  Drags and transitions
+ *  are recorded by their end results.  Changes are grouped into
+ *  transactions, which are undone and redone together.  Each drag gesture
+ *  is a transaction, and begin and end group other changes.  Transformers
+ *  aren't part of the scene, so their changes aren't recorded.  Destroyed
+ *  nodes can't be restored, so the changes that refer to them are
+ *  forgotten.  Histories fire a change event whenever a transaction is
+ *  recorded, undone, redone, or forgotten
+ * ex:
+ * var history = new Kinetic.History(stage, {limit: 50});<br>
+ * history.begin('align');<br>
+ * rect.setX(0);<br>
+ * circle.setX(0);<br>
+ * history.end();<br>
+ * history.undo();
+ * @constructor
+ * @param {Stage} stage
+ * @param {Object} [config]
+ * @config {Number} [limit] maximum number of transactions that can be
+ *  undone.  The default is 100
+ */
+Kinetic.History = function(stage, config) {
+    this.stage = stage;
+    this.limit = config !== undefined && config.limit !== undefined ? config.limit : 100;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transaction = undefined;
+    this.depth = 0;
+    this.applying = false;
+    this.eventListeners = {};
+
+    stage.history = this;
+};
+/*
+ * History methods
+ */
+Kinetic.History.prototype = {
+    /**
+     * bind events to the history.  Histories fire change events, which
+     *  hold the action, which is 'record', 'undo', 'redo', 'clear', or
+     *  'forget', and the transaction.  Pass in a string of event types delimmited by a
+     *  space to bind multiple events at once
+     * @param {String} typesStr
+     * @param {Function} handler
+     */
+    on: function(typesStr, handler) {
+        var types = typesStr.split(' ');
+        for(var n = 0; n < types.length; n++) {
+            var type = types[n];
+            if(this.eventListeners[type] === undefined) {
+                this.eventListeners[type] = [];
+            }
+            this.eventListeners[type].push(handler);
         }
-        this.start();
     },
-    resume: function() {
-        this.fixTime();
-        this.startEnterFrame();
-        this.broadcastMessage('onResumed', {
-            target: this,
-            type: 'onResumed'
+    /**
+     * remove event bindings from the history
+     * @param {String} typesStr
+     */
+    off: function(typesStr) {
+        var types = typesStr.split(' ');
+        for(var n = 0; n < types.length; n++) {
+            delete this.eventListeners[types[n]];
+        }
+    },
+    /**
+     * begin a transaction.  Changes are grouped until end is called.
+     *  Transactions can be nested, in which case the changes are grouped
+     *  into the outermost transaction
+     * @param {String} [label] describes the transaction, such as 'drag'
+     */
+    begin: function(label) {
+        if(this.depth === 0) {
+            this.transaction = {
+                label: label,
+                changes: []
+            };
+        }
+        this.depth++;
+    },
+    /**
+     * end a transaction.  The transaction is recorded once the
+     *  outermost transaction ends
+     */
+    end: function() {
+        if(this.depth === 0) {
+            return;
+        }
+        this.depth--;
+        if(this.depth === 0) {
+            var transaction = this.transaction;
+            this.transaction = undefined;
+            this._push(transaction);
+        }
+    },
+    /**
+     * undo the last transaction.  Open transactions are ended first.
+     *  Returns false if there is nothing to undo
+     */
+    undo: function() {
+        this._endAll();
+        // nodes can be destroyed after they're removed from the stage
+        this._forgetDestroyed();
+        if(!this.canUndo()) {
+            return false;
+        }
+        var transaction = this.undoStack.pop();
+        this._apply(transaction, true);
+        this.redoStack.push(transaction);
+        this._fire('undo', transaction);
+        return true;
+    },
+    /**
+     * redo the last transaction that was undone.  Returns false if
+     *  there is nothing to redo
+     */
+    redo: function() {
+        this._endAll();
+        this._forgetDestroyed();
+        if(!this.canRedo()) {
+            return false;
+        }
+        var transaction = this.redoStack.pop();
+        this._apply(transaction, false);
+        this.undoStack.push(transaction);
+        this._fire('redo', transaction);
+        return true;
+    },
+    /**
+     * determine if there is a transaction to undo
+     */
+    canUndo: function() {
+        return this.undoStack.length > 0;
+    },
+    /**
+     * determine if there is a transaction to redo
+     */
+    canRedo: function() {
+        return this.redoStack.length > 0;
+    },
+    /**
+     * forget every recorded transaction
+     */
+    clear: function() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.transaction = undefined;
+        this.depth = 0;
+        this._fire('clear', undefined);
+    },
+    /**
+     * set the maximum number of transactions that can be undone.  The
+     *  oldest transactions are forgotten first
+     * @param {Number} limit
+     */
+    setLimit: function(limit) {
+        this.limit = limit;
+        this._trim();
+    },
+    /**
+     * get the maximum number of transactions that can be undone
+     */
+    getLimit: function() {
+        return this.limit;
+    },
+    /**
+     * record a change.  Changes are added to the open transaction,
+     *  or recorded as a transaction of their own
+     * @param {Object} change
+     */
+    _record: function(change) {
+        if(this.applying || this._isIgnored(change.node)) {
+            return;
+        }
+        if(this.transaction !== undefined) {
+            this.transaction.changes.push(change);
+        }
+        else {
+            this._push({
+                label: undefined,
+                changes: [change]
+            });
+        }
+    },
+    /**
+     * record an attr change.  Changes to an attr that was already
+     *  changed in the open transaction are merged, so that a transaction
+     *  such as a drag gesture only holds the end result
+     * @param {Node} node
+     * @param {String} attr
+     * @param {*} oldVal
+     * @param {*} newVal
+     */
+    _recordAttr: function(node, attr, oldVal, newVal) {
+        var go = Kinetic.GlobalObject;
+        if(this.applying || this._isIgnored(node)) {
+            return;
+        }
+
+        if(this.transaction !== undefined) {
+            var changes = this.transaction.changes;
+            for(var n = changes.length - 1; n >= 0; n--) {
+                var change = changes[n];
+                if(change.node === node) {
+                    if(change.type === 'attr' && change.attr === attr) {
+                        change.newVal = go._clone(newVal);
+                        return;
+                    }
+                    // attrs changed before the node was added, removed, or moved aren't merged
+                    if(change.type !== 'attr') {
+                        break;
+                    }
+                }
+            }
+        }
+
+        this._record({
+            type: 'attr',
+            node: node,
+            attr: attr,
+            oldVal: go._clone(oldVal),
+            newVal: go._clone(newVal)
         });
     },
-    yoyo: function() {
-        this.continueTo(this.begin, this._time);
+    /**
+     * record the changes from a set of old attrs to the current attrs
+     *  of a node as one transaction
+     * @param {Node} node
+     * @param {Object} oldAttrs
+     * @param {String} [label]
+     */
+    _recordAttrs: function(node, oldAttrs, label) {
+        this.begin(label);
+        for(var key in oldAttrs) {
+            this._recordAttr(node, key, oldAttrs[key], node.attrs[key]);
+        }
+        this.end();
     },
-    addListener: function(o) {
-        this.removeListener(o);
-        return this._listeners.push(o);
+    /**
+     * add a transaction to the undo stack.  Attr changes that were
+     *  changed back are left out, and empty transactions aren't added
+     * @param {Object} transaction
+     */
+    _push: function(transaction) {
+        var go = Kinetic.GlobalObject;
+        var changes = [];
+        for(var n = 0; n < transaction.changes.length; n++) {
+            var change = transaction.changes[n];
+            if(change.type !== 'attr' || !go._isEqual(change.oldVal, change.newVal)) {
+                changes.push(change);
+            }
+        }
+        if(changes.length === 0) {
+            return;
+        }
+
+        transaction.changes = changes;
+        this.undoStack.push(transaction);
+        this.redoStack = [];
+        this._trim();
+        this._fire('record', transaction);
     },
-    removeListener: function(o) {
-        var a = this._listeners;
-        var i = a.length;
-        while(i--) {
-            if(a[i] == o) {
-                a.splice(i, 1);
-                return true;
+    /**
+     * forget the changes that refer to destroyed nodes, such as changes to
+     *  their attrs or changes that added nodes to them.  Transactions that
+     *  are left without changes are forgotten too
+     */
+    _forgetDestroyed: function() {
+        var undoLength = this.undoStack.length;
+        var redoLength = this.redoStack.length;
+        this.undoStack = this._filterDestroyed(this.undoStack);
+        this.redoStack = this._filterDestroyed(this.redoStack);
+        if(this.transaction !== undefined) {
+            this.transaction.changes = this._getLiveChanges(this.transaction.changes);
+        }
+        if(this.undoStack.length !== undoLength || this.redoStack.length !== redoLength) {
+            this._fire('forget', undefined);
+        }
+    },
+    /**
+     * remove the changes that refer to destroyed nodes from a stack of
+     *  transactions, and drop the transactions that are left empty
+     * @param {Array} stack
+     */
+    _filterDestroyed: function(stack) {
+        var transactions = [];
+        for(var n = 0; n < stack.length; n++) {
+            var transaction = stack[n];
+            transaction.changes = this._getLiveChanges(transaction.changes);
+            if(transaction.changes.length > 0) {
+                transactions.push(transaction);
+            }
+        }
+        return transactions;
+    },
+    /**
+     * get the changes that don't refer to destroyed nodes
+     * @param {Array} changes
+     */
+    _getLiveChanges: function(changes) {
+        var keys = Kinetic.History.nodeKeys;
+        var live = [];
+        for(var n = 0; n < changes.length; n++) {
+            var change = changes[n];
+            var destroyed = false;
+            for(var i = 0; i < keys.length; i++) {
+                var node = change[keys[i]];
+                if(node !== undefined && node.destroyed === true) {
+                    destroyed = true;
+                }
+            }
+            if(!destroyed) {
+                live.push(change);
+            }
+        }
+        return live;
+    },
+    /**
+     * end open transactions
+     */
+    _endAll: function() {
+        while(this.depth > 0) {
+            this.end();
+        }
+    },
+    /**
+     * forget the oldest transactions that are over the limit
+     */
+    _trim: function() {
+        while(this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+    },
+    /**
+     * undo or redo the changes of a transaction and draw the layers
+     *  that changed.  Changes made while applying a transaction aren't
+     *  recorded
+     * @param {Object} transaction
+     * @param {Boolean} undo
+     */
+    _apply: function(transaction, undo) {
+        var changes = transaction.changes;
+        this.applying = true;
+        try {
+            if(undo) {
+                for(var n = changes.length - 1; n >= 0; n--) {
+                    this._applyChange(changes[n], true);
+                }
+            }
+            else {
+                for(var n = 0; n < changes.length; n++) {
+                    this._applyChange(changes[n], false);
+                }
+            }
+        }
+        finally {
+            this.applying = false;
+        }
+        this._drawChanged(changes);
+    },
+    /**
+     * draw the layers that hold the changed nodes right away, rather
+     *  than after the layer throttle, so that their hit graphs are up
+     *  to date for the next event
+     * @param {Array} changes
+     */
+    _drawChanged: function(changes) {
+        var stage = this.stage;
+        var keys = Kinetic.History.nodeKeys;
+        var layers = {};
+        for(var n = 0; n < changes.length; n++) {
+            for(var i = 0; i < keys.length; i++) {
+                var node = changes[n][keys[i]];
+                if(node !== undefined && node.getStage() === stage) {
+                    var nodeLayers = node.nodeType === 'Stage' ? stage.getChildren() : [node.getLayer()];
+                    for(var j = 0; j < nodeLayers.length; j++) {
+                        layers[nodeLayers[j]._id] = nodeLayers[j];
+                    }
+                }
+            }
+        }
+        for(var id in layers) {
+            layers[id]._draw();
+        }
+    },
+    /**
+     * undo or redo a change
+     * @param {Object} change
+     * @param {Boolean} undo
+     */
+    _applyChange: function(change, undo) {
+        var node = change.node;
+        switch(change.type) {
+            case 'attr':
+                var val = Kinetic.GlobalObject._clone(undo ? change.oldVal : change.newVal);
+                if(change.attr === 'draggable') {
+                    node.draggable(val);
+                }
+                else {
+                    node._setAttr(change.attr, val);
+                }
+                break;
+            case 'add':
+                if(undo) {
+                    this._detach(node, change.parent);
+                }
+                else {
+                    this._attach(node, change.parent, change.index);
+                }
+                break;
+            case 'remove':
+                if(undo) {
+                    this._attach(node, change.parent, change.index);
+                }
+                else {
+                    this._detach(node, change.parent);
+                }
+                break;
+            case 'move':
+                node.moveTo(undo ? change.oldParent : change.newParent);
+                node.setZIndex(undo ? change.oldIndex : change.newIndex);
+                break;
+            case 'order':
+                node.setZIndex(undo ? change.oldIndex : change.newIndex);
+                break;
+        }
+    },
+    /**
+     * add a node to a container at an index
+     * @param {Node} node
+     * @param {Container} parent
+     * @param {Number} index
+     */
+    _attach: function(node, parent, index) {
+        parent.add(node);
+        if(node.index !== index) {
+            node.setZIndex(index);
+        }
+    },
+    /**
+     * remove a node from a container if it's still in the container
+     * @param {Node} node
+     * @param {Container} parent
+     */
+    _detach: function(node, parent) {
+        if(parent.children[node.index] === node) {
+            parent.remove(node);
+        }
+    },
+    /**
+     * determine if changes to a node aren't recorded.  Nodes that
+     *  aren't part of the scene, such as transformers, and nodes that
+     *  are being destroyed are ignored
+     * @param {Node} node
+     */
+    _isIgnored: function(node) {
+        return node.destroyed === true || !node._isSceneNode();
+    },
+    /**
+     * fire a change event
+     * @param {String} action
+     * @param {Object} transaction
+     */
+    _fire: function(action, transaction) {
+        var listeners = this.eventListeners.change;
+        if(listeners === undefined) {
+            return;
+        }
+        var evt = {
+            type: 'change',
+            action: action,
+            transaction: transaction,
+            history: this
+        };
+        // copy the listeners in case a handler removes them
+        listeners = listeners.slice(0);
+        for(var n = 0; n < listeners.length; n++) {
+            listeners[n].call(this, evt);
+        }
+    }
+};
+/**
+ * change properties that hold nodes
+ */
+Kinetic.History.nodeKeys = ['node', 'parent', 'oldParent', 'newParent'];
+
+/*
+* Last updated November 2011
+* By Simon Sarris
+* www.simonsarris.com
+* sarris@acm.org
+*
+* Free to use and distribute at will
+* So long as you are nice to people, etc
+*/
+
+/*
+* The usage of this class was inspired by some of the work done by a forked
+* project, KineticJS-Ext by Wappworks, which is based on Simon's Transform
+* class.
+*/
+
+/**
+ * Matrix object
+ */
+Kinetic.Transform = function() {
+    this.m = [1, 0, 0, 1, 0, 0];
+}
+
+Kinetic.Transform.prototype = {
+    /**
+     * Apply translation
+     * @param {Number} x
+     * @param {Number} y
+     */
+    translate: function(x, y) {
+        this.m[4] += this.m[0] * x + this.m[2] * y;
+        this.m[5] += this.m[1] * x + this.m[3] * y;
+    },
+    /**
+     * Apply scale
+     * @param {Number} sx
+     * @param {Number} sy
+     */
+    scale: function(sx, sy) {
+        this.m[0] *= sx;
+        this.m[1] *= sx;
+        this.m[2] *= sy;
+        this.m[3] *= sy;
+    },
+    /**
+     * Apply rotation
+     * @param {Number} rad  Angle in radians
+     */
+    rotate: function(rad) {
+        var c = Math.cos(rad);
+        var s = Math.sin(rad);
+        var m11 = this.m[0] * c + this.m[2] * s;
+        var m12 = this.m[1] * c + this.m[3] * s;
+        var m21 = this.m[0] * -s + this.m[2] * c;
+        var m22 = this.m[1] * -s + this.m[3] * c;
+        this.m[0] = m11;
+        this.m[1] = m12;
+        this.m[2] = m21;
+        this.m[3] = m22;
+    },
+    /**
+     * Returns the translation
+     * @returns {Object} 2D point(x, y)
+     */
+    getTranslation: function() {
+        return {
+            x: this.m[4],
+            y: this.m[5]
+        };
+    },
+    /**
+     * Transform multiplication
+     * @param {Kinetic.Transform} matrix
+     */
+    multiply: function(matrix) {
+        var m11 = this.m[0] * matrix.m[0] + this.m[2] * matrix.m[1];
+        var m12 = this.m[1] * matrix.m[0] + this.m[3] * matrix.m[1];
+
+        var m21 = this.m[0] * matrix.m[2] + this.m[2] * matrix.m[3];
+        var m22 = this.m[1] * matrix.m[2] + this.m[3] * matrix.m[3];
+
+        var dx = this.m[0] * matrix.m[4] + this.m[2] * matrix.m[5] + this.m[4];
+        var dy = this.m[1] * matrix.m[4] + this.m[3] * matrix.m[5] + this.m[5];
+
+        this.m[0] = m11;
+        this.m[1] = m12;
+        this.m[2] = m21;
+        this.m[3] = m22;
+        this.m[4] = dx;
+        this.m[5] = dy;
+    },
+    /**
+     * Invert the matrix
+     */
+    invert: function() {
+        var d = 1 / (this.m[0] * this.m[3] - this.m[1] * this.m[2]);
+        var m0 = this.m[3] * d;
+        var m1 = -this.m[1] * d;
+        var m2 = -this.m[2] * d;
+        var m3 = this.m[0] * d;
+        var m4 = d * (this.m[2] * this.m[5] - this.m[3] * this.m[4]);
+        var m5 = d * (this.m[1] * this.m[4] - this.m[0] * this.m[5]);
+        this.m[0] = m0;
+        this.m[1] = m1;
+        this.m[2] = m2;
+        this.m[3] = m3;
+        this.m[4] = m4;
+        this.m[5] = m5;
+    },
+    /**
+     * return matrix
+     */
+    getMatrix: function() {
+        return this.m;
+    }
+};
+
+/*
+* The Tween class was ported from an Adobe Flash Tween library
+* to JavaScript by Xaric.  In the context of KineticJS, a Tween is
+* an animation of a single Node property.  A Transition is a set of
+* multiple tweens
+*/
+
+/**
+ * Transition constructor used by KineticJS.  The transitionTo() Node method
+ *  returns a reference to the transition object which you can use
+ *  to stop, resume, or restart the transition
+ * @constructor
+ */
+Kinetic.Transition = function(node, config) {
+    this.node = node;
+    this.config = config;
+    this.tweens = [];
+    var that = this;
+
+    /*
+     * add tween for each property.  attr is the top level attr
+     * that the property belongs to, such as scale for scale.x
+     */
+    function addTween(c, attrs, attr) {
+        for(var key in c) {
+            if(key !== 'duration' && key !== 'easing' && key !== 'callback') {
+                // if val is an object then traverse
+                if(Kinetic.GlobalObject._isObject(c[key])) {
+                    addTween(c[key], attrs[key], attr === undefined ? key : attr);
+                }
+                else {
+                    that._add(that._getTween(attrs, key, c[key], attr === undefined ? key : attr));
+                }
+            }
+        }
+    }
+    addTween(config, node.attrs);
+
+    var finishedTweens = 0;
+    for(var n = 0; n < this.tweens.length; n++) {
+        var tween = this.tweens[n];
+        tween.onFinished = function() {
+            finishedTweens++;
+            if(finishedTweens >= that.tweens.length) {
+                that.onFinished();
+            }
+        };
+    }
+};
+/*
+ * Transition methods
+ */
+Kinetic.Transition.prototype = {
+    /**
+     * start transition
+     */
+    start: function() {
+        for(var n = 0; n < this.tweens.length; n++) {
+            this.tweens[n].start();
+        }
+    },
+    /**
+     * stop transition
+     */
+    stop: function() {
+        for(var n = 0; n < this.tweens.length; n++) {
+            this.tweens[n].stop();
+        }
+    },
+    /**
+     * resume transition
+     */
+    resume: function() {
+        for(var n = 0; n < this.tweens.length; n++) {
+            this.tweens[n].resume();
+        }
+    },
+    _onEnterFrame: function() {
+        for(var n = 0; n < this.tweens.length; n++) {
+            this.tweens[n].onEnterFrame();
+        }
+    },
+    _add: function(tween) {
+        this.tweens.push(tween);
+    },
+    _getTween: function(key, prop, val, attr) {
+        var go = Kinetic.GlobalObject;
+        var config = this.config;
+        var node = this.node;
+        var easing = config.easing;
+        if(easing === undefined) {
+            easing = 'linear';
+        }
+
+        var tween = new Kinetic.Tween(node, function(i) {
+            var oldVal = go._clone(node.attrs[attr]);
+            key[prop] = i;
+            if(!go._isEqual(oldVal, node.attrs[attr])) {
+                // the history records the end result of the transition instead
+                node._fireChangeEvent(attr, oldVal, node.attrs[attr], false);
+            }
+        }, Kinetic.Tweens[easing], key[prop], val, config.duration);
+
+        return tween;
+    }
+};
+
+/**
+ * Tween constructor
+ */
+Kinetic.Tween = function(obj, propFunc, func, begin, finish, duration) {
+    this._listeners = [];
+    this.addListener(this);
+    this.obj = obj;
+    this.propFunc = propFunc;
+    this.begin = begin;
+    this._pos = begin;
+    this.setDuration(duration);
+    this.isPlaying = false;
+    this._change = 0;
+    this.prevTime = 0;
+    this.prevPos = 0;
+    this.looping = false;
+    this._time = 0;
+    this._position = 0;
+    this._startTime = 0;
+    this._finish = 0;
+    this.name = '';
+    this.func = func;
+    this.setFinish(finish);
+};
+/*
+ * Tween methods
+ */
+Kinetic.Tween.prototype = {
+    setTime: function(t) {
+        this.prevTime = this._time;
+        if(t > this.getDuration()) {
+            if(this.looping) {
+                this.rewind(t - this._duration);
+                this.update();
+                this.broadcastMessage('onLooped', {
+                    target: this,
+                    type: 'onLooped'
+                });
+            }
+            else {
+                this._time = this._duration;
+                this.update();
+                this.stop();
+                this.broadcastMessage('onFinished', {
+                    target: this,
+                    type: 'onFinished'
+                });
+            }
+        }
+        else if(t < 0) {
+            this.rewind();
+            this.update();
+        }
+        else {
+            this._time = t;
+            this.update();
+        }
+    },
+    getTime: function() {
+        return this._time;
+    },
+    setDuration: function(d) {
+        this._duration = (d === null || d <= 0) ? 100000 : d;
+    },
+    getDuration: function() {
+        return this._duration;
+    },
+    setPosition: function(p) {
+        this.prevPos = this._pos;
+        //var a = this.suffixe != '' ? this.suffixe : '';
+        this.propFunc(p);
+        //+ a;
+        //this.obj(Math.round(p));
+        this._pos = p;
+        this.broadcastMessage('onChanged', {
+            target: this,
+            type: 'onChanged'
+        });
+    },
+    getPosition: function(t) {
+        if(t === undefined) {
+            t = this._time;
+        }
+        return this.func(t, this.begin, this._change, this._duration);
+    },
+    setFinish: function(f) {
+        this._change = f - this.begin;
+    },
+    getFinish: function() {
+        return this.begin + this._change;
+    },
+    start: function() {
+        this.rewind();
+        this.startEnterFrame();
+        this.broadcastMessage('onStarted', {
+            target: this,
+            type: 'onStarted'
+        });
+    },
+    rewind: function(t) {
+        this.stop();
+        this._time = (t === undefined) ? 0 : t;
+        this.fixTime();
+        this.update();
+    },
+    fforward: function() {
+        this._time = this._duration;
+        this.fixTime();
+        this.update();
+    },
+    update: function() {
+        this.setPosition(this.getPosition(this._time));
+    },
+    startEnterFrame: function() {
+        this.stopEnterFrame();
+        this.isPlaying = true;
+        this.onEnterFrame();
+    },
+    onEnterFrame: function() {
+        if(this.isPlaying) {
+            this.nextFrame();
+        }
+    },
+    nextFrame: function() {
+        this.setTime((this.getTimer() - this._startTime) / 1000);
+    },
+    stop: function() {
+        this.stopEnterFrame();
+        this.broadcastMessage('onStopped', {
+            target: this,
+            type: 'onStopped'
+        });
+    },
+    stopEnterFrame: function() {
+        this.isPlaying = false;
+    },
+    continueTo: function(finish, duration) {
+        this.begin = this._pos;
+        this.setFinish(finish);
+        if(this._duration !== undefined) {
+            this.setDuration(duration);
+        }
+        this.start();
+    },
+    resume: function() {
+        this.fixTime();
+        this.startEnterFrame();
+        this.broadcastMessage('onResumed', {
+            target: this,
+            type: 'onResumed'
+        });
+    },
+    yoyo: function() {
+        this.continueTo(this.begin, this._time);
+    },
+    addListener: function(o) {
+        this.removeListener(o);
+        return this._listeners.push(o);
+    },
+    removeListener: function(o) {
+        var a = this._listeners;
+        var i = a.length;
+        while(i--) {
+            if(a[i] == o) {
+                a.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    },
+    broadcastMessage: function() {
+        var arr = [];
+        for(var i = 0; i < arguments.length; i++) {
+            arr.push(arguments[i]);
+        }
+        var e = arr.shift();
+        var a = this._listeners;
+        var l = a.length;
+        for(var i = 0; i < l; i++) {
+            if(a[i][e]) {
+                a[i][e].apply(a[i], arr);
+            }
+        }
+    },
+    fixTime: function() {
+        this._startTime = this.getTimer() - this._time * 1000;
+    },
+    getTimer: function() {
+        return new Date().getTime() - this._time;
+    }
+};
+
+Kinetic.Tweens = {
+    'back-ease-in': function(t, b, c, d, a, p) {
+        var s = 1.70158;
+        return c * (t /= d) * t * ((s + 1) * t - s) + b;
+    },
+    'back-ease-out': function(t, b, c, d, a, p) {
+        var s = 1.70158;
+        return c * (( t = t / d - 1) * t * ((s + 1) * t + s) + 1) + b;
+    },
+    'back-ease-in-out': function(t, b, c, d, a, p) {
+        var s = 1.70158;
+        if((t /= d / 2) < 1) {
+            return c / 2 * (t * t * (((s *= (1.525)) + 1) * t - s)) + b;
+        }
+        return c / 2 * ((t -= 2) * t * (((s *= (1.525)) + 1) * t + s) + 2) + b;
+    },
+    'elastic-ease-in': function(t, b, c, d, a, p) {
+        // added s = 0
+        var s = 0;
+        if(t === 0) {
+            return b;
+        }
+        if((t /= d) == 1) {
+            return b + c;
+        }
+        if(!p) {
+            p = d * 0.3;
+        }
+        if(!a || a < Math.abs(c)) {
+            a = c;
+            s = p / 4;
+        }
+        else {
+            s = p / (2 * Math.PI) * Math.asin(c / a);
+        }
+        return -(a * Math.pow(2, 10 * (t -= 1)) * Math.sin((t * d - s) * (2 * Math.PI) / p)) + b;
+    },
+    'elastic-ease-out': function(t, b, c, d, a, p) {
+        // added s = 0
+        var s = 0;
+        if(t === 0) {
+            return b;
+        }
+        if((t /= d) == 1) {
+            return b + c;
+        }
+        if(!p) {
+            p = d * 0.3;
+        }
+        if(!a || a < Math.abs(c)) {
+            a = c;
+            s = p / 4;
+        }
+        else {
+            s = p / (2 * Math.PI) * Math.asin(c / a);
+        }
+        return (a * Math.pow(2, -10 * t) * Math.sin((t * d - s) * (2 * Math.PI) / p) + c + b);
+    },
+    'elastic-ease-in-out': function(t, b, c, d, a, p) {
+        // added s = 0
+        var s = 0;
+        if(t === 0) {
+            return b;
+        }
+        if((t /= d / 2) == 2) {
+            return b + c;
+        }
+        if(!p) {
+            p = d * (0.3 * 1.5);
+        }
+        if(!a || a < Math.abs(c)) {
+            a = c;
+            s = p / 4;
+        }
+        else {
+            s = p / (2 * Math.PI) * Math.asin(c / a);
+        }
+        if(t < 1) {
+            return -0.5 * (a * Math.pow(2, 10 * (t -= 1)) * Math.sin((t * d - s) * (2 * Math.PI) / p)) + b;
+        }
+        return a * Math.pow(2, -10 * (t -= 1)) * Math.sin((t * d - s) * (2 * Math.PI) / p) * 0.5 + c + b;
+    },
+    'bounce-ease-out': function(t, b, c, d) {
+        if((t /= d) < (1 / 2.75)) {
+            return c * (7.5625 * t * t) + b;
+        }
+        else if(t < (2 / 2.75)) {
+            return c * (7.5625 * (t -= (1.5 / 2.75)) * t + 0.75) + b;
+        }
+        else if(t < (2.5 / 2.75)) {
+            return c * (7.5625 * (t -= (2.25 / 2.75)) * t + 0.9375) + b;
+        }
+        else {
+            return c * (7.5625 * (t -= (2.625 / 2.75)) * t + 0.984375) + b;
+        }
+    },
+    'bounce-ease-in': function(t, b, c, d) {
+        return c - Kinetic.Tweens['bounce-ease-out'](d - t, 0, c, d) + b;
+    },
+    'bounce-ease-in-out': function(t, b, c, d) {
+        if(t < d / 2) {
+            return Kinetic.Tweens['bounce-ease-in'](t * 2, 0, c, d) * 0.5 + b;
+        }
+        else {
+            return Kinetic.Tweens['bounce-ease-out'](t * 2 - d, 0, c, d) * 0.5 + c * 0.5 + b;
+        }
+    },
+    // duplicate
+    /*
+     strongEaseInOut: function(t, b, c, d) {
+     return c * (t /= d) * t * t * t * t + b;
+     },
+     */
+    'ease-in': function(t, b, c, d) {
+        return c * (t /= d) * t + b;
+    },
+    'ease-out': function(t, b, c, d) {
+        return -c * (t /= d) * (t - 2) + b;
+    },
+    'ease-in-out': function(t, b, c, d) {
+        if((t /= d / 2) < 1) {
+            return c / 2 * t * t + b;
+        }
+        return -c / 2 * ((--t) * (t - 2) - 1) + b;
+    },
+    'strong-ease-in': function(t, b, c, d) {
+        return c * (t /= d) * t * t * t * t + b;
+    },
+    'strong-ease-out': function(t, b, c, d) {
+        return c * (( t = t / d - 1) * t * t * t * t + 1) + b;
+    },
+    'strong-ease-in-out': function(t, b, c, d) {
+        if((t /= d / 2) < 1) {
+            return c / 2 * t * t * t * t * t + b;
+        }
+        return c / 2 * ((t -= 2) * t * t * t * t + 2) + b;
+    },
+    'linear': function(t, b, c, d) {
+        return c * t / d + b;
+    }
+};
+
+///////////////////////////////////////////////////////////////////////
+//  SVG
+///////////////////////////////////////////////////////////////////////
+/**
+ * SVG constructor.&nbsp; Builds an SVG document from a node tree.  The
+ *  toSVG() Node method uses this class, so you usually don't need to
+ *  create one yourself
+ * @constructor
+ */
+Kinetic.SVG = function() {
+    this.defs = [];
+    this.idCounter = 0;
+};
+/*
+ * SVG methods
+ */
+Kinetic.SVG.prototype = {
+    /**
+     * get SVG document string for a node and its descendants.  The
+     *  transforms of the ancestors of the node are also applied so that
+     *  the node is positioned the same way as it is on the stage
+     * @param {Node} node
+     */
+    getDocument: function(node) {
+        var content = this.getNodeMarkup(node);
+        var parent = node.getParent();
+
+        if(parent !== undefined) {
+            var t = new Kinetic.Transform();
+            var family = [];
+            while(parent) {
+                family.unshift(parent);
+                parent = parent.getParent();
+            }
+            for(var n = 0; n < family.length; n++) {
+                t.multiply(this._getNodeTransform(family[n]));
+            }
+
+            var transform = this.getMatrix(t);
+            if(transform !== undefined) {
+                content = this.element('g', {
+                    transform: transform
+                }, content);
+            }
+        }
+
+        var stage = node.getStage();
+        var attrs = {
+            xmlns: 'http://www.w3.org/2000/svg',
+            'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+            version: '1.1'
+        };
+
+        if(stage !== undefined) {
+            attrs.width = stage.attrs.width;
+            attrs.height = stage.attrs.height;
+        }
+
+        var defs = this.defs.length > 0 ? this.element('defs', {}, this.defs.join('')) : '';
+        return this.element('svg', attrs, defs + content);
+    },
+    /**
+     * get SVG markup for a node.  Nodes are converted into SVG
+     *  groups that hold the node transform and alpha.  Hidden nodes
+     *  are skipped because they aren't drawn either
+     * @param {Node} node
+     */
+    getNodeMarkup: function(node) {
+        if(!node.attrs.visible) {
+            return '';
+        }
+
+        var content = '';
+        if(node.nodeType === 'Shape') {
+            content = node._toSVG(this);
+        }
+        else {
+            var children = node.getChildren();
+            for(var n = 0; n < children.length; n++) {
+                content += this.getNodeMarkup(children[n]);
+            }
+        }
+
+        return this.element('g', {
+            id: node.attrs.id,
+            'class': node.attrs.name,
+            transform: this.getMatrix(this._getNodeTransform(node)),
+            opacity: node.attrs.alpha !== 1 ? node.attrs.alpha : undefined
+        }, content);
+    },
+    /**
+     * build an SVG element.  Undefined attrs are left out.  If content is
+     *  undefined, an empty element is created
+     * @param {String} tag
+     * @param {Object} attrs
+     * @param {String} [content]
+     */
+    element: function(tag, attrs, content) {
+        var str = '<' + tag;
+        for(var key in attrs) {
+            var val = attrs[key];
+            if(val !== undefined) {
+                if(Kinetic.GlobalObject._isNumber(val)) {
+                    val = this.number(val);
+                }
+                str += ' ' + key + '="' + this.escape(String(val)) + '"';
+            }
+        }
+
+        if(content === undefined || content === '') {
+            return str + '/>';
+        }
+        return str + '>' + content + '</' + tag + '>';
+    },
+    /**
+     * get the fill, stroke, line join, and shadow attrs of a shape
+     *  using the same defaults as the Shape fill() and stroke() helpers
+     * @param {Shape} shape
+     */
+    getShapeAttrs: function(shape) {
+        var a = shape.attrs;
+        var attrs = {
+            fill: this.getFill(a.fill),
+            filter: this.getShadow(a.shadow)
+        };
+
+        if(!!a.stroke || !!a.strokeWidth) {
+            attrs.stroke = !!a.stroke ? a.stroke : 'black';
+            attrs['stroke-width'] = !!a.strokeWidth ? a.strokeWidth : 2;
+            attrs['stroke-linejoin'] = a.lineJoin;
+        }
+
+        return attrs;
+    },
+    /**
+     * get SVG paint for a shape fill, which can be a color, a linear
+     *  gradient object, a radial gradient object, or a pattern object
+     * @param {String|Object} fill
+     */
+    getFill: function(fill) {
+        if(!fill) {
+            return 'none';
+        }
+        else if( typeof fill === 'string') {
+            return fill;
+        }
+        else if(fill.image !== undefined) {
+            var offset = fill.offset || {
+                x: 0,
+                y: 0
+            };
+            return this.addPattern(fill.image, fill.repeat, offset.x, offset.y);
+        }
+
+        var s = fill.start;
+        var e = fill.end;
+        var stops = [];
+        for(var n = 0; n < fill.colorStops.length; n += 2) {
+            stops.push([fill.colorStops[n], fill.colorStops[n + 1]]);
+        }
+
+        if(s.radius === undefined && e.radius === undefined) {
+            return this.addLinearGradient(s.x, s.y, e.x, e.y, stops);
+        }
+        else if(s.radius !== undefined && e.radius !== undefined) {
+            return this.addRadialGradient(s.x, s.y, s.radius, e.x, e.y, e.radius, stops);
+        }
+
+        return 'black';
+    },
+    /**
+     * get filter for a shadow object.  Shadows are only drawn when
+     *  they have a color
+     * @param {Object} shadow
+     */
+    getShadow: function(shadow) {
+        if(shadow === undefined || shadow.color === undefined || shadow.alpha === undefined) {
+            return undefined;
+        }
+
+        var offset = shadow.offset || {
+            x: 0,
+            y: 0
+        };
+        return this.addShadow(shadow.color, shadow.blur, shadow.alpha, offset.x, offset.y);
+    },
+    /**
+     * add linear gradient definition and return its url
+     * @param {Array} stops array of [offset, color] arrays
+     * @param {String} [transform]
+     */
+    addLinearGradient: function(x1, y1, x2, y2, stops, transform) {
+        var id = this.getId('linear-gradient');
+        this.defs.push(this.element('linearGradient', {
+            id: id,
+            gradientUnits: 'userSpaceOnUse',
+            gradientTransform: transform,
+            x1: x1,
+            y1: y1,
+            x2: x2,
+            y2: y2
+        }, this._getStops(stops)));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * add radial gradient definition and return its url.  The start
+     *  circle becomes the focal circle
+     * @param {Array} stops array of [offset, color] arrays
+     * @param {String} [transform]
+     */
+    addRadialGradient: function(x1, y1, r1, x2, y2, r2, stops, transform) {
+        var id = this.getId('radial-gradient');
+        this.defs.push(this.element('radialGradient', {
+            id: id,
+            gradientUnits: 'userSpaceOnUse',
+            gradientTransform: transform,
+            fx: x1,
+            fy: y1,
+            fr: r1,
+            cx: x2,
+            cy: y2,
+            r: r2
+        }, this._getStops(stops)));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * add pattern definition and return its url.  Canvas patterns are
+     *  anchored to the origin of the shape, and so are SVG patterns in
+     *  user space.  Directions that don't repeat are given a tile that is
+     *  large enough to only show the image once
+     * @param {ImageObject} image
+     * @param {String} [repeat] can be repeat, repeat-x, repeat-y, or no-repeat
+     * @param {String} [transform]
+     */
+    addPattern: function(image, repeat, x, y, transform) {
+        var id = this.getId('pattern');
+        var big = 100000;
+        repeat = repeat === undefined ? 'repeat' : repeat;
+
+        this.defs.push(this.element('pattern', {
+            id: id,
+            patternUnits: 'userSpaceOnUse',
+            patternTransform: transform,
+            x: x,
+            y: y,
+            width: repeat === 'repeat' || repeat === 'repeat-x' ? image.width : big,
+            height: repeat === 'repeat' || repeat === 'repeat-y' ? image.height : big
+        }, this.element('image', {
+            width: image.width,
+            height: image.height,
+            'xlink:href': this.getImageURL(image)
+        })));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * add drop shadow filter definition and return its url.  Canvas
+     *  shadow blur is roughly twice the SVG standard deviation
+     */
+    addShadow: function(color, blur, alpha, offsetX, offsetY) {
+        var id = this.getId('shadow');
+        this.defs.push(this.element('filter', {
+            id: id,
+            x: '-50%',
+            y: '-50%',
+            width: '200%',
+            height: '200%'
+        }, this.element('feDropShadow', {
+            dx: offsetX,
+            dy: offsetY,
+            stdDeviation: blur / 2,
+            'flood-color': color,
+            'flood-opacity': alpha
+        })));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * add clip path definition and return its url
+     * @param {String} content clip path elements
+     */
+    addClipPath: function(content) {
+        var id = this.getId('clip');
+        this.defs.push(this.element('clipPath', {
+            id: id
+        }, content));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * get data URL for an image.  If crop is defined, only the
+     *  cropped part of the image is used.  Images from other domains
+     *  can't be read back, in which case the image src is used
+     * @param {ImageObject} image
+     * @param {Object} [crop] object with x, y, width, and height
+     */
+    getImageURL: function(image, crop) {
+        if(crop === undefined && image.src !== undefined && image.src.indexOf('data:') === 0) {
+            return image.src;
+        }
+
+        var x = crop !== undefined ? crop.x : 0;
+        var y = crop !== undefined ? crop.y : 0;
+        var width = crop !== undefined ? crop.width : image.width;
+        var height = crop !== undefined ? crop.height : image.height;
+
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, x, y, width, height, 0, 0, width, height);
+
+        try {
+            return canvas.toDataURL();
+        }
+        catch(e) {
+            return image.src;
+        }
+    },
+    /**
+     * get SVG matrix string for a transform.  Returns undefined
+     *  for the identity transform
+     * @param {Kinetic.Transform} t
+     */
+    getMatrix: function(t) {
+        var m = t.getMatrix();
+        if(m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0) {
+            return undefined;
+        }
+
+        var arr = [];
+        for(var n = 0; n < 6; n++) {
+            arr.push(this.number(m[n]));
+        }
+        return 'matrix(' + arr.join(' ') + ')';
+    },
+    /**
+     * get SVG points string from an array of point objects
+     * @param {Array} points
+     */
+    getPointsString: function(points) {
+        var arr = [];
+        for(var n = 0; n < points.length; n++) {
+            arr.push(this.number(points[n].x) + ',' + this.number(points[n].y));
+        }
+        return arr.join(' ');
+    },
+    /**
+     * get unique id for a definition
+     * @param {String} prefix
+     */
+    getId: function(prefix) {
+        return 'kinetic-' + prefix + '-' + this.idCounter++;
+    },
+    /**
+     * round number to four decimal places so that floating point
+     *  noise doesn't end up in the document
+     * @param {Number} num
+     */
+    number: function(num) {
+        return Math.round(num * 10000) / 10000;
+    },
+    /**
+     * escape XML special characters
+     * @param {String} str
+     */
+    escape: function(str) {
+        return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+    /**
+     * get node transform including the center offset, which is
+     *  how shapes are transformed when they are drawn
+     */
+    _getNodeTransform: function(node) {
+        var t = node.getTransform();
+        if(node.attrs.centerOffset.x !== 0 || node.attrs.centerOffset.y !== 0) {
+            t.translate(-1 * node.attrs.centerOffset.x, -1 * node.attrs.centerOffset.y);
+        }
+        return t;
+    },
+    _getStops: function(stops) {
+        var str = '';
+        for(var n = 0; n < stops.length; n++) {
+            str += this.element('stop', {
+                offset: stops[n][0],
+                'stop-color': stops[n][1]
+            });
+        }
+        return str;
+    }
+};
+
+///////////////////////////////////////////////////////////////////////
+//  SVG Context
+///////////////////////////////////////////////////////////////////////
+/**
+ * SVG context constructor.&nbsp; The SVG context implements the canvas
+ *  path, transform, text, and image API, and records what's drawn as SVG
+ *  elements.  It's used to export shapes with custom drawing functions.
+ *  Paths are recorded in the coordinate space of the shape, so the
+ *  context transforms that are in effect when a path is built are
+ *  baked into the path data
+ * @constructor
+ * @param {Kinetic.SVG} svg
+ * @param {Number} alpha absolute alpha of the shape.  The shape groups
+ *  already apply node alpha, so it's divided out of globalAlpha
+ */
+Kinetic.SVGContext = function(svg, alpha) {
+    this.svg = svg;
+    this.alpha = alpha;
+    this.elements = [];
+    this.stack = [];
+    this.path = '';
+    this.currentPoint = undefined;
+    this.subpathStart = undefined;
+    this.canvas = document.createElement('canvas');
+
+    // context state
+    this.transformMatrix = new Kinetic.Transform();
+    this.fillStyle = 'black';
+    this.strokeStyle = 'black';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.lineJoin = 'miter';
+    this.miterLimit = 10;
+    this.globalAlpha = alpha;
+    this.shadowColor = 'rgba(0, 0, 0, 0)';
+    this.shadowBlur = 0;
+    this.shadowOffsetX = 0;
+    this.shadowOffsetY = 0;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.clipPath = undefined;
+};
+/*
+ * SVG context methods
+ */
+Kinetic.SVGContext.prototype = {
+    /**
+     * get recorded SVG markup
+     */
+    getMarkup: function() {
+        return this.elements.join('');
+    },
+    save: function() {
+        var state = {};
+        for(var n = 0; n < this._stateKeys.length; n++) {
+            var key = this._stateKeys[n];
+            state[key] = this[key];
+        }
+        state.transformMatrix = this._copyTransform(this.transformMatrix);
+        this.stack.push(state);
+    },
+    restore: function() {
+        var state = this.stack.pop();
+        if(state !== undefined) {
+            for(var key in state) {
+                this[key] = state[key];
+            }
+        }
+    },
+    translate: function(x, y) {
+        this.transformMatrix.translate(x, y);
+    },
+    rotate: function(rad) {
+        this.transformMatrix.rotate(rad);
+    },
+    scale: function(sx, sy) {
+        this.transformMatrix.scale(sx, sy);
+    },
+    transform: function(a, b, c, d, e, f) {
+        var t = new Kinetic.Transform();
+        t.m = [a, b, c, d, e, f];
+        this.transformMatrix.multiply(t);
+    },
+    setTransform: function(a, b, c, d, e, f) {
+        this.transformMatrix = new Kinetic.Transform();
+        this.transform(a, b, c, d, e, f);
+    },
+    beginPath: function() {
+        this.path = '';
+        this.currentPoint = undefined;
+        this.subpathStart = undefined;
+    },
+    moveTo: function(x, y) {
+        var p = this._point(x, y);
+        this.path += 'M' + this._pointStr(p);
+        this.currentPoint = p;
+        this.subpathStart = p;
+    },
+    lineTo: function(x, y) {
+        if(this.currentPoint === undefined) {
+            this.moveTo(x, y);
+            return;
+        }
+        var p = this._point(x, y);
+        this.path += 'L' + this._pointStr(p);
+        this.currentPoint = p;
+    },
+    bezierCurveTo: function(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if(this.currentPoint === undefined) {
+            this.moveTo(cp1x, cp1y);
+        }
+        var p = this._point(x, y);
+        this.path += 'C' + this._pointStr(this._point(cp1x, cp1y)) + ' ' + this._pointStr(this._point(cp2x, cp2y)) + ' ' + this._pointStr(p);
+        this.currentPoint = p;
+    },
+    quadraticCurveTo: function(cpx, cpy, x, y) {
+        if(this.currentPoint === undefined) {
+            this.moveTo(cpx, cpy);
+        }
+        var p = this._point(x, y);
+        this.path += 'Q' + this._pointStr(this._point(cpx, cpy)) + ' ' + this._pointStr(p);
+        this.currentPoint = p;
+    },
+    /**
+     * arcs are converted into cubic bezier curves of at most
+     *  a quarter turn so that any transform can be applied to them
+     */
+    arc: function(x, y, radius, startAngle, endAngle, anticlockwise) {
+        var twoPi = Math.PI * 2;
+        var sweep = endAngle - startAngle;
+
+        if(!anticlockwise && sweep >= twoPi || anticlockwise && -sweep >= twoPi) {
+            sweep = anticlockwise ? -twoPi : twoPi;
+        }
+        else {
+            sweep = sweep % twoPi;
+            if(!anticlockwise && sweep < 0) {
+                sweep += twoPi;
+            }
+            else if(anticlockwise && sweep > 0) {
+                sweep -= twoPi;
+            }
+        }
+
+        var startX = x + radius * Math.cos(startAngle);
+        var startY = y + radius * Math.sin(startAngle);
+        if(this.currentPoint === undefined) {
+            this.moveTo(startX, startY);
+        }
+        else {
+            this.lineTo(startX, startY);
+        }
+
+        var segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        var delta = sweep / segments;
+        var k = 4 / 3 * Math.tan(delta / 4);
+        var angle = startAngle;
+
+        for(var n = 0; n < segments; n++) {
+            var a1 = angle;
+            var a2 = angle + delta;
+            var cos1 = Math.cos(a1), sin1 = Math.sin(a1);
+            var cos2 = Math.cos(a2), sin2 = Math.sin(a2);
+
+            this.bezierCurveTo(x + radius * (cos1 - k * sin1), y + radius * (sin1 + k * cos1), x + radius * (cos2 + k * sin2), y + radius * (sin2 - k * cos2), x + radius * cos2, y + radius * sin2);
+            angle = a2;
+        }
+    },
+    arcTo: function(x1, y1, x2, y2, radius) {
+        // current point in user space
+        var inv = this._copyTransform(this.transformMatrix);
+        inv.invert();
+        var p0 = this.currentPoint === undefined ? {
+            x: x1,
+            y: y1
+        } : this._applyTransform(inv, this.currentPoint.x, this.currentPoint.y);
+
+        var v1x = p0.x - x1, v1y = p0.y - y1;
+        var v2x = x2 - x1, v2y = y2 - y1;
+        var len1 = Math.sqrt(v1x * v1x + v1y * v1y);
+        var len2 = Math.sqrt(v2x * v2x + v2y * v2y);
+        var cross = v1x * v2y - v1y * v2x;
+
+        if(radius === 0 || len1 === 0 || len2 === 0 || cross === 0) {
+            this.lineTo(x1, y1);
+            return;
+        }
+
+        var angle = Math.acos((v1x * v2x + v1y * v2y) / (len1 * len2));
+        var dist = radius / Math.tan(angle / 2);
+        var t1x = x1 + v1x / len1 * dist, t1y = y1 + v1y / len1 * dist;
+        var t2x = x1 + v2x / len2 * dist, t2y = y1 + v2y / len2 * dist;
+
+        // arc center is perpendicular to the first tangent
+        var anticlockwise = cross > 0;
+        var nx = anticlockwise ? v1y / len1 : -v1y / len1;
+        var ny = anticlockwise ? -v1x / len1 : v1x / len1;
+        var cx = t1x + nx * radius, cy = t1y + ny * radius;
+
+        this.arc(cx, cy, radius, Math.atan2(t1y - cy, t1x - cx), Math.atan2(t2y - cy, t2x - cx), anticlockwise);
+    },
+    rect: function(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+        this.moveTo(x, y);
+    },
+    closePath: function() {
+        if(this.currentPoint !== undefined) {
+            this.path += 'Z';
+            this.currentPoint = this.subpathStart;
+        }
+    },
+    fill: function() {
+        if(this.path !== '') {
+            var attrs = this._getCommonAttrs();
+            attrs.d = this.path;
+            attrs.fill = this._getPaint(this.fillStyle);
+            this.elements.push(this.svg.element('path', attrs));
+        }
+    },
+    stroke: function() {
+        if(this.path !== '') {
+            var attrs = this._getCommonAttrs();
+            attrs.d = this.path;
+            attrs.fill = 'none';
+            this._addStrokeAttrs(attrs);
+            this.elements.push(this.svg.element('path', attrs));
+        }
+    },
+    clip: function() {
+        this.clipPath = this.svg.addClipPath(this.svg.element('path', {
+            d: this.path
+        }));
+    },
+    fillRect: function(x, y, width, height) {
+        this._withTempPath(function() {
+            this.rect(x, y, width, height);
+            this.fill();
+        });
+    },
+    strokeRect: function(x, y, width, height) {
+        this._withTempPath(function() {
+            this.rect(x, y, width, height);
+            this.stroke();
+        });
+    },
+    clearRect: function() {
+    },
+    fillText: function(text, x, y) {
+        var attrs = this._getTextAttrs(text, x, y);
+        attrs.fill = this._getPaint(this.fillStyle);
+        this.elements.push(this.svg.element('text', attrs, this.svg.escape(String(text))));
+    },
+    strokeText: function(text, x, y) {
+        var attrs = this._getTextAttrs(text, x, y);
+        attrs.fill = 'none';
+        this._addStrokeAttrs(attrs);
+        attrs['stroke-width'] = this.lineWidth;
+        this.elements.push(this.svg.element('text', attrs, this.svg.escape(String(text))));
+    },
+    measureText: function(text) {
+        var context = this.canvas.getContext('2d');
+        context.font = this.font;
+        return context.measureText(text);
+    },
+    drawImage: function() {
+        var a = arguments;
+        var image = a[0];
+        var crop, x, y, width, height;
+
+        if(a.length === 9) {
+            crop = {
+                x: a[1],
+                y: a[2],
+                width: a[3],
+                height: a[4]
+            };
+            x = a[5];
+            y = a[6];
+            width = a[7];
+            height = a[8];
+        }
+        else {
+            x = a[1];
+            y = a[2];
+            width = a.length === 5 ? a[3] : image.width;
+            height = a.length === 5 ? a[4] : image.height;
+        }
+
+        var attrs = this._getCommonAttrs();
+        attrs.transform = this.svg.getMatrix(this.transformMatrix);
+        attrs.x = x;
+        attrs.y = y;
+        attrs.width = width;
+        attrs.height = height;
+        attrs.preserveAspectRatio = 'none';
+        attrs['xlink:href'] = this.svg.getImageURL(image, crop);
+        this.elements.push(this.svg.element('image', attrs));
+    },
+    createLinearGradient: function(x1, y1, x2, y2) {
+        return this._createGradient({
+            type: 'linear',
+            coords: [x1, y1, x2, y2]
+        });
+    },
+    createRadialGradient: function(x1, y1, r1, x2, y2, r2) {
+        return this._createGradient({
+            type: 'radial',
+            coords: [x1, y1, r1, x2, y2, r2]
+        });
+    },
+    createPattern: function(image, repeat) {
+        return {
+            type: 'pattern',
+            image: image,
+            repeat: repeat
+        };
+    },
+    isPointInPath: function() {
+        return false;
+    },
+    _stateKeys: ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit', 'globalAlpha', 'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'font', 'textAlign', 'textBaseline', 'clipPath'],
+    _createGradient: function(grd) {
+        grd.stops = [];
+        grd.addColorStop = function(offset, color) {
+            grd.stops.push([offset, color]);
+        };
+        return grd;
+    },
+    /**
+     * convert fill or stroke style into SVG paint.  Gradients and
+     *  patterns are defined in the current user space
+     */
+    _getPaint: function(style) {
+        if( typeof style === 'string') {
+            return style;
+        }
+
+        var transform = this.svg.getMatrix(this.transformMatrix);
+        var c = style.coords;
+        switch(style.type) {
+            case 'linear':
+                return this.svg.addLinearGradient(c[0], c[1], c[2], c[3], style.stops, transform);
+            case 'radial':
+                return this.svg.addRadialGradient(c[0], c[1], c[2], c[3], c[4], c[5], style.stops, transform);
+            case 'pattern':
+                return this.svg.addPattern(style.image, style.repeat, 0, 0, transform);
+        }
+
+        return 'black';
+    },
+    _getCommonAttrs: function() {
+        var attrs = {
+            'clip-path': this.clipPath
+        };
+
+        if(this.alpha > 0 && this.globalAlpha !== this.alpha) {
+            attrs.opacity = this.globalAlpha / this.alpha;
+        }
+
+        /*
+         * canvas only draws shadows if the color isn't fully
+         * transparent and there's a blur or an offset
+         */
+        var hasShadow = this.shadowBlur !== 0 || this.shadowOffsetX !== 0 || this.shadowOffsetY !== 0;
+        if(hasShadow && this.shadowColor !== 'rgba(0, 0, 0, 0)' && this.shadowColor !== 'transparent') {
+            attrs.filter = this.svg.addShadow(this.shadowColor, this.shadowBlur, 1, this.shadowOffsetX, this.shadowOffsetY);
+        }
+
+        return attrs;
+    },
+    _addStrokeAttrs: function(attrs) {
+        var m = this.transformMatrix.getMatrix();
+        // approximate the line width scale for the baked in transform
+        var scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+
+        attrs.stroke = this._getPaint(this.strokeStyle);
+        attrs['stroke-width'] = this.lineWidth * scale;
+        attrs['stroke-linecap'] = this.lineCap !== 'butt' ? this.lineCap : undefined;
+        attrs['stroke-linejoin'] = this.lineJoin !== 'miter' ? this.lineJoin : undefined;
+    },
+    _getTextAttrs: function(text, x, y) {
+        var anchors = {
+            start: 'start',
+            left: 'start',
+            center: 'middle',
+            end: 'end',
+            right: 'end'
+        };
+        var baselines = {
+            top: 'text-before-edge',
+            hanging: 'hanging',
+            middle: 'central',
+            alphabetic: 'alphabetic',
+            ideographic: 'ideographic',
+            bottom: 'text-after-edge'
+        };
+
+        var attrs = this._getCommonAttrs();
+        attrs.transform = this.svg.getMatrix(this.transformMatrix);
+        attrs.x = x;
+        attrs.y = y;
+        attrs.style = 'font: ' + this.font;
+        attrs['text-anchor'] = anchors[this.textAlign];
+        attrs['dominant-baseline'] = baselines[this.textBaseline];
+        return attrs;
+    },
+    _withTempPath: function(func) {
+        var path = this.path;
+        var currentPoint = this.currentPoint;
+        var subpathStart = this.subpathStart;
+        this.beginPath();
+        func.call(this);
+        this.path = path;
+        this.currentPoint = currentPoint;
+        this.subpathStart = subpathStart;
+    },
+    _copyTransform: function(t) {
+        var copy = new Kinetic.Transform();
+        copy.m = t.getMatrix().slice(0);
+        return copy;
+    },
+    _applyTransform: function(t, x, y) {
+        var m = t.getMatrix();
+        return {
+            x: m[0] * x + m[2] * y + m[4],
+            y: m[1] * x + m[3] * y + m[5]
+        };
+    },
+    _point: function(x, y) {
+        return this._applyTransform(this.transformMatrix, x, y);
+    },
+    _pointStr: function(p) {
+        return this.svg.number(p.x) + ' ' + this.svg.number(p.y);
+    }
+};
+
+///////////////////////////////////////////////////////////////////////
+//  Selector
+///////////////////////////////////////////////////////////////////////
+/**
+ * Selector engine used by Container.get.  Selectors are made of node
+ *  types or shape types such as 'Group' and 'Rect', ids such as '#foo',
+ *  names such as '.bar', and attribute predicates such as '[alpha<0.5]'.
+ *  Selectors can be combined with descendant and child combinators, and
+ *  comma separated lists of selectors select the union of their matches
+ * @namespace
+ */
+Kinetic.Selector = {
+    cache: {},
+    cacheKeys: [],
+    cacheSize: 100,
+    /**
+     * get a collection of the descendants of a container that match
+     *  a selector in document order
+     * @param {Container} container
+     * @param {String} selector
+     */
+    select: function(container, selector) {
+        var selectors = this.parse(selector);
+        var arr = new Kinetic.Collection();
+        var that = this;
+
+        function traverse(cont) {
+            var children = cont.getChildren();
+            for(var n = 0; n < children.length; n++) {
+                var child = children[n];
+                if(that._matchSelectors(child, selectors)) {
+                    arr.push(child);
+                }
+                if(child.nodeType !== 'Shape') {
+                    traverse(child);
+                }
+            }
+        }
+        traverse(container);
+
+        return arr;
+    },
+    /**
+     * determine if a node matches a selector
+     * @param {Node} node
+     * @param {String} selector
+     */
+    matches: function(node, selector) {
+        return this._matchSelectors(node, this.parse(selector));
+    },
+    /**
+     * parse a selector string into a list of complex selectors.  Each
+     *  complex selector is a list of compound selectors, which hold the
+     *  combinator that joins them to the previous compound selector.
+     *  Invalid selectors throw an error with an offset property that holds
+     *  the character offset of the problem
+     * @param {String} selector
+     */
+    parse: function(selector) {
+        /*
+         * the cache keys are prefixed so that selectors such as toString
+         * and __proto__ don't clash with the properties of plain objects
+         */
+        var key = '$' + selector;
+        if(this.cache[key] !== undefined) {
+            return this.cache[key];
+        }
+
+        var str = selector;
+        var pos = 0;
+        var identRegex = /[^\s#.\[\],>]+/g;
+        var keyRegex = /[A-Za-z0-9_$.\-]+/g;
+        var numberRegex = /^[+\-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+\-]?\d+)?$/;
+        var selectors = [];
+        var complex = [];
+        var compound = undefined;
+        var combinator = undefined;
+
+        function error(message) {
+            var err = new Error('Kinetic.Selector: ' + message + ' at offset ' + pos + ' in selector "' + str + '"');
+            err.offset = pos;
+            throw err;
+        }
+        function match(regex) {
+            regex.lastIndex = pos;
+            var m = regex.exec(str);
+            if(m === null || m.index !== pos) {
+                return undefined;
+            }
+            pos += m[0].length;
+            return m[0];
+        }
+        function ident() {
+            var val = match(identRegex);
+            if(val === undefined) {
+                error('expected a name');
+            }
+            return val;
+        }
+        function skip() {
+            var start = pos;
+            while(pos < str.length && ' \t\r\n\f'.indexOf(str.charAt(pos)) !== -1) {
+                pos++;
+            }
+            return pos > start;
+        }
+        function getCompound() {
+            if(compound === undefined) {
+                compound = {
+                    combinator: combinator,
+                    type: undefined,
+                    id: undefined,
+                    names: [],
+                    attrs: []
+                };
+                combinator = undefined;
+            }
+            return compound;
+        }
+        function endCompound() {
+            if(compound === undefined) {
+                error('expected a selector');
+            }
+            complex.push(compound);
+            compound = undefined;
+        }
+        function attr() {
+            // opening bracket
+            pos++;
+            skip();
+            var key = match(keyRegex);
+            if(key === undefined) {
+                error('expected an attribute name');
+            }
+            skip();
+            var op = match(/!=|<=|>=|=|<|>/g);
+            var value = undefined;
+            if(op !== undefined) {
+                skip();
+                var quote = str.charAt(pos);
+                if(quote === '"' || quote === "'") {
+                    var end = str.indexOf(quote, pos + 1);
+                    if(end === -1) {
+                        error('unterminated string');
+                    }
+                    value = str.slice(pos + 1, end);
+                    pos = end + 1;
+                }
+                else {
+                    value = match(/[^\s\]]+/g);
+                    if(value === undefined) {
+                        error('expected an attribute value');
+                    }
+                    if(value === 'true' || value === 'false') {
+                        value = value === 'true';
+                    }
+                    else if(numberRegex.test(value)) {
+                        value = parseFloat(value);
+                    }
+                }
+                skip();
+            }
+            if(str.charAt(pos) !== ']') {
+                error('expected "]"');
+            }
+            pos++;
+            return {
+                key: key,
+                op: op,
+                value: value
+            };
+        }
+
+        skip();
+        while(pos < str.length) {
+            var ch = str.charAt(pos);
+
+            if(ch === '#') {
+                pos++;
+                getCompound().id = ident();
+            }
+            else if(ch === '.') {
+                pos++;
+                getCompound().names.push(ident());
+            }
+            else if(ch === '[') {
+                getCompound().attrs.push(attr());
+            }
+            else if(ch === '>') {
+                endCompound();
+                pos++;
+                skip();
+                combinator = '>';
+                continue;
+            }
+            else if(ch === ',') {
+                endCompound();
+                selectors.push(complex);
+                complex = [];
+                pos++;
+                skip();
+                continue;
+            }
+            else {
+                if(compound !== undefined) {
+                    error('unexpected character "' + ch + '"');
+                }
+                getCompound().type = ident();
+            }
+
+            // white space followed by another selector is a descendant combinator
+            if(skip() && pos < str.length && str.charAt(pos) !== '>' && str.charAt(pos) !== ',') {
+                endCompound();
+                combinator = ' ';
+            }
+        }
+
+        endCompound();
+        selectors.push(complex);
+
+        this._cacheSelectors(key, selectors);
+        return selectors;
+    },
+    /**
+     * cache a parsed selector.  The oldest selectors are dropped once
+     *  the cache is full, so that dynamic selectors such as ids built
+     *  at runtime don't grow it forever
+     * @param {String} key prefixed selector
+     * @param {Array} selectors
+     */
+    _cacheSelectors: function(key, selectors) {
+        if(this.cacheKeys.length >= this.cacheSize) {
+            delete this.cache[this.cacheKeys.shift()];
+        }
+        this.cache[key] = selectors;
+        this.cacheKeys.push(key);
+    },
+    /**
+     * determine if a node matches any selector in a list
+     * @param {Node} node
+     * @param {Array} selectors
+     */
+    _matchSelectors: function(node, selectors) {
+        for(var n = 0; n < selectors.length; n++) {
+            var complex = selectors[n];
+            if(this._matchComplex(node, complex, complex.length - 1)) {
+                return true;
+            }
+        }
+        return false;
+    },
+    /**
+     * match a complex selector from right to left
+     * @param {Node} node
+     * @param {Array} complex
+     * @param {Number} index
+     */
+    _matchComplex: function(node, complex, index) {
+        var compound = complex[index];
+        if(!this._matchCompound(node, compound)) {
+            return false;
+        }
+        if(index === 0) {
+            return true;
+        }
+
+        var parent = node.getParent();
+        if(compound.combinator === '>') {
+            return parent !== undefined && this._matchComplex(parent, complex, index - 1);
+        }
+
+        while(parent !== undefined) {
+            if(this._matchComplex(parent, complex, index - 1)) {
+                return true;
+            }
+            parent = parent.getParent();
+        }
+        return false;
+    },
+    /**
+     * match a compound selector
+     * @param {Node} node
+     * @param {Object} compound
+     */
+    _matchCompound: function(node, compound) {
+        var type = compound.type;
+        if(type !== undefined && type !== '*' && node.nodeType !== type && node.shapeType !== type) {
+            return false;
+        }
+        if(compound.id !== undefined && node.attrs.id !== compound.id) {
+            return false;
+        }
+        if(compound.names.length > 0) {
+            var names = node.attrs.name === undefined ? [] : node.attrs.name.split(/\s+/);
+            for(var n = 0; n < compound.names.length; n++) {
+                var found = false;
+                for(var i = 0; i < names.length; i++) {
+                    if(names[i] === compound.names[n]) {
+                        found = true;
+                        break;
+                    }
+                }
+                if(!found) {
+                    return false;
+                }
+            }
+        }
+        for(var n = 0; n < compound.attrs.length; n++) {
+            if(!this._matchAttr(node, compound.attrs[n])) {
+                return false;
+            }
+        }
+        return true;
+    },
+    /**
+     * match an attribute predicate.  Dotted keys such as scale.x
+     *  select nested attrs
+     * @param {Node} node
+     * @param {Object} pred
+     */
+    _matchAttr: function(node, pred) {
+        var val = node.attrs;
+        var keys = pred.key.split('.');
+        for(var n = 0; n < keys.length; n++) {
+            if(val === undefined || val === null) {
+                return false;
+            }
+            val = val[keys[n]];
+        }
+
+        var value = pred.value;
+        switch(pred.op) {
+            case undefined:
+                return val !== undefined;
+            case '=':
+                return typeof value === 'string' ? val !== undefined && String(val) === value : val === value;
+            case '!=':
+                return typeof value === 'string' ? val === undefined || String(val) !== value : val !== value;
+            case '<':
+                return typeof val === 'number' && val < value;
+            case '<=':
+                return typeof val === 'number' && val <= value;
+            case '>':
+                return typeof val === 'number' && val > value;
+            case '>=':
+                return typeof val === 'number' && val >= value;
+        }
+        return false;
+    }
+};
+
+///////////////////////////////////////////////////////////////////////
+//  Serializer
+///////////////////////////////////////////////////////////////////////
+/**
+ * Serializer used by Node.toJSON, Kinetic.Node.create, and Stage.load.
+ *  Nodes are serialized into plain objects without changing their attrs.
+ *  Images and canvases are stored as src or data URLs, and functions such
+ *  as drawFuncs and event handlers are stored by the names that they're
+ *  registered with.  Functions that aren't registered, and other DOM
+ *  elements, are left out.  Custom shape classes are registered under a
+ *  type name so that they can be rebuilt
+ * ex:
+ * Kinetic.Serializer.registerType('Triangle', Triangle);
+ * Kinetic.Serializer.registerFunc('highlight', highlight);
+ * @namespace
+ */
+Kinetic.Serializer = {
+    types: {},
+    funcs: {},
+    /**
+     * register a custom node class under a type name.  Nodes that are
+     *  instances of the class are serialized with the type name as their
+     *  shapeType, and are rebuilt by calling the class with their attrs.
+     *  Children of custom classes aren't serialized, because the class is
+     *  expected to create them
+     * @param {String} name
+     * @param {Function} constructor
+     */
+    registerType: function(name, constructor) {
+        this.types[name] = constructor;
+    },
+    /**
+     * register a function, such as a drawFunc or an event handler, under
+     *  a name.  Attrs and event listeners that use the function are
+     *  serialized with the name
+     * @param {String} name
+     * @param {Function} func
+     */
+    registerFunc: function(name, func) {
+        this.funcs[name] = func;
+    },
+    /**
+     * serialize a node and its descendants into a plain object that can
+     *  be passed to JSON.stringify
+     * @param {Node} node
+     */
+    serialize: function(node) {
+        var obj = {};
+        var type = this._getTypeName(node);
+
+        obj.attrs = this._serializeAttrs(node.attrs);
+        obj.nodeType = node.nodeType;
+        obj.shapeType = type !== undefined ? type : node.shapeType;
+
+        var listeners = this._serializeListeners(node);
+        if(listeners.length > 0) {
+            obj.listeners = listeners;
+        }
+
+        if(node.nodeType !== 'Shape' && obj.shapeType === undefined) {
+            obj.children = [];
+            var children = node.getChildren();
+            for(var n = 0; n < children.length; n++) {
+                obj.children.push(this.serialize(children[n]));
+            }
+        }
+
+        return obj;
+    },
+    /**
+     * serialize a node into a document, which is a serialized node
+     *  with the version of the format at the top level
+     * @param {Node} node
+     */
+    serializeDocument: function(node) {
+        var doc = {
+            version: Kinetic.Schema.version
+        };
+        var obj = this.serialize(node);
+        for(var key in obj) {
+            doc[key] = obj[key];
+        }
+        return doc;
+    },
+    /**
+     * create a detached node and its descendants from a serialized
+     *  object in the current version.  Use Kinetic.Schema.upgrade to
+     *  migrate and validate documents first.  The callback is called once
+     *  all of the images have loaded
+     * @param {Object} obj
+     * @param {Function} [callback]
+     */
+    create: function(obj, callback) {
+        if(obj.nodeType === 'Stage') {
+            throw new Error('Kinetic.Serializer: stages can\'t be created, use Stage.load instead');
+        }
+
+        var loader = {
+            pending: 1,
+            callback: callback
+        };
+        var node = this._createNode(obj, loader);
+        this._done(loader);
+        return node;
+    },
+    /**
+     * load the attrs, listeners, and children of a serialized object in
+     *  the current version into an existing container, such as a stage.
+     *  The callback is called once all of the images have loaded
+     * @param {Container} container
+     * @param {Object} obj
+     * @param {Function} [callback]
+     */
+    load: function(container, obj, callback) {
+        var loader = {
+            pending: 1,
+            callback: callback
+        };
+        var deferred = {};
+
+        container.attrs = this._deserializeAttrs(obj.attrs, loader, deferred);
+        this._loadDeferred(container, deferred, loader);
+        this._deserializeListeners(container, obj);
+        this._deserializeChildren(container, obj, loader);
+
+        // release the hold on the callback now that every image has been requested
+        this._done(loader);
+    },
+    /**
+     * get the registered type name of a node
+     * @param {Node} node
+     */
+    _getTypeName: function(node) {
+        for(var name in this.types) {
+            if( node instanceof this.types[name]) {
+                return name;
+            }
+        }
+        return undefined;
+    },
+    /**
+     * get the registered name of a function
+     * @param {Function} func
+     */
+    _getFuncName: function(func) {
+        for(var name in this.funcs) {
+            if(this.funcs[name] === func) {
+                return name;
+            }
+        }
+        return undefined;
+    },
+    /**
+     * copy attrs into a plain object.  Values that can't be serialized are
+     *  left out so that they aren't added to the JSON
+     * @param {Object} attrs
+     */
+    _serializeAttrs: function(attrs) {
+        var obj = {};
+        for(var key in attrs) {
+            var val = this._serializeValue(attrs[key]);
+            if(val !== undefined) {
+                obj[key] = val;
+            }
+        }
+        return obj;
+    },
+    /**
+     * serialize an attr value.  Returns undefined if the value
+     *  can't be serialized
+     * @param {Object} val
+     */
+    _serializeValue: function(val) {
+        var go = Kinetic.GlobalObject;
+        if(val === null || ( typeof val !== 'object' && typeof val !== 'function')) {
+            return val;
+        }
+        if(go._isFunction(val)) {
+            var name = this._getFuncName(val);
+            return name === undefined ? undefined : {
+                $func: name
+            };
+        }
+        if(go._isElement(val)) {
+            var src = this._getImageSrc(val);
+            return src === undefined ? undefined : {
+                $image: src
+            };
+        }
+        if(Object.prototype.toString.call(val) === '[object Array]') {
+            var arr = [];
+            for(var n = 0; n < val.length; n++) {
+                var item = this._serializeValue(val[n]);
+                arr.push(item === undefined ? null : item);
+            }
+            return arr;
+        }
+        if(go._hasMethods(val)) {
+            return undefined;
+        }
+        return this._serializeAttrs(val);
+    },
+    /**
+     * get the src of an image, or a data URL for a canvas.  Returns
+     *  undefined for other DOM elements
+     * @param {Element} el
+     */
+    _getImageSrc: function(el) {
+        if(el.tagName === 'IMG' && el.src) {
+            return el.src;
+        }
+        if(el.tagName === 'CANVAS' && el.toDataURL !== undefined) {
+            try {
+                return el.toDataURL();
+            }
+            catch(e) {
+                // canvases with images from other domains can't be read back
+            }
+        }
+        return undefined;
+    },
+    /**
+     * serialize the event listeners of a node whose handlers
+     *  have been registered
+     * @param {Node} node
+     */
+    _serializeListeners: function(node) {
+        var listeners = [];
+        for(var type in node.eventListeners) {
+            var events = node.eventListeners[type];
+            for(var n = 0; n < events.length; n++) {
+                var name = this._getFuncName(events[n].handler);
+                if(name !== undefined) {
+                    var listener = {
+                        type: events[n].name === '' ? type : type + '.' + events[n].name,
+                        handler: name
+                    };
+                    if(events[n].capture) {
+                        listener.capture = true;
+                    }
+                    listeners.push(listener);
+                }
+            }
+        }
+        return listeners;
+    },
+    /**
+     * create nodes for the serialized children of an object and
+     *  add them to a container
+     * @param {Container} container
+     * @param {Object} obj
+     * @param {Object} loader
+     */
+    _deserializeChildren: function(container, obj, loader) {
+        var children = obj.children;
+        if(children === undefined) {
+            return;
+        }
+        for(var n = 0; n < children.length; n++) {
+            container.add(this._createNode(children[n], loader));
+        }
+    },
+    /**
+     * create a node and its descendants from a serialized object
+     * @param {Object} obj
+     * @param {Object} loader
+     */
+    _createNode: function(obj, loader) {
+        var deferred = {};
+        var Type = this._getConstructor(obj);
+        var node = new Type(this._deserializeAttrs(obj.attrs, loader, deferred));
+        this._loadDeferred(node, deferred, loader);
+        this._deserializeListeners(node, obj);
+        this._deserializeChildren(node, obj, loader);
+        return node;
+    },
+    /**
+     * get the class to rebuild a serialized node with.  Registered types
+     *  are used first, then the Kinetic classes
+     * @param {Object} obj
+     */
+    _getConstructor: function(obj) {
+        var type = obj.shapeType;
+        if(type !== undefined && this.types[type] !== undefined) {
+            return this.types[type];
+        }
+        if(type !== undefined) {
+            return Kinetic[type];
+        }
+        return Kinetic[obj.nodeType];
+    },
+    /**
+     * deserialize attrs.  Top level attrs that hold images are set to
+     *  undefined and added to the deferred object, so that they're only set
+     *  once their images have loaded
+     * @param {Object} attrs
+     * @param {Object} loader
+     * @param {Object} deferred
+     */
+    _deserializeAttrs: function(attrs, loader, deferred) {
+        var obj = {};
+        for(var key in attrs) {
+            var images = [];
+            obj[key] = this._deserializeValue(attrs[key], images);
+            if(images.length > 0) {
+                deferred[key] = {
+                    val: obj[key],
+                    images: images
+                };
+                obj[key] = undefined;
+            }
+        }
+        return obj;
+    },
+    /**
+     * deserialize an attr value.  Images are created for image
+     *  URLs and added to the images array
+     * @param {Object} val
+     * @param {Array} images
+     */
+    _deserializeValue: function(val, images) {
+        if(val === null || typeof val !== 'object') {
+            return val;
+        }
+        if(Object.prototype.toString.call(val) === '[object Array]') {
+            var arr = [];
+            for(var n = 0; n < val.length; n++) {
+                arr.push(this._deserializeValue(val[n], images));
+            }
+            return arr;
+        }
+        if(val.$func !== undefined) {
+            return this.funcs[val.$func];
+        }
+        if(val.$image !== undefined) {
+            var image = new Image();
+            images.push({
+                image: image,
+                src: val.$image
+            });
+            return image;
+        }
+        var obj = {};
+        for(var key in val) {
+            obj[key] = this._deserializeValue(val[key], images);
+        }
+        return obj;
+    },
+    /**
+     * load the images of deferred attrs, and set each attr once all of
+     *  its images have loaded.  Attrs with images that fail to load
+     *  aren't set, so that broken images aren't drawn
+     * @param {Node} node
+     * @param {Object} deferred
+     * @param {Object} loader
+     */
+    _loadDeferred: function(node, deferred, loader) {
+        var that = this;
+
+        function loadAttr(key, item) {
+            var remaining = item.images.length;
+            var failed = false;
+
+            function onDone() {
+                remaining--;
+                if(remaining === 0 && !failed) {
+                    var oldVal = node.attrs[key];
+                    node.attrs[key] = item.val;
+                    // loading an image isn't an edit, so it isn't recorded in the history
+                    node._fireChangeEvent(key, oldVal, item.val, false);
+                }
+                that._done(loader);
+            }
+            for(var n = 0; n < item.images.length; n++) {
+                var image = item.images[n].image;
+                loader.pending++;
+                image.onload = onDone;
+                image.onerror = function() {
+                    failed = true;
+                    onDone();
+                };
+                image.src = item.images[n].src;
+            }
+        }
+
+        for(var key in deferred) {
+            loadAttr(key, deferred[key]);
+        }
+    },
+    /**
+     * add the serialized event listeners of an object to a node
+     * @param {Node} node
+     * @param {Object} obj
+     */
+    _deserializeListeners: function(node, obj) {
+        var listeners = obj.listeners;
+        if(listeners === undefined) {
+            return;
+        }
+        for(var n = 0; n < listeners.length; n++) {
+            var handler = this.funcs[listeners[n].handler];
+            if(handler !== undefined) {
+                node.on(listeners[n].type, handler, listeners[n].capture);
+            }
+        }
+    },
+    /**
+     * mark a pending image or load step as done, and call the
+     *  callback when nothing is pending
+     * @param {Object} loader
+     */
+    _done: function(loader) {
+        loader.pending--;
+        if(loader.pending === 0 && loader.callback !== undefined) {
+            loader.callback();
+        }
+    }
+};
+
+///////////////////////////////////////////////////////////////////////
+//  Schema
+///////////////////////////////////////////////////////////////////////
+/**
+ * Schema for the JSON documents made by Node.toJSON.  Documents hold a
+ *  top level version number.  Older documents are upgraded by the
+ *  registered migrations, one version at a time, and documents are
+ *  validated before Stage.load and Kinetic.Node.create build any nodes.
+ *  Attr specs are strings of type names separated by "|", arrays of
+ *  allowed values, or objects that hold the specs of nested attrs.  Attrs
+ *  without a spec, such as the attrs of custom shapes, aren't checked
+ * ex:
+ * Kinetic.Schema.registerMigration(1, function(doc) {<br>
+ *     // upgrade doc from version 1 to version 2<br>
+ *     return doc;<br>
+ * });
+ * @namespace
+ */
+Kinetic.Schema = {
+    version: 1,
+    migrations: {
+        // documents saved before the format was versioned are already valid version 1 documents
+        0: function(doc) {
+            return doc;
+        }
+    },
+    specs: {
+        Node: {
+            visible: 'boolean',
+            listening: 'boolean',
+            name: 'string',
+            id: 'string',
+            alpha: 'number',
+            x: 'number',
+            y: 'number',
+            scale: 'point',
+            rotation: 'number',
+            centerOffset: 'point',
+            dragConstraint: ['none', 'horizontal', 'vertical'],
+            dragBounds: {
+                left: 'number',
+                top: 'number',
+                right: 'number',
+                bottom: 'number'
+            },
+            draggable: 'boolean',
+            dragBoundFunc: 'function',
+            dragSnap: {
+                grid: 'number|point',
+                edges: 'boolean',
+                tolerance: 'number'
+            },
+            dragDistance: 'number',
+            dragInertia: 'boolean|object',
+            dropTarget: 'boolean',
+            selectable: 'boolean'
+        },
+        Stage: {
+            width: 'number',
+            height: 'number',
+            throttle: 'number',
+            marquee: 'boolean'
+        },
+        Layer: {
+            throttle: 'number',
+            autoDraw: 'boolean'
+        },
+        Group: {},
+        Shape: {
+            fill: 'string|object',
+            stroke: 'string',
+            strokeWidth: 'number',
+            lineJoin: ['miter', 'round', 'bevel'],
+            detectionType: ['path', 'pixel'],
+            shadow: {
+                color: 'string',
+                blur: 'number',
+                alpha: 'number',
+                offset: 'point'
+            },
+            drawFunc: 'function'
+        },
+        Circle: {
+            radius: 'number'
+        },
+        Image: {
+            image: 'image',
+            crop: {
+                x: 'number',
+                y: 'number',
+                width: 'number',
+                height: 'number'
+            },
+            width: 'number',
+            height: 'number'
+        },
+        Line: {
+            points: 'points',
+            lineCap: ['butt', 'round', 'square'],
+            dashArray: 'array'
+        },
+        Path: {
+            data: 'string'
+        },
+        Polygon: {
+            points: 'points'
+        },
+        Rect: {
+            width: 'number',
+            height: 'number',
+            cornerRadius: 'number'
+        },
+        RegularPolygon: {
+            radius: 'number',
+            sides: 'number'
+        },
+        Sprite: {
+            image: 'image',
+            animation: 'string',
+            animations: 'object',
+            index: 'number',
+            frameRate: 'number'
+        },
+        Star: {
+            numPoints: 'number',
+            innerRadius: 'number',
+            outerRadius: 'number'
+        },
+        Text: {
+            fontFamily: 'string',
+            text: 'string',
+            fontSize: 'number',
+            align: ['left', 'center', 'right'],
+            verticalAlign: ['top', 'middle', 'bottom'],
+            padding: 'number',
+            fontStyle: ['normal', 'italic', 'bold'],
+            width: 'number|string',
+            textFill: 'string|object',
+            textStroke: 'string',
+            textStrokeWidth: 'number'
+        },
+        Transformer: {
+            keepRatio: 'boolean',
+            resizeEnabled: 'boolean',
+            rotateEnabled: 'boolean',
+            rotationSnaps: 'array',
+            rotationSnapTolerance: 'number',
+            minWidth: 'number',
+            minHeight: 'number',
+            bounds: {
+                left: 'number',
+                top: 'number',
+                right: 'number',
+                bottom: 'number'
+            },
+            anchorSize: 'number',
+            anchorFill: 'string',
+            anchorStroke: 'string',
+            borderStroke: 'string',
+            rotateAnchorOffset: 'number'
+        }
+    },
+    // node types of the shape classes, found by creating an instance of each class once
+    nodeTypes: {},
+    /**
+     * register a migration that upgrades documents from a version to
+     *  the next version.  The function is passed a copy of the document,
+     *  and returns the upgraded document or changes it in place
+     * @param {Number} version version that the migration upgrades from
+     * @param {Function} func
+     */
+    registerMigration: function(version, func) {
+        this.migrations[version] = func;
+    },
+    /**
+     * register the attr specs of a shape type, such as a custom shape
+     *  class registered with Kinetic.Serializer
+     * @param {String} type
+     * @param {Object} spec
+     */
+    registerSpec: function(type, spec) {
+        this.specs[type] = spec;
+    },
+    /**
+     * get a copy of a document upgraded to the current version.
+     *  Documents without a version were saved before the format was
+     *  versioned.  Documents that are newer than the current version
+     *  throw an error
+     * @param {Object} doc
+     */
+    migrate: function(doc) {
+        if(!this._isObject(doc)) {
+            throw new Error('Kinetic.Schema: expected a document object');
+        }
+        var version = doc.version === undefined ? 0 : doc.version;
+        if( typeof version !== 'number' || version < 0 || version % 1 !== 0) {
+            throw new Error('Kinetic.Schema: invalid document version ' + JSON.stringify(version));
+        }
+        if(version > this.version) {
+            throw new Error('Kinetic.Schema: document version ' + version + ' is newer than the supported version ' + this.version);
+        }
+
+        doc = Kinetic.GlobalObject._clone(doc);
+        while(version < this.version) {
+            var migration = this.migrations[version];
+            if(migration !== undefined) {
+                var upgraded = migration(doc);
+                if(upgraded !== undefined) {
+                    doc = upgraded;
+                }
+            }
+            version++;
+            doc.version = version;
+        }
+        return doc;
+    },
+    /**
+     * validate a document in the current version.  Returns an array of
+     *  errors, which is empty if the document is valid.  Each error has a
+     *  path to the invalid value, such as children[0].attrs.radius, and
+     *  a message
+     * @param {Object} doc
+     */
+    validate: function(doc) {
+        var errors = [];
+        if(!this._isObject(doc)) {
+            this._addError(errors, '', 'expected a document object');
+            return errors;
+        }
+        if(doc.version !== this.version) {
+            this._addError(errors, 'version', 'expected version ' + this.version);
+        }
+        this._validateNode(doc, '', undefined, errors);
+        return errors;
+    },
+    /**
+     * migrate and validate a document.  Invalid documents throw an error
+     *  with an errors property that holds the validation errors
+     * @param {Object} doc
+     */
+    upgrade: function(doc) {
+        doc = this.migrate(doc);
+        var errors = this.validate(doc);
+        if(errors.length > 0) {
+            var messages = [];
+            for(var n = 0; n < errors.length; n++) {
+                messages.push(errors[n].path === '' ? errors[n].message : errors[n].path + ': ' + errors[n].message);
+            }
+            var err = new Error('Kinetic.Schema: invalid document, ' + messages.join('; '));
+            err.errors = errors;
+            throw err;
+        }
+        return doc;
+    },
+    /**
+     * validate a serialized node and its descendants
+     * @param {Object} obj
+     * @param {String} path
+     * @param {String} parentType node type of the parent, if there is one
+     * @param {Array} errors
+     */
+    _validateNode: function(obj, path, parentType, errors) {
+        var nodeType = obj.nodeType;
+        var shapeType = obj.shapeType;
+
+        if(nodeType !== 'Stage' && nodeType !== 'Layer' && nodeType !== 'Group' && nodeType !== 'Shape') {
+            this._addError(errors, this._join(path, 'nodeType'), 'unknown node type ' + JSON.stringify(nodeType));
+            return;
+        }
+        if(parentType !== undefined && !this._canContain(parentType, nodeType)) {
+            this._addError(errors, path, nodeType + ' nodes can\'t be added to ' + parentType + ' nodes');
+        }
+        if(shapeType !== undefined) {
+            var Type = this._getShapeClass(shapeType);
+            var shapeNodeType = Type === undefined ? undefined : this._getNodeType(shapeType, Type);
+            if(shapeNodeType === undefined) {
+                this._addError(errors, this._join(path, 'shapeType'), 'unknown shape type ' + JSON.stringify(shapeType));
+            }
+            else if(shapeNodeType !== nodeType) {
+                this._addError(errors, this._join(path, 'shapeType'), 'shape type ' + JSON.stringify(shapeType) + ' doesn\'t create ' + nodeType + ' nodes');
+            }
+        }
+
+        if(obj.attrs !== undefined) {
+            if(this._isObject(obj.attrs)) {
+                var attrsPath = this._join(path, 'attrs');
+                this._validateAttrs(obj.attrs, this.specs.Node, attrsPath, errors);
+                this._validateAttrs(obj.attrs, this.specs[nodeType], attrsPath, errors);
+                if( typeof shapeType === 'string' && this.specs.hasOwnProperty(shapeType)) {
+                    this._validateAttrs(obj.attrs, this.specs[shapeType], attrsPath, errors);
+                }
+            }
+            else {
+                this._addError(errors, this._join(path, 'attrs'), 'expected an object');
+            }
+        }
+
+        if(obj.listeners !== undefined) {
+            this._validateListeners(obj.listeners, this._join(path, 'listeners'), errors);
+        }
+
+        var children = obj.children;
+        if(children !== undefined) {
+            var childrenPath = this._join(path, 'children');
+            if(nodeType === 'Shape') {
+                this._addError(errors, childrenPath, 'shapes can\'t have children');
+            }
+            else if(!this._isArray(children)) {
+                this._addError(errors, childrenPath, 'expected an array');
+            }
+            else {
+                for(var n = 0; n < children.length; n++) {
+                    var childPath = childrenPath + '[' + n + ']';
+                    if(this._isObject(children[n])) {
+                        this._validateNode(children[n], childPath, nodeType, errors);
+                    }
+                    else {
+                        this._addError(errors, childPath, 'expected a node object');
+                    }
+                }
+            }
+        }
+    },
+    /**
+     * validate attrs against the specs of a type
+     * @param {Object} attrs
+     * @param {Object} specs
+     * @param {String} path
+     * @param {Array} errors
+     */
+    _validateAttrs: function(attrs, specs, path, errors) {
+        for(var key in specs) {
+            if(attrs[key] !== undefined) {
+                this._validateValue(attrs[key], specs[key], this._join(path, key), errors);
+            }
+        }
+    },
+    /**
+     * validate a value against a spec
+     * @param {Object} val
+     * @param {String|Array|Object} spec
+     * @param {String} path
+     * @param {Array} errors
+     */
+    _validateValue: function(val, spec, path, errors) {
+        // allowed values
+        if(this._isArray(spec)) {
+            for(var n = 0; n < spec.length; n++) {
+                if(val === spec[n]) {
+                    return;
+                }
+            }
+            this._addError(errors, path, 'expected one of ' + JSON.stringify(spec).slice(1, -1).replace(/,/g, ', '));
+        }
+        // nested attrs
+        else if( typeof spec === 'object') {
+            if(this._isObject(val)) {
+                this._validateAttrs(val, spec, path, errors);
+            }
+            else {
+                this._addError(errors, path, 'expected an object');
+            }
+        }
+        // type names
+        else {
+            var types = spec.split('|');
+            for(var n = 0; n < types.length; n++) {
+                if(this._isType(val, types[n])) {
+                    return;
+                }
+            }
+            this._addError(errors, path, 'expected ' + types.join(' or '));
+        }
+    },
+    /**
+     * validate serialized event listeners
+     * @param {Array} listeners
+     * @param {String} path
+     * @param {Array} errors
+     */
+    _validateListeners: function(listeners, path, errors) {
+        if(!this._isArray(listeners)) {
+            this._addError(errors, path, 'expected an array');
+            return;
+        }
+        for(var n = 0; n < listeners.length; n++) {
+            var listenerPath = path + '[' + n + ']';
+            if(this._isObject(listeners[n])) {
+                this._validateAttrs(listeners[n], {
+                    type: 'string',
+                    handler: 'string',
+                    capture: 'boolean'
+                }, listenerPath, errors);
+            }
+            else {
+                this._addError(errors, listenerPath, 'expected an object');
+            }
+        }
+    },
+    /**
+     * determine if a value is of a type
+     * @param {Object} val
+     * @param {String} type
+     */
+    _isType: function(val, type) {
+        switch(type) {
+            case 'number':
+                return typeof val === 'number' && isFinite(val);
+            case 'string':
+                return typeof val === 'string';
+            case 'boolean':
+                return typeof val === 'boolean';
+            case 'object':
+                return this._isObject(val);
+            case 'array':
+                return this._isArray(val);
+            case 'function':
+                return this._isObject(val) && typeof val.$func === 'string';
+            case 'image':
+                return this._isObject(val) && typeof val.$image === 'string';
+            case 'point':
+                return this._isObject(val) && (val.x === undefined || this._isType(val.x, 'number')) && (val.y === undefined || this._isType(val.y, 'number'));
+            case 'points':
+                if(!this._isArray(val)) {
+                    return false;
+                }
+                for(var n = 0; n < val.length; n++) {
+                    if(!this._isType(val[n], 'number') && !this._isType(val[n], 'point')) {
+                        return false;
+                    }
+                }
+                return true;
+        }
+        return false;
+    },
+    /**
+     * determine if a node type can be added to a container type
+     * @param {String} parentType
+     * @param {String} nodeType
+     */
+    _canContain: function(parentType, nodeType) {
+        if(parentType === 'Stage') {
+            return nodeType === 'Layer';
+        }
+        return parentType !== 'Shape' && (nodeType === 'Group' || nodeType === 'Shape');
+    },
+    /**
+     * get the class of a shape type that is registered with
+     *  Kinetic.Serializer or is a Kinetic class
+     * @param {String} type
+     */
+    _getShapeClass: function(type) {
+        if( typeof type !== 'string') {
+            return undefined;
+        }
+        var Type = Kinetic.Serializer.types.hasOwnProperty(type) ? Kinetic.Serializer.types[type] : Kinetic.hasOwnProperty(type) ? Kinetic[type] : undefined;
+        return typeof Type === 'function' ? Type : undefined;
+    },
+    /**
+     * get the node type of the nodes that a shape class creates.  Node
+     *  types are set by the constructors, so the class is instantiated
+     * @param {String} type
+     * @param {Function} Type
+     */
+    _getNodeType: function(type, Type) {
+        var cached = this.nodeTypes[type];
+        if(cached === undefined || cached.Type !== Type) {
+            var nodeType = undefined;
+            try {
+                nodeType = new Type({}).nodeType;
+            }
+            catch(e) {
+                // classes that can't be created without attrs have no node type
+            }
+            cached = this.nodeTypes[type] = {
+                Type: Type,
+                nodeType: nodeType
+            };
+        }
+        return cached.nodeType;
+    },
+    _isObject: function(val) {
+        return val !== null && typeof val === 'object' && !this._isArray(val);
+    },
+    _isArray: function(val) {
+        return Object.prototype.toString.call(val) === '[object Array]';
+    },
+    _join: function(path, key) {
+        return path === '' ? key : path + '.' + key;
+    },
+    _addError: function(errors, path, message) {
+        errors.push({
+            path: path,
+            message: message
+        });
+    }
+};
+
+///////////////////////////////////////////////////////////////////////
+//  Patch
+///////////////////////////////////////////////////////////////////////
+/**
+ * Patches used by Kinetic.diff and Stage.applyPatch.  A patch holds the
+ *  operations that change one stage document into another: inserts,
+ *  moves, attr changes, and removals.  Operations refer to nodes by key.
+ *  Nodes with ids are keyed by their id, such as '#foo', and other nodes
+ *  are keyed by the key of their parent and their index among their
+ *  siblings that don't have ids, such as '#foo/0'.  The stage is keyed
+ *  by ''.  Give nodes ids so that they're tracked when they move to other
+ *  containers.  Event listeners are only sent with inserted nodes
+ * ex:
+ * var patch = Kinetic.diff(oldJson, stage.toJSON());<br>
+ * otherStage.applyPatch(patch);
+ * @namespace
+ */
+Kinetic.Patch = {
+    /**
+     * get a patch that changes one stage document into another
+     * @param {String|Object} jsonA JSON string or parsed object
+     * @param {String|Object} jsonB JSON string or parsed object
+     */
+    diff: function(jsonA, jsonB) {
+        var go = Kinetic.GlobalObject;
+        var docA = Kinetic.Schema.upgrade( typeof jsonA === 'string' ? JSON.parse(jsonA) : jsonA);
+        var docB = Kinetic.Schema.upgrade( typeof jsonB === 'string' ? JSON.parse(jsonB) : jsonB);
+        if(docA.nodeType !== 'Stage' || docB.nodeType !== 'Stage') {
+            throw new Error('Kinetic.Patch: only stage documents can be diffed');
+        }
+
+        var nodesA = {};
+        var nodesB = {};
+        var orderA = [];
+        var orderB = [];
+        this._indexDoc(docA, '', undefined, nodesA, orderA);
+        this._indexDoc(docB, '', undefined, nodesB, orderB);
+
+        // nodes that kept their key, but not their type, are replaced
+        function exists(key) {
+            var a = nodesA[key];
+            var b = nodesB[key];
+            return a !== undefined && b !== undefined && a.obj.nodeType === b.obj.nodeType && a.obj.shapeType === b.obj.shapeType;
+        }
+
+        var ops = [];
+        var created = {};
+        var inserted = {};
+
+        function current(key) {
+            if(created[key] !== undefined) {
+                return created[key];
+            }
+            return exists(key) ? nodesA[key] : undefined;
+        }
+
+        /*
+         * go through the containers of the new document from the top
+         * down, and move or insert their children into place.  The
+         * children of the old document are simulated so that the indices
+         * of the operations are the indices at the time they're applied
+         */
+        for(var n = 0; n < orderB.length; n++) {
+            var parentB = orderB[n];
+            if(inserted[parentB.key] || parentB.children.length === 0) {
+                continue;
+            }
+            var parent = current(parentB.key);
+            var stable = this._getStableKeys(parent, parentB, exists, nodesA);
+
+            for(var i = 0; i < parentB.children.length; i++) {
+                var childB = parentB.children[i];
+                var key = childB.key;
+                if(stable[key]) {
+                    continue;
+                }
+
+                var entry = current(key);
+                if(entry !== undefined) {
+                    this._spliceOut(entry);
+                    var index = this._getIndex(parent, parentB, i, current);
+                    this._spliceIn(entry, parent, index);
+                    ops.push({
+                        op: 'move',
+                        key: key,
+                        parent: parentB.key,
+                        index: index
+                    });
+                }
+                else {
+                    /*
+                     * new nodes are inserted with their descendants, unless
+                     * some of them are moved into the new node
+                     */
+                    var whole = !this._containsExisting(childB, exists);
+                    var obj = childB.obj;
+                    if(whole) {
+                        this._markInserted(childB, inserted);
+                    }
+                    else {
+                        obj = {
+                            attrs: obj.attrs,
+                            nodeType: obj.nodeType,
+                            shapeType: obj.shapeType,
+                            listeners: obj.listeners
+                        };
+                    }
+
+                    entry = {
+                        key: key,
+                        children: []
+                    };
+                    created[key] = entry;
+                    var index = this._getIndex(parent, parentB, i, current);
+                    this._spliceIn(entry, parent, index);
+                    ops.push({
+                        op: 'insert',
+                        key: key,
+                        parent: parentB.key,
+                        index: index,
+                        node: go._clone(obj)
+                    });
+                }
+            }
+        }
+
+        // attr changes
+        for(var n = 0; n < orderB.length; n++) {
+            var key = orderB[n].key;
+            if(exists(key)) {
+                var op = this._diffAttrs(key, nodesA[key].obj.attrs, orderB[n].obj.attrs);
+                if(op !== undefined) {
+                    ops.push(op);
+                }
+            }
+        }
+
+        // removals.  Removing a node removes its descendants
+        for(var n = 0; n < orderA.length; n++) {
+            var entry = orderA[n];
+            if(!exists(entry.key) && entry.parent !== undefined && exists(entry.parent.key)) {
+                ops.push({
+                    op: 'remove',
+                    key: entry.key
+                });
             }
         }
-        return false;
+
+        return {
+            version: Kinetic.Schema.version,
+            ops: ops
+        };
     },
-    broadcastMessage: function() {
-        var arr = [];
-        for(var i = 0; i < arguments.length; i++) {
-            arr.push(arguments[i]);
+    /**
+     * apply a patch to a stage in place and draw the layers that
+     *  changed.  Patches are checked before they're applied, and patches
+     *  that refer to nodes that aren't on the stage throw an error.
+     *  Removed nodes are destroyed, unless the stage has a history, in
+     *  which case they're only removed so that the patch can be undone
+     * @param {Stage} stage
+     * @param {Object} patch
+     * @param {Function} [callback] called once all of the images have loaded
+     */
+    apply: function(stage, patch, callback) {
+        var nodes = {};
+        this._indexNode(stage, '', nodes);
+        this._check(patch, nodes);
+
+        var serializer = Kinetic.Serializer;
+        var history = stage.history;
+        var inserted = {};
+        var affected = new Kinetic.Collection();
+        var loading = true;
+        var loaded = false;
+        var loader = {
+            pending: 1,
+            callback: function() {
+                loaded = true;
+                // images that load later need the layers to be drawn again
+                if(!loading) {
+                    affected.draw();
+                    if(callback !== undefined) {
+                        callback();
+                    }
+                }
+            }
+        };
+
+        function getParent(key) {
+            return inserted[key] !== undefined ? inserted[key] : nodes[key];
         }
-        var e = arr.shift();
-        var a = this._listeners;
-        var l = a.length;
-        for(var i = 0; i < l; i++) {
-            if(a[i][e]) {
-                a[i][e].apply(a[i], arr);
+        function addAffected(node) {
+            if(node !== undefined && node.nodeType !== 'Stage') {
+                affected.push(node);
             }
         }
-    },
-    fixTime: function() {
-        this._startTime = this.getTimer() - this._time * 1000;
-    },
-    getTimer: function() {
-        return new Date().getTime() - this._time;
-    }
-};
 
-Kinetic.Tweens = {
-    'back-ease-in': function(t, b, c, d, a, p) {
-        var s = 1.70158;
-        return c * (t /= d) * t * ((s + 1) * t - s) + b;
-    },
-    'back-ease-out': function(t, b, c, d, a, p) {
-        var s = 1.70158;
-        return c * (( t = t / d - 1) * t * ((s + 1) * t + s) + 1) + b;
-    },
-    'back-ease-in-out': function(t, b, c, d, a, p) {
-        var s = 1.70158;
-        if((t /= d / 2) < 1) {
-            return c / 2 * (t * t * (((s *= (1.525)) + 1) * t - s)) + b;
+        // the patch is undone in one step
+        if(history !== undefined) {
+            history.begin('patch');
         }
-        return c / 2 * ((t -= 2) * t * (((s *= (1.525)) + 1) * t + s) + 2) + b;
-    },
-    'elastic-ease-in': function(t, b, c, d, a, p) {
-        // added s = 0
-        var s = 0;
-        if(t === 0) {
-            return b;
+
+        var ops = patch.ops;
+        for(var n = 0; n < ops.length; n++) {
+            var op = ops[n];
+            var node = nodes[op.key];
+            switch(op.op) {
+                case 'insert':
+                    node = serializer._createNode(op.node, loader);
+                    getParent(op.parent).add(node);
+                    if(node.index !== op.index) {
+                        node.setZIndex(op.index);
+                    }
+                    this._indexNode(node, op.key, inserted);
+                    addAffected(node);
+                    break;
+                case 'move':
+                    addAffected(node.getParent());
+                    node.moveTo(getParent(op.parent));
+                    node.setZIndex(op.index);
+                    addAffected(node);
+                    break;
+                case 'attrs':
+                    this._applyAttrs(node, op, loader);
+                    if(node.nodeType === 'Stage') {
+                        affected.push(node);
+                    }
+                    else {
+                        addAffected(node);
+                    }
+                    break;
+                case 'remove':
+                    addAffected(node.getParent());
+                    // removed nodes are only destroyed if the patch can't be undone
+                    if(history === undefined) {
+                        node.destroy();
+                    }
+                    else {
+                        node.getParent().remove(node);
+                    }
+                    break;
+            }
         }
-        if((t /= d) == 1) {
-            return b + c;
+
+        if(history !== undefined) {
+            history.end();
         }
-        if(!p) {
-            p = d * 0.3;
+
+        // release the hold on the callback now that every image has been requested
+        serializer._done(loader);
+        loading = false;
+        affected.draw();
+        if(loaded && callback !== undefined) {
+            callback();
         }
-        if(!a || a < Math.abs(c)) {
-            a = c;
-            s = p / 4;
+    },
+    /**
+     * index the nodes of a document by key.  Each entry holds the key,
+     *  the serialized node, the parent entry, and the child entries
+     * @param {Object} obj
+     * @param {String} key
+     * @param {Object} parent
+     * @param {Object} map
+     * @param {Array} order entries in document order
+     */
+    _indexDoc: function(obj, key, parent, map, order) {
+        if(map[key] !== undefined) {
+            throw new Error('Kinetic.Patch: more than one node has the key "' + key + '"');
         }
-        else {
-            s = p / (2 * Math.PI) * Math.asin(c / a);
+        var entry = {
+            key: key,
+            obj: obj,
+            parent: parent,
+            children: []
+        };
+        map[key] = entry;
+        order.push(entry);
+
+        var children = obj.children === undefined ? [] : obj.children;
+        var unkeyed = 0;
+        for(var n = 0; n < children.length; n++) {
+            var id = children[n].attrs === undefined ? undefined : children[n].attrs.id;
+            var childKey = this._getKey(key, id, unkeyed);
+            if(id === undefined) {
+                unkeyed++;
+            }
+            entry.children.push(this._indexDoc(children[n], childKey, entry, map, order));
         }
-        return -(a * Math.pow(2, 10 * (t -= 1)) * Math.sin((t * d - s) * (2 * Math.PI) / p)) + b;
+        return entry;
     },
-    'elastic-ease-out': function(t, b, c, d, a, p) {
-        // added s = 0
-        var s = 0;
-        if(t === 0) {
-            return b;
+    /**
+     * index a live node and its descendants by key.  Only the children
+     *  that are serialized are indexed
+     * @param {Node} node
+     * @param {String} key
+     * @param {Object} map
+     */
+    _indexNode: function(node, key, map) {
+        map[key] = node;
+        var serializer = Kinetic.Serializer;
+        if(node.nodeType === 'Shape' || node.shapeType !== undefined || serializer._getTypeName(node) !== undefined) {
+            return;
         }
-        if((t /= d) == 1) {
-            return b + c;
+        var unkeyed = 0;
+        for(var n = 0; n < node.children.length; n++) {
+            var id = node.children[n].attrs.id;
+            this._indexNode(node.children[n], this._getKey(key, id, unkeyed), map);
+            if(id === undefined) {
+                unkeyed++;
+            }
         }
-        if(!p) {
-            p = d * 0.3;
+    },
+    /**
+     * get the key of a node
+     * @param {String} parentKey
+     * @param {String} id
+     * @param {Number} index index among the siblings without ids
+     */
+    _getKey: function(parentKey, id, index) {
+        return id !== undefined ? '#' + id : parentKey + '/' + index;
+    },
+    /**
+     * get the keys of the children that already are in a container
+     *  and are left in place.  They're the longest run of children whose
+     *  order didn't change, so that the fewest children are moved
+     * @param {Object} parent simulated container entry
+     * @param {Object} parentB container entry in the new document
+     * @param {Function} exists
+     * @param {Object} nodesA
+     */
+    _getStableKeys: function(parent, parentB, exists, nodesA) {
+        var keys = [];
+        var indices = [];
+        for(var n = 0; n < parentB.children.length; n++) {
+            var key = parentB.children[n].key;
+            if(exists(key) && nodesA[key].parent === parent) {
+                keys.push(key);
+                indices.push(this._indexOf(parent.children, nodesA[key]));
+            }
         }
-        if(!a || a < Math.abs(c)) {
-            a = c;
-            s = p / 4;
+
+        // longest increasing subsequence of the old indices
+        var tails = [];
+        var prev = [];
+        for(var n = 0; n < indices.length; n++) {
+            var low = 0;
+            var high = tails.length;
+            while(low < high) {
+                var mid = (low + high) >> 1;
+                if(indices[tails[mid]] < indices[n]) {
+                    low = mid + 1;
+                }
+                else {
+                    high = mid;
+                }
+            }
+            prev[n] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = n;
         }
-        else {
-            s = p / (2 * Math.PI) * Math.asin(c / a);
+
+        var stable = {};
+        for(var n = tails.length > 0 ? tails[tails.length - 1] : -1; n !== -1; n = prev[n]) {
+            stable[keys[n]] = true;
         }
-        return (a * Math.pow(2, -10 * t) * Math.sin((t * d - s) * (2 * Math.PI) / p) + c + b);
+        return stable;
     },
-    'elastic-ease-in-out': function(t, b, c, d, a, p) {
-        // added s = 0
-        var s = 0;
-        if(t === 0) {
-            return b;
+    /**
+     * get the index that puts a child right after its previous
+     *  sibling in the new document
+     * @param {Object} parent
+     * @param {Object} parentB
+     * @param {Number} i index of the child in the new document
+     * @param {Function} current
+     */
+    _getIndex: function(parent, parentB, i, current) {
+        return i === 0 ? 0 : this._indexOf(parent.children, current(parentB.children[i - 1].key)) + 1;
+    },
+    /**
+     * get the index of an item in an array, or -1 if it isn't in the array
+     * @param {Array} arr
+     * @param {*} item
+     */
+    _indexOf: function(arr, item) {
+        for(var n = 0; n < arr.length; n++) {
+            if(arr[n] === item) {
+                return n;
+            }
         }
-        if((t /= d / 2) == 2) {
-            return b + c;
+        return -1;
+    },
+    /**
+     * remove a simulated entry from the children of its parent entry
+     * @param {Object} entry
+     */
+    _spliceOut: function(entry) {
+        var siblings = entry.parent.children;
+        siblings.splice(this._indexOf(siblings, entry), 1);
+    },
+    /**
+     * add a simulated entry to the children of a parent entry
+     * @param {Object} entry
+     * @param {Object} parent
+     * @param {Number} index
+     */
+    _spliceIn: function(entry, parent, index) {
+        parent.children.splice(index, 0, entry);
+        entry.parent = parent;
+    },
+    /**
+     * determine if a new node has descendants that are already
+     *  in the old document
+     * @param {Object} entry
+     * @param {Function} exists
+     */
+    _containsExisting: function(entry, exists) {
+        for(var n = 0; n < entry.children.length; n++) {
+            if(exists(entry.children[n].key) || this._containsExisting(entry.children[n], exists)) {
+                return true;
+            }
         }
-        if(!p) {
-            p = d * (0.3 * 1.5);
+        return false;
+    },
+    /**
+     * mark a new node and its descendants as inserted along with it,
+     *  so that their children aren't inserted again
+     * @param {Object} entry
+     * @param {Object} inserted
+     */
+    _markInserted: function(entry, inserted) {
+        inserted[entry.key] = true;
+        for(var n = 0; n < entry.children.length; n++) {
+            this._markInserted(entry.children[n], inserted);
         }
-        if(!a || a < Math.abs(c)) {
-            a = c;
-            s = p / 4;
+    },
+    /**
+     * get the attrs operation of a node, or undefined if its attrs
+     *  didn't change
+     * @param {String} key
+     * @param {Object} attrsA
+     * @param {Object} attrsB
+     */
+    _diffAttrs: function(key, attrsA, attrsB) {
+        var go = Kinetic.GlobalObject;
+        attrsA = attrsA === undefined ? {} : attrsA;
+        attrsB = attrsB === undefined ? {} : attrsB;
+        var attrs = {};
+        var unset = [];
+        var changed = false;
+
+        for(var attr in attrsB) {
+            if(!go._isEqual(attrsA[attr], attrsB[attr])) {
+                attrs[attr] = go._clone(attrsB[attr]);
+                changed = true;
+            }
         }
-        else {
-            s = p / (2 * Math.PI) * Math.asin(c / a);
+        for(var attr in attrsA) {
+            if(attrsB[attr] === undefined) {
+                unset.push(attr);
+            }
         }
-        if(t < 1) {
-            return -0.5 * (a * Math.pow(2, 10 * (t -= 1)) * Math.sin((t * d - s) * (2 * Math.PI) / p)) + b;
+        if(!changed && unset.length === 0) {
+            return undefined;
         }
-        return a * Math.pow(2, -10 * (t -= 1)) * Math.sin((t * d - s) * (2 * Math.PI) / p) * 0.5 + c + b;
-    },
-    'bounce-ease-out': function(t, b, c, d) {
-        if((t /= d) < (1 / 2.75)) {
-            return c * (7.5625 * t * t) + b;
+
+        var op = {
+            op: 'attrs',
+            key: key,
+            attrs: attrs
+        };
+        if(unset.length > 0) {
+            op.unset = unset;
         }
-        else if(t < (2 / 2.75)) {
-            return c * (7.5625 * (t -= (1.5 / 2.75)) * t + 0.75) + b;
+        return op;
+    },
+    /**
+     * set the changed attrs of a node.  Attrs with images are set once
+     *  their images have loaded
+     * @param {Node} node
+     * @param {Object} op
+     * @param {Object} loader
+     */
+    _applyAttrs: function(node, op, loader) {
+        var serializer = Kinetic.Serializer;
+        var deferred = {};
+        var attrs = serializer._deserializeAttrs(op.attrs, loader, deferred);
+        for(var key in attrs) {
+            if(deferred[key] === undefined) {
+                this._setAttr(node, key, attrs[key]);
+            }
         }
-        else if(t < (2.5 / 2.75)) {
-            return c * (7.5625 * (t -= (2.25 / 2.75)) * t + 0.9375) + b;
+        if(op.unset !== undefined) {
+            for(var n = 0; n < op.unset.length; n++) {
+                this._setAttr(node, op.unset[n], undefined);
+            }
         }
-        else {
-            return c * (7.5625 * (t -= (2.625 / 2.75)) * t + 0.984375) + b;
+        serializer._loadDeferred(node, deferred, loader);
+
+        // the stage content is resized to the stage size
+        if(node.nodeType === 'Stage' && (attrs.width !== undefined || attrs.height !== undefined)) {
+            node.setSize(node.attrs.width, node.attrs.height);
         }
     },
-    'bounce-ease-in': function(t, b, c, d) {
-        return c - Kinetic.Tweens['bounce-ease-out'](d - t, 0, c, d) + b;
-    },
-    'bounce-ease-in-out': function(t, b, c, d) {
-        if(t < d / 2) {
-            return Kinetic.Tweens['bounce-ease-in'](t * 2, 0, c, d) * 0.5 + b;
+    /**
+     * set an attr of a node.  draggable is set with the draggable
+     *  method, which also binds the drag and drop events
+     * @param {Node} node
+     * @param {String} key
+     * @param {*} val
+     */
+    _setAttr: function(node, key, val) {
+        if(key === 'draggable') {
+            node.draggable(val === true);
         }
         else {
-            return Kinetic.Tweens['bounce-ease-out'](t * 2 - d, 0, c, d) * 0.5 + c * 0.5 + b;
+            node._setAttr(key, val);
         }
     },
-    // duplicate
-    /*
-     strongEaseInOut: function(t, b, c, d) {
-     return c * (t /= d) * t * t * t * t + b;
-     },
+    /**
+     * check that a patch can be applied to a stage.  Every node that an
+     *  operation refers to has to be on the stage or inserted by an
+     *  earlier operation, and inserted nodes have to be valid
+     * @param {Object} patch
+     * @param {Object} nodes live nodes by key
      */
-    'ease-in': function(t, b, c, d) {
-        return c * (t /= d) * t + b;
-    },
-    'ease-out': function(t, b, c, d) {
-        return -c * (t /= d) * (t - 2) + b;
-    },
-    'ease-in-out': function(t, b, c, d) {
-        if((t /= d / 2) < 1) {
-            return c / 2 * t * t + b;
+    _check: function(patch, nodes) {
+        var schema = Kinetic.Schema;
+        var errors = [];
+        var types = {};
+        var removed = {};
+
+        function error(path, message) {
+            errors.push({
+                path: path,
+                message: message
+            });
         }
-        return -c / 2 * ((--t) * (t - 2) - 1) + b;
-    },
-    'strong-ease-in': function(t, b, c, d) {
-        return c * (t /= d) * t * t * t * t + b;
-    },
-    'strong-ease-out': function(t, b, c, d) {
-        return c * (( t = t / d - 1) * t * t * t * t + 1) + b;
-    },
-    'strong-ease-in-out': function(t, b, c, d) {
-        if((t /= d / 2) < 1) {
-            return c / 2 * t * t * t * t * t + b;
+        function isKnown(key) {
+            return types[key] !== undefined || (nodes[key] !== undefined && !removed[key]);
+        }
+        function getType(key) {
+            return types[key] !== undefined ? types[key] : nodes[key].nodeType;
+        }
+        function addTypes(obj, key) {
+            var doc = {};
+            Kinetic.Patch._indexDoc(obj, key, undefined, doc, []);
+            for(var k in doc) {
+                types[k] = doc[k].obj.nodeType;
+            }
+        }
+
+        if(patch === null || typeof patch !== 'object' || patch.version !== schema.version) {
+            throw new Error('Kinetic.Patch: expected a patch with version ' + schema.version);
+        }
+        var ops = patch.ops;
+        if(!schema._isArray(ops)) {
+            throw new Error('Kinetic.Patch: expected a patch with an ops array');
+        }
+
+        for(var n = 0; n < ops.length; n++) {
+            var op = ops[n];
+            var path = 'ops[' + n + ']';
+            if(!schema._isObject(op)) {
+                error(path, 'expected an object');
+                continue;
+            }
+            // moves, attr changes, and removals refer to nodes that are on the stage
+            var hasNode = nodes[op.key] !== undefined && !removed[op.key];
+            var hasParent = isKnown(op.parent);
+
+            switch(op.op) {
+                case 'insert':
+                    if(!hasParent) {
+                        error(path + '.parent', 'unknown node ' + JSON.stringify(op.parent));
+                    }
+                    else if(!schema._isObject(op.node)) {
+                        error(path + '.node', 'expected a node object');
+                    }
+                    else {
+                        schema._validateNode(op.node, path + '.node', getType(op.parent), errors);
+                        try {
+                            addTypes(op.node, op.key);
+                        }
+                        catch(e) {
+                            error(path + '.key', e.message);
+                        }
+                    }
+                    break;
+                case 'move':
+                    if(!hasNode) {
+                        error(path + '.key', 'unknown node ' + JSON.stringify(op.key));
+                    }
+                    else if(!hasParent) {
+                        error(path + '.parent', 'unknown node ' + JSON.stringify(op.parent));
+                    }
+                    else if(!schema._canContain(getType(op.parent), nodes[op.key].nodeType)) {
+                        error(path, nodes[op.key].nodeType + ' nodes can\'t be added to ' + getType(op.parent) + ' nodes');
+                    }
+                    break;
+                case 'attrs':
+                    if(!hasNode) {
+                        error(path + '.key', 'unknown node ' + JSON.stringify(op.key));
+                    }
+                    else if(!schema._isObject(op.attrs)) {
+                        error(path + '.attrs', 'expected an object');
+                    }
+                    else {
+                        var node = nodes[op.key];
+                        schema._validateNode({
+                            attrs: op.attrs,
+                            nodeType: node.nodeType,
+                            shapeType: node.shapeType
+                        }, path, undefined, errors);
+                    }
+                    break;
+                case 'remove':
+                    if(!hasNode || op.key === '') {
+                        error(path + '.key', 'unknown node ' + JSON.stringify(op.key));
+                    }
+                    else {
+                        removed[op.key] = true;
+                    }
+                    break;
+                default:
+                    error(path + '.op', 'unknown operation ' + JSON.stringify(op.op));
+                    break;
+            }
+        }
+
+        if(errors.length > 0) {
+            var messages = [];
+            for(var n = 0; n < errors.length; n++) {
+                messages.push(errors[n].path + ': ' + errors[n].message);
+            }
+            var err = new Error('Kinetic.Patch: invalid patch, ' + messages.join('; '));
+            err.errors = errors;
+            throw err;
         }
-        return c / 2 * ((t -= 2) * t * t * t * t + 2) + b;
-    },
-    'linear': function(t, b, c, d) {
-        return c * t / d + b;
     }
 };
+/**
+ * get a patch that changes one stage document, such as the JSON made
+ *  by Stage.toJSON, into another.  Apply the patch to a stage in the
+ *  first state with Stage.applyPatch
+ * ex:
+ * var patch = Kinetic.diff(oldJson, stage.toJSON());
+ * @param {String|Object} jsonA JSON string or parsed object
+ * @param {String|Object} jsonB JSON string or parsed object
+ */
+Kinetic.diff = function(jsonA, jsonB) {
+    return Kinetic.Patch.diff(jsonA, jsonB);
+};
 
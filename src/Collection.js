@@ -0,0 +1,110 @@
+///////////////////////////////////////////////////////////////////////
+//  Collection
+///////////////////////////////////////////////////////////////////////
+/**
+ * Collection constructor.  Collections are array-like lists of nodes
+ *  returned by Container.get.  Node methods such as setAttrs, on, hide,
+ *  and transitionTo can be called on a collection to apply them to every
+ *  node, and are chainable
+ * ex:
+ * stage.get('.handle').setAttrs({fill: 'red'}).show().draw();
+ * @constructor
+ * @param {Node} [node]* nodes to add to the collection
+ */
+Kinetic.Collection = function() {
+    var length = arguments.length;
+    this.length = 0;
+    for(var n = 0; n < length; n++) {
+        this.push(arguments[n]);
+    }
+};
+Kinetic.Collection.prototype = [];
+/**
+ * iterate through the nodes.  The function is called with
+ *  the node as the context and is passed the node and its index.
+ *  Return false to stop iterating
+ * @param {Function} func
+ */
+Kinetic.Collection.prototype.each = function(func) {
+    for(var n = 0; n < this.length; n++) {
+        if(func.call(this[n], this[n], n) === false) {
+            break;
+        }
+    }
+    return this;
+};
+/**
+ * get a new collection with the nodes that pass a test.  The
+ *  function is called with the node as the context and is passed
+ *  the node and its index
+ * @param {Function} func
+ */
+Kinetic.Collection.prototype.filter = function(func) {
+    var collection = new Kinetic.Collection();
+    for(var n = 0; n < this.length; n++) {
+        if(func.call(this[n], this[n], n)) {
+            collection.push(this[n]);
+        }
+    }
+    return collection;
+};
+/**
+ * get an array with the results of calling a function on
+ *  every node.  The function is called with the node as the
+ *  context and is passed the node and its index
+ * @param {Function} func
+ */
+Kinetic.Collection.prototype.map = function(func) {
+    var arr = [];
+    for(var n = 0; n < this.length; n++) {
+        arr.push(func.call(this[n], this[n], n));
+    }
+    return arr;
+};
+/**
+ * get the nodes as a plain array
+ */
+Kinetic.Collection.prototype.toArray = function() {
+    var arr = [];
+    for(var n = 0; n < this.length; n++) {
+        arr.push(this[n]);
+    }
+    return arr;
+};
+/**
+ * draw the layers of the nodes.  Each layer is drawn only once,
+ *  and a stage in the collection draws all of its layers
+ */
+Kinetic.Collection.prototype.draw = function() {
+    var drawn = {};
+    for(var n = 0; n < this.length; n++) {
+        var node = this[n];
+        while(node !== undefined && node.nodeType !== 'Layer' && node.nodeType !== 'Stage') {
+            node = node.getParent();
+        }
+        if(node !== undefined && drawn[node._id] === undefined) {
+            drawn[node._id] = true;
+            node.draw();
+        }
+    }
+    return this;
+};
+/**
+ * add collection methods that call a node method on every
+ *  node in the collection.  The collection methods are chainable
+ * @param {Array} methods node method names
+ */
+Kinetic.Collection.mapMethods = function(methods) {
+    function addMethod(name) {
+        Kinetic.Collection.prototype[name] = function() {
+            for(var n = 0; n < this.length; n++) {
+                this[n][name].apply(this[n], arguments);
+            }
+            return this;
+        };
+    }
+    for(var n = 0; n < methods.length; n++) {
+        addMethod(methods[n]);
+    }
+};
+Kinetic.Collection.mapMethods(['on', 'off', 'fire', 'setAttrs', 'show', 'hide', 'move', 'rotate', 'rotateDeg', 'setPosition', 'setX', 'setY', 'setScale', 'setRotation', 'setRotationDeg', 'setAlpha', 'setCenterOffset', 'setZIndex', 'moveToTop', 'moveToBottom', 'moveUp', 'moveDown', 'moveTo', 'draggable', 'listen', 'transitionTo', 'destroy']);
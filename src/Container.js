@@ -44,8 +44,7 @@ Kinetic.Container.prototype = {
             go.tempNodes.push(child);
         }
         else {
-            stage._addId(child);
-            stage._addName(child);
+            this._register(stage, child);
 
             /*
              * pull in other nodes that are now linked
@@ -55,45 +54,49 @@ Kinetic.Container.prototype = {
             go._pullNodes(stage);
         }
 
+        child._setDirty();
+
         // do extra stuff if needed
         if(this._add !== undefined) {
             this._add(child);
         }
 
+        var history = child._getHistory();
+        if(history !== undefined) {
+            history._record({
+                type: 'add',
+                node: child,
+                parent: this,
+                index: child.index
+            });
+        }
+
         // chainable
         return this;
     },
     /**
-     * remove child from container
+     * remove child from container.  The child keeps its descendants, so
+     *  it can be added again, and the stage references to the child and
+     *  its descendants are cleared
      * @param {Node} child
      */
     remove: function(child) {
         if(child && child.index !== undefined && this.children[child.index]._id == child._id) {
             var stage = this.getStage();
-            if(stage !== undefined) {
-                stage._removeId(child);
-                stage._removeName(child);
+            if(stage !== undefined && stage.history !== undefined) {
+                stage.history._record({
+                    type: 'remove',
+                    node: child,
+                    parent: this,
+                    index: child.index
+                });
             }
 
-            var go = Kinetic.GlobalObject;
-            for(var n = 0; n < go.tempNodes.length; n++) {
-                var node = go.tempNodes[n];
-                if(node._id === child._id) {
-                    go.tempNodes.splice(n, 1);
-                    break;
-                }
-            }
+            this._unregister(stage, child);
 
             this.children.splice(child.index, 1);
             this._setChildrenIndices();
 
-            // remove children
-            if(child.children) {
-                for(var n = 0; n < child.children.length; n++) {
-                    child.remove(child.children[n]);
-                }
-            }
-
             // do extra stuff if needed
             if(this._remove !== undefined) {
                 this._remove(child);
@@ -104,39 +107,30 @@ Kinetic.Container.prototype = {
         return this;
     },
     /**
-     * return an array of nodes that match the selector.  Use '#' for id selections
-     * and '.' for name selections
+     * return a Kinetic.Collection of nodes that match the selector in document order.
+     * Use '#' for id selections, '.' for name selections, node types or shape
+     * types for type selections, and brackets for attribute selections.
+     * Selectors can be combined with white space to select descendants,
+     * with '>' to select children, and with ',' to select the union
      * ex:
      * var node = stage.get('#foo'); // selects node with id foo
      * var nodes = layer.get('.bar'); // selects nodes with name bar inside layer
+     * var nodes = stage.get('Rect, Text'); // selects rects and texts
+     * var nodes = stage.get('Group > .handle'); // selects children of groups with name handle
+     * var nodes = stage.get('Rect[draggable=true]'); // selects draggable rects
+     * var nodes = stage.get('[alpha<0.5]'); // selects nodes with an alpha less than 0.5
      * @param {String} selector
      */
     get: function(selector) {
         var stage = this.getStage();
-        var arr;
-        var key = selector.slice(1);
-        if(selector.charAt(0) === '#') {
-            arr = stage.ids[key] !== undefined ? [stage.ids[key]] : [];
-        }
-        else if(selector.charAt(0) === '.') {
-            arr = stage.names[key] !== undefined ? stage.names[key] : [];
-        }
-        else if(selector === 'Shape' || selector === 'Group' || selector === 'Layer') {
-            return this._getNodes(selector);
-        }
-        else {
-            return false;
-        }
 
-        var retArr = [];
-        for(var n = 0; n < arr.length; n++) {
-            var node = arr[n];
-            if(this.isAncestorOf(node)) {
-                retArr.push(node);
-            }
+        // use the id index for simple id selections
+        if(stage !== undefined && /^#[^\s#.\[\],>]+$/.test(selector)) {
+            var node = stage.ids[selector.slice(1)];
+            return node !== undefined && this.isAncestorOf(node) ? new Kinetic.Collection(node) : new Kinetic.Collection();
         }
 
-        return retArr;
+        return Kinetic.Selector.select(this, selector);
     },
     /**
      * determine if node is an ancestor
@@ -158,27 +152,6 @@ Kinetic.Container.prototype = {
 
         return false;
     },
-    /**
-     * get all shapes inside container
-     */
-    _getNodes: function(sel) {
-        var arr = [];
-        function traverse(cont) {
-            var children = cont.getChildren();
-            for(var n = 0; n < children.length; n++) {
-                var child = children[n];
-                if(child.nodeType === sel) {
-                    arr.push(child);
-                }
-                else if(child.nodeType !== 'Shape') {
-                    traverse(child);
-                }
-            }
-        }
-        traverse(this);
-
-        return arr;
-    },
     /**
      * draw children
      */
@@ -198,24 +171,126 @@ Kinetic.Container.prototype = {
         }
     },
     /**
-     * set children indices
+     * draw children onto the hit graph of a layer.  Only visible
+     *  and listening nodes are drawn.  Dragged nodes are left out so
+     *  that the drop targets under them can be detected
+     * @param {Layer} layer
      */
-    _setChildrenIndices: function() {
-        /*
-         * if reordering Layers, remove all canvas elements
-         * from the container except the buffer and backstage canvases
-         * and then readd all the layers
-         */
-        if(this.nodeType === 'Stage') {
-            var canvases = this.content.children;
-            var bufferCanvas = canvases[0];
-            var backstageCanvas = canvases[1];
+    _drawChildrenHit: function(layer) {
+        var children = this.children;
+        for(var n = 0; n < children.length; n++) {
+            var child = children[n];
+            if(child.attrs.visible && child.attrs.listening && !child._isDragged()) {
+                if(child.nodeType === 'Shape') {
+                    child._drawHit(layer);
+                }
+                else {
+                    child._drawChildrenHit(layer);
+                }
+            }
+        }
+    },
+    /**
+     * get the rect that the visible descendants of the container take
+     *  up on the stage.  The rect is the union of the client rects of
+     *  the children
+     * @param {Object} [config]
+     * @config {Node} [relativeTo] get the rect in the coordinate space of
+     *  another node, such as an ancestor
+     * @config {Boolean} [skipTransform] get the rect in the container's
+     *  own coordinate space
+     * @config {Boolean} [skipStroke] ignore stroke widths
+     * @config {Boolean} [skipShadow] ignore shadows
+     */
+    getClientRect: function(config) {
+        var c = config === undefined ? {} : config;
+        var childConfig = {
+            relativeTo: c.skipTransform ? this : c.relativeTo,
+            skipStroke: c.skipStroke,
+            skipShadow: c.skipShadow
+        };
+        var points = [];
 
-            this.content.innerHTML = '';
-            this.content.appendChild(bufferCanvas);
-            this.content.appendChild(backstageCanvas);
+        for(var n = 0; n < this.children.length; n++) {
+            var child = this.children[n];
+            if(child.attrs.visible) {
+                var rect = child.getClientRect(childConfig);
+                // ignore empty containers
+                if(child.nodeType === 'Shape' || rect.width > 0 || rect.height > 0) {
+                    points.push({
+                        x: rect.x,
+                        y: rect.y
+                    });
+                    points.push({
+                        x: rect.x + rect.width,
+                        y: rect.y + rect.height
+                    });
+                }
+            }
         }
 
+        return Kinetic.GlobalObject._getPointsRect(points);
+    },
+    /**
+     * add a node and its descendants to the id and name registries of
+     *  a stage.  The descendants of nodes that were removed and then added
+     *  again aren't temp nodes, so they're registered here
+     * @param {Stage} stage
+     * @param {Node} node
+     */
+    _register: function(stage, node) {
+        stage._addId(node);
+        stage._addName(node);
+        if(node.children !== undefined) {
+            for(var n = 0; n < node.children.length; n++) {
+                this._register(stage, node.children[n]);
+            }
+        }
+    },
+    /**
+     * remove a node and its descendants from the stage registries, the
+     *  temp nodes, and the hit graph registry.  The descendants stay in the
+     *  removed node so that it can be added again
+     * @param {Stage} stage
+     * @param {Node} node
+     */
+    _unregister: function(stage, node) {
+        var go = Kinetic.GlobalObject;
+        if(stage !== undefined) {
+            stage._removeId(node);
+            stage._removeName(node);
+            stage._clearReferences(node);
+        }
+
+        for(var n = 0; n < go.tempNodes.length; n++) {
+            if(go.tempNodes[n]._id === node._id) {
+                go.tempNodes.splice(n, 1);
+                break;
+            }
+        }
+
+        // remove shape from the hit graph registry
+        if(node.nodeType === 'Shape' && go.shapes[node.colorKey] !== undefined && go.shapes[node.colorKey]._id === node._id) {
+            delete go.shapes[node.colorKey];
+        }
+
+        if(node.children !== undefined) {
+            for(var n = 0; n < node.children.length; n++) {
+                this._unregister(stage, node.children[n]);
+            }
+        }
+    },
+    /**
+     * set children indices.  Reordering the children of a layer
+     *  or group makes it dirty
+     */
+    _setChildrenIndices: function() {
+        /*
+         * if reordering Layers, append the layer canvases again in
+         * order.  Appending a canvas moves it after the buffer and
+         * backstage canvases and the other layers, and leaves the
+         * other elements of the container in place
+         */
         for(var n = 0; n < this.children.length; n++) {
             this.children[n].index = n;
 
@@ -223,5 +298,14 @@ Kinetic.Container.prototype = {
                 this.content.appendChild(this.children[n].canvas);
             }
         }
+
+        // keep the selection marquee above the layers
+        if(this.nodeType === 'Stage' && this.marquee !== undefined && this.marquee.div !== undefined) {
+            this.content.appendChild(this.marquee.div);
+        }
+
+        if(this.nodeType !== 'Stage') {
+            this._setDirty();
+        }
     }
 };
@@ -0,0 +1,105 @@
+///////////////////////////////////////////////////////////////////////
+//  Event
+///////////////////////////////////////////////////////////////////////
+/**
+ * Event constructor.  Event objects are passed to node event handlers
+ *  and wrap the DOM event that triggered them, if there is one.  Events
+ *  travel from the stage down to the target node during the capture
+ *  phase, and then bubble back up to the stage
+ * @constructor
+ * @param {String} type
+ * @param {Event} evt DOM event
+ * @param {Node} target
+ * @param {Object} [payload] properties to add to the event.  Keys that
+ *  are already properties or methods of the event, such as type and
+ *  target, are reserved and throw an error
+ */
+Kinetic.Event = function(type, evt, target, payload) {
+    this.type = type;
+    this.evt = evt;
+    this.target = target;
+    this.currentTarget = undefined;
+    this.eventPhase = undefined;
+    this.shape = target.nodeType === 'Shape' ? target : undefined;
+    this.cancelBubble = false;
+    this.defaultPrevented = false;
+
+    var stage = target.getStage();
+    var pos = stage === undefined ? undefined : stage.getUserPosition();
+    this.stagePos = pos === undefined ? undefined : {
+        x: pos.x,
+        y: pos.y
+    };
+    this.localPos = undefined;
+
+    if(payload !== undefined) {
+        for(var key in payload) {
+            // payloads can't replace the properties and methods of the event
+            if( key in this) {
+                throw new Error('Kinetic.Event: payload key "' + key + '" is reserved');
+            }
+            this[key] = payload[key];
+        }
+    }
+};
+/*
+ * Event methods
+ */
+Kinetic.Event.prototype = {
+    /**
+     * stop the event from travelling to any other nodes.  Listeners
+     *  on the current node still run
+     */
+    stopPropagation: function() {
+        this.cancelBubble = true;
+    },
+    /**
+     * prevent the default browser action of the DOM event
+     */
+    preventDefault: function() {
+        this.defaultPrevented = true;
+        if(this.evt !== undefined && this.evt.preventDefault !== undefined) {
+            this.evt.preventDefault();
+        }
+    },
+    /**
+     * get user position relative to the stage container
+     */
+    getStagePosition: function() {
+        return this.stagePos;
+    },
+    /**
+     * get user position in the coordinate space of the current
+     *  target
+     */
+    getLocalPosition: function() {
+        return this.localPos;
+    },
+    /**
+     * set the node whose listeners are running and the dispatch
+     *  phase, which is 'capture', 'target', or 'bubble'
+     * @param {Node} node
+     * @param {String} phase
+     */
+    _setCurrentTarget: function(node, phase) {
+        this.currentTarget = node;
+        this.eventPhase = phase;
+        this.localPos = undefined;
+
+        if(this.stagePos !== undefined) {
+            var m = node.getAbsoluteTransform();
+            // shapes are drawn relative to their center offset
+            if(node.attrs.centerOffset.x !== 0 || node.attrs.centerOffset.y !== 0) {
+                m.translate(-1 * node.attrs.centerOffset.x, -1 * node.attrs.centerOffset.y);
+            }
+            m.invert();
+            var mm = m.getMatrix();
+            var x = this.stagePos.x;
+            var y = this.stagePos.y;
+            this.localPos = {
+                x: mm[0] * x + mm[2] * y + mm[4],
+                y: mm[1] * x + mm[3] * y + mm[5]
+            };
+        }
+    }
+};
@@ -13,11 +13,16 @@ var Kinetic = {};
 Kinetic.GlobalObject = {
     stages: [],
     idCounter: 0,
+    colorKeyCounter: 1,
+    freeColorKeys: [],
+    shapes: {},
     tempNodes: [],
     animations: [],
+    batchLayers: [],
     animIdCounter: 0,
     animRunning: false,
     maxDragTimeInterval: 20,
+    dragVelocityTime: 100,
     frame: {
         time: 0,
         timeDiff: 0,
@@ -26,6 +31,11 @@ Kinetic.GlobalObject = {
     drag: {
         moving: false,
         node: undefined,
+        nodes: [],
+        target: undefined,
+        start: undefined,
+        released: false,
+        samples: [],
         offset: {
             x: 0,
             y: 0
@@ -78,8 +88,25 @@ Kinetic.GlobalObject = {
             anim.func(this.frame);
         }
 
+        /*
+         * draw the batched layers after the animation functions
+         * have run so that their changes are drawn in this frame.  The
+         * queue is replaced first so that layers can be batched again
+         * while they are drawn
+         */
+        var drawn = {};
+        var batchLayers = this.batchLayers;
+        this.batchLayers = [];
+        for(var n = 0; n < batchLayers.length; n++) {
+            var layer = batchLayers[n];
+            layer._draw();
+            drawn[layer._id] = true;
+        }
+
         for(var key in nodes) {
-            nodes[key].draw();
+            if(drawn[key] === undefined) {
+                nodes[key].draw();
+            }
         }
     },
     _updateFrameObject: function() {
@@ -95,7 +122,7 @@ Kinetic.GlobalObject = {
         }
     },
     _animationLoop: function() {
-        if(this.animations.length > 0) {
+        if(this.animations.length > 0 || this.batchLayers.length > 0) {
             this._updateFrameObject();
             this._runFrames();
             var that = this;
@@ -118,6 +145,74 @@ Kinetic.GlobalObject = {
             this.frame.lastTime = 0;
         }
     },
+    /*
+     * queue a layer to be drawn on the next animation frame.  A layer
+     * is only queued once no matter how many times it's batched
+     */
+    _batchDraw: function(layer) {
+        for(var n = 0; n < this.batchLayers.length; n++) {
+            if(this.batchLayers[n] === layer) {
+                return;
+            }
+        }
+        this.batchLayers.push(layer);
+
+        if(!this.animRunning) {
+            this.animRunning = true;
+            var that = this;
+            requestAnimFrame(function() {
+                that._animationLoop();
+            });
+        }
+    },
+    _removeBatchDraw: function(layer) {
+        for(var n = 0; n < this.batchLayers.length; n++) {
+            if(this.batchLayers[n] === layer) {
+                this.batchLayers.splice(n, 1);
+                return;
+            }
+        }
+    },
+    /*
+     * hit graph support
+     */
+    _getColorKey: function() {
+        /*
+         * color keys come from a counter so that every shape gets its
+         * own key, even if it hasn't been drawn onto a hit graph yet.
+         * The keys of destroyed shapes are used again first
+         */
+        if(this.freeColorKeys.length > 0) {
+            return this.freeColorKeys.pop();
+        }
+
+        /*
+         * the counter wraps around to 1 rather than 0, because black is
+         * the color of the empty hit graph pixels, and skips the keys of
+         * shapes that are still on a hit graph
+         */
+        var key;
+        do {
+            if(this.colorKeyCounter > 0xffffff) {
+                this.colorKeyCounter = 1;
+            }
+            var n = this.colorKeyCounter++;
+            key = this._rgbToHex((n >> 16) & 255, (n >> 8) & 255, n & 255);
+        } while(this.shapes[key] !== undefined);
+
+        return key;
+    },
+    /*
+     * free the color key of a destroyed shape so that new shapes can use it
+     */
+    _freeColorKey: function(key) {
+        if(key !== undefined) {
+            this.freeColorKeys.push(key);
+        }
+    },
+    _rgbToHex: function(r, g, b) {
+        return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+    },
     /*
      * cherry-picked and modified utilities from underscore.js
      */
@@ -145,6 +240,66 @@ Kinetic.GlobalObject = {
         }
         return names.length > 0;
     },
+    /*
+     * deep copy arrays and pure objects.  Other objects such as
+     * functions, images, and DOM elements are copied by reference
+     */
+    _clone: function(obj) {
+        var type = Object.prototype.toString.call(obj);
+        if(type === '[object Array]') {
+            var arr = [];
+            for(var n = 0; n < obj.length; n++) {
+                arr.push(this._clone(obj[n]));
+            }
+            return arr;
+        }
+        else if(type === '[object Object]' && !this._isElement(obj) && !this._hasMethods(obj)) {
+            var copy = {};
+            for(var key in obj) {
+                copy[key] = this._clone(obj[key]);
+            }
+            return copy;
+        }
+        return obj;
+    },
+    /*
+     * deep compare arrays and pure objects.  Other values
+     * are compared by reference
+     */
+    _isEqual: function(a, b) {
+        if(a === b) {
+            return true;
+        }
+        var type = Object.prototype.toString.call(a);
+        if(type !== Object.prototype.toString.call(b)) {
+            return false;
+        }
+        if(type === '[object Array]') {
+            if(a.length !== b.length) {
+                return false;
+            }
+            for(var n = 0; n < a.length; n++) {
+                if(!this._isEqual(a[n], b[n])) {
+                    return false;
+                }
+            }
+            return true;
+        }
+        else if(type === '[object Object]' && !this._isElement(a) && !this._hasMethods(a) && !this._isElement(b) && !this._hasMethods(b)) {
+            for(var key in a) {
+                if(!this._isEqual(a[key], b[key])) {
+                    return false;
+                }
+            }
+            for(var key in b) {
+                if(!(key in a)) {
+                    return false;
+                }
+            }
+            return true;
+        }
+        return false;
+    },
     /*
      * The argument can be:
      * - an integer (will be applied to both x and y)
@@ -286,6 +441,37 @@ Kinetic.GlobalObject = {
             height: 0
         };
     },
+    /*
+     * get the rect that bounds an array of point objects
+     */
+    _getPointsRect: function(points) {
+        if(points.length === 0) {
+            return {
+                x: 0,
+                y: 0,
+                width: 0,
+                height: 0
+            };
+        }
+
+        var minX = points[0].x;
+        var minY = points[0].y;
+        var maxX = minX;
+        var maxY = minY;
+        for(var n = 1; n < points.length; n++) {
+            minX = Math.min(minX, points[n].x);
+            minY = Math.min(minY, points[n].y);
+            maxX = Math.max(maxX, points[n].x);
+            maxY = Math.max(maxY, points[n].y);
+        }
+
+        return {
+            x: minX,
+            y: minY,
+            width: maxX - minX,
+            height: maxY - minY
+        };
+    },
     /*
      * arg will be an array of numbers or
      *  an array of point objects
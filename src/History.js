@@ -0,0 +1,492 @@
+///////////////////////////////////////////////////////////////////////
+//  History
+///////////////////////////////////////////////////////////////////////
+/**
+ * History constructor.  Histories record the changes made to the nodes on
+ *  a stage so that they can be undone and redone.  Attr changes made with
+ *  setAttrs and the setters are recorded, along with nodes that are added,
+ *  removed, moved to other containers, or reordered.  Drags and transitions
+ *  are recorded by their end results.  Changes are grouped into
+ *  transactions, which are undone and redone together.  Each drag gesture
+ *  is a transaction, and begin and end group other changes.  Transformers
+ *  aren't part of the scene, so their changes aren't recorded.  Destroyed
+ *  nodes can't be restored, so the changes that refer to them are
+ *  forgotten.  Histories fire a change event whenever a transaction is
+ *  recorded, undone, redone, or forgotten
+ * ex:
+ * var history = new Kinetic.History(stage, {limit: 50});<br>
+ * history.begin('align');<br>
+ * rect.setX(0);<br>
+ * circle.setX(0);<br>
+ * history.end();<br>
+ * history.undo();
+ * @constructor
+ * @param {Stage} stage
+ * @param {Object} [config]
+ * @config {Number} [limit] maximum number of transactions that can be
+ *  undone.  The default is 100
+ */
+Kinetic.History = function(stage, config) {
+    this.stage = stage;
+    this.limit = config !== undefined && config.limit !== undefined ? config.limit : 100;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transaction = undefined;
+    this.depth = 0;
+    this.applying = false;
+    this.eventListeners = {};
+
+    stage.history = this;
+};
+/*
+ * History methods
+ */
+Kinetic.History.prototype = {
+    /**
+     * bind events to the history.  Histories fire change events, which
+     *  hold the action, which is 'record', 'undo', 'redo', 'clear', or
+     *  'forget', and the transaction.  Pass in a string of event types delimmited by a
+     *  space to bind multiple events at once
+     * @param {String} typesStr
+     * @param {Function} handler
+     */
+    on: function(typesStr, handler) {
+        var types = typesStr.split(' ');
+        for(var n = 0; n < types.length; n++) {
+            var type = types[n];
+            if(this.eventListeners[type] === undefined) {
+                this.eventListeners[type] = [];
+            }
+            this.eventListeners[type].push(handler);
+        }
+    },
+    /**
+     * remove event bindings from the history
+     * @param {String} typesStr
+     */
+    off: function(typesStr) {
+        var types = typesStr.split(' ');
+        for(var n = 0; n < types.length; n++) {
+            delete this.eventListeners[types[n]];
+        }
+    },
+    /**
+     * begin a transaction.  Changes are grouped until end is called.
+     *  Transactions can be nested, in which case the changes are grouped
+     *  into the outermost transaction
+     * @param {String} [label] describes the transaction, such as 'drag'
+     */
+    begin: function(label) {
+        if(this.depth === 0) {
+            this.transaction = {
+                label: label,
+                changes: []
+            };
+        }
+        this.depth++;
+    },
+    /**
+     * end a transaction.  The transaction is recorded once the
+     *  outermost transaction ends
+     */
+    end: function() {
+        if(this.depth === 0) {
+            return;
+        }
+        this.depth--;
+        if(this.depth === 0) {
+            var transaction = this.transaction;
+            this.transaction = undefined;
+            this._push(transaction);
+        }
+    },
+    /**
+     * undo the last transaction.  Open transactions are ended first.
+     *  Returns false if there is nothing to undo
+     */
+    undo: function() {
+        this._endAll();
+        // nodes can be destroyed after they're removed from the stage
+        this._forgetDestroyed();
+        if(!this.canUndo()) {
+            return false;
+        }
+        var transaction = this.undoStack.pop();
+        this._apply(transaction, true);
+        this.redoStack.push(transaction);
+        this._fire('undo', transaction);
+        return true;
+    },
+    /**
+     * redo the last transaction that was undone.  Returns false if
+     *  there is nothing to redo
+     */
+    redo: function() {
+        this._endAll();
+        this._forgetDestroyed();
+        if(!this.canRedo()) {
+            return false;
+        }
+        var transaction = this.redoStack.pop();
+        this._apply(transaction, false);
+        this.undoStack.push(transaction);
+        this._fire('redo', transaction);
+        return true;
+    },
+    /**
+     * determine if there is a transaction to undo
+     */
+    canUndo: function() {
+        return this.undoStack.length > 0;
+    },
+    /**
+     * determine if there is a transaction to redo
+     */
+    canRedo: function() {
+        return this.redoStack.length > 0;
+    },
+    /**
+     * forget every recorded transaction
+     */
+    clear: function() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.transaction = undefined;
+        this.depth = 0;
+        this._fire('clear', undefined);
+    },
+    /**
+     * set the maximum number of transactions that can be undone.  The
+     *  oldest transactions are forgotten first
+     * @param {Number} limit
+     */
+    setLimit: function(limit) {
+        this.limit = limit;
+        this._trim();
+    },
+    /**
+     * get the maximum number of transactions that can be undone
+     */
+    getLimit: function() {
+        return this.limit;
+    },
+    /**
+     * record a change.  Changes are added to the open transaction,
+     *  or recorded as a transaction of their own
+     * @param {Object} change
+     */
+    _record: function(change) {
+        if(this.applying || this._isIgnored(change.node)) {
+            return;
+        }
+        if(this.transaction !== undefined) {
+            this.transaction.changes.push(change);
+        }
+        else {
+            this._push({
+                label: undefined,
+                changes: [change]
+            });
+        }
+    },
+    /**
+     * record an attr change.  Changes to an attr that was already
+     *  changed in the open transaction are merged, so that a transaction
+     *  such as a drag gesture only holds the end result
+     * @param {Node} node
+     * @param {String} attr
+     * @param {*} oldVal
+     * @param {*} newVal
+     */
+    _recordAttr: function(node, attr, oldVal, newVal) {
+        var go = Kinetic.GlobalObject;
+        if(this.applying || this._isIgnored(node)) {
+            return;
+        }
+
+        if(this.transaction !== undefined) {
+            var changes = this.transaction.changes;
+            for(var n = changes.length - 1; n >= 0; n--) {
+                var change = changes[n];
+                if(change.node === node) {
+                    if(change.type === 'attr' && change.attr === attr) {
+                        change.newVal = go._clone(newVal);
+                        return;
+                    }
+                    // attrs changed before the node was added, removed, or moved aren't merged
+                    if(change.type !== 'attr') {
+                        break;
+                    }
+                }
+            }
+        }
+
+        this._record({
+            type: 'attr',
+            node: node,
+            attr: attr,
+            oldVal: go._clone(oldVal),
+            newVal: go._clone(newVal)
+        });
+    },
+    /**
+     * record the changes from a set of old attrs to the current attrs
+     *  of a node as one transaction
+     * @param {Node} node
+     * @param {Object} oldAttrs
+     * @param {String} [label]
+     */
+    _recordAttrs: function(node, oldAttrs, label) {
+        this.begin(label);
+        for(var key in oldAttrs) {
+            this._recordAttr(node, key, oldAttrs[key], node.attrs[key]);
+        }
+        this.end();
+    },
+    /**
+     * add a transaction to the undo stack.  Attr changes that were
+     *  changed back are left out, and empty transactions aren't added
+     * @param {Object} transaction
+     */
+    _push: function(transaction) {
+        var go = Kinetic.GlobalObject;
+        var changes = [];
+        for(var n = 0; n < transaction.changes.length; n++) {
+            var change = transaction.changes[n];
+            if(change.type !== 'attr' || !go._isEqual(change.oldVal, change.newVal)) {
+                changes.push(change);
+            }
+        }
+        if(changes.length === 0) {
+            return;
+        }
+
+        transaction.changes = changes;
+        this.undoStack.push(transaction);
+        this.redoStack = [];
+        this._trim();
+        this._fire('record', transaction);
+    },
+    /**
+     * forget the changes that refer to destroyed nodes, such as changes to
+     *  their attrs or changes that added nodes to them.  Transactions that
+     *  are left without changes are forgotten too
+     */
+    _forgetDestroyed: function() {
+        var undoLength = this.undoStack.length;
+        var redoLength = this.redoStack.length;
+        this.undoStack = this._filterDestroyed(this.undoStack);
+        this.redoStack = this._filterDestroyed(this.redoStack);
+        if(this.transaction !== undefined) {
+            this.transaction.changes = this._getLiveChanges(this.transaction.changes);
+        }
+        if(this.undoStack.length !== undoLength || this.redoStack.length !== redoLength) {
+            this._fire('forget', undefined);
+        }
+    },
+    /**
+     * remove the changes that refer to destroyed nodes from a stack of
+     *  transactions, and drop the transactions that are left empty
+     * @param {Array} stack
+     */
+    _filterDestroyed: function(stack) {
+        var transactions = [];
+        for(var n = 0; n < stack.length; n++) {
+            var transaction = stack[n];
+            transaction.changes = this._getLiveChanges(transaction.changes);
+            if(transaction.changes.length > 0) {
+                transactions.push(transaction);
+            }
+        }
+        return transactions;
+    },
+    /**
+     * get the changes that don't refer to destroyed nodes
+     * @param {Array} changes
+     */
+    _getLiveChanges: function(changes) {
+        var keys = Kinetic.History.nodeKeys;
+        var live = [];
+        for(var n = 0; n < changes.length; n++) {
+            var change = changes[n];
+            var destroyed = false;
+            for(var i = 0; i < keys.length; i++) {
+                var node = change[keys[i]];
+                if(node !== undefined && node.destroyed === true) {
+                    destroyed = true;
+                }
+            }
+            if(!destroyed) {
+                live.push(change);
+            }
+        }
+        return live;
+    },
+    /**
+     * end open transactions
+     */
+    _endAll: function() {
+        while(this.depth > 0) {
+            this.end();
+        }
+    },
+    /**
+     * forget the oldest transactions that are over the limit
+     */
+    _trim: function() {
+        while(this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+    },
+    /**
+     * undo or redo the changes of a transaction and draw the layers
+     *  that changed.  Changes made while applying a transaction aren't
+     *  recorded
+     * @param {Object} transaction
+     * @param {Boolean} undo
+     */
+    _apply: function(transaction, undo) {
+        var changes = transaction.changes;
+        this.applying = true;
+        try {
+            if(undo) {
+                for(var n = changes.length - 1; n >= 0; n--) {
+                    this._applyChange(changes[n], true);
+                }
+            }
+            else {
+                for(var n = 0; n < changes.length; n++) {
+                    this._applyChange(changes[n], false);
+                }
+            }
+        }
+        finally {
+            this.applying = false;
+        }
+        this._drawChanged(changes);
+    },
+    /**
+     * draw the layers that hold the changed nodes right away, rather
+     *  than after the layer throttle, so that their hit graphs are up
+     *  to date for the next event
+     * @param {Array} changes
+     */
+    _drawChanged: function(changes) {
+        var stage = this.stage;
+        var keys = Kinetic.History.nodeKeys;
+        var layers = {};
+        for(var n = 0; n < changes.length; n++) {
+            for(var i = 0; i < keys.length; i++) {
+                var node = changes[n][keys[i]];
+                if(node !== undefined && node.getStage() === stage) {
+                    var nodeLayers = node.nodeType === 'Stage' ? stage.getChildren() : [node.getLayer()];
+                    for(var j = 0; j < nodeLayers.length; j++) {
+                        layers[nodeLayers[j]._id] = nodeLayers[j];
+                    }
+                }
+            }
+        }
+        for(var id in layers) {
+            layers[id]._draw();
+        }
+    },
+    /**
+     * undo or redo a change
+     * @param {Object} change
+     * @param {Boolean} undo
+     */
+    _applyChange: function(change, undo) {
+        var node = change.node;
+        switch(change.type) {
+            case 'attr':
+                var val = Kinetic.GlobalObject._clone(undo ? change.oldVal : change.newVal);
+                if(change.attr === 'draggable') {
+                    node.draggable(val);
+                }
+                else {
+                    node._setAttr(change.attr, val);
+                }
+                break;
+            case 'add':
+                if(undo) {
+                    this._detach(node, change.parent);
+                }
+                else {
+                    this._attach(node, change.parent, change.index);
+                }
+                break;
+            case 'remove':
+                if(undo) {
+                    this._attach(node, change.parent, change.index);
+                }
+                else {
+                    this._detach(node, change.parent);
+                }
+                break;
+            case 'move':
+                node.moveTo(undo ? change.oldParent : change.newParent);
+                node.setZIndex(undo ? change.oldIndex : change.newIndex);
+                break;
+            case 'order':
+                node.setZIndex(undo ? change.oldIndex : change.newIndex);
+                break;
+        }
+    },
+    /**
+     * add a node to a container at an index
+     * @param {Node} node
+     * @param {Container} parent
+     * @param {Number} index
+     */
+    _attach: function(node, parent, index) {
+        parent.add(node);
+        if(node.index !== index) {
+            node.setZIndex(index);
+        }
+    },
+    /**
+     * remove a node from a container if it's still in the container
+     * @param {Node} node
+     * @param {Container} parent
+     */
+    _detach: function(node, parent) {
+        if(parent.children[node.index] === node) {
+            parent.remove(node);
+        }
+    },
+    /**
+     * determine if changes to a node aren't recorded.  Nodes that
+     *  aren't part of the scene, such as transformers, and nodes that
+     *  are being destroyed are ignored
+     * @param {Node} node
+     */
+    _isIgnored: function(node) {
+        return node.destroyed === true || !node._isSceneNode();
+    },
+    /**
+     * fire a change event
+     * @param {String} action
+     * @param {Object} transaction
+     */
+    _fire: function(action, transaction) {
+        var listeners = this.eventListeners.change;
+        if(listeners === undefined) {
+            return;
+        }
+        var evt = {
+            type: 'change',
+            action: action,
+            transaction: transaction,
+            history: this
+        };
+        // copy the listeners in case a handler removes them
+        listeners = listeners.slice(0);
+        for(var n = 0; n < listeners.length; n++) {
+            listeners[n].call(this, evt);
+        }
+    }
+};
+/**
+ * change properties that hold nodes
+ */
+Kinetic.History.nodeKeys = ['node', 'parent', 'oldParent', 'newParent'];
@@ -8,6 +8,9 @@
  * @augments Kinetic.Container
  * @augments Kinetic.Node
  * @param {Object} config
+ * @config {Number} [throttle] maximum number of draws per second
+ * @config {Boolean} [autoDraw] set to true to batch a draw whenever
+ *  a node in the layer changes
  */
 Kinetic.Layer = function(config) {
     this.setDefaultAttrs({
@@ -18,11 +21,20 @@ Kinetic.Layer = function(config) {
     this.lastDrawTime = 0;
     this.beforeDrawFunc = undefined;
     this.afterDrawFunc = undefined;
+    this.dirtyNodes = {};
 
     this.canvas = document.createElement('canvas');
     this.context = this.canvas.getContext('2d');
     this.canvas.style.position = 'absolute';
 
+    /*
+     * the hit canvas is never added to the DOM.  Each listening
+     * shape is drawn onto it with its own unique color key so that
+     * event detection only has to look up a single pixel
+     */
+    this.hitCanvas = document.createElement('canvas');
+    this.hitContext = this.hitCanvas.getContext('2d');
+
     // call super constructors
     Kinetic.Container.apply(this, []);
     Kinetic.Node.apply(this, [config]);
@@ -69,7 +81,7 @@ Kinetic.Layer.prototype = {
      * @param {Number} throttle in ms
      */
     setThrottle: function(throttle) {
-        this.attrs.throttle = throttle;
+        this._setAttr('throttle', throttle);
     },
     /**
      * get throttle
@@ -77,6 +89,29 @@ Kinetic.Layer.prototype = {
     getThrottle: function() {
         return this.attrs.throttle;
     },
+    /**
+     * draw the layer on the next animation frame.  Batching the
+     *  draw several times before the next frame only draws the layer
+     *  once, in the same frame as running animations and transitions
+     */
+    batchDraw: function() {
+        Kinetic.GlobalObject._batchDraw(this);
+    },
+    /**
+     * enable or disable auto draw.  Layers with auto draw enabled
+     *  batch a draw whenever their nodes change, or nodes are added,
+     *  removed, or reordered
+     * @param {Boolean} autoDraw
+     */
+    setAutoDraw: function(autoDraw) {
+        this._setAttr('autoDraw', autoDraw);
+    },
+    /**
+     * get auto draw
+     */
+    getAutoDraw: function() {
+        return this.attrs.autoDraw;
+    },
     /**
      * set before draw function handler
      */
@@ -89,6 +124,27 @@ Kinetic.Layer.prototype = {
     afterDraw: function(func) {
         this.afterDrawFunc = func;
     },
+    /**
+     * determine if the layer has nodes whose attrs changed,
+     *  or were added or removed, since it was last drawn
+     */
+    isDirty: function() {
+        for(var key in this.dirtyNodes) {
+            return true;
+        }
+        return false;
+    },
+    /**
+     * get an array of the nodes whose attrs changed, or that
+     *  were added or removed, since the layer was last drawn
+     */
+    getDirtyNodes: function() {
+        var nodes = [];
+        for(var key in this.dirtyNodes) {
+            nodes.push(this.dirtyNodes[key]);
+        }
+        return nodes;
+    },
     /**
      * clears the canvas context tied to the layer.  Clearing
      *  a layer does not remove its children.  The nodes within
@@ -112,6 +168,49 @@ Kinetic.Layer.prototype = {
     getContext: function() {
         return this.context;
     },
+    /**
+     * get layer hit canvas
+     */
+    getHitCanvas: function() {
+        return this.hitCanvas;
+    },
+    /**
+     * get layer hit context
+     */
+    getHitContext: function() {
+        return this.hitContext;
+    },
+    /**
+     * get the shape drawn at a point on the hit canvas.  Returns
+     *  undefined if there isn't one
+     * @param {Object} point
+     */
+    getIntersection: function() {
+        var pos = Kinetic.GlobalObject._getXY(arguments);
+        var go = Kinetic.GlobalObject;
+        var p = this.hitContext.getImageData(Math.round(pos.x), Math.round(pos.y), 1, 1).data;
+
+        /*
+         * only fully opaque pixels are used because the blended colors
+         * of anti-aliased edges can match the key of another shape
+         */
+        if(p[3] !== 255) {
+            return undefined;
+        }
+
+        var shape = go.shapes[go._rgbToHex(p[0], p[1], p[2])];
+
+        /*
+         * the hit canvas is only redrawn when the layer is drawn, so
+         * make sure the shape hasn't been hidden or told to stop listening
+         * since then
+         */
+        if(shape !== undefined && shape.isVisible() && shape.isListening()) {
+            return shape;
+        }
+
+        return undefined;
+    },
     /**
      * private draw children
      */
@@ -119,6 +218,7 @@ Kinetic.Layer.prototype = {
         var date = new Date();
         var time = date.getTime();
         this.lastDrawTime = time;
+        this.dirtyNodes = {};
 
         // before draw  handler
         if(this.beforeDrawFunc !== undefined) {
@@ -136,10 +236,34 @@ Kinetic.Layer.prototype = {
             this._drawChildren();
         }
 
+        // redraw hit graph
+        this._drawHit();
+
         // after draw  handler
         if(this.afterDrawFunc !== undefined) {
             this.afterDrawFunc.call(this);
         }
+    },
+    /**
+     * private draw hit graph
+     */
+    _drawHit: function() {
+        var hitCanvas = this.getHitCanvas();
+        this.getHitContext().clearRect(0, 0, hitCanvas.width, hitCanvas.height);
+
+        if(this.isVisible() && this.attrs.listening && !this._isDragged()) {
+            this._drawChildrenHit(this);
+        }
+    },
+    /**
+     * cancel pending draws when the layer is destroyed
+     */
+    _destroy: function() {
+        if(this.drawTimeout !== undefined) {
+            clearTimeout(this.drawTimeout);
+            this.drawTimeout = undefined;
+        }
+        Kinetic.GlobalObject._removeBatchDraw(this);
     }
 };
 // Extend Container and Node
@@ -32,6 +32,7 @@ Kinetic.Node = function(config) {
 
     this.setDefaultAttrs(this.defaultNodeAttrs);
     this.eventListeners = {};
+    this.sceneNode = true;
     this.setAttrs(config);
 };
 /*
@@ -41,14 +42,23 @@ Kinetic.Node.prototype = {
     /**
      * bind events to the node.  KineticJS supports mouseover, mousemove,
      * mouseout, mousedown, mouseup, click, dblclick, touchstart, touchmove,
-     * touchend, tap, dbltap, dragstart, dragmove, and dragend.  Pass in a string
+     * touchend, tap, dbltap, dragstart, dragmove, dragend, pinchstart, pinchmove,
+     * pinchend, rotatestart, rotatemove, rotateend, keydown, keyup, keypress,
+     * focus, blur, and destroy.  Drop targets also support dragenter, dragover,
+     * dragleave, and drop, whose events hold the dragNode.  Dragged nodes fire
+     * dragstop when they come to rest after dragend.  Attr changes fire change events named after
+     * the attr, such as xChange, rotationChange, and fillChange, followed by
+     * attrchange.  Their events hold the attr, oldVal and newVal.  Pass in a string
      * of event types delimmited by a space to bind multiple events at once
      * such as 'mousedown mouseup mousemove'. include a namespace to bind an
-     * event by name such as 'click.foobar'.
+     * event by name such as 'click.foobar'.  Handlers are passed a Kinetic.Event.
+     * Events bubble up to the stage.  Set capture to true to run the handler
+     * while the event travels down from the stage to the target instead
      * @param {String} typesStr
      * @param {Function} handler
+     * @param {Boolean} [capture]
      */
-    on: function(typesStr, handler) {
+    on: function(typesStr, handler, capture) {
         var types = typesStr.split(' ');
         /*
          * loop through types and attach event listeners to
@@ -69,7 +79,8 @@ Kinetic.Node.prototype = {
 
             this.eventListeners[baseEvent].push({
                 name: name,
-                handler: handler
+                handler: handler,
+                capture: capture === true
             });
         }
     },
@@ -150,6 +161,19 @@ Kinetic.Node.prototype = {
 
         // set properties from config
         if(config !== undefined) {
+            /*
+             * save the old values of the top level attrs so that
+             * change events can be fired after the attrs are set.
+             * draggable and listening fire their own change events
+             */
+            var oldAttrs = {};
+            for(var key in config) {
+                var attr = key === 'rotationDeg' ? 'rotation' : key;
+                if(attr !== 'draggable' && attr !== 'listening') {
+                    oldAttrs[attr] = go._clone(this.attrs[attr]);
+                }
+            }
+
             function setAttrs(obj, c) {
                 for(var key in c) {
                     var val = c[key];
@@ -229,7 +253,23 @@ Kinetic.Node.prototype = {
                     }
                 }
             }
+            // the attrs set together are undone together
+            var history = this._getHistory();
+            if(history !== undefined) {
+                history.begin();
+            }
+
             setAttrs(this.attrs, config);
+
+            for(var attr in oldAttrs) {
+                if(!go._isEqual(oldAttrs[attr], this.attrs[attr])) {
+                    this._fireChangeEvent(attr, oldAttrs[attr], this.attrs[attr]);
+                }
+            }
+
+            if(history !== undefined) {
+                history.end();
+            }
         }
     },
     /**
@@ -243,17 +283,27 @@ Kinetic.Node.prototype = {
         }
         return this.attrs.visible;
     },
+    /**
+     * determine if node is listening for events.  A node is listening
+     * only if it's listening and all of its ancestors are listening
+     */
+    isListening: function() {
+        if(this.getParent() && !this.getParent().isListening()) {
+            return false;
+        }
+        return this.attrs.listening;
+    },
     /**
      * show node
      */
     show: function() {
-        this.attrs.visible = true;
+        this._setAttr('visible', true);
     },
     /**
      * hide node
      */
     hide: function() {
-        this.attrs.visible = false;
+        this._setAttr('visible', false);
     },
     /**
      * get zIndex
@@ -335,14 +385,14 @@ Kinetic.Node.prototype = {
      * @param {Number} x
      */
     setX: function(x) {
-        this.attrs.x = x;
+        this._setAttr('x', x);
     },
     /**
      * set node y position
      * @param {Number} y
      */
     setY: function(y) {
-        this.attrs.y = y;
+        this._setAttr('y', y);
     },
     /**
      * get node x position
@@ -361,7 +411,7 @@ Kinetic.Node.prototype = {
      * @param {String} type can be "path" or "pixel"
      */
     setDetectionType: function(type) {
-        this.attrs.detectionType = type;
+        this._setAttr('detectionType', type);
     },
     /**
      * get detection type
@@ -390,44 +440,8 @@ Kinetic.Node.prototype = {
      *  y property
      */
     setAbsolutePosition: function() {
-        var pos = Kinetic.GlobalObject._getXY(arguments);
-        /*
-         * save rotation and scale and
-         * then remove them from the transform
-         */
-        var rot = this.attrs.rotation;
-        var scale = {
-            x: this.attrs.scale.x,
-            y: this.attrs.scale.y
-        };
-        var centerOffset = {
-            x: this.attrs.centerOffset.x,
-            y: this.attrs.centerOffset.y
-        };
-
-        this.attrs.rotation = 0;
-        this.attrs.scale = {
-            x: 1,
-            y: 1
-        };
-
-        // unravel transform
-        var it = this.getAbsoluteTransform();
-        it.invert();
-        it.translate(pos.x, pos.y);
-        pos = {
-            x: this.attrs.x + it.getTranslation().x,
-            y: this.attrs.y + it.getTranslation().y
-        };
-
+        var pos = this._getRelativePosition(Kinetic.GlobalObject._getXY(arguments));
         this.setPosition(pos.x, pos.y);
-
-        // restore rotation and scale
-        this.rotate(rot);
-        this.attrs.scale = {
-            x: scale.x,
-            y: scale.y
-        };
     },
     /**
      * move node by an amount
@@ -435,22 +449,24 @@ Kinetic.Node.prototype = {
      * @param {Number} y
      */
     move: function(x, y) {
-        this.attrs.x += x;
-        this.attrs.y += y;
+        this.setAttrs({
+            x: this.attrs.x + x,
+            y: this.attrs.y + y
+        });
     },
     /**
      * set node rotation in radians
      * @param {Number} theta
      */
     setRotation: function(theta) {
-        this.attrs.rotation = theta;
+        this._setAttr('rotation', theta);
     },
     /**
      * set node rotation in degrees
      * @param {Number} deg
      */
     setRotationDeg: function(deg) {
-        this.attrs.rotation = (deg * Math.PI / 180);
+        this._setAttr('rotation', deg * Math.PI / 180);
     },
     /**
      * get rotation in radians
@@ -469,21 +485,21 @@ Kinetic.Node.prototype = {
      * @param {Number} theta
      */
     rotate: function(theta) {
-        this.attrs.rotation += theta;
+        this._setAttr('rotation', this.attrs.rotation + theta);
     },
     /**
      * rotate node by an amount in degrees
      * @param {Number} deg
      */
     rotateDeg: function(deg) {
-        this.attrs.rotation += (deg * Math.PI / 180);
+        this._setAttr('rotation', this.attrs.rotation + deg * Math.PI / 180);
     },
     /**
      * listen or don't listen to events
      * @param {Boolean} listening
      */
     listen: function(listening) {
-        this.attrs.listening = listening;
+        this._setAttr('listening', listening);
     },
     /**
      * move node to top
@@ -493,6 +509,7 @@ Kinetic.Node.prototype = {
         this.parent.children.splice(index, 1);
         this.parent.children.push(this);
         this.parent._setChildrenIndices();
+        this._recordOrder(index);
     },
     /**
      * move node up
@@ -502,6 +519,7 @@ Kinetic.Node.prototype = {
         this.parent.children.splice(index, 1);
         this.parent.children.splice(index + 1, 0, this);
         this.parent._setChildrenIndices();
+        this._recordOrder(index);
     },
     /**
      * move node down
@@ -512,6 +530,7 @@ Kinetic.Node.prototype = {
             this.parent.children.splice(index, 1);
             this.parent.children.splice(index - 1, 0, this);
             this.parent._setChildrenIndices();
+            this._recordOrder(index);
         }
     },
     /**
@@ -522,6 +541,7 @@ Kinetic.Node.prototype = {
         this.parent.children.splice(index, 1);
         this.parent.children.unshift(this);
         this.parent._setChildrenIndices();
+        this._recordOrder(index);
     },
     /**
      * set zIndex
@@ -532,6 +552,7 @@ Kinetic.Node.prototype = {
         this.parent.children.splice(index, 1);
         this.parent.children.splice(zIndex, 0, this);
         this.parent._setChildrenIndices();
+        this._recordOrder(index);
     },
     /**
      * set alpha.  Alpha values range from 0 to 1.
@@ -540,7 +561,7 @@ Kinetic.Node.prototype = {
      * @param {Object} alpha
      */
     setAlpha: function(alpha) {
-        this.attrs.alpha = alpha;
+        this._setAttr('alpha', alpha);
     },
     /**
      * get alpha.  Alpha values range from 0 to 1.
@@ -575,7 +596,7 @@ Kinetic.Node.prototype = {
             else {
                 this._dragCleanup();
             }
-            this.attrs.draggable = isDraggable;
+            this._setAttr('draggable', isDraggable);
         }
     },
     /**
@@ -585,12 +606,29 @@ Kinetic.Node.prototype = {
         var go = Kinetic.GlobalObject;
         return go.drag.node !== undefined && go.drag.node._id === this._id && go.drag.moving;
     },
+    /**
+     * set drop target flag.  Drop targets receive dragenter, dragover,
+     *  dragleave, and drop events when other nodes are dragged over them
+     * @param {Boolean} dropTarget
+     */
+    setDropTarget: function(dropTarget) {
+        this._setAttr('dropTarget', dropTarget);
+    },
+    /**
+     * get drop target flag
+     */
+    getDropTarget: function() {
+        return this.attrs.dropTarget;
+    },
     /**
      * move node to another container
      * @param {Container} newContainer
      */
     moveTo: function(newContainer) {
         var parent = this.parent;
+        var index = this.index;
+        var history = this._getHistory();
+
         // remove from parent's children
         parent.children.splice(this.index, 1);
         parent._setChildrenIndices();
@@ -600,6 +638,17 @@ Kinetic.Node.prototype = {
         this.index = newContainer.children.length - 1;
         this.parent = newContainer;
         newContainer._setChildrenIndices();
+
+        if(history !== undefined) {
+            history._record({
+                type: 'move',
+                node: this,
+                oldParent: parent,
+                oldIndex: index,
+                newParent: newContainer,
+                newIndex: this.index
+            });
+        }
     },
     /**
      * get parent container
@@ -647,14 +696,189 @@ Kinetic.Node.prototype = {
         return this.attrs.id;
     },
     /**
-     * simulate event
+     * create a copy of the node.  Attrs are deep copied, and containers
+     *  clone their children.  The id and name of the clone are registered
+     *  with the stage once the clone is added to it
+     * ex:
+     * var copy = circle.clone({x: 200, name: 'copy'});
+     * layer.add(copy);
+     * @param {Object} [obj] attrs that override the copied attrs
+     * @param {Boolean} [cloneListeners] set to false to leave out the event
+     *  listeners.  Listeners are copied by default
+     */
+    clone: function(obj, cloneListeners) {
+        var go = Kinetic.GlobalObject;
+        /*
+         * clone each attr because attrs objects hold functions
+         * such as drawFunc, which stop them from being deep copied
+         */
+        var config = {};
+        for(var key in this.attrs) {
+            config[key] = go._clone(this.attrs[key]);
+        }
+        if(obj !== undefined) {
+            for(var key in obj) {
+                config[key] = obj[key];
+            }
+        }
+
+        // custom shapes don't have a shape type
+        var type = this.nodeType;
+        if(type === 'Shape' && this.shapeType !== undefined) {
+            type = this.shapeType;
+        }
+        var node = new Kinetic[type](config);
+
+        if(cloneListeners !== false) {
+            for(var baseEvent in this.eventListeners) {
+                var listeners = this.eventListeners[baseEvent];
+                if(listeners !== undefined) {
+                    for(var n = 0; n < listeners.length; n++) {
+                        var listener = listeners[n];
+                        // internal listeners, such as drag listeners, are bound by the clone itself
+                        if(Kinetic.Node.internalNames[listener.name.replace(/\d+$/, '')] !== true) {
+                            node.on(listener.name === '' ? baseEvent : baseEvent + '.' + listener.name, listener.handler, listener.capture);
+                        }
+                    }
+                }
+            }
+        }
+
+        if(this.nodeType === 'Layer') {
+            node.beforeDrawFunc = this.beforeDrawFunc;
+            node.afterDrawFunc = this.afterDrawFunc;
+        }
+
+        // clone children
+        if(this.children !== undefined) {
+            for(var n = 0; n < this.children.length; n++) {
+                node.add(this.children[n].clone(undefined, cloneListeners));
+            }
+        }
+
+        return node;
+    },
+    /**
+     * destroy the node and its descendants.  A destroy event is fired
+     *  on each node, then the node is removed from its parent, from the
+     *  stage registries, and from any running transitions, animations,
+     *  or drag and drop operation.  Destroyed nodes can't be restored, so
+     *  the stage history forgets the changes that refer to them
+     */
+    destroy: function() {
+        var go = Kinetic.GlobalObject;
+        var stage = this.getStage();
+        // the history is cleaned up once, by the node that the destroy started from
+        var isRoot = this.parent === undefined || this.parent.destroyed !== true;
+        this.fire('destroy');
+        this.destroyed = true;
+
+        if(this.children !== undefined) {
+            var children = this.children.slice(0);
+            for(var n = 0; n < children.length; n++) {
+                children[n].destroy();
+            }
+        }
+
+        // stop transitions and animations
+        if(this.transAnim !== undefined) {
+            go._removeAnimation(this.transAnim);
+            this.transAnim = undefined;
+        }
+        this._stopInertia();
+        for(var n = 0; n < go.animations.length; n++) {
+            if(go.animations[n].node === this) {
+                go.animations.splice(n, 1);
+                n--;
+            }
+        }
+
+        var parent = this.parent;
+        if(parent !== undefined && parent.children[this.index] === this) {
+            parent.remove(this);
+        }
+        else {
+            // detached nodes can still be referenced by global registries
+            for(var n = 0; n < go.tempNodes.length; n++) {
+                if(go.tempNodes[n]._id === this._id) {
+                    go.tempNodes.splice(n, 1);
+                    break;
+                }
+            }
+            if(go.shapes[this.colorKey] === this) {
+                delete go.shapes[this.colorKey];
+            }
+            if(go.drag.node === this) {
+                go.drag.node = undefined;
+                go.drag.moving = false;
+            }
+        }
+
+        // do extra stuff if needed
+        if(this._destroy !== undefined) {
+            this._destroy();
+        }
+
+        if(isRoot && stage !== undefined && stage.history !== undefined) {
+            stage.history._forgetDestroyed();
+        }
+
+        this.parent = undefined;
+        this.eventListeners = {};
+    },
+    /**
+     * give the node keyboard focus.  keydown, keyup, and keypress
+     *  events are delivered to the focused node and bubble up through
+     *  its ancestors
+     */
+    focus: function() {
+        var stage = this.getStage();
+        if(stage !== undefined) {
+            stage._setFocus(this);
+        }
+    },
+    /**
+     * remove keyboard focus from the node
+     */
+    blur: function() {
+        var stage = this.getStage();
+        if(stage !== undefined && stage.getFocusedNode() === this) {
+            stage._setFocus(undefined);
+        }
+    },
+    /**
+     * determine if the node has keyboard focus
+     */
+    isFocused: function() {
+        var stage = this.getStage();
+        return stage !== undefined && stage.getFocusedNode() === this;
+    },
+    /**
+     * simulate event.  The event is captured and bubbles through the
+     *  node's ancestors like an event fired by the user
      * @param {String} eventType
      */
     simulate: function(eventType) {
-        var el = this.eventListeners[eventType];
-        for(var n = 0; n < el.length; n++) {
-            el[n].handler.call(this);
+        this.fire(eventType, undefined, true);
+    },
+    /**
+     * fire an event on the node.  Any event type can be fired, including
+     *  application defined types such as 'selected'.  The properties of
+     *  the payload are added to the Kinetic.Event passed to the handlers,
+     *  and payloads with reserved keys such as type and target throw an
+     *  error.  Returns the event object
+     * @param {String} eventType
+     * @param {Object} [payload]
+     * @param {Boolean} [bubble] set to true to capture and bubble the event
+     *  through the node's ancestors
+     */
+    fire: function(eventType, payload, bubble) {
+        if(bubble) {
+            return this._handleEvents(eventType, undefined, payload);
         }
+        var e = new Kinetic.Event(eventType, undefined, this, payload);
+        this._fireListeners(this, e, 'target');
+        return e;
     },
     /**
      * set center offset
@@ -691,12 +915,20 @@ Kinetic.Node.prototype = {
 
         /*
          * clear transition if one is currently running for this
-         * node
+         * node.  The attrs from before the cleared transition are
+         * kept so that the history records where both transitions started
          */
+        var startAttrs = {};
         if(this.transAnim !== undefined) {
+            startAttrs = this.transAnim.startAttrs;
             go._removeAnimation(this.transAnim);
             this.transAnim = undefined;
         }
+        for(var key in config) {
+            if(key !== 'duration' && key !== 'easing' && key !== 'callback' && startAttrs[key] === undefined) {
+                startAttrs[key] = go._clone(this.attrs[key]);
+            }
+        }
 
         /*
          * create new transition
@@ -708,7 +940,8 @@ Kinetic.Node.prototype = {
             func: function() {
                 trans._onEnterFrame();
             },
-            node: node
+            node: node,
+            startAttrs: startAttrs
         };
 
         // store reference to transition animation
@@ -726,6 +959,12 @@ Kinetic.Node.prototype = {
             go._removeAnimation(anim);
             that.transAnim = undefined;
 
+            // the history records the end result instead of every frame
+            var history = that._getHistory();
+            if(history !== undefined) {
+                history._recordAttrs(that, startAttrs, 'transition');
+            }
+
             // callback
             if(config.callback !== undefined) {
                 config.callback();
@@ -740,12 +979,33 @@ Kinetic.Node.prototype = {
 
         return trans;
     },
+    /**
+     * serialize node and its descendants as a JSON document string with
+     *  the version of the format.  The attrs of the nodes aren't changed.
+     *  Images are stored as src or data URLs, and drawFuncs, event
+     *  handlers, and custom shape classes are only stored if they've been
+     *  registered with Kinetic.Serializer.  Use Kinetic.Node.create to
+     *  build the nodes again, or Stage.load for stages
+     */
+    toJSON: function() {
+        return JSON.stringify(Kinetic.Serializer.serializeDocument(this));
+    },
+    /**
+     * convert node and its descendants into an SVG document string.
+     *  Nodes are positioned the same way as they are on the stage.  Shapes
+     *  with custom drawing functions are recorded with an SVG context
+     *  that implements the canvas path API
+     */
+    toSVG: function() {
+        var svg = new Kinetic.SVG();
+        return svg.getDocument(this);
+    },
     /**
      * set drag constraint
      * @param {String} constraint
      */
     setDragConstraint: function(constraint) {
-        this.attrs.dragConstraint = constraint;
+        this._setAttr('dragConstraint', constraint);
     },
     /**
      * get drag constraint
@@ -762,7 +1022,7 @@ Kinetic.Node.prototype = {
      * @config {Number} [bottom] bottom bounds position
      */
     setDragBounds: function(bounds) {
-        this.attrs.dragBounds = bounds;
+        this._setAttr('dragBounds', bounds);
     },
     /**
      * get drag bounds
@@ -770,6 +1030,76 @@ Kinetic.Node.prototype = {
     getDragBounds: function() {
         return this.attrs.dragBounds;
     },
+    /**
+     * set drag bound function.  The function is called with the node
+     *  as the context while it's dragged.  It's passed the absolute position
+     *  that the node is about to be moved to, after the drag constraint, snap,
+     *  and bounds have been applied, and returns the absolute position to use
+     * @param {Function} func
+     */
+    setDragBoundFunc: function(func) {
+        this._setAttr('dragBoundFunc', func);
+    },
+    /**
+     * get drag bound function
+     */
+    getDragBoundFunc: function() {
+        return this.attrs.dragBoundFunc;
+    },
+    /**
+     * set drag snap.  Dragged nodes can snap their absolute position to
+     *  a grid, and snap the edges and centers of their client rects to the
+     *  edges and centers of their siblings
+     * @param {Object} snap
+     * @config {Number|Object} [grid] grid spacing, or an object with x and
+     *  y spacings
+     * @config {Boolean} [edges] snap to sibling edges
+     * @config {Number} [tolerance] distance in pixels within which edges
+     *  snap.  The default is 5
+     */
+    setDragSnap: function(snap) {
+        this._setAttr('dragSnap', snap);
+    },
+    /**
+     * get drag snap
+     */
+    getDragSnap: function() {
+        return this.attrs.dragSnap;
+    },
+    /**
+     * set drag distance.  Dragging doesn't start until the user has
+     *  moved this many pixels from where they pressed down, so small
+     *  movements while clicking still fire click events
+     * @param {Number} distance
+     */
+    setDragDistance: function(distance) {
+        this._setAttr('dragDistance', distance);
+    },
+    /**
+     * get drag distance
+     */
+    getDragDistance: function() {
+        return this.attrs.dragDistance;
+    },
+    /**
+     * set drag inertia.  Nodes with drag inertia keep moving after they're
+     *  released at the velocity that they were dragged at, and slow down
+     *  until they come to rest.  Pass in true to use the defaults
+     * @param {Boolean|Object} inertia
+     * @config {Number} [friction] fraction of the velocity that's kept every
+     *  1/60 of a second.  The default is 0.95
+     * @config {Number} [minVelocity] speed in pixels per second below which
+     *  the node comes to rest.  The default is 20
+     */
+    setDragInertia: function(inertia) {
+        this._setAttr('dragInertia', inertia);
+    },
+    /**
+     * get drag inertia
+     */
+    getDragInertia: function() {
+        return this.attrs.dragInertia;
+    },
     /**
      * get transform of the node while taking into
      * account the transforms of its parents
@@ -815,6 +1145,65 @@ Kinetic.Node.prototype = {
 
         return m;
     },
+    /**
+     * get the absolute transform that the node is drawn with, which
+     *  also includes the center offsets of the node and its ancestors
+     */
+    _getDrawTransform: function() {
+        var am = new Kinetic.Transform();
+        var family = [];
+        var parent = this.parent;
+
+        family.unshift(this);
+        while(parent) {
+            family.unshift(parent);
+            parent = parent.parent;
+        }
+
+        for(var n = 0; n < family.length; n++) {
+            var node = family[n];
+            var m = node.getTransform();
+
+            // center offset
+            if(node.attrs.centerOffset.x !== 0 || node.attrs.centerOffset.y !== 0) {
+                m.translate(-1 * node.attrs.centerOffset.x, -1 * node.attrs.centerOffset.y);
+            }
+
+            am.multiply(m);
+        }
+
+        return am;
+    },
+    /**
+     * transform a rect from the node's drawing space into the space
+     *  of another node, or into stage space if relativeTo is undefined.
+     *  Returns the axis aligned rect that bounds the transformed corners
+     * @param {Object} rect
+     * @param {Node} [relativeTo]
+     */
+    _getRectRelativeTo: function(rect, relativeTo) {
+        var t = this._getDrawTransform();
+        if(relativeTo !== undefined) {
+            var rt = relativeTo._getDrawTransform();
+            rt.invert();
+            rt.multiply(t);
+            t = rt;
+        }
+
+        var m = t.getMatrix();
+        var corners = [[rect.x, rect.y], [rect.x + rect.width, rect.y], [rect.x + rect.width, rect.y + rect.height], [rect.x, rect.y + rect.height]];
+        var points = [];
+        for(var n = 0; n < corners.length; n++) {
+            var x = corners[n][0];
+            var y = corners[n][1];
+            points.push({
+                x: m[0] * x + m[2] * y + m[4],
+                y: m[1] * x + m[3] * y + m[5]
+            });
+        }
+
+        return Kinetic.GlobalObject._getPointsRect(points);
+    },
     _listenDrag: function() {
         this._dragCleanup();
         var go = Kinetic.GlobalObject;
@@ -831,11 +1220,108 @@ Kinetic.Node.prototype = {
         if(pos) {
             var m = this.getTransform().getTranslation();
             var am = this.getAbsoluteTransform().getTranslation();
+            // grabbing a node that's moving with inertia stops it
+            this._stopInertia();
             go.drag.node = this;
+            go.drag.start = {
+                x: pos.x,
+                y: pos.y
+            };
             go.drag.offset.x = pos.x - this.getAbsoluteTransform().getTranslation().x;
             go.drag.offset.y = pos.y - this.getAbsoluteTransform().getTranslation().y;
         }
     },
+    /**
+     * stop moving with drag inertia
+     */
+    _stopInertia: function() {
+        if(this.inertiaAnim !== undefined) {
+            Kinetic.GlobalObject._removeAnimation(this.inertiaAnim);
+            this.inertiaAnim = undefined;
+
+            // the drag gesture ends when the node stops moving
+            var stage = this.getStage();
+            if(stage !== undefined) {
+                stage._endDragHistory();
+            }
+        }
+    },
+    /**
+     * determine if the node is being dragged, either as the drag
+     *  node or as one of the selected nodes that move with it.  Nodes
+     *  aren't dragged anymore once the user has released them
+     */
+    _isDragged: function() {
+        var go = Kinetic.GlobalObject;
+        if(!go.drag.moving || go.drag.released) {
+            return false;
+        }
+        if(go.drag.node === this) {
+            return true;
+        }
+        for(var n = 0; n < go.drag.nodes.length; n++) {
+            if(go.drag.nodes[n] === this) {
+                return true;
+            }
+        }
+        return false;
+    },
+    /**
+     * get the position relative to the parent that places
+     *  the node at an absolute position
+     * @param {Object} pos absolute position
+     */
+    _getRelativePosition: function(pos) {
+        /*
+         * save rotation and scale and
+         * then remove them from the transform
+         */
+        var rot = this.attrs.rotation;
+        var scale = {
+            x: this.attrs.scale.x,
+            y: this.attrs.scale.y
+        };
+
+        this.attrs.rotation = 0;
+        this.attrs.scale = {
+            x: 1,
+            y: 1
+        };
+
+        // unravel transform
+        var it = this.getAbsoluteTransform();
+        it.invert();
+        it.translate(pos.x, pos.y);
+        var relativePos = {
+            x: this.attrs.x + it.getTranslation().x,
+            y: this.attrs.y + it.getTranslation().y
+        };
+
+        /*
+         * restore rotation and scale before the caller sets the
+         * position so that change event handlers see the node as it is
+         */
+        this.attrs.rotation = rot;
+        this.attrs.scale = {
+            x: scale.x,
+            y: scale.y
+        };
+
+        return relativePos;
+    },
+    /**
+     * determine if the node is part of the scene.  Nodes that are
+     *  drawn over the scene to edit it, such as transformers and
+     *  their anchors, aren't part of it
+     */
+    _isSceneNode: function() {
+        for(var node = this; node !== undefined; node = node.parent) {
+            if(node.sceneNode === false) {
+                return false;
+            }
+        }
+        return true;
+    },
     /**
      * remove drag and drop event listener
      */
@@ -844,48 +1330,246 @@ Kinetic.Node.prototype = {
         this.off('touchstart.initdrag');
     },
     /**
-     * handle node events
+     * handle node events.  A Kinetic.Event is dispatched through the
+     *  capture phase from the stage down to the node's parent, then the
+     *  target phase on the node, then the bubble phase back up to the stage
      * @param {String} eventType
-     * @param {Event} evt
+     * @param {Event} evt DOM event
+     * @param {Object} [payload] properties to add to the event object
+     */
+    _handleEvents: function(eventType, evt, payload) {
+        var e = new Kinetic.Event(eventType, evt, this, payload);
+
+        var stage = this.getStage();
+        var path = this._getEventPath(this);
+        var relatedPath = [];
+
+        /*
+         * mouseover and mouseout handlers are skipped for ancestors that
+         * are shared with the shape that the mouse came from or went to
+         */
+        if(stage !== undefined) {
+            if(eventType === 'mouseover') {
+                relatedPath = this._getEventPath(stage.mouseoutShape);
+            }
+            else if(eventType === 'mouseout') {
+                relatedPath = this._getEventPath(stage.mouseoverShape);
+            }
+        }
+
+        function skip(n) {
+            return relatedPath[n] !== undefined && relatedPath[n]._id === path[n]._id;
+        }
+
+        // capture phase
+        for(var n = path.length - 1; n > 0; n--) {
+            if(!skip(n)) {
+                this._fireListeners(path[n], e, 'capture');
+                if(e.cancelBubble) {
+                    return e;
+                }
+            }
+        }
+
+        // target phase
+        if(!skip(0)) {
+            this._fireListeners(path[0], e, 'target');
+            if(e.cancelBubble) {
+                return e;
+            }
+        }
+
+        // bubble phase
+        for(var n = 1; n < path.length; n++) {
+            if(!skip(n)) {
+                this._fireListeners(path[n], e, 'bubble');
+                if(e.cancelBubble) {
+                    return e;
+                }
+            }
+        }
+
+        return e;
+    },
+    /**
+     * get a node and its ancestors up to the stage
+     * @param {Node} node
+     */
+    _getEventPath: function(node) {
+        var path = [];
+        while(node !== undefined) {
+            path.push(node);
+            node = node.parent;
+        }
+        return path;
+    },
+    /**
+     * run the listeners of a node for an event phase.  Capture
+     *  listeners run during the capture phase, other listeners run during
+     *  the bubble phase, and both run during the target phase
+     * @param {Node} node
+     * @param {Kinetic.Event} e
+     * @param {String} phase
+     */
+    _fireListeners: function(node, e, phase) {
+        var listeners = node.eventListeners[e.type];
+        if(listeners === undefined) {
+            return;
+        }
+
+        // copy the listeners so that handlers can unbind themselves
+        listeners = listeners.slice(0);
+        e._setCurrentTarget(node, phase);
+        for(var n = 0; n < listeners.length; n++) {
+            var capture = listeners[n].capture;
+            if(phase === 'target' || (phase === 'capture') === capture) {
+                listeners[n].handler.apply(node, [e]);
+            }
+        }
+    },
+    /**
+     * set an attr and fire change events if its value changed
+     * @param {String} key
+     * @param {*} val
      */
-    _handleEvents: function(eventType, evt) {
-        if(this.nodeType === 'Shape') {
-            evt.shape = this;
+    _setAttr: function(key, val) {
+        var oldVal = this.attrs[key];
+        this.attrs[key] = val;
+        if(oldVal !== val) {
+            this._fireChangeEvent(key, oldVal, val);
         }
+    },
+    /**
+     * get the history of the stage that the node is on, if it has one
+     */
+    _getHistory: function() {
         var stage = this.getStage();
-        this._handleEvent(this, stage.mouseoverShape, stage.mouseoutShape, eventType, evt);
+        return stage === undefined ? undefined : stage.history;
+    },
+    /**
+     * record a change of the node's index in the history of the stage
+     * @param {Number} oldIndex
+     */
+    _recordOrder: function(oldIndex) {
+        var history = this._getHistory();
+        if(history !== undefined && this.index !== oldIndex) {
+            history._record({
+                type: 'order',
+                node: this,
+                oldIndex: oldIndex,
+                newIndex: this.index
+            });
+        }
     },
     /**
-     * handle node event
+     * mark the node dirty, record the change in the history of the
+     *  stage, and fire the attr change event, such as xChange, followed
+     *  by the generic attrchange event.  The event objects hold the attr
+     *  name, oldVal and newVal
+     * @param {String} key
+     * @param {*} oldVal
+     * @param {*} newVal
+     * @param {Boolean} [record] set to false for changes that
+     *  aren't edits, such as transition frames
      */
-    _handleEvent: function(node, mouseoverNode, mouseoutNode, eventType, evt) {
-        var el = node.eventListeners;
-        var okayToRun = true;
+    _fireChangeEvent: function(key, oldVal, newVal, record) {
+        this._setDirty();
 
-        /*
-         * determine if event handler should be skipped by comparing
-         * parent nodes
-         */
-        if(eventType === 'mouseover' && mouseoutNode && mouseoutNode._id === node._id) {
-            okayToRun = false;
+        if(record !== false) {
+            var history = this._getHistory();
+            if(history !== undefined) {
+                history._recordAttr(this, key, oldVal, newVal);
+            }
+        }
+
+        var payload = {
+            attr: key,
+            oldVal: oldVal,
+            newVal: newVal
+        };
+        if(this.eventListeners[key + 'Change'] !== undefined) {
+            this.fire(key + 'Change', payload);
+        }
+        if(this.eventListeners.attrchange !== undefined) {
+            this.fire('attrchange', payload);
         }
-        else if(eventType === 'mouseout' && mouseoverNode && mouseoverNode._id === node._id) {
-            okayToRun = false;
+    },
+    /**
+     * add the node to the dirty nodes of its layer.  Changes to
+     *  the stage make every layer dirty.  Layers with autoDraw
+     *  enabled are queued to be drawn on the next animation frame
+     */
+    _setDirty: function() {
+        if(this.nodeType === 'Stage') {
+            for(var n = 0; n < this.children.length; n++) {
+                this.children[n]._setDirty();
+            }
+            return;
         }
 
-        if(el[eventType] && okayToRun) {
-            var events = el[eventType];
-            for(var i = 0; i < events.length; i++) {
-                events[i].handler.apply(node, [evt]);
+        var layer = this;
+        while(layer !== undefined && layer.nodeType !== 'Layer') {
+            layer = layer.parent;
+        }
+        if(layer !== undefined) {
+            layer.dirtyNodes[this._id] = this;
+            if(layer.attrs.autoDraw) {
+                layer.batchDraw();
             }
         }
+    }
+};
+/**
+ * namespaces of the event listeners that Kinetic binds for its own use,
+ *  such as the drag listeners bound by the draggable attr and the listeners
+ *  of transformers.  Namespaces can end with the number of the instance
+ *  that bound them, such as transformer12.  They aren't copied when nodes
+ *  are cloned
+ */
+Kinetic.Node.internalNames = {
+    initdrag: true,
+    transformer: true
+};
+/**
+ * create a node and its descendants from JSON made by toJSON.  The nodes
+ *  are rebuilt with the same classes that Stage.load uses, and are added to
+ *  the container if there is one.  Images are loaded asynchronously, and the
+ *  node is drawn again once they've loaded if it's on a stage by then.
+ *  Older documents are migrated to the current version, and invalid
+ *  documents throw an error before any nodes are created
+ * ex:
+ * var copy = Kinetic.Node.create(group.toJSON(), layer);
+ * @param {String|Object} json JSON string or parsed object
+ * @param {Container} [container]
+ * @param {Function} [callback] called with the node once all of its
+ *  images have loaded
+ */
+Kinetic.Node.create = function(json, container, callback) {
+    var obj = Kinetic.Schema.upgrade(typeof json === 'string' ? JSON.parse(json) : json);
+    var loading = true;
+    var loaded = false;
 
-        var mouseoverParent = mouseoverNode ? mouseoverNode.parent : undefined;
-        var mouseoutParent = mouseoutNode ? mouseoutNode.parent : undefined;
+    function onLoad() {
+        if(callback !== undefined) {
+            callback(node);
+        }
+    }
 
-        // simulate event bubbling
-        if(!evt.cancelBubble && node.parent && node.parent.nodeType !== 'Stage') {
-            this._handleEvent(node.parent, mouseoverParent, mouseoutParent, eventType, evt);
+    var node = Kinetic.Serializer.create(obj, function() {
+        loaded = true;
+        // images that load later need the node to be drawn again
+        if(!loading) {
+            new Kinetic.Collection(node).draw();
+            onLoad();
         }
+    });
+    loading = false;
+
+    if(container !== undefined) {
+        container.add(node);
+    }
+    if(loaded) {
+        onLoad();
     }
+    return node;
 };
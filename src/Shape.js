@@ -15,7 +15,9 @@
  *  is "miter"
  * @config {Object} [shadow] shadow object
  * @config {String} [detectionType] shape detection type.  Can be "path" or "pixel".
- *  The default is "path" because it performs better
+ *  The default is "path" because it performs better.  Path detection treats the
+ *  whole path area as the shape, and pixel detection only uses the pixels
+ *  that are actually filled, stroked, or drawn by an image or text
  */
 Kinetic.Shape = function(config) {
     this.setDefaultAttrs({
@@ -37,6 +39,8 @@ Kinetic.Shape = function(config) {
     this.data = [];
     this.nodeType = 'Shape';
     this.appliedShadow = false;
+    this.drawingHit = false;
+    this.colorKey = Kinetic.GlobalObject._getColorKey();
 
     // call super constructor
     Kinetic.Node.apply(this, [config]);
@@ -50,12 +54,17 @@ Kinetic.Shape.prototype = {
      * the shape is being rendered, .getContext() returns the context of the
      * user created layer that contains the shape.  When the event detection
      * engine is determining whether or not an event has occured on that shape,
-     * .getContext() returns the context of the invisible path layer.
+     * .getContext() returns the context of the invisible path layer.  When the
+     * shape is being drawn onto the layer hit graph, .getContext() returns the
+     * context of the layer hit canvas.
      */
     getContext: function() {
         if(this.tempLayer === undefined) {
             return null;
         }
+        else if(this.drawingHit) {
+            return this.tempLayer.getHitContext();
+        }
         else {
             return this.tempLayer.getContext();
         }
@@ -64,13 +73,18 @@ Kinetic.Shape.prototype = {
      * get shape temp layer canvas
      */
     getCanvas: function() {
-        return this.tempLayer.getCanvas();
+        return this.drawingHit ? this.tempLayer.getHitCanvas() : this.tempLayer.getCanvas();
     },
     /**
      * helper method to stroke the shape and apply
      * shadows if needed
      */
     stroke: function() {
+        if(this.drawingHit) {
+            this._strokeHit();
+            return;
+        }
+
         var appliedShadow = false;
         var context = this.getContext();
         context.save();
@@ -99,6 +113,11 @@ Kinetic.Shape.prototype = {
      * radial gradient, or pattern, and also apply shadows if needed
      * */
     fill: function() {
+        if(this.drawingHit) {
+            this._fillHit();
+            return;
+        }
+
         var appliedShadow = false;
         var context = this.getContext();
         context.save();
@@ -178,6 +197,13 @@ Kinetic.Shape.prototype = {
      * helper method to fill text and appy shadows if needed
      */
     fillText: function(text, x, y) {
+        if(this.drawingHit) {
+            if(this.attrs.textFill !== undefined) {
+                this._textHit('fillText', text, x, y);
+            }
+            return;
+        }
+
         var appliedShadow = false;
         var context = this.getContext();
         context.save();
@@ -199,6 +225,13 @@ Kinetic.Shape.prototype = {
      * if needed
      */
     strokeText: function(text, x, y) {
+        if(this.drawingHit) {
+            if(this.attrs.textStroke !== undefined || this.attrs.textStrokeWidth !== undefined) {
+                this._textHit('strokeText', text, x, y);
+            }
+            return;
+        }
+
         var appliedShadow = false;
         var context = this.getContext();
         context.save();
@@ -229,6 +262,11 @@ Kinetic.Shape.prototype = {
      * a shadow if neede
      */
     drawImage: function() {
+        if(this.drawingHit) {
+            this._drawImageHit.apply(this, arguments);
+            return;
+        }
+
         var appliedShadow = false;
         var context = this.getContext();
         context.save();
@@ -310,7 +348,7 @@ Kinetic.Shape.prototype = {
      * @param {String} stroke
      */
     setStroke: function(stroke) {
-        this.attrs.stroke = stroke;
+        this._setAttr('stroke', stroke);
     },
     /**
      * get stroke color
@@ -324,7 +362,7 @@ Kinetic.Shape.prototype = {
      *  default is miter
      */
     setLineJoin: function(lineJoin) {
-        this.attrs.lineJoin = lineJoin;
+        this._setAttr('lineJoin', lineJoin);
     },
     /**
      * get line join
@@ -337,7 +375,7 @@ Kinetic.Shape.prototype = {
      * @param {Number} strokeWidth
      */
     setStrokeWidth: function(strokeWidth) {
-        this.attrs.strokeWidth = strokeWidth;
+        this._setAttr('strokeWidth', strokeWidth);
     },
     /**
      * get stroke width
@@ -365,7 +403,7 @@ Kinetic.Shape.prototype = {
      * @param {Function} func drawing function
      */
     setDrawFunc: function(func) {
-        this.attrs.drawFunc = func;
+        this._setAttr('drawFunc', func);
     },
     /**
      * save shape data when using pixel detection.
@@ -390,6 +428,97 @@ Kinetic.Shape.prototype = {
     clearData: function() {
         this.data = [];
     },
+    /**
+     * get the rect that the shape takes up in its own coordinate space,
+     *  without its stroke, shadow, or transform.  Shapes with custom drawing
+     *  functions use their width and height attrs.  Built in shapes override
+     *  this method
+     */
+    getSelfRect: function() {
+        return {
+            x: 0,
+            y: 0,
+            width: typeof this.attrs.width === 'number' ? this.attrs.width : 0,
+            height: typeof this.attrs.height === 'number' ? this.attrs.height : 0
+        };
+    },
+    /**
+     * get the rect that the shape takes up on the stage, including its
+     *  stroke and shadow.  The rect bounds the shape after the absolute
+     *  transform is applied, so rotated shapes have larger rects
+     * @param {Object} [config]
+     * @config {Node} [relativeTo] get the rect in the coordinate space of
+     *  another node, such as an ancestor
+     * @config {Boolean} [skipTransform] get the rect in the shape's own
+     *  coordinate space
+     * @config {Boolean} [skipStroke] ignore the stroke width.  Lines always
+     *  include their stroke because it's all that they draw
+     * @config {Boolean} [skipShadow] ignore the shadow
+     */
+    getClientRect: function(config) {
+        var c = config === undefined ? {} : config;
+        var rect = this.getSelfRect();
+        var x1 = rect.x;
+        var y1 = rect.y;
+        var x2 = rect.x + rect.width;
+        var y2 = rect.y + rect.height;
+
+        if(!c.skipStroke && this.shapeType !== 'Line') {
+            var sw = this._getStrokeWidth() / 2;
+            x1 -= sw;
+            y1 -= sw;
+            x2 += sw;
+            y2 += sw;
+        }
+
+        var s = this.attrs.shadow;
+        if(!c.skipShadow && s !== undefined && s.color !== undefined && s.alpha !== undefined) {
+            var blur = s.blur === undefined ? 0 : s.blur;
+            var ox = s.offset === undefined ? 0 : s.offset.x;
+            var oy = s.offset === undefined ? 0 : s.offset.y;
+            x1 = Math.min(x1, x1 + ox - blur);
+            y1 = Math.min(y1, y1 + oy - blur);
+            x2 = Math.max(x2, x2 + ox + blur);
+            y2 = Math.max(y2, y2 + oy + blur);
+        }
+
+        rect = {
+            x: x1,
+            y: y1,
+            width: x2 - x1,
+            height: y2 - y1
+        };
+
+        return c.skipTransform ? rect : this._getRectRelativeTo(rect, c.relativeTo);
+    },
+    /**
+     * get SVG markup for the shape by recording the drawing function
+     *  with an SVG context.  Built in shapes override this method
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        if(this.attrs.drawFunc === undefined) {
+            return '';
+        }
+
+        var context = new Kinetic.SVGContext(svg, this.getAbsoluteAlpha());
+        var tempLayer = this.tempLayer;
+        this.tempLayer = {
+            getContext: function() {
+                return context;
+            },
+            getCanvas: function() {
+                return context.canvas;
+            }
+        };
+
+        this.applyLineJoin();
+        this.appliedShadow = false;
+        this.attrs.drawFunc.call(this);
+        this.tempLayer = tempLayer;
+
+        return context.getMarkup();
+    },
     /**
      * determines if point is in the shape
      */
@@ -413,30 +542,10 @@ Kinetic.Shape.prototype = {
     },
     _draw: function(layer) {
         if(layer !== undefined && this.attrs.drawFunc !== undefined) {
-            var stage = layer.getStage();
             var context = layer.getContext();
-            var family = [];
-            var parent = this.parent;
-
-            family.unshift(this);
-            while(parent) {
-                family.unshift(parent);
-                parent = parent.parent;
-            }
 
             context.save();
-            for(var n = 0; n < family.length; n++) {
-                var node = family[n];
-                var t = node.getTransform();
-
-                // center offset
-                if(node.attrs.centerOffset.x !== 0 || node.attrs.centerOffset.y !== 0) {
-                    t.translate(-1 * node.attrs.centerOffset.x, -1 * node.attrs.centerOffset.y);
-                }
-
-                var m = t.getMatrix();
-                context.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
-            }
+            this._applyTransforms(context);
 
             this.tempLayer = layer;
 
@@ -453,6 +562,169 @@ Kinetic.Shape.prototype = {
             this.attrs.drawFunc.call(this);
             context.restore();
         }
+    },
+    /**
+     * draw the shape onto the layer hit graph using its color key
+     * @param {Layer} layer
+     */
+    _drawHit: function(layer) {
+        if(layer !== undefined && this.attrs.drawFunc !== undefined) {
+            var context = layer.getHitContext();
+
+            context.save();
+            this._applyTransforms(context);
+
+            this.tempLayer = layer;
+            this.drawingHit = true;
+            this.applyLineJoin();
+            this.attrs.drawFunc.call(this);
+
+            /*
+             * path detection also uses the last path left in the context,
+             * which is what isPointInPath() used to test against
+             */
+            if(this.attrs.detectionType === 'path') {
+                context.fillStyle = this.colorKey;
+                context.fill();
+            }
+            this.drawingHit = false;
+            context.restore();
+
+            // register color key so that the shape can be found from the hit graph
+            Kinetic.GlobalObject.shapes[this.colorKey] = this;
+        }
+    },
+    /**
+     * get the width of the stroke that is drawn.  Returns 0 if
+     *  the shape isn't stroked
+     */
+    _getStrokeWidth: function() {
+        if(!!this.attrs.stroke || !!this.attrs.strokeWidth) {
+            return !!this.attrs.strokeWidth ? this.attrs.strokeWidth : 2;
+        }
+        return 0;
+    },
+    /**
+     * apply the transforms of the shape and all of its
+     * ancestors, including center offsets, to a context
+     * @param {CanvasContext} context
+     */
+    _applyTransforms: function(context) {
+        var m = this._getDrawTransform().getMatrix();
+        context.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
+    },
+    /**
+     * fill the current path on the hit graph.  With path detection
+     *  the whole path is used even if the shape doesn't have a fill
+     */
+    _fillHit: function() {
+        var context = this.getContext();
+        if(this.attrs.detectionType === 'path' || !!this.attrs.fill) {
+            context.fillStyle = this.colorKey;
+            context.fill();
+        }
+    },
+    /**
+     * stroke the current path on the hit graph.  Path detection
+     *  ignores strokes in the same way that isPointInPath() does,
+     *  but still uses the path area
+     */
+    _strokeHit: function() {
+        var context = this.getContext();
+        if(this.attrs.detectionType === 'path') {
+            context.fillStyle = this.colorKey;
+            context.fill();
+        }
+        else if(!!this.attrs.stroke || !!this.attrs.strokeWidth) {
+            context.save();
+            context.lineWidth = !!this.attrs.strokeWidth ? this.attrs.strokeWidth : 2;
+            context.strokeStyle = this.colorKey;
+            context.stroke();
+            context.restore();
+        }
+    },
+    /**
+     * draw text on the hit graph.  Only used by pixel detection
+     * @param {String} method fillText or strokeText
+     */
+    _textHit: function(method, text, x, y) {
+        if(this.attrs.detectionType === 'pixel') {
+            var context = this.getContext();
+            context.save();
+            context.fillStyle = this.colorKey;
+            context.strokeStyle = this.colorKey;
+            if(method === 'strokeText') {
+                context.lineWidth = this.attrs.textStrokeWidth !== undefined ? this.attrs.textStrokeWidth : 2;
+            }
+            context[method](text, x, y);
+            context.restore();
+        }
+    },
+    /**
+     * draw an image on the hit graph.  Only used by pixel detection.
+     *  The non transparent pixels of the image are painted with the
+     *  color key on a buffer canvas which is then drawn onto the hit graph
+     */
+    _drawImageHit: function() {
+        var a = arguments;
+        if(this.attrs.detectionType !== 'pixel' || (a.length !== 5 && a.length !== 9)) {
+            return;
+        }
+
+        var dest = a.length === 5 ? [a[1], a[2], a[3], a[4]] : [a[5], a[6], a[7], a[8]];
+        var width = Math.ceil(dest[2]);
+        var height = Math.ceil(dest[3]);
+
+        if(width <= 0 || height <= 0) {
+            return;
+        }
+
+        /*
+         * the color keyed image is cached so that it's only drawn again
+         * when the image, its crop, or its size change.  Images that are
+         * still loading are drawn again on every hit draw
+         */
+        var image = a[0];
+        var key = Array.prototype.slice.call(a, 1).join(',') + ',' + this.colorKey;
+        var cache = this.imageHit;
+        if(cache === undefined) {
+            cache = this.imageHit = {
+                canvas: document.createElement('canvas')
+            };
+        }
+
+        if(cache.image !== image || cache.key !== key || image.complete === false) {
+            // resizing the buffer also clears it
+            var buffer = cache.canvas;
+            buffer.width = width;
+            buffer.height = height;
+
+            var bufferContext = buffer.getContext('2d');
+            if(a.length === 5) {
+                bufferContext.drawImage(image, 0, 0, width, height);
+            }
+            else {
+                bufferContext.drawImage(image, a[1], a[2], a[3], a[4], 0, 0, width, height);
+            }
+
+            // replace the image colors with the color key and keep the alpha channel
+            bufferContext.globalCompositeOperation = 'source-in';
+            bufferContext.fillStyle = this.colorKey;
+            bufferContext.fillRect(0, 0, width, height);
+
+            cache.image = image;
+            cache.key = key;
+        }
+
+        this.getContext().drawImage(cache.canvas, dest[0], dest[1], dest[2], dest[3]);
+    },
+    /**
+     * free the color key when the shape is destroyed.  The key is
+     *  cleared so that destroying the shape again doesn't free it twice
+     */
+    _destroy: function() {
+        Kinetic.GlobalObject._freeColorKey(this.colorKey);
+        this.colorKey = undefined;
     }
 };
 // extend Node
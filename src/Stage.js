@@ -3,7 +3,13 @@
 ///////////////////////////////////////////////////////////////////////
 /**
  * Stage constructor.  A stage is used to contain multiple layers and handle
- * animations
+ * animations.  Nodes with a selectable attr set to true can be selected by
+ * clicking them, and shift clicking adds or removes them from the selection.
+ * Set the marquee attr to true to select nodes by dragging a rectangle over
+ * an empty area of the stage.  Nodes with a dropTarget attr set to true
+ * receive dragenter, dragover, dragleave, and drop events when other nodes
+ * are dragged over them.  Create a Kinetic.History with the stage to record
+ * changes so that they can be undone
  * @constructor
  * @augments Kinetic.Container
  * @augments Kinetic.Node
@@ -20,6 +26,8 @@ Kinetic.Stage = function(config) {
 
     this.nodeType = 'Stage';
     this.lastEventTime = 0;
+    this.history = undefined;
+    this.dragHistory = undefined;
 
     /*
      * if container is a string, assume it's an id for
@@ -34,6 +42,7 @@ Kinetic.Stage = function(config) {
     Kinetic.Node.apply(this, [config]);
 
     this.content = document.createElement('div');
+    this.contentHandlers = {};
     this.dblClickWindow = 400;
 
     this._setStageDefaultProperties();
@@ -89,6 +98,19 @@ Kinetic.Stage.prototype = {
     draw: function() {
         this._drawChildren();
     },
+    /**
+     * draw only the layers that have dirty nodes.  Nodes become
+     *  dirty when their attrs change, or when they are added, removed,
+     *  or reordered
+     */
+    drawDirty: function() {
+        var layers = this.children;
+        for(var n = 0; n < layers.length; n++) {
+            if(layers[n].isDirty()) {
+                layers[n].draw();
+            }
+        }
+    },
     /**
      * set stage size
      */
@@ -120,6 +142,8 @@ Kinetic.Stage.prototype = {
             var layer = layers[n];
             layer.getCanvas().width = width;
             layer.getCanvas().height = height;
+            layer.getHitCanvas().width = width;
+            layer.getHitCanvas().height = height;
             layer.draw();
         }
     },
@@ -181,44 +205,6 @@ Kinetic.Stage.prototype = {
         bufferLayer.clear();
         addLayer(0);
     },
-    /**
-     * serialize stage and children as a JSON object
-     */
-    toJSON: function() {
-        var go = Kinetic.GlobalObject;
-
-        function addNode(node) {
-            var obj = {};
-
-            var cleanAttrs = node.attrs;
-
-            // remove function, image, DOM, and objects with methods
-            for(var key in cleanAttrs) {
-                var val = cleanAttrs[key];
-                if(go._isFunction(val) || go._isElement(val) || go._hasMethods(val)) {
-                    cleanAttrs[key] = undefined;
-                }
-            }
-
-            obj.attrs = cleanAttrs;
-
-            obj.nodeType = node.nodeType;
-            obj.shapeType = node.shapeType;
-
-            if(node.nodeType !== 'Shape') {
-                obj.children = [];
-
-                var children = node.getChildren();
-                for(var n = 0; n < children.length; n++) {
-                    var child = children[n];
-                    obj.children.push(addNode(child));
-                }
-            }
-
-            return obj;
-        }
-        return JSON.stringify(addNode(this));
-    },
     /**
      * reset stage to default state
      */
@@ -231,52 +217,70 @@ Kinetic.Stage.prototype = {
         this.setAttrs(this.defaultNodeAttrs);
     },
     /**
-     * load stage with JSON string.  De-serializtion does not generate custom
-     *  shape drawing functions, images, or event handlers (this would make the
-     * 	serialized object huge).  If your app uses custom shapes, images, and
-     *  event handlers (it probably does), then you need to select the appropriate
-     *  shapes after loading the stage and set these properties via on(), setDrawFunc(),
-     *  and setImage()
+     * load stage with JSON string.  Images are reloaded from their src or
+     *  data URLs, and the stage is drawn again once they've loaded.  Custom
+     *  shape classes, drawFuncs, and event handlers are rebuilt if they've
+     *  been registered with Kinetic.Serializer.  Anything else that couldn't
+     *  be serialized, such as unregistered event handlers, needs to be set
+     *  again after loading the stage.  Documents saved with older versions
+     *  are migrated to the current version.  Invalid documents throw an
+     *  error, with an errors property that holds the path and message of
+     *  each problem, and the stage isn't changed
      * @param {String} JSON string
+     * @param {Function} [callback] called once all of the images have loaded
      */
-    load: function(json) {
-        this.reset();
-
-        function loadNode(node, obj) {
-            var children = obj.children;
-            if(children !== undefined) {
-                for(var n = 0; n < children.length; n++) {
-                    var child = children[n];
-                    var type;
-
-                    // determine type
-                    if(child.nodeType === 'Shape') {
-                        // add custom shape
-                        if(child.shapeType === undefined) {
-                            type = 'Shape';
-                        }
-                        // add standard shape
-                        else {
-                            type = child.shapeType;
-                        }
-                    }
-                    else {
-                        type = child.nodeType;
-                    }
+    load: function(json, callback) {
+        var that = this;
+        var loading = true;
+        var loaded = false;
 
-                    var no = new Kinetic[type](child.attrs);
-                    node.add(no);
-                    loadNode(no, child);
-                }
+        function onLoad() {
+            that.draw();
+            if(callback !== undefined) {
+                callback();
             }
         }
-        var obj = JSON.parse(json);
 
-        // copy over stage properties
-        this.attrs = obj.attrs;
+        var obj = Kinetic.Schema.upgrade(JSON.parse(json));
+        if(obj.nodeType !== 'Stage') {
+            throw new Error('Kinetic.Stage: only stage documents can be loaded into a stage');
+        }
+
+        this.reset();
+        Kinetic.Serializer.load(this, obj, function() {
+            loaded = true;
+            // images that load later need the stage to be drawn again
+            if(!loading) {
+                onLoad();
+            }
+        });
+        loading = false;
+
+        // changes made before the stage was loaded can't be undone
+        if(this.history !== undefined) {
+            this.history.clear();
+        }
 
-        loadNode(this, obj);
-        this.draw();
+        if(loaded) {
+            onLoad();
+        }
+        else {
+            this.draw();
+        }
+    },
+    /**
+     * apply a patch made by Kinetic.diff.  The nodes on the stage are
+     *  changed in place, and only the layers that changed are drawn again.
+     *  The stage has to be in the state that the patch was made from.
+     *  Invalid patches throw an error, with an errors property that holds
+     *  the path and message of each problem, and the stage isn't changed.
+     *  If the stage has a history, the patch is undone in one step.
+     *  Otherwise, removed nodes are destroyed
+     * @param {Object} patch
+     * @param {Function} [callback] called once all of the images have loaded
+     */
+    applyPatch: function(patch, callback) {
+        Kinetic.Patch.apply(this, patch, callback);
     },
     /**
      * get mouse position for desktop apps
@@ -292,6 +296,67 @@ Kinetic.Stage.prototype = {
     getTouchPosition: function(evt) {
         return this.touchPos;
     },
+    /**
+     * get positions of every active touch point for mobile apps.
+     *  Each position has an id property which holds the touch identifier
+     */
+    getTouchPositions: function() {
+        return this.touchPositions;
+    },
+    /**
+     * get the node that receives keyboard events, or undefined
+     *  if no node has focus
+     */
+    getFocusedNode: function() {
+        return this.focusedNode;
+    },
+    /**
+     * get a collection of the selected nodes in the order that
+     *  they were selected
+     */
+    getSelection: function() {
+        var collection = new Kinetic.Collection();
+        for(var n = 0; n < this.selection.length; n++) {
+            collection.push(this.selection[n]);
+        }
+        return collection;
+    },
+    /**
+     * replace the selection.  Fires a selectionchange event on
+     *  the stage if the selection changed
+     * @param {Array|Collection} nodes
+     */
+    setSelection: function(nodes) {
+        var selection = [];
+        for(var n = 0; n < nodes.length; n++) {
+            if(!this._inArray(selection, nodes[n])) {
+                selection.push(nodes[n]);
+            }
+        }
+
+        var changed = selection.length !== this.selection.length;
+        for(var n = 0; n < selection.length && !changed; n++) {
+            changed = selection[n] !== this.selection[n];
+        }
+
+        if(changed) {
+            this.selection = selection;
+            this._handleEvents('selectionchange');
+        }
+    },
+    /**
+     * clear the selection
+     */
+    clearSelection: function() {
+        this.setSelection([]);
+    },
+    /**
+     * determine if a node is selected
+     * @param {Node} node
+     */
+    isSelected: function(node) {
+        return this._inArray(this.selection, node);
+    },
     /**
      * get user position (mouse position or touch position)
      * @param {Event} evt
@@ -376,6 +441,8 @@ Kinetic.Stage.prototype = {
     _add: function(layer) {
         layer.canvas.width = this.attrs.width;
         layer.canvas.height = this.attrs.height;
+        layer.hitCanvas.width = this.attrs.width;
+        layer.hitCanvas.height = this.attrs.height;
 
         // draw layer and append canvas to container
         layer.draw();
@@ -388,126 +455,137 @@ Kinetic.Stage.prototype = {
          */
         layer.lastDrawTime = 0;
     },
+    /**
+     * get the top most shape at a point by looking up the
+     *  hit graphs of the layers, starting with the top layer
+     * @param {Object} pos
+     */
+    _getIntersectingShape: function(pos) {
+        if(pos === undefined) {
+            return undefined;
+        }
+
+        for(var n = this.children.length - 1; n >= 0; n--) {
+            var layer = this.children[n];
+            if(layer.isVisible() && layer.attrs.listening) {
+                var shape = layer.getIntersection(pos);
+                if(shape !== undefined) {
+                    return shape;
+                }
+            }
+        }
+
+        return undefined;
+    },
     /**
      * detect event
-     * @param {Shape} shape
+     * @param {Shape} shape top most shape under the
+     *  user position
      */
     _detectEvent: function(shape, evt) {
         var isDragging = Kinetic.GlobalObject.drag.moving;
         var go = Kinetic.GlobalObject;
-        var pos = this.getUserPosition();
-        var el = shape.eventListeners;
 
         if(this.targetShape && shape._id === this.targetShape._id) {
             this.targetFound = true;
         }
 
-        if(shape.isVisible() && pos !== undefined && shape.intersects(pos)) {
-            // handle onmousedown
-            if(!isDragging && this.mouseDown) {
-                this.mouseDown = false;
-                this.clickStart = true;
-                shape._handleEvents('mousedown', evt);
-                return true;
-            }
-            // handle onmouseup & onclick
-            else if(this.mouseUp) {
-                this.mouseUp = false;
-                shape._handleEvents('mouseup', evt);
-
-                // detect if click or double click occurred
-                if(this.clickStart) {
-                    /*
-                     * if dragging and dropping, don't fire click or dbl click
-                     * event
-                     */
-                    if((!go.drag.moving) || !go.drag.node) {
-                        shape._handleEvents('click', evt);
-
-                        if(shape.inDoubleClickWindow) {
-                            shape._handleEvents('dblclick', evt);
-                        }
-                        shape.inDoubleClickWindow = true;
-                        setTimeout(function() {
-                            shape.inDoubleClickWindow = false;
-                        }, this.dblClickWindow);
-                    }
-                }
-                return true;
-            }
+        // handle onmousedown
+        if(!isDragging && this.mouseDown) {
+            this.mouseDown = false;
+            this.clickStart = true;
+            shape._handleEvents('mousedown', evt);
+            return true;
+        }
+        // handle onmouseup & onclick
+        else if(this.mouseUp) {
+            this.mouseUp = false;
+            shape._handleEvents('mouseup', evt);
 
-            // handle touchstart
-            if(!isDragging && this.touchStart) {
-                this.touchStart = false;
-                this.tapStart = true;
-                shape._handleEvents('touchstart', evt);
-                return true;
-            }
-            // handle touchend & tap
-            else if(this.touchEnd) {
-                this.touchEnd = false;
-                shape._handleEvents('touchend', evt);
-
-                // detect if tap or double tap occurred
-                if(this.tapStart) {
-                    /*
-                     * if dragging and dropping, don't fire tap or dbltap
-                     * event
-                     */
-                    if((!go.drag.moving) || !go.drag.node) {
-                        shape._handleEvents('tap', evt);
-
-                        if(shape.inDoubleClickWindow) {
-                            shape._handleEvents('dbltap', evt);
-                        }
-                        shape.inDoubleClickWindow = true;
-                        setTimeout(function() {
-                            shape.inDoubleClickWindow = false;
-                        }, this.dblClickWindow);
+            // detect if click or double click occurred
+            if(this.clickStart) {
+                /*
+                 * if dragging and dropping, don't fire click or dbl click
+                 * event
+                 */
+                if((!go.drag.moving) || !go.drag.node) {
+                    shape._handleEvents('click', evt);
+
+                    if(shape.inDoubleClickWindow) {
+                        shape._handleEvents('dblclick', evt);
                     }
+                    shape.inDoubleClickWindow = true;
+                    setTimeout(function() {
+                        shape.inDoubleClickWindow = false;
+                    }, this.dblClickWindow);
                 }
-                return true;
             }
+            return true;
+        }
 
-            /*
-            * NOTE: these event handlers require target shape
-            * handling
-            */
+        // handle touchstart
+        if(!isDragging && this.touchStart) {
+            this.touchStart = false;
+            this.tapStart = true;
+            shape._handleEvents('touchstart', evt);
+            return true;
+        }
+        // handle touchend & tap
+        else if(this.touchEnd) {
+            this.touchEnd = false;
+            shape._handleEvents('touchend', evt);
 
-            // handle onmouseover
-            else if(!isDragging && this._isNewTarget(shape, evt)) {
+            // detect if tap or double tap occurred
+            if(this.tapStart) {
                 /*
-                 * check to see if there are stored mouseout events first.
-                 * if there are, run those before running the onmouseover
-                 * events
+                 * if dragging and dropping, don't fire tap or dbltap
+                 * event
                  */
-                if(this.mouseoutShape) {
-                    this.mouseoverShape = shape;
-                    this.mouseoutShape._handleEvents('mouseout', evt);
-                    this.mouseoverShape = undefined;
-                }
+                if((!go.drag.moving) || !go.drag.node) {
+                    shape._handleEvents('tap', evt);
 
-                shape._handleEvents('mouseover', evt);
-                this._setTarget(shape);
-                return true;
+                    if(shape.inDoubleClickWindow) {
+                        shape._handleEvents('dbltap', evt);
+                    }
+                    shape.inDoubleClickWindow = true;
+                    setTimeout(function() {
+                        shape.inDoubleClickWindow = false;
+                    }, this.dblClickWindow);
+                }
             }
+            return true;
+        }
 
-            // handle mousemove and touchmove
-            else if(!isDragging && this.mouseMove) {
-                shape._handleEvents('mousemove', evt);
-                return true;
-            }
-            
-else if(!isDragging && this.touchMove) {
-                shape._handleEvents('touchmove', evt);
-                return true;
+        /*
+        * NOTE: these event handlers require target shape
+        * handling
+        */
+
+        // handle onmouseover
+        else if(!isDragging && this._isNewTarget(shape, evt)) {
+            /*
+             * check to see if there are stored mouseout events first.
+             * if there are, run those before running the onmouseover
+             * events
+             */
+            if(this.mouseoutShape) {
+                this.mouseoverShape = shape;
+                this.mouseoutShape._handleEvents('mouseout', evt);
+                this.mouseoverShape = undefined;
             }
 
+            shape._handleEvents('mouseover', evt);
+            this._setTarget(shape);
+            return true;
         }
-        // handle mouseout condition
-        else if(!isDragging && this.targetShape && this.targetShape._id === shape._id) {
-            this._setTarget(undefined);
-            this.mouseoutShape = shape;
+
+        // handle mousemove and touchmove
+        else if(!isDragging && this.mouseMove) {
+            shape._handleEvents('mousemove', evt);
+            return true;
+        }
+        else if(!isDragging && this.touchMove) {
+            shape._handleEvents('touchmove', evt);
             return true;
         }
 
@@ -540,33 +618,6 @@ else if(!isDragging && this.touchMove) {
             return false;
         }
     },
-    /**
-     * traverse container children
-     * @param {Container} obj
-     */
-    _traverseChildren: function(obj, evt) {
-        var children = obj.children;
-        // propapgate backwards through children
-        for(var i = children.length - 1; i >= 0; i--) {
-            var child = children[i];
-            if(child.attrs.listening) {
-                if(child.nodeType === 'Shape') {
-                    var exit = this._detectEvent(child, evt);
-                    if(exit) {
-                        return true;
-                    }
-                }
-                else {
-                    var exit = this._traverseChildren(child, evt);
-                    if(exit) {
-                        return true;
-                    }
-                }
-            }
-        }
-
-        return false;
-    },
     /**
      * handle incoming event
      * @param {Event} evt
@@ -583,23 +634,33 @@ else if(!isDragging && this.touchMove) {
 
         this._setMousePosition(evt);
         this._setTouchPosition(evt);
-        this.pathLayer.clear();
 
         /*
-         * loop through layers.  If at any point an event
-         * is triggered, n is set to -1 which will break out of the
-         * three nested loops
+         * dragged nodes are left out of the hit graphs so that the drop
+         * targets under them can be detected.  They're put back before a
+         * release is detected so that mouseup and touchend are fired on
+         * the dragged node rather than on the shape under it
+         */
+        if((this.mouseUp || this.touchEnd) && go.drag.moving && go.drag.node !== undefined && go.drag.node.nodeType !== 'Stage') {
+            go.drag.released = true;
+            this._drawDragHit();
+        }
+
+        /*
+         * find the top most shape under the user position
+         * with the layer hit graphs
          */
         this.targetFound = false;
         var shapeDetected = false;
-        for(var n = this.children.length - 1; n >= 0; n--) {
-            var layer = this.children[n];
-            if(layer.isVisible() && n >= 0 && layer.attrs.listening) {
-                if(this._traverseChildren(layer, evt)) {
-                    n = -1;
-                    shapeDetected = true;
-                }
-            }
+        var shape = this._getIntersectingShape(this.getUserPosition());
+
+        if(shape !== undefined) {
+            shapeDetected = this._detectEvent(shape, evt);
+        }
+        // handle mouseout condition
+        else if(!go.drag.moving && this.targetShape) {
+            this.mouseoutShape = this.targetShape;
+            this._setTarget(undefined);
         }
 
         /*
@@ -613,14 +674,39 @@ else if(!isDragging && this.touchMove) {
     },
     /**
      * begin listening for events by adding event handlers
-     * to the container
+     * to the container.  Pointer Events are used when the browser
+     * supports them, and are translated into the mouse and touch
+     * events used by the rest of the stage
      */
     _listen: function() {
         var go = Kinetic.GlobalObject;
         var that = this;
+        var types = ['mousedown', 'mousemove', 'mouseup', 'mouseover', 'mouseout', 'touchstart', 'touchmove', 'touchend', 'touchcancel'];
+
+        if(window.PointerEvent !== undefined) {
+            types = ['pointerdown', 'pointermove', 'pointerup', 'pointerover', 'pointerout', 'pointercancel'];
+            // let the stage handle touch pointers instead of the browser
+            this.content.style.touchAction = 'none';
+        }
+
+        for(var n = 0; n < types.length; n++) {
+            this.content.addEventListener(types[n], function(evt) {
+                that._handleInput(evt);
+            }, false);
+        }
+
+        // keyboard events are delivered to the focused node
+        this.content.tabIndex = -1;
+        this.content.style.outline = 'none';
+        var keyTypes = ['keydown', 'keyup', 'keypress'];
+        for(var n = 0; n < keyTypes.length; n++) {
+            this.content.addEventListener(keyTypes[n], function(evt) {
+                that._handleKeyEvent(evt);
+            }, false);
+        }
 
         // desktop events
-        this.content.addEventListener('mousedown', function(evt) {
+        this._onContent('mousedown', function(evt) {
             that.mouseDown = true;
             that.mouseUp = false;
             that.mouseMove = false;
@@ -631,9 +717,10 @@ else if(!isDragging && this.touchMove) {
             if(that.attrs.draggable) {
                 that._initDrag();
             }
-        }, false);
+            that._handleSelection(evt);
+        });
 
-        this.content.addEventListener('mousemove', function(evt) {
+        this._onContent('mousemove', function(evt) {
             /*
              * throttle mousemove
              */
@@ -648,46 +735,51 @@ else if(!isDragging && this.touchMove) {
                 that.mouseUp = false;
                 that.mouseMove = true;
                 that._handleStageEvent(evt);
+                that._moveMarquee();
             }
-        }, false);
+        });
 
-        this.content.addEventListener('mouseup', function(evt) {
+        this._onContent('mouseup', function(evt) {
             that.mouseDown = false;
             that.mouseUp = true;
             that.mouseMove = false;
             that._handleStageEvent(evt);
             that.clickStart = false;
-        }, false);
+            that._endMarquee();
+        });
 
-        this.content.addEventListener('mouseover', function(evt) {
+        this._onContent('mouseover', function(evt) {
             that._handleStageEvent(evt);
-        }, false);
+        });
 
-        this.content.addEventListener('mouseout', function(evt) {
+        this._onContent('mouseout', function(evt) {
             // if there's a current target shape, run mouseout handlers
             var targetShape = that.targetShape;
             if(targetShape) {
                 targetShape._handleEvents('mouseout', evt);
                 that.targetShape = undefined;
             }
+            that._endMarquee();
             that.mousePos = undefined;
-        }, false);
+        });
         // mobile events
-        this.content.addEventListener('touchstart', function(evt) {
+        this._onContent('touchstart', function(evt) {
             evt.preventDefault();
             that.touchStart = true;
             that.touchEnd = false;
             that.touchMove = false;
             that._handleStageEvent(evt);
+            that._handleGesture(evt);
             /*
              * init stage drag and drop
              */
             if(that.attrs.draggable) {
                 that._initDrag();
             }
-        }, false);
+            that._handleSelection(evt);
+        });
 
-        this.content.addEventListener('touchmove', function(evt) {
+        this._onContent('touchmove', function(evt) {
             /*
              * throttle touchmove
              */
@@ -703,145 +795,984 @@ else if(!isDragging && this.touchMove) {
                 that.touchEnd = false;
                 that.touchMove = true;
                 that._handleStageEvent(evt);
+                that._handleGesture(evt);
+                that._moveMarquee();
             }
-        }, false);
+        });
 
-        this.content.addEventListener('touchend', function(evt) {
+        this._onContent('touchend', function(evt) {
             that.touchStart = false;
             that.touchEnd = true;
             that.touchMove = false;
             that._handleStageEvent(evt);
+            that._handleGesture(evt);
             that.tapStart = false;
-        }, false);
+            that._endMarquee();
+        });
+
+        this._onContent('touchcancel', function(evt) {
+            that._setTouchPosition(evt);
+            that._handleGesture(evt);
+            that._endMarquee();
+        });
     },
     /**
-     * set mouse positon for desktop apps
+     * route a DOM input event to the content handlers.  Pointer
+     *  events are translated into mouse events, or into touch events
+     *  for touch pointers.  Touch pointers are tracked so that the
+     *  touch positions include every active finger
      * @param {Event} evt
      */
-    _setMousePosition: function(evt) {
-        var mouseX = evt.offsetX || (evt.clientX - this._getContentPosition().left + window.pageXOffset);
-        var mouseY = evt.offsetY || (evt.clientY - this._getContentPosition().top + window.pageYOffset);
-        this.mousePos = {
-            x: mouseX,
-            y: mouseY
-        };
+    _handleInput: function(evt) {
+        var type = evt.type;
+
+        if(type.indexOf('pointer') === 0) {
+            var name = type.slice(7);
+            if(evt.pointerType === 'touch') {
+                var touchTypes = {
+                    down: 'touchstart',
+                    move: 'touchmove',
+                    up: 'touchend',
+                    cancel: 'touchcancel'
+                };
+                type = touchTypes[name];
+                // touch pointers don't have mouseover and mouseout semantics
+                if(type === undefined) {
+                    return;
+                }
+                var ended = type === 'touchend' || type === 'touchcancel';
+                this._setPointer(evt, ended);
+                this._setTouchPositions(this.pointers, ended ? [{
+                    identifier: evt.pointerId,
+                    clientX: evt.clientX,
+                    clientY: evt.clientY
+                }] : undefined);
+            }
+            else {
+                type = name === 'cancel' ? 'mouseout' : 'mouse' + name;
+            }
+        }
+
+        var handlers = this.contentHandlers[type];
+        if(handlers !== undefined) {
+            for(var n = 0; n < handlers.length; n++) {
+                handlers[n].call(this.content, evt);
+            }
+        }
     },
     /**
-     * set touch position for mobile apps
+     * add, update, or remove an active touch pointer
      * @param {Event} evt
+     * @param {Boolean} remove
      */
-    _setTouchPosition: function(evt) {
-        if(evt.touches !== undefined && evt.touches.length === 1) {// Only deal with
-            // one finger
-            var touch = evt.touches[0];
-            // Get the information for finger #1
-            var touchX = touch.clientX - this._getContentPosition().left + window.pageXOffset;
-            var touchY = touch.clientY - this._getContentPosition().top + window.pageYOffset;
-
-            this.touchPos = {
-                x: touchX,
-                y: touchY
+    _setPointer: function(evt, remove) {
+        var pointers = this.pointers;
+        for(var n = 0; n < pointers.length; n++) {
+            if(pointers[n].identifier === evt.pointerId) {
+                pointers.splice(n, 1);
+                break;
+            }
+        }
+        if(!remove) {
+            var pointer = {
+                identifier: evt.pointerId,
+                clientX: evt.clientX,
+                clientY: evt.clientY
             };
+            pointers.splice(n, 0, pointer);
         }
     },
     /**
-     * get container position
+     * move focus to a node.  blur events are fired on the previously
+     *  focused node and focus events are fired on the new one.  The
+     *  content element takes DOM focus so that it receives key events
+     * @param {Node} node
      */
-    _getContentPosition: function() {
-        var obj = this.content;
-        var top = 0;
-        var left = 0;
-        while(obj && obj.tagName !== 'BODY') {
-            top += obj.offsetTop - obj.scrollTop;
-            left += obj.offsetLeft - obj.scrollLeft;
-            obj = obj.offsetParent;
+    _setFocus: function(node) {
+        var oldNode = this.focusedNode;
+        if(oldNode === node) {
+            return;
+        }
+        this.focusedNode = node;
+        if(oldNode !== undefined) {
+            oldNode._handleEvents('blur');
+        }
+        if(node !== undefined) {
+            if(this.content.focus !== undefined) {
+                this.content.focus();
+            }
+            node._handleEvents('focus');
         }
-        return {
-            top: top,
-            left: left
-        };
     },
     /**
-     * modify path context
-     * @param {CanvasContext} context
+     * deliver a keyboard event to the focused node, or to the
+     *  stage if no node has focus
+     * @param {Event} evt
      */
-    _modifyPathContext: function(context) {
-        context.stroke = function() {
-        };
-        context.fill = function() {
-        };
-        context.fillRect = function(x, y, width, height) {
-            context.rect(x, y, width, height);
-        };
-        context.strokeRect = function(x, y, width, height) {
-            context.rect(x, y, width, height);
-        };
-        context.drawImage = function() {
-        };
-        context.fillText = function() {
-        };
-        context.strokeText = function() {
-        };
+    _handleKeyEvent: function(evt) {
+        var node = this.getFocusedNode();
+        if(node === undefined) {
+            node = this;
+        }
+        node._handleEvents(evt.type, evt);
     },
     /**
-     * end drag and drop
+     * update the selection when the user presses down.  Pressing a
+     *  selectable node selects it, and shift pressing it adds or removes
+     *  it from the selection.  Pressing anything else clears the selection,
+     *  and pressing an empty area of the stage starts the marquee
+     * @param {Event} evt
      */
-    _endDrag: function(evt) {
-        var go = Kinetic.GlobalObject;
-        if(go.drag.node) {
-            if(go.drag.moving) {
-                go.drag.moving = false;
-                go.drag.node._handleEvents('dragend', evt);
+    _handleSelection: function(evt) {
+        var pos = this.getUserPosition();
+        if(pos === undefined) {
+            return;
+        }
+
+        var shift = !!evt.shiftKey;
+        var shape = this._getIntersectingShape(pos);
+        var node = shape;
+        while(node !== undefined && node.attrs.selectable !== true) {
+            node = node.parent;
+        }
+
+        if(node !== undefined) {
+            if(shift) {
+                var selection = this.selection.slice(0);
+                for(var n = 0; n < selection.length; n++) {
+                    if(selection[n] === node) {
+                        selection.splice(n, 1);
+                        break;
+                    }
+                }
+                if(selection.length === this.selection.length) {
+                    selection.push(node);
+                }
+                this.setSelection(selection);
+            }
+            // keep the selection when pressing a selected node so that it can be dragged
+            else if(!this.isSelected(node)) {
+                this.setSelection([node]);
             }
+            return;
+        }
+
+        if(!shift) {
+            this.clearSelection();
+        }
+
+        if(shape === undefined && this.attrs.marquee && !this.attrs.draggable) {
+            this.marquee = {
+                start: {
+                    x: pos.x,
+                    y: pos.y
+                },
+                end: {
+                    x: pos.x,
+                    y: pos.y
+                },
+                shift: shift,
+                div: undefined
+            };
         }
-        go.drag.node = undefined;
     },
     /**
-     * prepare drag and drop
+     * resize the marquee to the user position.  The marquee is a
+     *  div that is shown over the content
      */
-    _prepareDrag: function() {
-        var that = this;
+    _moveMarquee: function() {
+        var marquee = this.marquee;
+        var pos = this.getUserPosition();
+        if(marquee === undefined || pos === undefined) {
+            return;
+        }
 
-        this._onContent('mousemove touchmove', function(evt) {
-            var go = Kinetic.GlobalObject;
-            var node = go.drag.node;
-            if(node) {
-                var pos = that.getUserPosition();
-                var dc = node.attrs.dragConstraint;
-                var db = node.attrs.dragBounds;
-                var lastNodePos = {
-                    x: node.attrs.x,
-                    y: node.attrs.y
-                };
+        marquee.end = {
+            x: pos.x,
+            y: pos.y
+        };
 
-                // default
-                var newNodePos = {
-                    x: pos.x - go.drag.offset.x,
-                    y: pos.y - go.drag.offset.y
-                };
+        if(marquee.div === undefined) {
+            var div = document.createElement('div');
+            div.className = 'kineticjs-marquee';
+            div.style.position = 'absolute';
+            div.style.border = '1px dashed rgb(0, 161, 255)';
+            div.style.background = 'rgba(0, 161, 255, 0.1)';
+            div.style.pointerEvents = 'none';
+            this.content.appendChild(div);
+            marquee.div = div;
+        }
+
+        var rect = this._getMarqueeRect();
+        marquee.div.style.left = rect.x + 'px';
+        marquee.div.style.top = rect.y + 'px';
+        marquee.div.style.width = rect.width + 'px';
+        marquee.div.style.height = rect.height + 'px';
+    },
+    /**
+     * select the selectable nodes whose client rects intersect the
+     *  marquee, and remove the marquee.  Shift dragging adds the nodes
+     *  to the selection
+     */
+    _endMarquee: function() {
+        var marquee = this.marquee;
+        if(marquee === undefined) {
+            return;
+        }
+        this.marquee = undefined;
+
+        if(marquee.div !== undefined && marquee.div.parentNode !== null) {
+            marquee.div.parentNode.removeChild(marquee.div);
+        }
+
+        var rect = this._getMarqueeRect(marquee);
+        if(rect.width === 0 && rect.height === 0) {
+            return;
+        }
 
-                // bounds overrides
-                if(db.left !== undefined && newNodePos.x < db.left) {
-                    newNodePos.x = db.left;
+        var selection = marquee.shift ? this.selection.slice(0) : [];
+        var nodes = this.get('[selectable=true]');
+        for(var n = 0; n < nodes.length; n++) {
+            var node = nodes[n];
+            if(node.isVisible()) {
+                var r = node.getClientRect();
+                if(r.x <= rect.x + rect.width && r.x + r.width >= rect.x && r.y <= rect.y + rect.height && r.y + r.height >= rect.y) {
+                    selection.push(node);
                 }
-                if(db.right !== undefined && newNodePos.x > db.right) {
-                    newNodePos.x = db.right;
+            }
+        }
+        this.setSelection(selection);
+    },
+    /**
+     * get the rect of the marquee
+     * @param {Object} [marquee] defaults to the current marquee
+     */
+    _getMarqueeRect: function(marquee) {
+        var m = marquee === undefined ? this.marquee : marquee;
+        return {
+            x: Math.min(m.start.x, m.end.x),
+            y: Math.min(m.start.y, m.end.y),
+            width: Math.abs(m.end.x - m.start.x),
+            height: Math.abs(m.end.y - m.start.y)
+        };
+    },
+    /**
+     * get the other selected nodes that move with a dragged node.
+     *  Descendants of the dragged node already move with it
+     * @param {Node} node
+     */
+    _getDragNodes: function(node) {
+        var nodes = [];
+        if(!this.isSelected(node)) {
+            return nodes;
+        }
+
+        for(var n = 0; n < this.selection.length; n++) {
+            var other = this.selection[n];
+            var parent = other;
+            while(parent !== undefined && parent !== node) {
+                parent = parent.parent;
+            }
+            if(parent === undefined) {
+                nodes.push(other);
+            }
+        }
+        return nodes;
+    },
+    /**
+     * determine if an array contains a node
+     * @param {Array} arr
+     * @param {Node} node
+     */
+    _inArray: function(arr, node) {
+        for(var n = 0; n < arr.length; n++) {
+            if(arr[n] === node) {
+                return true;
+            }
+        }
+        return false;
+    },
+    /**
+     * set mouse positon for desktop apps
+     * @param {Event} evt
+     */
+    _setMousePosition: function(evt) {
+        var mouseX = evt.offsetX || (evt.clientX - this._getContentPosition().left + window.pageXOffset);
+        var mouseY = evt.offsetY || (evt.clientY - this._getContentPosition().top + window.pageYOffset);
+        this.mousePos = {
+            x: mouseX,
+            y: mouseY
+        };
+    },
+    /**
+     * set touch position for mobile apps
+     * @param {Event} evt
+     */
+    _setTouchPosition: function(evt) {
+        if(evt.touches !== undefined) {
+            var ended = evt.type === 'touchend' || evt.type === 'touchcancel';
+            this._setTouchPositions(evt.touches, ended ? evt.changedTouches : undefined);
+        }
+    },
+    /**
+     * set positions of every active touch point from a list of
+     *  touches.  The touch position is the first finger, or the lifted
+     *  finger for touchend and touchcancel events
+     * @param {Array} touches
+     * @param {Array} [changedTouches] touches that were lifted
+     */
+    _setTouchPositions: function(touches, changedTouches) {
+        this.touchPositions = [];
+        for(var n = 0; n < touches.length; n++) {
+            this.touchPositions.push(this._getTouchPoint(touches[n]));
+        }
+
+        var pos;
+        if(changedTouches !== undefined && changedTouches.length > 0) {
+            pos = this._getTouchPoint(changedTouches[0]);
+        }
+        else if(this.touchPositions.length > 0) {
+            pos = this.touchPositions[0];
+        }
+        if(pos !== undefined) {
+            this.touchPos = {
+                x: pos.x,
+                y: pos.y
+            };
+        }
+    },
+    /**
+     * get the position of a touch relative to the stage
+     * @param {Object} touch
+     */
+    _getTouchPoint: function(touch) {
+        var contentPos = this._getContentPosition();
+        return {
+            id: touch.identifier,
+            x: touch.clientX - contentPos.left + window.pageXOffset,
+            y: touch.clientY - contentPos.top + window.pageYOffset
+        };
+    },
+    /**
+     * synthesize pinch and rotate gesture events from the first two
+     *  touch points.  The gesture target is the top most shape under the
+     *  centroid of the touch points, or the stage if there isn't one.
+     *  The Kinetic.Event is given a centroid, a scaleDelta and a
+     *  rotationDelta in radians, relative to the previous gesture event
+     * @param {Event} evt
+     */
+    _handleGesture: function(evt) {
+        var positions = this.touchPositions;
+        var gesture = this.gesture;
+
+        if(gesture === undefined) {
+            if(positions.length < 2) {
+                return;
+            }
+            var state = this._getGestureState(positions[0], positions[1]);
+            var target = this._getIntersectingShape(state.centroid);
+            this.gesture = gesture = {
+                ids: [positions[0].id, positions[1].id],
+                target: target === undefined ? this : target,
+                distance: state.distance,
+                angle: state.angle,
+                centroid: state.centroid
+            };
+            this._fireGesture(['pinchstart', 'rotatestart'], evt, 1, 0);
+            return;
+        }
+
+        var p1 = undefined;
+        var p2 = undefined;
+        for(var n = 0; n < positions.length; n++) {
+            if(positions[n].id === gesture.ids[0]) {
+                p1 = positions[n];
+            }
+            else if(positions[n].id === gesture.ids[1]) {
+                p2 = positions[n];
+            }
+        }
+
+        // the gesture ends when one of its touch points is lifted
+        if(p1 === undefined || p2 === undefined) {
+            this._fireGesture(['pinchend', 'rotateend'], evt, 1, 0);
+            this.gesture = undefined;
+            return;
+        }
+
+        var state = this._getGestureState(p1, p2);
+        var scaleDelta = gesture.distance > 0 ? state.distance / gesture.distance : 1;
+        var rotationDelta = state.angle - gesture.angle;
+
+        // use the shortest rotation
+        if(rotationDelta > Math.PI) {
+            rotationDelta -= Math.PI * 2;
+        }
+        else if(rotationDelta < -1 * Math.PI) {
+            rotationDelta += Math.PI * 2;
+        }
+
+        gesture.distance = state.distance;
+        gesture.angle = state.angle;
+        gesture.centroid = state.centroid;
+        this._fireGesture(['pinchmove', 'rotatemove'], evt, scaleDelta, rotationDelta);
+    },
+    /**
+     * get distance, angle, and centroid of two touch points
+     * @param {Object} p1
+     * @param {Object} p2
+     */
+    _getGestureState: function(p1, p2) {
+        var dx = p2.x - p1.x;
+        var dy = p2.y - p1.y;
+        return {
+            distance: Math.sqrt(dx * dx + dy * dy),
+            angle: Math.atan2(dy, dx),
+            centroid: {
+                x: (p1.x + p2.x) / 2,
+                y: (p1.y + p2.y) / 2
+            }
+        };
+    },
+    /**
+     * fire gesture events on the gesture target
+     * @param {Array} types
+     * @param {Event} evt
+     * @param {Number} scaleDelta
+     * @param {Number} rotationDelta
+     */
+    _fireGesture: function(types, evt, scaleDelta, rotationDelta) {
+        var gesture = this.gesture;
+        for(var n = 0; n < types.length; n++) {
+            gesture.target._handleEvents(types[n], evt, {
+                centroid: {
+                    x: gesture.centroid.x,
+                    y: gesture.centroid.y
+                },
+                scaleDelta: scaleDelta,
+                rotationDelta: rotationDelta
+            });
+        }
+    },
+    /**
+     * get container position
+     */
+    _getContentPosition: function() {
+        var obj = this.content;
+        var top = 0;
+        var left = 0;
+        while(obj && obj.tagName !== 'BODY') {
+            top += obj.offsetTop - obj.scrollTop;
+            left += obj.offsetLeft - obj.scrollLeft;
+            obj = obj.offsetParent;
+        }
+        return {
+            top: top,
+            left: left
+        };
+    },
+    /**
+     * modify path context
+     * @param {CanvasContext} context
+     */
+    _modifyPathContext: function(context) {
+        context.stroke = function() {
+        };
+        context.fill = function() {
+        };
+        context.fillRect = function(x, y, width, height) {
+            context.rect(x, y, width, height);
+        };
+        context.strokeRect = function(x, y, width, height) {
+            context.rect(x, y, width, height);
+        };
+        context.drawImage = function() {
+        };
+        context.fillText = function() {
+        };
+        context.strokeText = function() {
+        };
+    },
+    /**
+     * end drag and drop
+     */
+    _endDrag: function(evt) {
+        var go = Kinetic.GlobalObject;
+        var node = go.drag.node;
+        if(node) {
+            if(go.drag.moving) {
+                go.drag.moving = false;
+                var target = go.drag.target;
+                var nodes = go.drag.nodes;
+                var velocity = this._getDragVelocity();
+                go.drag.target = undefined;
+
+                // put the dragged nodes back into the hit graph
+                if(node.nodeType !== 'Stage' && !go.drag.released) {
+                    this._drawDragHit();
                 }
-                if(db.top !== undefined && newNodePos.y < db.top) {
-                    newNodePos.y = db.top;
+
+                if(target !== undefined) {
+                    target._handleEvents('drop', evt, {
+                        dragNode: node
+                    });
                 }
-                if(db.bottom !== undefined && newNodePos.y > db.bottom) {
-                    newNodePos.y = db.bottom;
+                node._handleEvents('dragend', evt);
+                for(var n = 0; n < nodes.length; n++) {
+                    nodes[n]._handleEvents('dragend', evt);
                 }
 
-                node.setAbsolutePosition(newNodePos);
+                // listeners can destroy the node or start dragging it again
+                if(node.getStage() !== undefined && go.drag.node === node) {
+                    if(node.attrs.dragInertia && (velocity.x !== 0 || velocity.y !== 0)) {
+                        this._startInertia(node, nodes, velocity);
+                    }
+                    else {
+                        this._fireDragStop(node, nodes);
+                    }
+                }
+                else {
+                    this._endDragHistory();
+                }
+            }
+        }
+        go.drag.node = undefined;
+        go.drag.nodes = [];
+        go.drag.target = undefined;
+        go.drag.start = undefined;
+        go.drag.released = false;
+        go.drag.samples = [];
+    },
+    /**
+     * record the user position while dragging so that the drag
+     *  velocity can be measured when the node is released.  Only the
+     *  samples from the last dragVelocityTime ms are kept
+     * @param {Object} pos
+     */
+    _addDragSample: function(pos) {
+        var go = Kinetic.GlobalObject;
+        var time = new Date().getTime();
+        var samples = go.drag.samples;
+        samples.push({
+            x: pos.x,
+            y: pos.y,
+            time: time
+        });
+        while(time - samples[0].time > go.dragVelocityTime) {
+            samples.shift();
+        }
+    },
+    /**
+     * get the velocity of the user position in pixels per second when
+     *  a node is released.  The velocity is measured over at least
+     *  maxDragTimeInterval ms so that samples that are close together
+     *  don't give noisy velocities, and it's zero if the user stopped
+     *  moving before releasing
+     */
+    _getDragVelocity: function() {
+        var go = Kinetic.GlobalObject;
+        var samples = go.drag.samples;
+        var velocity = {
+            x: 0,
+            y: 0
+        };
+        var last = samples[samples.length - 1];
+        if(last === undefined || new Date().getTime() - last.time > go.dragVelocityTime) {
+            return velocity;
+        }
+
+        var first = samples[0];
+        for(var n = samples.length - 2; n >= 0; n--) {
+            if(last.time - samples[n].time >= go.maxDragTimeInterval) {
+                first = samples[n];
+                break;
+            }
+        }
 
-                // constraint overrides
-                if(dc === 'horizontal') {
-                    node.attrs.y = lastNodePos.y;
+        var timeDiff = last.time - first.time;
+        if(timeDiff > 0) {
+            velocity.x = (last.x - first.x) * 1000 / timeDiff;
+            velocity.y = (last.y - first.y) * 1000 / timeDiff;
+        }
+        return velocity;
+    },
+    /**
+     * keep moving a released node, and the selected nodes that were
+     *  dragged with it, through the animation loop.  The velocity decays with
+     *  the friction, and follows the drag constraint, bounds, and bound
+     *  function because it's measured from how far the node actually moved
+     * @param {Node} node
+     * @param {Array} nodes
+     * @param {Object} velocity
+     */
+    _startInertia: function(node, nodes, velocity) {
+        var go = Kinetic.GlobalObject;
+        var that = this;
+        var config = node.attrs.dragInertia;
+        var friction = config.friction === undefined ? 0.95 : config.friction;
+        var minVelocity = config.minVelocity === undefined ? 20 : config.minVelocity;
+        var lastTime = undefined;
+        var anim = {
+            func: function(frame) {
+                /*
+                 * the frame time diff isn't reset when the animation loop
+                 * starts, so the time is measured from the first frame.  Long
+                 * pauses, such as when the page is in the background, are ignored
+                 */
+                var timeDiff = lastTime === undefined ? 0 : Math.min(frame.lastTime - lastTime, 100);
+                lastTime = frame.lastTime;
+                if(timeDiff <= 0) {
+                    return;
                 }
-                else if(dc === 'vertical') {
-                    node.attrs.x = lastNodePos.x;
+
+                var lastAbsPos = node.getAbsolutePosition();
+                that._setDragPosition(node, that._constrainDragPosition(node, {
+                    x: lastAbsPos.x + velocity.x * timeDiff / 1000,
+                    y: lastAbsPos.y + velocity.y * timeDiff / 1000
+                }));
+                var absPos = node.getAbsolutePosition();
+                var dx = absPos.x - lastAbsPos.x;
+                var dy = absPos.y - lastAbsPos.y;
+
+                for(var n = 0; n < nodes.length; n++) {
+                    if(nodes[n].getStage() !== undefined) {
+                        var nodePos = nodes[n].getAbsolutePosition();
+                        nodes[n].setAbsolutePosition(nodePos.x + dx, nodePos.y + dy);
+                    }
+                }
+
+                /*
+                 * the animation only draws the layer of the released node,
+                 * so the other layers of the selected nodes are batched and
+                 * drawn in the same frame
+                 */
+                var drawn = {};
+                drawn[anim.node._id] = true;
+                for(var n = 0; n < nodes.length; n++) {
+                    var layer = nodes[n].getLayer();
+                    if(layer !== undefined && drawn[layer._id] === undefined) {
+                        drawn[layer._id] = true;
+                        layer.batchDraw();
+                    }
+                }
+
+                var decay = Math.pow(friction, timeDiff * 60 / 1000);
+                velocity.x = dx * 1000 / timeDiff * decay;
+                velocity.y = dy * 1000 / timeDiff * decay;
+
+                if(Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y) < minVelocity) {
+                    node._stopInertia();
+                    anim.node.draw();
+                    that._fireDragStop(node, nodes);
+                }
+            },
+            node: node.nodeType === 'Stage' ? node : node.getLayer()
+        };
+
+        node.inertiaAnim = anim;
+        go._addAnimation(anim);
+        go._handleAnimation();
+    },
+    /**
+     * end the drag gesture and fire dragstop on a released node and
+     *  the selected nodes that were dragged with it once they've come to rest
+     * @param {Node} node
+     * @param {Array} nodes
+     */
+    _fireDragStop: function(node, nodes) {
+        this._endDragHistory();
+        node._handleEvents('dragstop');
+        for(var n = 0; n < nodes.length; n++) {
+            if(nodes[n].getStage() !== undefined) {
+                nodes[n]._handleEvents('dragstop');
+            }
+        }
+    },
+    /**
+     * begin the history transaction of a drag gesture, so that the
+     *  changes made while dragging are undone together.  The transaction
+     *  ends when the dragged nodes come to rest
+     */
+    _beginDragHistory: function() {
+        this._endDragHistory();
+        if(this.history !== undefined) {
+            this.dragHistory = this.history;
+            this.history.begin('drag');
+        }
+    },
+    /**
+     * end the history transaction of a drag gesture
+     */
+    _endDragHistory: function() {
+        var history = this.dragHistory;
+        if(history !== undefined) {
+            this.dragHistory = undefined;
+            history.end();
+        }
+    },
+    /**
+     * determine if the user has moved far enough from where they
+     *  pressed down to start dragging a node
+     * @param {Node} node
+     * @param {Object} pos
+     */
+    _isDragDistanceReached: function(node, pos) {
+        var go = Kinetic.GlobalObject;
+        var distance = node.attrs.dragDistance;
+        if(!distance || go.drag.start === undefined || pos === undefined) {
+            return true;
+        }
+        var dx = pos.x - go.drag.start.x;
+        var dy = pos.y - go.drag.start.y;
+        return dx * dx + dy * dy >= distance * distance;
+    },
+    /**
+     * get the absolute position to drag a node to.  The drag snap is
+     *  applied first, then the drag bounds and the bound function
+     * @param {Node} node
+     * @param {Object} pos user position
+     * @param {Object} lastAbsPos absolute position of the node before the move
+     */
+    _getDragPosition: function(node, pos, lastAbsPos) {
+        var go = Kinetic.GlobalObject;
+        var newPos = {
+            x: pos.x - go.drag.offset.x,
+            y: pos.y - go.drag.offset.y
+        };
+
+        if(node.attrs.dragSnap !== undefined) {
+            newPos = this._snapDragPosition(node, newPos, lastAbsPos);
+        }
+
+        return this._constrainDragPosition(node, newPos);
+    },
+    /**
+     * apply the drag bounds and then the drag bound function to an
+     *  absolute position.  Both work in absolute coordinates so that
+     *  they aren't affected by transformed ancestors
+     * @param {Node} node
+     * @param {Object} pos absolute position
+     */
+    _constrainDragPosition: function(node, pos) {
+        var db = node.attrs.dragBounds;
+        var newPos = {
+            x: pos.x,
+            y: pos.y
+        };
+
+        if(db.left !== undefined && newPos.x < db.left) {
+            newPos.x = db.left;
+        }
+        if(db.right !== undefined && newPos.x > db.right) {
+            newPos.x = db.right;
+        }
+        if(db.top !== undefined && newPos.y < db.top) {
+            newPos.y = db.top;
+        }
+        if(db.bottom !== undefined && newPos.y > db.bottom) {
+            newPos.y = db.bottom;
+        }
+
+        if(node.attrs.dragBoundFunc !== undefined) {
+            newPos = node.attrs.dragBoundFunc.call(node, newPos);
+        }
+
+        return newPos;
+    },
+    /**
+     * move a dragged node to an absolute position.  The drag constraint
+     *  keeps the node on a horizontal or vertical line of its parent,
+     *  so it's applied to the position relative to the parent
+     * @param {Node} node
+     * @param {Object} pos absolute position
+     */
+    _setDragPosition: function(node, pos) {
+        var dc = node.attrs.dragConstraint;
+        var newPos = node._getRelativePosition(pos);
+
+        if(dc === 'horizontal') {
+            newPos.y = node.attrs.y;
+        }
+        else if(dc === 'vertical') {
+            newPos.x = node.attrs.x;
+        }
+
+        node.setPosition(newPos.x, newPos.y);
+    },
+    /**
+     * snap an absolute drag position to the grid, and then snap the
+     *  edges and centers of the node's client rect to those of its siblings
+     * @param {Node} node
+     * @param {Object} pos
+     * @param {Object} lastAbsPos absolute position of the node before the move
+     */
+    _snapDragPosition: function(node, pos, lastAbsPos) {
+        var snap = node.attrs.dragSnap;
+        var grid = snap.grid;
+        var tolerance = snap.tolerance === undefined ? 5 : snap.tolerance;
+        var newPos = {
+            x: pos.x,
+            y: pos.y
+        };
+        var best = {
+            x: undefined,
+            y: undefined
+        };
+
+        // left, center, and right lines, or top, middle, and bottom lines
+        function getLines(rect, axis) {
+            var start = axis === 'x' ? rect.x : rect.y;
+            var size = axis === 'x' ? rect.width : rect.height;
+            return [start, start + size / 2, start + size];
+        }
+        function check(rect, siblingRect, axis) {
+            var lines = getLines(rect, axis);
+            var siblingLines = getLines(siblingRect, axis);
+            for(var i = 0; i < lines.length; i++) {
+                for(var j = 0; j < siblingLines.length; j++) {
+                    var diff = siblingLines[j] - lines[i];
+                    if(Math.abs(diff) <= tolerance && (best[axis] === undefined || Math.abs(diff) < Math.abs(best[axis]))) {
+                        best[axis] = diff;
+                    }
+                }
+            }
+        }
+
+        if(grid !== undefined) {
+            var gridX = typeof grid === 'number' ? grid : grid.x;
+            var gridY = typeof grid === 'number' ? grid : grid.y;
+            if(gridX) {
+                newPos.x = Math.round(newPos.x / gridX) * gridX;
+            }
+            if(gridY) {
+                newPos.y = Math.round(newPos.y / gridY) * gridY;
+            }
+        }
+
+        if(snap.edges && node.parent !== undefined) {
+            var rect = node.getClientRect();
+            rect.x += newPos.x - lastAbsPos.x;
+            rect.y += newPos.y - lastAbsPos.y;
+
+            var siblings = node.parent.getChildren();
+            for(var n = 0; n < siblings.length; n++) {
+                var sibling = siblings[n];
+                /*
+                 * skip nodes that move with the dragged node, such as the
+                 * other selected nodes, nodes that aren't part of the scene,
+                 * such as transformers, and empty containers
+                 */
+                if(sibling === node || !sibling.isVisible() || sibling._isDragged() || !sibling._isSceneNode() || (sibling.nodeType !== 'Shape' && sibling.getChildren().length === 0)) {
+                    continue;
+                }
+                var siblingRect = sibling.getClientRect();
+                check(rect, siblingRect, 'x');
+                check(rect, siblingRect, 'y');
+            }
+
+            if(best.x !== undefined) {
+                newPos.x += best.x;
+            }
+            if(best.y !== undefined) {
+                newPos.y += best.y;
+            }
+        }
+
+        return newPos;
+    },
+    /**
+     * redraw the hit graphs of the layers that hold the dragged nodes.
+     *  Layer draws are throttled, so the hit graphs are redrawn right
+     *  away when a drag starts and ends
+     */
+    _drawDragHit: function() {
+        var go = Kinetic.GlobalObject;
+        var nodes = [go.drag.node].concat(go.drag.nodes);
+        var drawn = {};
+        for(var n = 0; n < nodes.length; n++) {
+            var layer = nodes[n].getLayer();
+            if(layer !== undefined && drawn[layer._id] === undefined) {
+                drawn[layer._id] = true;
+                layer._drawHit();
+            }
+        }
+    },
+    /**
+     * get the nearest drop target at a point.  The dragged
+     *  nodes are left out of the hit graph while they are dragged
+     * @param {Object} pos
+     */
+    _getDropTarget: function(pos) {
+        var node = this._getIntersectingShape(pos);
+        while(node !== undefined && node.attrs.dropTarget !== true) {
+            node = node.parent;
+        }
+        return node;
+    },
+    /**
+     * fire dragleave and dragenter when the drop target under
+     *  the user position changes, and dragover while it stays over one
+     * @param {Event} evt
+     */
+    _handleDropTarget: function(evt) {
+        var go = Kinetic.GlobalObject;
+        var node = go.drag.node;
+        var target = this._getDropTarget(this.getUserPosition());
+        var payload = {
+            dragNode: node
+        };
+
+        if(target !== go.drag.target) {
+            var oldTarget = go.drag.target;
+            go.drag.target = target;
+            if(oldTarget !== undefined) {
+                oldTarget._handleEvents('dragleave', evt, payload);
+            }
+            if(target !== undefined) {
+                target._handleEvents('dragenter', evt, payload);
+            }
+        }
+
+        // listeners can end the drag or destroy the target
+        if(go.drag.node === node && go.drag.target !== undefined) {
+            go.drag.target._handleEvents('dragover', evt, payload);
+        }
+    },
+    /**
+     * prepare drag and drop
+     */
+    _prepareDrag: function() {
+        var that = this;
+
+        this._onContent('mousemove touchmove', function(evt) {
+            var go = Kinetic.GlobalObject;
+            var node = go.drag.node;
+            if(node) {
+                var pos = that.getUserPosition();
+                var lastAbsPos = node.getAbsolutePosition();
+                var dragStart = !go.drag.moving;
+
+                // wait until the user has moved far enough to start dragging
+                if(dragStart && !that._isDragDistanceReached(node, pos)) {
+                    return;
+                }
+
+                // selected nodes are dragged together
+                if(dragStart) {
+                    that._beginDragHistory();
+                    go.drag.nodes = node.nodeType === 'Stage' ? [] : that._getDragNodes(node);
+                    go.drag.moving = true;
+                }
+
+                that._setDragPosition(node, that._getDragPosition(node, pos, lastAbsPos));
+                that._addDragSample(pos);
+
+                // move the other selected nodes by the same amount
+                var absPos = node.getAbsolutePosition();
+                var nodes = go.drag.nodes;
+                for(var n = 0; n < nodes.length; n++) {
+                    var nodePos = nodes[n].getAbsolutePosition();
+                    nodes[n].setAbsolutePosition(nodePos.x + absPos.x - lastAbsPos.x, nodePos.y + absPos.y - lastAbsPos.y);
                 }
 
                 /*
@@ -853,17 +1784,33 @@ else if(!isDragging && this.touchMove) {
                 }
 
                 else {
-                    go.drag.node.getLayer().draw();
+                    var collection = new Kinetic.Collection(go.drag.node);
+                    for(var n = 0; n < nodes.length; n++) {
+                        collection.push(nodes[n]);
+                    }
+                    collection.draw();
                 }
 
-                if(!go.drag.moving) {
-                    go.drag.moving = true;
+                if(dragStart) {
+                    if(node.nodeType !== 'Stage') {
+                        that._drawDragHit();
+                    }
                     // execute dragstart events if defined
                     go.drag.node._handleEvents('dragstart', evt);
+                    for(var n = 0; n < nodes.length; n++) {
+                        nodes[n]._handleEvents('dragstart', evt);
+                    }
                 }
 
                 // execute user defined ondragmove if defined
                 go.drag.node._handleEvents('dragmove', evt);
+                for(var n = 0; n < nodes.length; n++) {
+                    nodes[n]._handleEvents('dragmove', evt);
+                }
+
+                if(node.nodeType !== 'Stage' && go.drag.node === node) {
+                    that._handleDropTarget(evt);
+                }
             }
         }, false);
 
@@ -913,38 +1860,154 @@ else if(!isDragging && this.touchMove) {
     _addId: function(node) {
         if(node.attrs.id !== undefined) {
             this.ids[node.attrs.id] = node;
+            this._getRegistryEntry(node).id = node.attrs.id;
         }
     },
     _removeId: function(node) {
-        if(node.attrs.id !== undefined) {
-            this.ids[node.attrs.id] = undefined;
+        // use the id the node was registered with in case its id was changed
+        var entry = this.registry[node._id];
+        if(entry !== undefined && entry.id !== undefined) {
+            if(this.ids[entry.id] === node) {
+                this.ids[entry.id] = undefined;
+            }
+            entry.id = undefined;
         }
     },
     _addName: function(node) {
-        var name = node.attrs.name;
-        if(name !== undefined) {
-            if(this.names[name] === undefined) {
-                this.names[name] = [];
+        var entry = this._getRegistryEntry(node);
+        // nodes can have several names separated by white space
+        var names = this._getNames(node);
+        for(var i = 0; i < names.length; i++) {
+            var name = names[i];
+            // nodes that are pulled in after being registered with their ancestors are only added once
+            if(entry.names[name] === undefined) {
+                if(this.names[name] === undefined) {
+                    this.names[name] = [];
+                }
+                entry.names[name] = this.names[name].length;
+                this.names[name].push(node);
             }
-            this.names[name].push(node);
         }
     },
     _removeName: function(node) {
-        if(node.attrs.name !== undefined) {
-            var nodes = this.names[node.attrs.name];
-            if(nodes !== undefined) {
-                for(var n = 0; n < nodes.length; n++) {
-                    var no = nodes[n];
-                    if(no._id === node._id) {
-                        nodes.splice(n, 1);
-                    }
-                }
-                if(nodes.length === 0) {
-                    this.names[node.attrs.name] = undefined;
+        // use the names the node was registered with in case its name was changed
+        var entry = this.registry[node._id];
+        if(entry === undefined) {
+            return;
+        }
+        for(var name in entry.names) {
+            /*
+             * move the last node with the name into the slot of the
+             * removed node so that removing a node doesn't shift the others
+             */
+            var nodes = this.names[name];
+            var index = entry.names[name];
+            var last = nodes.pop();
+            if(last !== node) {
+                nodes[index] = last;
+                this.registry[last._id].names[name] = index;
+            }
+            if(nodes.length === 0) {
+                this.names[name] = undefined;
+            }
+        }
+        delete this.registry[node._id];
+    },
+    /**
+     * get the registry entry of a node, which holds the id and the
+     *  names that the node was registered with, and the index of the node
+     *  in each name list.  Entries are keyed by node so that nodes can be
+     *  removed from the registries without scanning them
+     * @param {Node} node
+     */
+    _getRegistryEntry: function(node) {
+        var entry = this.registry[node._id];
+        if(entry === undefined) {
+            entry = {
+                id: undefined,
+                names: {}
+            };
+            this.registry[node._id] = entry;
+        }
+        return entry;
+    },
+    /**
+     * clear stage references to a node that is being removed
+     * @param {Node} node
+     */
+    _clearReferences: function(node) {
+        var go = Kinetic.GlobalObject;
+        var id = node._id;
+        if(this.targetShape !== undefined && this.targetShape._id === id) {
+            this.targetShape = undefined;
+        }
+        if(this.mouseoverShape !== undefined && this.mouseoverShape._id === id) {
+            this.mouseoverShape = undefined;
+        }
+        if(this.mouseoutShape !== undefined && this.mouseoutShape._id === id) {
+            this.mouseoutShape = undefined;
+        }
+        // removed nodes can't keep keyboard focus
+        if(this.focusedNode !== undefined && this.focusedNode._id === id) {
+            this.focusedNode = undefined;
+        }
+        if(this.gesture !== undefined && this.gesture.target._id === id) {
+            this.gesture = undefined;
+        }
+        if(go.drag.node !== undefined && go.drag.node._id === id) {
+            go.drag.node = undefined;
+            go.drag.moving = false;
+        }
+        if(go.drag.target !== undefined && go.drag.target._id === id) {
+            go.drag.target = undefined;
+        }
+        for(var n = 0; n < go.drag.nodes.length; n++) {
+            if(go.drag.nodes[n]._id === id) {
+                go.drag.nodes.splice(n, 1);
+                break;
+            }
+        }
+        // removed nodes can't stay selected
+        if(this.isSelected(node)) {
+            var selection = this.selection.slice(0);
+            for(var n = 0; n < selection.length; n++) {
+                if(selection[n] === node) {
+                    selection.splice(n, 1);
+                    break;
                 }
             }
+            this.setSelection(selection);
         }
     },
+    /**
+     * stop the stage animation and remove the stage from the DOM
+     *  when the stage is destroyed
+     */
+    _destroy: function() {
+        var go = Kinetic.GlobalObject;
+        if(this.anim !== undefined) {
+            this.stop();
+        }
+        this._clearReferences(this);
+        try {
+            this.attrs.container.removeChild(this.content);
+        }
+        catch(e) {
+        }
+        for(var n = 0; n < go.stages.length; n++) {
+            if(go.stages[n]._id === this._id) {
+                go.stages.splice(n, 1);
+                break;
+            }
+        }
+    },
+    _getNames: function(node) {
+        var name = node.attrs.name;
+        if(name === undefined || name === '') {
+            return [];
+        }
+        return name.replace(/^\s+|\s+$/g, '').split(/\s+/);
+    },
     /**
      * bind event listener to container DOM element
      * @param {String} typesStr
@@ -954,7 +2017,10 @@ else if(!isDragging && this.touchMove) {
         var types = typesStr.split(' ');
         for(var n = 0; n < types.length; n++) {
             var baseEvent = types[n];
-            this.content.addEventListener(baseEvent, handler, false);
+            if(this.contentHandlers[baseEvent] === undefined) {
+                this.contentHandlers[baseEvent] = [];
+            }
+            this.contentHandlers[baseEvent].push(handler);
         }
     },
     /**
@@ -975,13 +2041,21 @@ else if(!isDragging && this.touchMove) {
 
         // mobile flags
         this.touchPos = undefined;
+        this.touchPositions = [];
+        this.pointers = [];
+        this.gesture = undefined;
+        this.focusedNode = undefined;
         this.touchStart = false;
         this.touchEnd = false;
         this.touchMove = false;
         this.tapStart = false;
 
+        this.selection = [];
+        this.marquee = undefined;
+
         this.ids = {};
         this.names = {};
+        this.registry = {};
         this.anim = undefined;
         this.animRunning = false;
     }
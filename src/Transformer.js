@@ -0,0 +1,590 @@
+///////////////////////////////////////////////////////////////////////
+//  Transformer
+///////////////////////////////////////////////////////////////////////
+/**
+ * Transformer constructor.  Transformers are groups that draw a bounding
+ *  box around one or more nodes, with eight resize anchors and a rotation
+ *  anchor that can be dragged to scale and rotate the nodes.  Add the
+ *  transformer to a container, such as the layer of the nodes, and then
+ *  attach it to the nodes with attachTo()
+ * @constructor
+ * @augments Kinetic.Group
+ * @param {Object} config
+ * @config {Boolean} [keepRatio] set to true to keep the aspect ratio when
+ *  the corner anchors are dragged.  The default is false
+ * @config {Boolean} [resizeEnabled] the default is true
+ * @config {Boolean} [rotateEnabled] the default is true
+ * @config {Array} [rotationSnaps] rotations in degrees that the rotation
+ *  snaps to, such as [0, 90, 180, 270]
+ * @config {Number} [rotationSnapTolerance] how close in degrees the rotation
+ *  has to be to a snap.  The default is 5
+ * @config {Number} [minWidth] minimum width of the box.  The default is 5
+ * @config {Number} [minHeight] minimum height of the box.  The default is 5
+ * @config {Object} [bounds] the box can't be transformed outside of the bounds,
+ *  which are stage positions just like drag bounds
+ * @config {Number} [anchorSize] the default is 10
+ * @config {Number} [rotateAnchorOffset] distance of the rotation anchor
+ *  above the box.  The default is 30
+ */
+Kinetic.Transformer = function(config) {
+    this.setDefaultAttrs({
+        keepRatio: false,
+        resizeEnabled: true,
+        rotateEnabled: true,
+        rotationSnaps: [],
+        rotationSnapTolerance: 5,
+        minWidth: 5,
+        minHeight: 5,
+        bounds: {},
+        anchorSize: 10,
+        anchorFill: 'white',
+        anchorStroke: 'rgb(0, 161, 255)',
+        borderStroke: 'rgb(0, 161, 255)',
+        rotateAnchorOffset: 30
+    });
+
+    this.shapeType = 'Transformer';
+    this.nodes = [];
+    this.anchors = {};
+    this.box = undefined;
+    this.transforming = false;
+
+    // call super constructor
+    Kinetic.Group.apply(this, [config]);
+
+    // transformers edit the scene rather than being part of it
+    this.sceneNode = false;
+    // each transformer binds its listeners to the nodes under its own namespace
+    this.namespace = 'transformer' + Kinetic.GlobalObject.idCounter++;
+    this._createElements();
+};
+/*
+ * Transformer methods
+ */
+Kinetic.Transformer.prototype = {
+    /**
+     * attach the transformer to nodes.  The nodes should be in
+     *  the same stage as the transformer
+     * @param {Node|Array|Collection} nodes
+     */
+    attachTo: function(nodes) {
+        this.detach();
+
+        var arr = nodes.nodeType === undefined ? nodes : [nodes];
+        var that = this;
+        for(var n = 0; n < arr.length; n++) {
+            var node = arr[n];
+            this.nodes.push(node);
+            node.on('attrchange.' + this.namespace, function() {
+                if(!that.transforming) {
+                    that.update();
+                }
+            });
+            node.on('destroy.' + this.namespace, function() {
+                that._removeNode(this);
+            });
+        }
+
+        this.update();
+    },
+    /**
+     * detach the transformer from its nodes
+     */
+    detach: function() {
+        for(var n = 0; n < this.nodes.length; n++) {
+            this.nodes[n].off('attrchange.' + this.namespace + ' destroy.' + this.namespace);
+        }
+        this.nodes = [];
+        this.update();
+    },
+    /**
+     * get the nodes that the transformer is attached to
+     */
+    getNodes: function() {
+        return this.nodes;
+    },
+    /**
+     * update the bounding box and the anchors to fit the nodes.  The
+     *  transformer updates itself when the attrs of the nodes change,
+     *  so this only has to be used after changing their descendants
+     */
+    update: function() {
+        this.box = this.parent === undefined ? undefined : this._getNodesBox();
+        this._layout();
+    },
+    /**
+     * set keep ratio
+     * @param {Boolean} keepRatio
+     */
+    setKeepRatio: function(keepRatio) {
+        this._setAttr('keepRatio', keepRatio);
+    },
+    /**
+     * get keep ratio
+     */
+    getKeepRatio: function() {
+        return this.attrs.keepRatio;
+    },
+    /**
+     * set rotation snaps
+     * @param {Array} rotationSnaps rotations in degrees
+     */
+    setRotationSnaps: function(rotationSnaps) {
+        this._setAttr('rotationSnaps', rotationSnaps);
+    },
+    /**
+     * get rotation snaps
+     */
+    getRotationSnaps: function() {
+        return this.attrs.rotationSnaps;
+    },
+    /**
+     * create the border and the anchors
+     */
+    _createElements: function() {
+        var a = this.attrs;
+
+        this.border = new Kinetic.Rect({
+            stroke: a.borderStroke,
+            strokeWidth: 1,
+            listening: false
+        });
+        this.add(this.border);
+
+        var names = ['top-left', 'top-center', 'top-right', 'middle-right', 'bottom-right', 'bottom-center', 'bottom-left', 'middle-left', 'rotater'];
+        for(var n = 0; n < names.length; n++) {
+            var name = names[n];
+            var config = {
+                name: name,
+                fill: a.anchorFill,
+                stroke: a.anchorStroke,
+                strokeWidth: 1,
+                draggable: true
+            };
+            var anchor;
+            if(name === 'rotater') {
+                config.radius = a.anchorSize / 2;
+                anchor = new Kinetic.Circle(config);
+            }
+            else {
+                config.width = a.anchorSize;
+                config.height = a.anchorSize;
+                config.centerOffset = [a.anchorSize / 2, a.anchorSize / 2];
+                anchor = new Kinetic.Rect(config);
+            }
+            this._listenAnchor(anchor, name);
+            this.anchors[name] = anchor;
+            this.add(anchor);
+        }
+
+        this._layout();
+    },
+    /**
+     * transform the nodes while an anchor is dragged
+     * @param {Shape} anchor
+     * @param {String} name
+     */
+    _listenAnchor: function(anchor, name) {
+        var that = this;
+        anchor.on('dragstart', function() {
+            that._startTransform(name);
+        });
+        anchor.on('dragmove', function() {
+            that._moveAnchor(name, this.getPosition());
+        });
+        anchor.on('dragend', function() {
+            that._endTransform(name);
+        });
+    },
+    /**
+     * begin a transform.  Rotating moves the center offsets of the nodes
+     *  to their centers so that they rotate around their centers
+     * @param {String} name anchor name
+     */
+    _startTransform: function(name) {
+        this.transforming = true;
+        if(name === 'rotater') {
+            for(var n = 0; n < this.nodes.length; n++) {
+                this._centerNode(this.nodes[n]);
+            }
+        }
+        this._fire('transformstart', name);
+    },
+    /**
+     * transform the nodes to follow an anchor
+     * @param {String} name anchor name
+     * @param {Object} pos anchor position in the coordinate space of
+     *  the box
+     */
+    _moveAnchor: function(name, pos) {
+        if(this.box === undefined) {
+            return;
+        }
+
+        var box = name === 'rotater' ? this._getRotatedBox(pos) : this._getResizedBox(name, pos);
+        if(this._isInBounds(box)) {
+            this._applyBox(box);
+            this._fire('transform', name);
+        }
+
+        // snap the anchors to the box
+        this._layout();
+        this._batchDraw();
+    },
+    /**
+     * end a transform
+     * @param {String} name anchor name
+     */
+    _endTransform: function(name) {
+        this.transforming = false;
+        this.update();
+        this._batchDraw();
+        this._fire('transformend', name);
+    },
+    /**
+     * fire a transform event on the transformer and on the nodes
+     * @param {String} eventType
+     * @param {String} name anchor name
+     */
+    _fire: function(eventType, name) {
+        var payload = {
+            anchor: name
+        };
+        this.fire(eventType, payload);
+        for(var n = 0; n < this.nodes.length; n++) {
+            this.nodes[n].fire(eventType, payload);
+        }
+    },
+    /**
+     * remove a destroyed node
+     * @param {Node} node
+     */
+    _removeNode: function(node) {
+        for(var n = 0; n < this.nodes.length; n++) {
+            if(this.nodes[n] === node) {
+                this.nodes.splice(n, 1);
+                break;
+            }
+        }
+        this.update();
+    },
+    /**
+     * draw the layer of the transformer and the layers of the nodes.
+     *  The dragged anchor's layer is drawn before the nodes are
+     *  transformed, so the layers are drawn again on the next frame
+     */
+    _batchDraw: function() {
+        var layer = this.getLayer();
+        layer.batchDraw();
+        for(var n = 0; n < this.nodes.length; n++) {
+            var nodeLayer = this.nodes[n].getLayer();
+            if(nodeLayer !== undefined && nodeLayer !== layer) {
+                nodeLayer.batchDraw();
+            }
+        }
+    },
+    /**
+     * get the box around the nodes in the coordinate space of the
+     *  transformer's parent.  The box of a single node is rotated with
+     *  the node.  The box of several nodes bounds their client rects
+     */
+    _getNodesBox: function() {
+        var nodes = this.nodes;
+        if(nodes.length === 0) {
+            return undefined;
+        }
+
+        if(nodes.length > 1) {
+            var points = [];
+            for(var n = 0; n < nodes.length; n++) {
+                var rect = nodes[n].getClientRect({
+                    relativeTo: this.parent,
+                    skipShadow: true
+                });
+                points.push({
+                    x: rect.x,
+                    y: rect.y
+                });
+                points.push({
+                    x: rect.x + rect.width,
+                    y: rect.y + rect.height
+                });
+            }
+            var r = Kinetic.GlobalObject._getPointsRect(points);
+            return {
+                x: r.x,
+                y: r.y,
+                width: r.width,
+                height: r.height,
+                rotation: 0
+            };
+        }
+
+        var node = nodes[0];
+        var rect = node.getClientRect({
+            skipTransform: true,
+            skipShadow: true
+        });
+        var t = this.parent._getDrawTransform();
+        t.invert();
+        t.multiply(node._getDrawTransform());
+        var m = t.getMatrix();
+
+        return {
+            x: m[0] * rect.x + m[2] * rect.y + m[4],
+            y: m[1] * rect.x + m[3] * rect.y + m[5],
+            width: rect.width * Math.sqrt(m[0] * m[0] + m[1] * m[1]),
+            height: rect.height * Math.sqrt(m[2] * m[2] + m[3] * m[3]),
+            rotation: Math.atan2(m[1], m[0])
+        };
+    },
+    /**
+     * get the box after dragging a resize anchor
+     * @param {String} name anchor name
+     * @param {Object} pos anchor position in the coordinate space of
+     *  the box
+     */
+    _getResizedBox: function(name, pos) {
+        var a = this.attrs;
+        var box = this.box;
+        var left = name.indexOf('left') !== -1;
+        var right = name.indexOf('right') !== -1;
+        var top = name.indexOf('top') !== -1;
+        var bottom = name.indexOf('bottom') !== -1;
+        var x1 = left ? pos.x : 0;
+        var y1 = top ? pos.y : 0;
+        var x2 = right ? pos.x : box.width;
+        var y2 = bottom ? pos.y : box.height;
+        var width = Math.max(x2 - x1, a.minWidth);
+        var height = Math.max(y2 - y1, a.minHeight);
+
+        // corner anchors can keep the aspect ratio
+        if(a.keepRatio && (left || right) && (top || bottom) && box.width > 0 && box.height > 0) {
+            var scale = Math.max(width / box.width, height / box.height, a.minWidth / box.width, a.minHeight / box.height);
+            width = box.width * scale;
+            height = box.height * scale;
+        }
+
+        // the opposite edges stay in place
+        x1 = left ? box.width - width : 0;
+        y1 = top ? box.height - height : 0;
+        if(!left && !right) {
+            width = box.width;
+        }
+        if(!top && !bottom) {
+            height = box.height;
+        }
+
+        var cos = Math.cos(box.rotation);
+        var sin = Math.sin(box.rotation);
+        return {
+            x: box.x + x1 * cos - y1 * sin,
+            y: box.y + x1 * sin + y1 * cos,
+            width: width,
+            height: height,
+            rotation: box.rotation
+        };
+    },
+    /**
+     * get the box after dragging the rotation anchor.  The box
+     *  rotates around its center
+     * @param {Object} pos anchor position in the coordinate space of
+     *  the box
+     */
+    _getRotatedBox: function(pos) {
+        var a = this.attrs;
+        var box = this.box;
+        var hw = box.width / 2;
+        var hh = box.height / 2;
+        var rotation = box.rotation + Math.atan2(pos.y - hh, pos.x - hw) + Math.PI / 2;
+
+        // snap rotation
+        var deg = rotation * 180 / Math.PI;
+        for(var n = 0; n < a.rotationSnaps.length; n++) {
+            var diff = (deg - a.rotationSnaps[n]) % 360;
+            if(diff > 180) {
+                diff -= 360;
+            }
+            else if(diff < -180) {
+                diff += 360;
+            }
+            if(Math.abs(diff) <= a.rotationSnapTolerance) {
+                rotation = (deg - diff) * Math.PI / 180;
+                break;
+            }
+        }
+
+        var cos = Math.cos(box.rotation);
+        var sin = Math.sin(box.rotation);
+        var cx = box.x + hw * cos - hh * sin;
+        var cy = box.y + hw * sin + hh * cos;
+        cos = Math.cos(rotation);
+        sin = Math.sin(rotation);
+
+        return {
+            x: cx - hw * cos + hh * sin,
+            y: cy - hw * sin - hh * cos,
+            width: box.width,
+            height: box.height,
+            rotation: rotation
+        };
+    },
+    /**
+     * determine if a box is inside of the bounds
+     * @param {Object} box
+     */
+    _isInBounds: function(box) {
+        var b = this.attrs.bounds;
+        var m = this.parent._getDrawTransform().getMatrix();
+        var cos = Math.cos(box.rotation);
+        var sin = Math.sin(box.rotation);
+        var corners = [[0, 0], [box.width, 0], [box.width, box.height], [0, box.height]];
+
+        for(var n = 0; n < corners.length; n++) {
+            var lx = box.x + corners[n][0] * cos - corners[n][1] * sin;
+            var ly = box.y + corners[n][0] * sin + corners[n][1] * cos;
+            var x = m[0] * lx + m[2] * ly + m[4];
+            var y = m[1] * lx + m[3] * ly + m[5];
+            if((b.left !== undefined && x < b.left) || (b.right !== undefined && x > b.right) || (b.top !== undefined && y < b.top) || (b.bottom !== undefined && y > b.bottom)) {
+                return false;
+            }
+        }
+        return true;
+    },
+    /**
+     * transform the nodes so that they fit a new box.  The nodes are
+     *  transformed by the transform that maps the old box onto the new box
+     * @param {Object} box
+     */
+    _applyBox: function(box) {
+        var old = this.box;
+        var d = new Kinetic.Transform();
+        d.translate(box.x, box.y);
+        d.rotate(box.rotation);
+        d.scale(old.width > 0 ? box.width / old.width : 1, old.height > 0 ? box.height / old.height : 1);
+        d.rotate(-1 * old.rotation);
+        d.translate(-1 * old.x, -1 * old.y);
+
+        // convert the transform from the parent space into stage space
+        var p = this.parent._getDrawTransform();
+        var ip = this.parent._getDrawTransform();
+        ip.invert();
+        p.multiply(d);
+        p.multiply(ip);
+
+        for(var n = 0; n < this.nodes.length; n++) {
+            var node = this.nodes[n];
+            var t = this._copyTransform(p);
+            t.multiply(node._getDrawTransform());
+            this._setNodeTransform(node, t);
+        }
+
+        this.box = box;
+    },
+    /**
+     * set the position, rotation, and scale of a node so that it's
+     *  drawn with a transform.  The center offset of the node is kept
+     * @param {Node} node
+     * @param {Kinetic.Transform} t absolute transform
+     */
+    _setNodeTransform: function(node, t) {
+        var l = node.parent._getDrawTransform();
+        l.invert();
+        l.multiply(t);
+
+        var m = l.getMatrix();
+        var c = node.attrs.centerOffset;
+        var sx = Math.sqrt(m[0] * m[0] + m[1] * m[1]);
+
+        node.setAttrs({
+            x: m[0] * c.x + m[2] * c.y + m[4],
+            y: m[1] * c.x + m[3] * c.y + m[5],
+            rotation: Math.atan2(m[1], m[0]),
+            scale: {
+                x: sx,
+                y: (m[0] * m[3] - m[1] * m[2]) / sx
+            }
+        });
+    },
+    /**
+     * move the center offset of a node to the center of its rect
+     *  without moving the node
+     * @param {Node} node
+     */
+    _centerNode: function(node) {
+        var rect = node.getClientRect({
+            skipTransform: true,
+            skipShadow: true
+        });
+        var c = node.attrs.centerOffset;
+        var cx = rect.x + rect.width / 2;
+        var cy = rect.y + rect.height / 2;
+
+        var t = node.getTransform();
+        t.translate(cx - c.x, cy - c.y);
+        var pos = t.getTranslation();
+
+        node.setAttrs({
+            x: pos.x,
+            y: pos.y,
+            centerOffset: {
+                x: cx,
+                y: cy
+            }
+        });
+    },
+    /**
+     * copy a transform
+     * @param {Kinetic.Transform} t
+     */
+    _copyTransform: function(t) {
+        var copy = new Kinetic.Transform();
+        copy.m = t.getMatrix().slice(0);
+        return copy;
+    },
+    /**
+     * position the transformer, the border, and the anchors to match the
+     *  box.  The transformer is positioned and rotated so that the border
+     *  and anchors are in the coordinate space of the box
+     */
+    _layout: function() {
+        var box = this.box;
+        var a = this.attrs;
+        var visible = box !== undefined;
+        var width = visible ? box.width : 0;
+        var height = visible ? box.height : 0;
+
+        if(visible) {
+            this._setAttr('x', box.x);
+            this._setAttr('y', box.y);
+            this._setAttr('rotation', box.rotation);
+        }
+
+        this.border.attrs.visible = visible;
+        this.border.attrs.width = width;
+        this.border.attrs.height = height;
+
+        var positions = {
+            'top-left': [0, 0],
+            'top-center': [width / 2, 0],
+            'top-right': [width, 0],
+            'middle-right': [width, height / 2],
+            'bottom-right': [width, height],
+            'bottom-center': [width / 2, height],
+            'bottom-left': [0, height],
+            'middle-left': [0, height / 2],
+            'rotater': [width / 2, -1 * a.rotateAnchorOffset]
+        };
+        for(var name in positions) {
+            var anchor = this.anchors[name];
+            var enabled = name === 'rotater' ? a.rotateEnabled : a.resizeEnabled;
+            anchor.attrs.visible = visible && enabled;
+            anchor.attrs.x = positions[name][0];
+            anchor.attrs.y = positions[name][1];
+        }
+
+        this._setDirty();
+    }
+};
+// extend Group
+Kinetic.GlobalObject.extend(Kinetic.Transformer, Kinetic.Group);
@@ -35,13 +35,34 @@ Kinetic.Circle.prototype = {
      * @param {Number} radius
      */
     setRadius: function(radius) {
-        this.attrs.radius = radius;
+        this._setAttr('radius', radius);
     },
     /**
      * get radius
      */
     getRadius: function() {
         return this.attrs.radius;
+    },
+    /**
+     * get the rect that the circle takes up without its stroke
+     */
+    getSelfRect: function() {
+        var r = this.attrs.radius;
+        return {
+            x: -1 * r,
+            y: -1 * r,
+            width: r * 2,
+            height: r * 2
+        };
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.r = this.attrs.radius;
+        return svg.element('circle', attrs);
     }
 };
 
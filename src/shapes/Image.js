@@ -20,8 +20,9 @@ Kinetic.Image = function(config) {
     this.shapeType = "Image";
     config.drawFunc = function() {
         if(this.attrs.image !== undefined) {
-            var width = this.attrs.width !== undefined ? this.attrs.width : this.attrs.image.width;
-            var height = this.attrs.height !== undefined ? this.attrs.height : this.attrs.image.height;
+            var size = this._getDrawSize();
+            var width = size.width;
+            var height = size.height;
             var cropX = this.attrs.crop.x;
             var cropY = this.attrs.crop.y;
             var cropWidth = this.attrs.crop.width;
@@ -57,7 +58,7 @@ Kinetic.Image.prototype = {
      * @param {ImageObject} image
      */
     setImage: function(image) {
-        this.attrs.image = image;
+        this._setAttr('image', image);
     },
     /**
      * get image
@@ -70,7 +71,7 @@ Kinetic.Image.prototype = {
      * @param {Number} width
      */
     setWidth: function(width) {
-        this.attrs.width = width;
+        this._setAttr('width', width);
     },
     /**
      * get width
@@ -83,7 +84,7 @@ Kinetic.Image.prototype = {
      * @param {Number} height
      */
     setHeight: function(height) {
-        this.attrs.height = height;
+        this._setAttr('height', height);
     },
     /**
      * get height
@@ -120,6 +121,65 @@ Kinetic.Image.prototype = {
         this.setAttrs({
             crop: arguments
         });
+    },
+    /**
+     * get the rect that the image takes up without its stroke
+     */
+    getSelfRect: function() {
+        var size = this._getDrawSize();
+        return {
+            x: 0,
+            y: 0,
+            width: size.width,
+            height: size.height
+        };
+    },
+    /**
+     * get SVG markup.  The image is embedded as a data URL, and
+     *  only the cropped part of the image is embedded when cropping
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        if(this.attrs.image === undefined) {
+            return '';
+        }
+
+        var image = this.attrs.image;
+        var size = this._getDrawSize();
+        var width = size.width;
+        var height = size.height;
+        var crop = this.attrs.crop;
+        var attrs = svg.getShapeAttrs(this);
+        var str = '';
+
+        if(attrs.fill !== 'none' || attrs.stroke !== undefined) {
+            attrs.width = width;
+            attrs.height = height;
+            str += svg.element('rect', attrs);
+        }
+
+        str += svg.element('image', {
+            width: width,
+            height: height,
+            preserveAspectRatio: 'none',
+            filter: attrs.filter,
+            'xlink:href': svg.getImageURL(image, crop.width !== undefined && crop.height !== undefined ? crop : undefined)
+        });
+
+        return str;
+    },
+    /**
+     * get the size that the image is drawn at.  The width and height
+     *  attrs are used if they're set, and the natural size of the image
+     *  otherwise
+     */
+    _getDrawSize: function() {
+        var a = this.attrs;
+        var image = a.image;
+        return {
+            width: a.width !== undefined ? a.width : (image !== undefined ? image.width : 0),
+            height: a.height !== undefined ? a.height : (image !== undefined ? image.height : 0)
+        };
     }
 };
 // extend Shape
@@ -72,7 +72,7 @@ Kinetic.Line.prototype = {
      * @param {String} lineCap
      */
     setLineCap: function(lineCap) {
-        this.attrs.lineCap = lineCap;
+        this._setAttr('lineCap', lineCap);
     },
     /**
      * get line cap
@@ -91,7 +91,7 @@ Kinetic.Line.prototype = {
      *  apart
      */
     setDashArray: function(dashArray) {
-        this.attrs.dashArray = dashArray;
+        this._setAttr('dashArray', dashArray);
     },
     /**
      * get dash array
@@ -99,6 +99,34 @@ Kinetic.Line.prototype = {
     getDashArray: function() {
         return this.attrs.dashArray;
     },
+    /**
+     * get the rect that bounds the points of the line.  The rect
+     *  includes the stroke width because lines are only stroked
+     */
+    getSelfRect: function() {
+        var rect = Kinetic.GlobalObject._getPointsRect(this.attrs.points);
+        var sw = this._getStrokeWidth();
+        return {
+            x: rect.x - sw / 2,
+            y: rect.y - sw / 2,
+            width: rect.width + sw,
+            height: rect.height + sw
+        };
+    },
+    /**
+     * get SVG markup.  Lines are only stroked
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.fill = 'none';
+        attrs.points = svg.getPointsString(this.attrs.points);
+        attrs['stroke-linecap'] = this.attrs.lineCap;
+        if(this.attrs.dashArray.length > 0) {
+            attrs['stroke-dasharray'] = this.attrs.dashArray.join(' ');
+        }
+        return svg.element('polyline', attrs);
+    },
     /**
      * draw dashed line.  Written by Phrogz
      */
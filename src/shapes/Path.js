@@ -12,6 +12,7 @@
 Kinetic.Path = function(config) {
     this.shapeType = "Path";
     this.dataArray = [];
+    this.geometry = undefined;
 
     config.drawFunc = function() {
         var context = this.getContext();
@@ -52,13 +53,15 @@ Kinetic.Path = function(config) {
  */
 Kinetic.Path.prototype = {
     /**
-     * get parsed data array from the data
-     *  string.  V, v, H, h, and l data are converted to
-     *  L data for the purpose of high performance Path
-     *  rendering
+     * get parsed data array from the data string.  Every SVG path
+     *  command is supported.  Relative commands are converted into
+     *  absolute commands, V, v, H, h, and l data are converted to L data,
+     *  S and s data are converted to C data, T and t data are converted to
+     *  Q data, and elliptical arcs are converted to C data for the purpose
+     *  of high performance Path rendering.  Invalid data throws an error
+     *  with an offset property that holds the character offset of the problem
      */
     getDataArray: function() {
-
         // Path Data Segment must begin with a moveTo
         //m (x y)+  Relative moveTo (subsequent points are treated as lineTo)
         //M (x y)+  Absolute moveTo (subsequent points are treated as lineTo)
@@ -74,200 +77,182 @@ Kinetic.Path.prototype = {
         //C (x1 y1 x2 y2 x y)+ Absolute Bezier curve
         //q (x1 y1 x y)+       Relative Quadratic Bezier
         //Q (x1 y1 x y)+       Absolute Quadratic Bezier
-        //t (x y)+	Shorthand/Smooth Relative Quadratic Bezier
-        //T (x y)+	Shorthand/Smooth Absolute Quadratic Bezier
-        //s (x2 y2 x y)+	   Shorthand/Smooth Relative Bezier curve
-        //S (x2 y2 x y)+	   Shorthand/Smooth Absolute Bezier curve
-
-        // Note: SVG a,A not implemented here
-        //a (rx ry x-axis-rotation large-arc-flag sweep-flag x y)+ 	Relative Elliptical Arc
-        //A (rx ry x-axis-rotation large-arc-flag sweep-flag x y)+  Absolute Elliptical Arc
+        //t (x y)+    Shorthand/Smooth Relative Quadratic Bezier
+        //T (x y)+    Shorthand/Smooth Absolute Quadratic Bezier
+        //s (x2 y2 x y)+       Shorthand/Smooth Relative Bezier curve
+        //S (x2 y2 x y)+       Shorthand/Smooth Absolute Bezier curve
+        //a (rx ry x-axis-rotation large-arc-flag sweep-flag x y)+     Relative Elliptical Arc
+        //A (rx ry x-axis-rotation large-arc-flag sweep-flag x y)+     Absolute Elliptical Arc
 
         // command string
-        var cs = this.attrs.data;
-        // command chars
-        var cc = ['m', 'M', 'l', 'L', 'v', 'V', 'h', 'H', 'z', 'Z', 'c', 'C', 'q', 'Q', 't', 'T', 's', 'S'];
-        // convert white spaces to commas
-        cs = cs.replace(new RegExp(' ', 'g'), ',');
-        // create pipes so that we can split the data
-        for(var n = 0; n < cc.length; n++) {
-            cs = cs.replace(new RegExp(cc[n], 'g'), '|' + cc[n]);
-        }
-        // create array
-        var arr = cs.split('|');
+        var cs = this.attrs.data === undefined ? '' : this.attrs.data;
+        var pos = 0;
+        var numberRegex = /[+\-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+\-]?\d+)?/g;
         var ca = [];
-        // init context point
+        // current command, and command of the previous segment
+        var c = undefined;
+        var prevCmd = undefined;
+        // init context point, subpath start point, and last control point
         var cpx = 0;
         var cpy = 0;
-        for(var n = 1; n < arr.length; n++) {
-            var str = arr[n];
-            var c = str.charAt(0);
-            str = str.slice(1);
-            // remove ,- for consistency
-            str = str.replace(new RegExp(',-', 'g'), '-');
-            // add commas so that it's easy to split
-            str = str.replace(new RegExp('-', 'g'), ',-');
-            var p = str.split(',');
-            if(p.length > 0 && p[0] === '') {
-                p.shift();
+        var startX = 0;
+        var startY = 0;
+        var ctlPtx = 0;
+        var ctlPty = 0;
+
+        function error(message) {
+            var err = new Error('Kinetic.Path: ' + message + ' at offset ' + pos + ' in path data');
+            err.offset = pos;
+            throw err;
+        }
+        // skip white space and commas
+        function skip() {
+            while(pos < cs.length && ' \t\r\n\f,'.indexOf(cs.charAt(pos)) !== -1) {
+                pos++;
             }
-            // convert strings to floats
-            for(var i = 0; i < p.length; i++) {
-                p[i] = parseFloat(p[i]);
+        }
+        function number() {
+            skip();
+            numberRegex.lastIndex = pos;
+            var match = numberRegex.exec(cs);
+            if(match === null || match.index !== pos) {
+                error(pos < cs.length ? 'expected a number but found "' + cs.charAt(pos) + '"' : 'expected a number but reached the end');
             }
+            pos += match[0].length;
+            return parseFloat(match[0]);
+        }
+        // arc flags can be written without separators, e.g. a1,1,0,00,10,10
+        function flag() {
+            skip();
+            var ch = cs.charAt(pos);
+            if(ch !== '0' && ch !== '1') {
+                error('expected an arc flag but found "' + ch + '"');
+            }
+            pos++;
+            return ch === '1';
+        }
+        function push(command, points) {
+            ca.push({
+                command: command,
+                points: points
+            });
+        }
 
-            while(p.length > 0) {
-                if(isNaN(p[0]))// case for a trailing comma before next command
-                    break;
-
-                var cmd = undefined;
-                var points = [];
-
-                // convert l, H, h, V, and v to L
-                switch(c) {
-
-                    // Note: Keep the lineTo's above the moveTo's in this switch
-                    case 'l':
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'L':
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        points.push(cpx, cpy);
-                        break;
-
-                    // Note: lineTo handlers need to be above this point
-                    case 'm':
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'M';
-                        points.push(cpx, cpy);
-                        c = 'l';
-                        // subsequent points are treated as relative lineTo
-                        break;
-                    case 'M':
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        cmd = 'M';
-                        points.push(cpx, cpy);
-                        c = 'L';
-                        // subsequent points are treated as absolute lineTo
-                        break;
-
-                    case 'h':
-                        cpx += p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'H':
-                        cpx = p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'v':
-                        cpy += p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'V':
-                        cpy = p.shift();
-                        cmd = 'L';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'C':
-                        points.push(p.shift(), p.shift(), p.shift(), p.shift());
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        points.push(cpx, cpy);
-                        break;
-                    case 'c':
-                        points.push(cpx + p.shift(), cpy + p.shift(), cpx + p.shift(), cpy + p.shift());
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'C'
-                        points.push(cpx, cpy);
-                        break;
-                    case 'S':
-                        var ctlPtx = cpx, ctlPty = cpy;
-                        var prevCmd = ca[ca.length - 1];
-                        if(prevCmd.command === 'C') {
-                            ctlPtx = cpx + (cpx - prevCmd.points[2]);
-                            ctlPty = cpy + (cpy - prevCmd.points[3]);
-                        }
-                        points.push(ctlPtx, ctlPty, p.shift(), p.shift())
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        cmd = 'C';
-                        points.push(cpx, cpy);
-                        break;
-                    case 's':
-                        var ctlPtx = cpx, ctlPty = cpy;
-                        var prevCmd = ca[ca.length - 1];
-                        if(prevCmd.command === 'C') {
-                            ctlPtx = cpx + (cpx - prevCmd.points[2]);
-                            ctlPty = cpy + (cpy - prevCmd.points[3]);
-                        }
-                        points.push(ctlPtx, ctlPty, cpx + p.shift(), cpy + p.shift())
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'C';
-                        points.push(cpx, cpy);
-                        break;
-                    case 'Q':
-                        points.push(p.shift(), p.shift());
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        points.push(cpx, cpy);
-                        break;
-                    case 'q':
-                        points.push(cpx + p.shift(), cpy + p.shift());
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'Q'
-                        points.push(cpx, cpy);
-                        break;
-                    case 'T':
-                        var ctlPtx = cpx, ctlPty = cpy;
-                        var prevCmd = ca[ca.length - 1];
-                        if(prevCmd.command === 'Q') {
-                            ctlPtx = cpx + (cpx - prevCmd.points[0]);
-                            ctlPty = cpy + (cpy - prevCmd.points[1]);
-                        }
-                        cpx = p.shift();
-                        cpy = p.shift();
-                        cmd = 'Q';
-                        points.push(ctlPtx, ctlPty, cpx, cpy);
-                        break;
-                    case 't':
-                        var ctlPtx = cpx, ctlPty = cpy;
-                        var prevCmd = ca[ca.length - 1];
-                        if(prevCmd.command === 'Q') {
-                            ctlPtx = cpx + (cpx - prevCmd.points[0]);
-                            ctlPty = cpy + (cpy - prevCmd.points[1]);
-                        }
-                        cpx += p.shift();
-                        cpy += p.shift();
-                        cmd = 'Q';
-                        points.push(ctlPtx, ctlPty, cpx, cpy);
-                        break;
+        skip();
+        while(pos < cs.length) {
+            var ch = cs.charAt(pos);
+            var start = pos;
 
+            if('MmZzLlHhVvCcSsQqTtAa'.indexOf(ch) !== -1) {
+                if(c === undefined && ch !== 'M' && ch !== 'm') {
+                    error('path data must begin with a moveTo command');
                 }
+                c = ch;
+                pos++;
+            }
+            // numbers without a command repeat the previous command
+            else if(c === undefined) {
+                error('path data must begin with a moveTo command');
+            }
+            else if(c === 'z' || c === 'Z' || '+-.0123456789'.indexOf(ch) === -1) {
+                error('unexpected character "' + ch + '"');
+            }
 
-                ca.push({
-                    command: cmd || c,
-                    points: points
-                });
+            var relative = c === c.toLowerCase();
+            var ox = relative ? cpx : 0;
+            var oy = relative ? cpy : 0;
+            var upper = c.toUpperCase();
 
+            switch(upper) {
+                case 'M':
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    startX = cpx;
+                    startY = cpy;
+                    push('M', [cpx, cpy]);
+                    // subsequent points are treated as lineTo
+                    c = relative ? 'l' : 'L';
+                    break;
+                case 'L':
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('L', [cpx, cpy]);
+                    break;
+                case 'H':
+                    cpx = ox + number();
+                    push('L', [cpx, cpy]);
+                    break;
+                case 'V':
+                    cpy = oy + number();
+                    push('L', [cpx, cpy]);
+                    break;
+                case 'C':
+                    var x1 = ox + number(), y1 = oy + number();
+                    ctlPtx = ox + number();
+                    ctlPty = oy + number();
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('C', [x1, y1, ctlPtx, ctlPty, cpx, cpy]);
+                    break;
+                case 'S':
+                    // reflect the second control point of the previous cubic curve
+                    var x1 = cpx, y1 = cpy;
+                    if(prevCmd === 'C' || prevCmd === 'S') {
+                        x1 = cpx + (cpx - ctlPtx);
+                        y1 = cpy + (cpy - ctlPty);
+                    }
+                    ctlPtx = ox + number();
+                    ctlPty = oy + number();
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('C', [x1, y1, ctlPtx, ctlPty, cpx, cpy]);
+                    break;
+                case 'Q':
+                    ctlPtx = ox + number();
+                    ctlPty = oy + number();
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('Q', [ctlPtx, ctlPty, cpx, cpy]);
+                    break;
+                case 'T':
+                    // reflect the control point of the previous quadratic curve
+                    if(prevCmd === 'Q' || prevCmd === 'T') {
+                        ctlPtx = cpx + (cpx - ctlPtx);
+                        ctlPty = cpy + (cpy - ctlPty);
+                    }
+                    else {
+                        ctlPtx = cpx;
+                        ctlPty = cpy;
+                    }
+                    cpx = ox + number();
+                    cpy = oy + number();
+                    push('Q', [ctlPtx, ctlPty, cpx, cpy]);
+                    break;
+                case 'A':
+                    var rx = number(), ry = number(), psi = number();
+                    var fa = flag(), fs = flag();
+                    var x = ox + number(), y = oy + number();
+                    var curves = this._convertArc(cpx, cpy, rx, ry, psi, fa, fs, x, y);
+                    for(var n = 0; n < curves.length; n++) {
+                        push(curves[n].length === 2 ? 'L' : 'C', curves[n]);
+                    }
+                    cpx = x;
+                    cpy = y;
+                    break;
+                case 'Z':
+                    push('z', []);
+                    cpx = startX;
+                    cpy = startY;
+                    break;
             }
 
-            if(c === 'z' || c === 'Z')
-                ca.push({
-                    command: 'z',
-                    points: []
-                });
+            prevCmd = upper;
+            skip();
+
+            // guard against commands that didn't consume anything
+            if(pos === start) {
+                error('unexpected character "' + ch + '"');
+            }
         }
 
         return ca;
@@ -282,12 +267,424 @@ Kinetic.Path.prototype = {
      * set SVG path data string.  This method
      *  also automatically parses the data string
      *  into a data array.  Currently supported SVG data:
-     *  M, m, L, l, H, h, V, v, Q, q, T, t, C, c, S, s, Z, z
+     *  M, m, L, l, H, h, V, v, Q, q, T, t, C, c, S, s, A, a, Z, z
      * @param {String} SVG path command string
      */
     setData: function(data) {
+        var oldData = this.attrs.data;
         this.attrs.data = data;
         this.dataArray = this.getDataArray();
+        this.geometry = undefined;
+        if(oldData !== data) {
+            this._fireChangeEvent('data', oldData, data);
+        }
+    },
+    /**
+     * get total length of the path
+     */
+    getLength: function() {
+        return this._getGeometry().length;
+    },
+    /**
+     * get point on the path at a distance from the start of
+     *  the path.  The distance is clamped to the length of the
+     *  path.  Returns undefined if the path has no points
+     * @param {Number} length
+     */
+    getPointAtLength: function(length) {
+        var geom = this._getGeometry();
+        if(geom.segments.length === 0) {
+            return geom.start === undefined ? undefined : {
+                x: geom.start.x,
+                y: geom.start.y
+            };
+        }
+        var loc = this._getSegmentAtLength(length);
+        var p = this._getSegmentPoint(loc.segment, loc.t);
+        return {
+            x: p[0],
+            y: p[1]
+        };
+    },
+    /**
+     * get angle in radians of the path tangent at a distance from
+     *  the start of the path.  The distance is clamped to the length
+     *  of the path.  Returns undefined if the path has no segments
+     * @param {Number} length
+     */
+    getAngleAtLength: function(length) {
+        var geom = this._getGeometry();
+        if(geom.segments.length === 0) {
+            return undefined;
+        }
+        var loc = this._getSegmentAtLength(length);
+        var seg = loc.segment;
+        var d = this._getSegmentDerivative(seg, loc.t);
+
+        /*
+         * curves with control points on top of their end points have
+         * no derivative at the ends, so use a nearby chord instead
+         */
+        if(d[0] === 0 && d[1] === 0) {
+            var t1 = Math.max(0, loc.t - 0.001);
+            var t2 = Math.min(1, loc.t + 0.001);
+            var p1 = this._getSegmentPoint(seg, t1);
+            var p2 = this._getSegmentPoint(seg, t2);
+            d = [p2[0] - p1[0], p2[1] - p1[1]];
+        }
+
+        return Math.atan2(d[1], d[0]);
+    },
+    /**
+     * get tight bounding box of the path in the path's own coordinate
+     *  space.  Curve extremes are included rather than curve control
+     *  points.  Returns undefined if the path has no points
+     */
+    getBoundingBox: function() {
+        var box = this._getGeometry().box;
+        return box === undefined ? undefined : {
+            x: box.x,
+            y: box.y,
+            width: box.width,
+            height: box.height
+        };
+    },
+    /**
+     * get cached path geometry.  The geometry is rebuilt whenever
+     *  the data array is replaced
+     */
+    _getGeometry: function() {
+        if(this.geometry !== undefined && this.geometry.dataArray === this.dataArray) {
+            return this.geometry;
+        }
+
+        var ca = this.dataArray;
+        var segments = [];
+        var length = 0;
+        var start = undefined;
+        var cpx = 0;
+        var cpy = 0;
+        var startX = 0;
+        var startY = 0;
+        var minX = Infinity;
+        var minY = Infinity;
+        var maxX = -Infinity;
+        var maxY = -Infinity;
+
+        function addPoint(x, y) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+
+        for(var n = 0; n < ca.length; n++) {
+            var c = ca[n].command;
+            var p = ca[n].points;
+            var points = undefined;
+
+            switch(c) {
+                case 'M':
+                    cpx = startX = p[0];
+                    cpy = startY = p[1];
+                    if(start === undefined) {
+                        start = {
+                            x: cpx,
+                            y: cpy
+                        };
+                    }
+                    addPoint(cpx, cpy);
+                    break;
+                case 'L':
+                case 'C':
+                case 'Q':
+                    points = [cpx, cpy].concat(p);
+                    break;
+                case 'z':
+                    points = [cpx, cpy, startX, startY];
+                    c = 'L';
+                    break;
+            }
+
+            if(points !== undefined) {
+                var seg = {
+                    command: c,
+                    points: points,
+                    offset: length
+                };
+                this._measureSegment(seg);
+                segments.push(seg);
+                length += seg.length;
+
+                var ts = [1].concat(this._getSegmentExtremes(seg));
+                for(var i = 0; i < ts.length; i++) {
+                    var pt = this._getSegmentPoint(seg, ts[i]);
+                    addPoint(pt[0], pt[1]);
+                }
+
+                cpx = points[points.length - 2];
+                cpy = points[points.length - 1];
+            }
+        }
+
+        this.geometry = {
+            dataArray: ca,
+            segments: segments,
+            length: length,
+            start: start,
+            box: start === undefined ? undefined : {
+                x: minX,
+                y: minY,
+                width: maxX - minX,
+                height: maxY - minY
+            }
+        };
+
+        return this.geometry;
+    },
+    /**
+     * measure segment length.  Curves are flattened into a
+     *  table of cumulative lengths used to map distances to
+     *  curve parameters
+     * @param {Object} seg
+     */
+    _measureSegment: function(seg) {
+        var p = seg.points;
+        if(seg.command === 'L') {
+            seg.length = Math.sqrt(Math.pow(p[2] - p[0], 2) + Math.pow(p[3] - p[1], 2));
+            return;
+        }
+
+        var steps = 32;
+        var table = [0];
+        var length = 0;
+        var last = [p[0], p[1]];
+        for(var n = 1; n <= steps; n++) {
+            var pt = this._getSegmentPoint(seg, n / steps);
+            length += Math.sqrt(Math.pow(pt[0] - last[0], 2) + Math.pow(pt[1] - last[1], 2));
+            table.push(length);
+            last = pt;
+        }
+        seg.length = length;
+        seg.table = table;
+    },
+    /**
+     * find the segment and segment parameter at a distance from
+     *  the start of the path
+     * @param {Number} length
+     */
+    _getSegmentAtLength: function(length) {
+        var geom = this._getGeometry();
+        var segments = geom.segments;
+        length = Math.max(0, Math.min(geom.length, length));
+
+        var n = 0;
+        while(n < segments.length - 1 && length > segments[n].offset + segments[n].length) {
+            n++;
+        }
+        var seg = segments[n];
+        var local = length - seg.offset;
+        var t = 0;
+
+        if(seg.length > 0) {
+            if(seg.table === undefined) {
+                t = local / seg.length;
+            }
+            else {
+                var table = seg.table;
+                var i = 1;
+                while(i < table.length - 1 && table[i] < local) {
+                    i++;
+                }
+                var span = table[i] - table[i - 1];
+                var frac = span > 0 ? (local - table[i - 1]) / span : 0;
+                t = (i - 1 + frac) / (table.length - 1);
+            }
+        }
+
+        return {
+            segment: seg,
+            t: Math.min(1, t)
+        };
+    },
+    /**
+     * get point on a segment at parameter t
+     * @param {Object} seg
+     * @param {Number} t
+     */
+    _getSegmentPoint: function(seg, t) {
+        var p = seg.points;
+        var mt = 1 - t;
+        switch(seg.command) {
+            case 'L':
+                return [p[0] + (p[2] - p[0]) * t, p[1] + (p[3] - p[1]) * t];
+            case 'Q':
+                return [mt * mt * p[0] + 2 * mt * t * p[2] + t * t * p[4], mt * mt * p[1] + 2 * mt * t * p[3] + t * t * p[5]];
+            case 'C':
+                var a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, d = t * t * t;
+                return [a * p[0] + b * p[2] + c * p[4] + d * p[6], a * p[1] + b * p[3] + c * p[5] + d * p[7]];
+        }
+    },
+    /**
+     * get derivative of a segment at parameter t
+     * @param {Object} seg
+     * @param {Number} t
+     */
+    _getSegmentDerivative: function(seg, t) {
+        var p = seg.points;
+        var mt = 1 - t;
+        switch(seg.command) {
+            case 'L':
+                return [p[2] - p[0], p[3] - p[1]];
+            case 'Q':
+                return [2 * mt * (p[2] - p[0]) + 2 * t * (p[4] - p[2]), 2 * mt * (p[3] - p[1]) + 2 * t * (p[5] - p[3])];
+            case 'C':
+                var a = 3 * mt * mt, b = 6 * mt * t, c = 3 * t * t;
+                return [a * (p[2] - p[0]) + b * (p[4] - p[2]) + c * (p[6] - p[4]), a * (p[3] - p[1]) + b * (p[5] - p[3]) + c * (p[7] - p[5])];
+        }
+    },
+    /**
+     * get curve parameters between 0 and 1 where the x or y
+     *  derivative of a segment is zero
+     * @param {Object} seg
+     */
+    _getSegmentExtremes: function(seg) {
+        var p = seg.points;
+        var ts = [];
+
+        function add(t) {
+            if(t > 0 && t < 1) {
+                ts.push(t);
+            }
+        }
+
+        for(var i = 0; i < 2; i++) {
+            if(seg.command === 'Q') {
+                var den = p[i] - 2 * p[i + 2] + p[i + 4];
+                if(den !== 0) {
+                    add((p[i] - p[i + 2]) / den);
+                }
+            }
+            else if(seg.command === 'C') {
+                // derivative is a * t^2 + b * t + c
+                var a = 3 * (-p[i] + 3 * p[i + 2] - 3 * p[i + 4] + p[i + 6]);
+                var b = 6 * (p[i] - 2 * p[i + 2] + p[i + 4]);
+                var c = 3 * (p[i + 2] - p[i]);
+                if(Math.abs(a) < 1e-12) {
+                    if(b !== 0) {
+                        add(-c / b);
+                    }
+                }
+                else {
+                    var disc = b * b - 4 * a * c;
+                    if(disc >= 0) {
+                        add((-b + Math.sqrt(disc)) / (2 * a));
+                        add((-b - Math.sqrt(disc)) / (2 * a));
+                    }
+                }
+            }
+        }
+
+        return ts;
+    },
+    /**
+     * convert an SVG elliptical arc from the current point into
+     *  cubic bezier curves.  The arc center parameterization follows
+     *  the SVG implementation notes.  Returns an array of point arrays,
+     *  which hold six numbers for curves or two numbers for lines
+     */
+    _convertArc: function(x1, y1, rx, ry, psiDeg, fa, fs, x2, y2) {
+        // an arc with the same endpoints is omitted
+        if(x1 === x2 && y1 === y2) {
+            return [];
+        }
+
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+
+        // an arc with a zero radius is a straight line
+        if(rx === 0 || ry === 0) {
+            return [[x2, y2]];
+        }
+
+        var psi = psiDeg * Math.PI / 180;
+        var cosPsi = Math.cos(psi);
+        var sinPsi = Math.sin(psi);
+        var dx = (x1 - x2) / 2;
+        var dy = (y1 - y2) / 2;
+        var xp = cosPsi * dx + sinPsi * dy;
+        var yp = -1 * sinPsi * dx + cosPsi * dy;
+
+        // scale up radii that are too small to reach the end point
+        var lambda = (xp * xp) / (rx * rx) + (yp * yp) / (ry * ry);
+        if(lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        var num = rx * rx * ry * ry - rx * rx * yp * yp - ry * ry * xp * xp;
+        var den = rx * rx * yp * yp + ry * ry * xp * xp;
+        var f = Math.sqrt(Math.max(0, num / den)) * (fa === fs ? -1 : 1);
+        var cxp = f * rx * yp / ry;
+        var cyp = f * -1 * ry * xp / rx;
+        var cx = cosPsi * cxp - sinPsi * cyp + (x1 + x2) / 2;
+        var cy = sinPsi * cxp + cosPsi * cyp + (y1 + y2) / 2;
+
+        function angle(ux, uy, vx, vy) {
+            return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        }
+
+        var theta = angle(1, 0, (xp - cxp) / rx, (yp - cyp) / ry);
+        var dTheta = angle((xp - cxp) / rx, (yp - cyp) / ry, (-xp - cxp) / rx, (-yp - cyp) / ry);
+
+        if(!fs && dTheta > 0) {
+            dTheta -= Math.PI * 2;
+        }
+        else if(fs && dTheta < 0) {
+            dTheta += Math.PI * 2;
+        }
+
+        // split the arc into curves of at most a quarter turn
+        var segments = Math.ceil(Math.abs(dTheta) / (Math.PI / 2));
+        var delta = dTheta / segments;
+        var k = 4 / 3 * Math.tan(delta / 4);
+        var curves = [];
+
+        function point(u, v) {
+            return [cx + rx * u * cosPsi - ry * v * sinPsi, cy + rx * u * sinPsi + ry * v * cosPsi];
+        }
+
+        for(var n = 0; n < segments; n++) {
+            var a1 = theta + n * delta;
+            var a2 = a1 + delta;
+            var cp1 = point(Math.cos(a1) - k * Math.sin(a1), Math.sin(a1) + k * Math.cos(a1));
+            var cp2 = point(Math.cos(a2) + k * Math.sin(a2), Math.sin(a2) - k * Math.cos(a2));
+            var end = n === segments - 1 ? [x2, y2] : point(Math.cos(a2), Math.sin(a2));
+            curves.push(cp1.concat(cp2, end));
+        }
+
+        return curves;
+    },
+    /**
+     * get the rect that bounds the path without its stroke
+     */
+    getSelfRect: function() {
+        var box = this.getBoundingBox();
+        return box === undefined ? {
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0
+        } : box;
+    },
+    /**
+     * get SVG markup.  The original path data string is used
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.d = this.attrs.data;
+        return svg.element('path', attrs);
     }
 };
 
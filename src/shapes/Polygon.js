@@ -46,6 +46,21 @@ Kinetic.Polygon.prototype = {
      */
     getPoints: function() {
         return this.attrs.points;
+    },
+    /**
+     * get the rect that bounds the points of the polygon
+     */
+    getSelfRect: function() {
+        return Kinetic.GlobalObject._getPointsRect(this.attrs.points);
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.points = svg.getPointsString(this.attrs.points);
+        return svg.element('polygon', attrs);
     }
 };
 
@@ -52,7 +52,7 @@ Kinetic.Rect.prototype = {
      * @param {Number} width
      */
     setWidth: function(width) {
-        this.attrs.width = width;
+        this._setAttr('width', width);
     },
     /**
      * get width
@@ -65,7 +65,7 @@ Kinetic.Rect.prototype = {
      * @param {Number} height
      */
     setHeight: function(height) {
-        this.attrs.height = height;
+        this._setAttr('height', height);
     },
     /**
      * get height
@@ -94,7 +94,7 @@ Kinetic.Rect.prototype = {
      * @param {Number} radius
      */
     setCornerRadius: function(radius) {
-        this.attrs.cornerRadius = radius;
+        this._setAttr('cornerRadius', radius);
     },
     /**
      * get corner radius
@@ -102,6 +102,31 @@ Kinetic.Rect.prototype = {
     getCornerRadius: function() {
         return this.attrs.cornerRadius;
     },
+    /**
+     * get the rect that the rectangle takes up without its stroke
+     */
+    getSelfRect: function() {
+        return {
+            x: 0,
+            y: 0,
+            width: this.attrs.width,
+            height: this.attrs.height
+        };
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.width = this.attrs.width;
+        attrs.height = this.attrs.height;
+        if(this.attrs.cornerRadius !== 0) {
+            attrs.rx = this.attrs.cornerRadius;
+            attrs.ry = this.attrs.cornerRadius;
+        }
+        return svg.element('rect', attrs);
+    }
 };
 
 // extend Shape
@@ -16,13 +16,12 @@ Kinetic.RegularPolygon = function(config) {
     this.shapeType = "RegularPolygon";
     config.drawFunc = function() {
         var context = this.getContext();
+        var vertices = this._getVertices();
         context.beginPath();
-        context.moveTo(0, 0 - this.attrs.radius);
+        context.moveTo(vertices[0].x, vertices[0].y);
 
-        for(var n = 1; n < this.attrs.sides; n++) {
-            var x = this.attrs.radius * Math.sin(n * 2 * Math.PI / this.attrs.sides);
-            var y = -1 * this.attrs.radius * Math.cos(n * 2 * Math.PI / this.attrs.sides);
-            context.lineTo(x, y);
+        for(var n = 1; n < vertices.length; n++) {
+            context.lineTo(vertices[n].x, vertices[n].y);
         }
         context.closePath();
         this.fill();
@@ -40,7 +39,7 @@ Kinetic.RegularPolygon.prototype = {
      * @param {Number} radius
      */
     setRadius: function(radius) {
-        this.attrs.radius = radius;
+        this._setAttr('radius', radius);
     },
     /**
      * get radius
@@ -53,13 +52,46 @@ Kinetic.RegularPolygon.prototype = {
      * @param {int} sides
      */
     setSides: function(sides) {
-        this.attrs.sides = sides;
+        this._setAttr('sides', sides);
     },
     /**
      * get number of sides
      */
     getSides: function() {
         return this.attrs.sides;
+    },
+    /**
+     * get the rect that bounds the vertices of the polygon
+     */
+    getSelfRect: function() {
+        return Kinetic.GlobalObject._getPointsRect(this._getVertices());
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.points = svg.getPointsString(this._getVertices());
+        return svg.element('polygon', attrs);
+    },
+    /**
+     * get polygon vertices.  The first vertex is at the top
+     */
+    _getVertices: function() {
+        var vertices = [{
+            x: 0,
+            y: 0 - this.attrs.radius
+        }];
+
+        for(var n = 1; n < this.attrs.sides; n++) {
+            vertices.push({
+                x: this.attrs.radius * Math.sin(n * 2 * Math.PI / this.attrs.sides),
+                y: -1 * this.attrs.radius * Math.cos(n * 2 * Math.PI / this.attrs.sides)
+            });
+        }
+
+        return vertices;
     }
 };
 
@@ -8,6 +8,7 @@
  * @param {Object} config
  */
 Kinetic.Sprite = function(config) {
+    this.shapeType = "Sprite";
     this.setDefaultAttrs({
         index: 0,
         frameRate: 17
@@ -54,6 +55,12 @@ Kinetic.Sprite.prototype = {
     stop: function() {
         clearInterval(this.interval);
     },
+    /**
+     * stop the animation when the sprite is destroyed
+     */
+    _destroy: function() {
+        this.stop();
+    },
     /**
      * set after frame event handler
      * @param {Integer} index frame index
@@ -68,14 +75,14 @@ Kinetic.Sprite.prototype = {
      * @param {String} anim animation key
      */
     setAnimation: function(anim) {
-        this.attrs.animation = anim;
+        this._setAttr('animation', anim);
     },
     /**
      * set animations obect
      * @param {Object} animations
      */
     setAnimations: function(animations) {
-        this.attrs.animations = animations;
+        this._setAttr('animations', animations);
     },
     /**
      * get animations object
@@ -94,16 +101,46 @@ Kinetic.Sprite.prototype = {
      * @param {Integer} index frame index
      */
     setIndex: function(index) {
-        this.attrs.index = index;
+        this._setAttr('index', index);
+    },
+    /**
+     * get the rect of the current animation frame
+     */
+    getSelfRect: function() {
+        var animations = this.attrs.animations;
+        var f = animations === undefined ? undefined : animations[this.attrs.animation][this.attrs.index];
+        return {
+            x: 0,
+            y: 0,
+            width: f === undefined ? 0 : f.width,
+            height: f === undefined ? 0 : f.height
+        };
+    },
+    /**
+     * get SVG markup.  Only the current frame is embedded
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        if(this.attrs.image === undefined) {
+            return '';
+        }
+
+        var f = this.attrs.animations[this.attrs.animation][this.attrs.index];
+        return svg.element('image', {
+            width: f.width,
+            height: f.height,
+            filter: svg.getShadow(this.attrs.shadow),
+            'xlink:href': svg.getImageURL(this.attrs.image, f)
+        });
     },
     _updateIndex: function() {
         var i = this.attrs.index;
         var a = this.attrs.animation;
         if(i < this.attrs.animations[a].length - 1) {
-            this.attrs.index++;
+            this._setAttr('index', i + 1);
         }
         else {
-            this.attrs.index = 0;
+            this._setAttr('index', 0);
         }
     }
 };
@@ -17,14 +17,12 @@ Kinetic.Star = function(config) {
     this.shapeType = "Star";
     config.drawFunc = function() {
         var context = this.getContext();
+        var vertices = this._getVertices();
         context.beginPath();
-        context.moveTo(0, 0 - this.attrs.outerRadius);
+        context.moveTo(vertices[0].x, vertices[0].y);
 
-        for(var n = 1; n < this.attrs.numPoints * 2; n++) {
-            var radius = n % 2 === 0 ? this.attrs.outerRadius : this.attrs.innerRadius;
-            var x = radius * Math.sin(n * Math.PI / this.attrs.numPoints);
-            var y = -1 * radius * Math.cos(n * Math.PI / this.attrs.numPoints);
-            context.lineTo(x, y);
+        for(var n = 1; n < vertices.length; n++) {
+            context.lineTo(vertices[n].x, vertices[n].y);
         }
         context.closePath();
         
@@ -43,7 +41,7 @@ Kinetic.Star.prototype = {
      * @param {Integer} points
      */
     setNumPoints: function(numPoints) {
-        this.attrs.numPoints = numPoints;
+        this._setAttr('numPoints', numPoints);
     },
     /**
      * get number of points
@@ -56,7 +54,7 @@ Kinetic.Star.prototype = {
      * @param {Number} radius
      */
     setOuterRadius: function(radius) {
-        this.attrs.outerRadius = radius;
+        this._setAttr('outerRadius', radius);
     },
     /**
      * get outer radius
@@ -69,13 +67,48 @@ Kinetic.Star.prototype = {
      * @param {Number} radius
      */
     setInnerRadius: function(radius) {
-        this.attrs.innerRadius = radius;
+        this._setAttr('innerRadius', radius);
     },
     /**
      * get inner radius
      */
     getInnerRadius: function() {
         return this.attrs.innerRadius;
+    },
+    /**
+     * get the rect that bounds the vertices of the star
+     */
+    getSelfRect: function() {
+        return Kinetic.GlobalObject._getPointsRect(this._getVertices());
+    },
+    /**
+     * get SVG markup
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var attrs = svg.getShapeAttrs(this);
+        attrs.points = svg.getPointsString(this._getVertices());
+        return svg.element('polygon', attrs);
+    },
+    /**
+     * get star vertices, alternating between the outer
+     *  and inner radius.  The first vertex is at the top
+     */
+    _getVertices: function() {
+        var vertices = [{
+            x: 0,
+            y: 0 - this.attrs.outerRadius
+        }];
+
+        for(var n = 1; n < this.attrs.numPoints * 2; n++) {
+            var radius = n % 2 === 0 ? this.attrs.outerRadius : this.attrs.innerRadius;
+            vertices.push({
+                x: radius * Math.sin(n * Math.PI / this.attrs.numPoints),
+                y: -1 * radius * Math.cos(n * Math.PI / this.attrs.numPoints)
+            });
+        }
+
+        return vertices;
     }
 };
 // extend Shape
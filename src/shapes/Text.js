@@ -26,30 +26,12 @@ Kinetic.Text = function(config) {
         var context = this.getContext();
         context.font = this.attrs.fontStyle + ' ' + this.attrs.fontSize + 'pt ' + this.attrs.fontFamily;
         context.textBaseline = 'middle';
-        var textHeight = this.getTextHeight();
-        var textWidth = this.attrs.width === 'auto' ? this.getTextWidth() : this.attrs.width;
+        var box = this._getTextBox();
+        var textHeight = box.textHeight;
+        var textWidth = box.textWidth;
         var p = this.attrs.padding;
-        var x = 0;
-        var y = 0;
-        var that = this;
-
-        switch (this.attrs.align) {
-            case 'center':
-                x = textWidth / -2 - p;
-                break;
-            case 'right':
-                x = -1 * textWidth - p;
-                break;
-        }
-
-        switch (this.attrs.verticalAlign) {
-            case 'middle':
-                y = textHeight / -2 - p;
-                break;
-            case 'bottom':
-                y = -1 * textHeight - p;
-                break;
-        }
+        var x = box.x;
+        var y = box.y;
 
         // draw path
         context.save();
@@ -92,7 +74,7 @@ Kinetic.Text.prototype = {
      * @param {String} fontFamily
      */
     setFontFamily: function(fontFamily) {
-        this.attrs.fontFamily = fontFamily;
+        this._setAttr('fontFamily', fontFamily);
     },
     /**
      * get font family
@@ -105,7 +87,7 @@ Kinetic.Text.prototype = {
      * @param {int} fontSize
      */
     setFontSize: function(fontSize) {
-        this.attrs.fontSize = fontSize;
+        this._setAttr('fontSize', fontSize);
     },
     /**
      * get font size
@@ -118,7 +100,7 @@ Kinetic.Text.prototype = {
      * @param {String} fontStyle
      */
     setFontStyle: function(fontStyle) {
-        this.attrs.fontStyle = fontStyle;
+        this._setAttr('fontStyle', fontStyle);
     },
     /**
      * get font style
@@ -131,7 +113,7 @@ Kinetic.Text.prototype = {
      * @param {String} textFill
      */
     setTextFill: function(textFill) {
-        this.attrs.textFill = textFill;
+        this._setAttr('textFill', textFill);
     },
     /**
      * get text fill color
@@ -144,7 +126,7 @@ Kinetic.Text.prototype = {
      * @param {String} textStroke
      */
     setTextStroke: function(textStroke) {
-        this.attrs.textStroke = textStroke;
+        this._setAttr('textStroke', textStroke);
     },
     /**
      * get text stroke color
@@ -157,7 +139,7 @@ Kinetic.Text.prototype = {
      * @param {int} textStrokeWidth
      */
     setTextStrokeWidth: function(textStrokeWidth) {
-        this.attrs.textStrokeWidth = textStrokeWidth;
+        this._setAttr('textStrokeWidth', textStrokeWidth);
     },
     /**
      * get text stroke width
@@ -170,7 +152,7 @@ Kinetic.Text.prototype = {
      * @param {int} padding
      */
     setPadding: function(padding) {
-        this.attrs.padding = padding;
+        this._setAttr('padding', padding);
     },
     /**
      * get padding
@@ -183,7 +165,7 @@ Kinetic.Text.prototype = {
      * @param {String} align align can be 'left', 'center', or 'right'
      */
     setAlign: function(align) {
-        this.attrs.align = align;
+        this._setAttr('align', align);
     },
     /**
      * get horizontal align
@@ -196,7 +178,7 @@ Kinetic.Text.prototype = {
      * @param {String} verticalAlign verticalAlign can be "top", "middle", or "bottom"
      */
     setVerticalAlign: function(verticalAlign) {
-        this.attrs.verticalAlign = verticalAlign;
+        this._setAttr('verticalAlign', verticalAlign);
     },
     /**
      * get vertical align
@@ -209,7 +191,7 @@ Kinetic.Text.prototype = {
      * @param {String} text
      */
     setText: function(text) {
-        this.attrs.text = text;
+        this._setAttr('text', text);
     },
     /**
      * get text
@@ -265,7 +247,119 @@ Kinetic.Text.prototype = {
      * @param {Number} width
      */
     setWidth: function(width) {
-        this.attrs.width = width;
+        this._setAttr('width', width);
+    },
+    /**
+     * get the rect of the text box, which is the size of the text
+     *  plus padding, positioned by the alignment
+     */
+    getSelfRect: function() {
+        var box = this._getTextBox();
+        var p = this.attrs.padding;
+        return {
+            x: box.x,
+            y: box.y,
+            width: box.textWidth + p * 2,
+            height: box.textHeight + p * 2
+        };
+    },
+    /**
+     * get the size of the text and the position of the text box,
+     *  which is offset by the alignment.  Drawing, SVG export, and
+     *  getSelfRect all use it
+     */
+    _getTextBox: function() {
+        var a = this.attrs;
+        var textHeight = this.getTextHeight();
+        var textWidth = a.width === 'auto' ? this.getTextWidth() : a.width;
+        var p = a.padding;
+        var x = 0;
+        var y = 0;
+
+        switch (a.align) {
+            case 'center':
+                x = textWidth / -2 - p;
+                break;
+            case 'right':
+                x = -1 * textWidth - p;
+                break;
+        }
+
+        switch (a.verticalAlign) {
+            case 'middle':
+                y = textHeight / -2 - p;
+                break;
+            case 'bottom':
+                y = -1 * textHeight - p;
+                break;
+        }
+
+        return {
+            x: x,
+            y: y,
+            textWidth: textWidth,
+            textHeight: textHeight
+        };
+    },
+    /**
+     * get SVG markup.  The text box is positioned the same way
+     *  as it is when the text is drawn on a canvas
+     * @param {Kinetic.SVG} svg
+     */
+    _toSVG: function(svg) {
+        var a = this.attrs;
+        var box = this._getTextBox();
+        var textHeight = box.textHeight;
+        var textWidth = box.textWidth;
+        var p = a.padding;
+        var x = box.x;
+        var y = box.y;
+
+        // text box
+        var attrs = svg.getShapeAttrs(this);
+        var str = '';
+        if(attrs.fill !== 'none' || attrs.stroke !== undefined) {
+            attrs.x = x;
+            attrs.y = y;
+            attrs.width = textWidth + p * 2;
+            attrs.height = textHeight + p * 2;
+            str += svg.element('rect', attrs);
+        }
+
+        var hasFill = a.textFill !== undefined;
+        var hasStroke = a.textStroke !== undefined || a.textStrokeWidth !== undefined;
+        if(hasFill || hasStroke) {
+            var textAttrs = {
+                x: p + x,
+                y: textHeight / 2 + p + y,
+                'font-family': a.fontFamily,
+                'font-size': a.fontSize + 'pt',
+                'font-style': a.fontStyle === 'italic' ? 'italic' : undefined,
+                'font-weight': a.fontStyle === 'bold' ? 'bold' : undefined,
+                'dominant-baseline': 'central',
+                fill: hasFill ? a.textFill : 'none',
+                filter: attrs.filter
+            };
+
+            if(hasStroke) {
+                textAttrs.stroke = a.textStroke !== undefined ? a.textStroke : 'black';
+                textAttrs['stroke-width'] = a.textStrokeWidth !== undefined ? a.textStrokeWidth : 2;
+            }
+
+            // clipping region for max width
+            if(a.width !== 'auto') {
+                textAttrs['clip-path'] = svg.addClipPath(svg.element('rect', {
+                    x: x,
+                    y: y,
+                    width: textWidth + p,
+                    height: textHeight + p * 2
+                }));
+            }
+
+            str += svg.element('text', textAttrs, svg.escape(String(a.text)));
+        }
+
+        return str;
     }
 };
 // extend Shape
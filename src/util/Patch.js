@@ -0,0 +1,651 @@
+///////////////////////////////////////////////////////////////////////
+//  Patch
+///////////////////////////////////////////////////////////////////////
+/**
+ * Patches used by Kinetic.diff and Stage.applyPatch.  A patch holds the
+ *  operations that change one stage document into another: inserts,
+ *  moves, attr changes, and removals.  Operations refer to nodes by key.
+ *  Nodes with ids are keyed by their id, such as '#foo', and other nodes
+ *  are keyed by the key of their parent and their index among their
+ *  siblings that don't have ids, such as '#foo/0'.  The stage is keyed
+ *  by ''.  Give nodes ids so that they're tracked when they move to other
+ *  containers.  Event listeners are only sent with inserted nodes
+ * ex:
+ * var patch = Kinetic.diff(oldJson, stage.toJSON());<br>
+ * otherStage.applyPatch(patch);
+ * @namespace
+ */
+Kinetic.Patch = {
+    /**
+     * get a patch that changes one stage document into another
+     * @param {String|Object} jsonA JSON string or parsed object
+     * @param {String|Object} jsonB JSON string or parsed object
+     */
+    diff: function(jsonA, jsonB) {
+        var go = Kinetic.GlobalObject;
+        var docA = Kinetic.Schema.upgrade( typeof jsonA === 'string' ? JSON.parse(jsonA) : jsonA);
+        var docB = Kinetic.Schema.upgrade( typeof jsonB === 'string' ? JSON.parse(jsonB) : jsonB);
+        if(docA.nodeType !== 'Stage' || docB.nodeType !== 'Stage') {
+            throw new Error('Kinetic.Patch: only stage documents can be diffed');
+        }
+
+        var nodesA = {};
+        var nodesB = {};
+        var orderA = [];
+        var orderB = [];
+        this._indexDoc(docA, '', undefined, nodesA, orderA);
+        this._indexDoc(docB, '', undefined, nodesB, orderB);
+
+        // nodes that kept their key, but not their type, are replaced
+        function exists(key) {
+            var a = nodesA[key];
+            var b = nodesB[key];
+            return a !== undefined && b !== undefined && a.obj.nodeType === b.obj.nodeType && a.obj.shapeType === b.obj.shapeType;
+        }
+
+        var ops = [];
+        var created = {};
+        var inserted = {};
+
+        function current(key) {
+            if(created[key] !== undefined) {
+                return created[key];
+            }
+            return exists(key) ? nodesA[key] : undefined;
+        }
+
+        /*
+         * go through the containers of the new document from the top
+         * down, and move or insert their children into place.  The
+         * children of the old document are simulated so that the indices
+         * of the operations are the indices at the time they're applied
+         */
+        for(var n = 0; n < orderB.length; n++) {
+            var parentB = orderB[n];
+            if(inserted[parentB.key] || parentB.children.length === 0) {
+                continue;
+            }
+            var parent = current(parentB.key);
+            var stable = this._getStableKeys(parent, parentB, exists, nodesA);
+
+            for(var i = 0; i < parentB.children.length; i++) {
+                var childB = parentB.children[i];
+                var key = childB.key;
+                if(stable[key]) {
+                    continue;
+                }
+
+                var entry = current(key);
+                if(entry !== undefined) {
+                    this._spliceOut(entry);
+                    var index = this._getIndex(parent, parentB, i, current);
+                    this._spliceIn(entry, parent, index);
+                    ops.push({
+                        op: 'move',
+                        key: key,
+                        parent: parentB.key,
+                        index: index
+                    });
+                }
+                else {
+                    /*
+                     * new nodes are inserted with their descendants, unless
+                     * some of them are moved into the new node
+                     */
+                    var whole = !this._containsExisting(childB, exists);
+                    var obj = childB.obj;
+                    if(whole) {
+                        this._markInserted(childB, inserted);
+                    }
+                    else {
+                        obj = {
+                            attrs: obj.attrs,
+                            nodeType: obj.nodeType,
+                            shapeType: obj.shapeType,
+                            listeners: obj.listeners
+                        };
+                    }
+
+                    entry = {
+                        key: key,
+                        children: []
+                    };
+                    created[key] = entry;
+                    var index = this._getIndex(parent, parentB, i, current);
+                    this._spliceIn(entry, parent, index);
+                    ops.push({
+                        op: 'insert',
+                        key: key,
+                        parent: parentB.key,
+                        index: index,
+                        node: go._clone(obj)
+                    });
+                }
+            }
+        }
+
+        // attr changes
+        for(var n = 0; n < orderB.length; n++) {
+            var key = orderB[n].key;
+            if(exists(key)) {
+                var op = this._diffAttrs(key, nodesA[key].obj.attrs, orderB[n].obj.attrs);
+                if(op !== undefined) {
+                    ops.push(op);
+                }
+            }
+        }
+
+        // removals.  Removing a node removes its descendants
+        for(var n = 0; n < orderA.length; n++) {
+            var entry = orderA[n];
+            if(!exists(entry.key) && entry.parent !== undefined && exists(entry.parent.key)) {
+                ops.push({
+                    op: 'remove',
+                    key: entry.key
+                });
+            }
+        }
+
+        return {
+            version: Kinetic.Schema.version,
+            ops: ops
+        };
+    },
+    /**
+     * apply a patch to a stage in place and draw the layers that
+     *  changed.  Patches are checked before they're applied, and patches
+     *  that refer to nodes that aren't on the stage throw an error.
+     *  Removed nodes are destroyed, unless the stage has a history, in
+     *  which case they're only removed so that the patch can be undone
+     * @param {Stage} stage
+     * @param {Object} patch
+     * @param {Function} [callback] called once all of the images have loaded
+     */
+    apply: function(stage, patch, callback) {
+        var nodes = {};
+        this._indexNode(stage, '', nodes);
+        this._check(patch, nodes);
+
+        var serializer = Kinetic.Serializer;
+        var history = stage.history;
+        var inserted = {};
+        var affected = new Kinetic.Collection();
+        var loading = true;
+        var loaded = false;
+        var loader = {
+            pending: 1,
+            callback: function() {
+                loaded = true;
+                // images that load later need the layers to be drawn again
+                if(!loading) {
+                    affected.draw();
+                    if(callback !== undefined) {
+                        callback();
+                    }
+                }
+            }
+        };
+
+        function getParent(key) {
+            return inserted[key] !== undefined ? inserted[key] : nodes[key];
+        }
+        function addAffected(node) {
+            if(node !== undefined && node.nodeType !== 'Stage') {
+                affected.push(node);
+            }
+        }
+
+        // the patch is undone in one step
+        if(history !== undefined) {
+            history.begin('patch');
+        }
+
+        var ops = patch.ops;
+        for(var n = 0; n < ops.length; n++) {
+            var op = ops[n];
+            var node = nodes[op.key];
+            switch(op.op) {
+                case 'insert':
+                    node = serializer._createNode(op.node, loader);
+                    getParent(op.parent).add(node);
+                    if(node.index !== op.index) {
+                        node.setZIndex(op.index);
+                    }
+                    this._indexNode(node, op.key, inserted);
+                    addAffected(node);
+                    break;
+                case 'move':
+                    addAffected(node.getParent());
+                    node.moveTo(getParent(op.parent));
+                    node.setZIndex(op.index);
+                    addAffected(node);
+                    break;
+                case 'attrs':
+                    this._applyAttrs(node, op, loader);
+                    if(node.nodeType === 'Stage') {
+                        affected.push(node);
+                    }
+                    else {
+                        addAffected(node);
+                    }
+                    break;
+                case 'remove':
+                    addAffected(node.getParent());
+                    // removed nodes are only destroyed if the patch can't be undone
+                    if(history === undefined) {
+                        node.destroy();
+                    }
+                    else {
+                        node.getParent().remove(node);
+                    }
+                    break;
+            }
+        }
+
+        if(history !== undefined) {
+            history.end();
+        }
+
+        // release the hold on the callback now that every image has been requested
+        serializer._done(loader);
+        loading = false;
+        affected.draw();
+        if(loaded && callback !== undefined) {
+            callback();
+        }
+    },
+    /**
+     * index the nodes of a document by key.  Each entry holds the key,
+     *  the serialized node, the parent entry, and the child entries
+     * @param {Object} obj
+     * @param {String} key
+     * @param {Object} parent
+     * @param {Object} map
+     * @param {Array} order entries in document order
+     */
+    _indexDoc: function(obj, key, parent, map, order) {
+        if(map[key] !== undefined) {
+            throw new Error('Kinetic.Patch: more than one node has the key "' + key + '"');
+        }
+        var entry = {
+            key: key,
+            obj: obj,
+            parent: parent,
+            children: []
+        };
+        map[key] = entry;
+        order.push(entry);
+
+        var children = obj.children === undefined ? [] : obj.children;
+        var unkeyed = 0;
+        for(var n = 0; n < children.length; n++) {
+            var id = children[n].attrs === undefined ? undefined : children[n].attrs.id;
+            var childKey = this._getKey(key, id, unkeyed);
+            if(id === undefined) {
+                unkeyed++;
+            }
+            entry.children.push(this._indexDoc(children[n], childKey, entry, map, order));
+        }
+        return entry;
+    },
+    /**
+     * index a live node and its descendants by key.  Only the children
+     *  that are serialized are indexed
+     * @param {Node} node
+     * @param {String} key
+     * @param {Object} map
+     */
+    _indexNode: function(node, key, map) {
+        map[key] = node;
+        var serializer = Kinetic.Serializer;
+        if(node.nodeType === 'Shape' || node.shapeType !== undefined || serializer._getTypeName(node) !== undefined) {
+            return;
+        }
+        var unkeyed = 0;
+        for(var n = 0; n < node.children.length; n++) {
+            var id = node.children[n].attrs.id;
+            this._indexNode(node.children[n], this._getKey(key, id, unkeyed), map);
+            if(id === undefined) {
+                unkeyed++;
+            }
+        }
+    },
+    /**
+     * get the key of a node
+     * @param {String} parentKey
+     * @param {String} id
+     * @param {Number} index index among the siblings without ids
+     */
+    _getKey: function(parentKey, id, index) {
+        return id !== undefined ? '#' + id : parentKey + '/' + index;
+    },
+    /**
+     * get the keys of the children that already are in a container
+     *  and are left in place.  They're the longest run of children whose
+     *  order didn't change, so that the fewest children are moved
+     * @param {Object} parent simulated container entry
+     * @param {Object} parentB container entry in the new document
+     * @param {Function} exists
+     * @param {Object} nodesA
+     */
+    _getStableKeys: function(parent, parentB, exists, nodesA) {
+        var keys = [];
+        var indices = [];
+        for(var n = 0; n < parentB.children.length; n++) {
+            var key = parentB.children[n].key;
+            if(exists(key) && nodesA[key].parent === parent) {
+                keys.push(key);
+                indices.push(this._indexOf(parent.children, nodesA[key]));
+            }
+        }
+
+        // longest increasing subsequence of the old indices
+        var tails = [];
+        var prev = [];
+        for(var n = 0; n < indices.length; n++) {
+            var low = 0;
+            var high = tails.length;
+            while(low < high) {
+                var mid = (low + high) >> 1;
+                if(indices[tails[mid]] < indices[n]) {
+                    low = mid + 1;
+                }
+                else {
+                    high = mid;
+                }
+            }
+            prev[n] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = n;
+        }
+
+        var stable = {};
+        for(var n = tails.length > 0 ? tails[tails.length - 1] : -1; n !== -1; n = prev[n]) {
+            stable[keys[n]] = true;
+        }
+        return stable;
+    },
+    /**
+     * get the index that puts a child right after its previous
+     *  sibling in the new document
+     * @param {Object} parent
+     * @param {Object} parentB
+     * @param {Number} i index of the child in the new document
+     * @param {Function} current
+     */
+    _getIndex: function(parent, parentB, i, current) {
+        return i === 0 ? 0 : this._indexOf(parent.children, current(parentB.children[i - 1].key)) + 1;
+    },
+    /**
+     * get the index of an item in an array, or -1 if it isn't in the array
+     * @param {Array} arr
+     * @param {*} item
+     */
+    _indexOf: function(arr, item) {
+        for(var n = 0; n < arr.length; n++) {
+            if(arr[n] === item) {
+                return n;
+            }
+        }
+        return -1;
+    },
+    /**
+     * remove a simulated entry from the children of its parent entry
+     * @param {Object} entry
+     */
+    _spliceOut: function(entry) {
+        var siblings = entry.parent.children;
+        siblings.splice(this._indexOf(siblings, entry), 1);
+    },
+    /**
+     * add a simulated entry to the children of a parent entry
+     * @param {Object} entry
+     * @param {Object} parent
+     * @param {Number} index
+     */
+    _spliceIn: function(entry, parent, index) {
+        parent.children.splice(index, 0, entry);
+        entry.parent = parent;
+    },
+    /**
+     * determine if a new node has descendants that are already
+     *  in the old document
+     * @param {Object} entry
+     * @param {Function} exists
+     */
+    _containsExisting: function(entry, exists) {
+        for(var n = 0; n < entry.children.length; n++) {
+            if(exists(entry.children[n].key) || this._containsExisting(entry.children[n], exists)) {
+                return true;
+            }
+        }
+        return false;
+    },
+    /**
+     * mark a new node and its descendants as inserted along with it,
+     *  so that their children aren't inserted again
+     * @param {Object} entry
+     * @param {Object} inserted
+     */
+    _markInserted: function(entry, inserted) {
+        inserted[entry.key] = true;
+        for(var n = 0; n < entry.children.length; n++) {
+            this._markInserted(entry.children[n], inserted);
+        }
+    },
+    /**
+     * get the attrs operation of a node, or undefined if its attrs
+     *  didn't change
+     * @param {String} key
+     * @param {Object} attrsA
+     * @param {Object} attrsB
+     */
+    _diffAttrs: function(key, attrsA, attrsB) {
+        var go = Kinetic.GlobalObject;
+        attrsA = attrsA === undefined ? {} : attrsA;
+        attrsB = attrsB === undefined ? {} : attrsB;
+        var attrs = {};
+        var unset = [];
+        var changed = false;
+
+        for(var attr in attrsB) {
+            if(!go._isEqual(attrsA[attr], attrsB[attr])) {
+                attrs[attr] = go._clone(attrsB[attr]);
+                changed = true;
+            }
+        }
+        for(var attr in attrsA) {
+            if(attrsB[attr] === undefined) {
+                unset.push(attr);
+            }
+        }
+        if(!changed && unset.length === 0) {
+            return undefined;
+        }
+
+        var op = {
+            op: 'attrs',
+            key: key,
+            attrs: attrs
+        };
+        if(unset.length > 0) {
+            op.unset = unset;
+        }
+        return op;
+    },
+    /**
+     * set the changed attrs of a node.  Attrs with images are set once
+     *  their images have loaded
+     * @param {Node} node
+     * @param {Object} op
+     * @param {Object} loader
+     */
+    _applyAttrs: function(node, op, loader) {
+        var serializer = Kinetic.Serializer;
+        var deferred = {};
+        var attrs = serializer._deserializeAttrs(op.attrs, loader, deferred);
+        for(var key in attrs) {
+            if(deferred[key] === undefined) {
+                this._setAttr(node, key, attrs[key]);
+            }
+        }
+        if(op.unset !== undefined) {
+            for(var n = 0; n < op.unset.length; n++) {
+                this._setAttr(node, op.unset[n], undefined);
+            }
+        }
+        serializer._loadDeferred(node, deferred, loader);
+
+        // the stage content is resized to the stage size
+        if(node.nodeType === 'Stage' && (attrs.width !== undefined || attrs.height !== undefined)) {
+            node.setSize(node.attrs.width, node.attrs.height);
+        }
+    },
+    /**
+     * set an attr of a node.  draggable is set with the draggable
+     *  method, which also binds the drag and drop events
+     * @param {Node} node
+     * @param {String} key
+     * @param {*} val
+     */
+    _setAttr: function(node, key, val) {
+        if(key === 'draggable') {
+            node.draggable(val === true);
+        }
+        else {
+            node._setAttr(key, val);
+        }
+    },
+    /**
+     * check that a patch can be applied to a stage.  Every node that an
+     *  operation refers to has to be on the stage or inserted by an
+     *  earlier operation, and inserted nodes have to be valid
+     * @param {Object} patch
+     * @param {Object} nodes live nodes by key
+     */
+    _check: function(patch, nodes) {
+        var schema = Kinetic.Schema;
+        var errors = [];
+        var types = {};
+        var removed = {};
+
+        function error(path, message) {
+            errors.push({
+                path: path,
+                message: message
+            });
+        }
+        function isKnown(key) {
+            return types[key] !== undefined || (nodes[key] !== undefined && !removed[key]);
+        }
+        function getType(key) {
+            return types[key] !== undefined ? types[key] : nodes[key].nodeType;
+        }
+        function addTypes(obj, key) {
+            var doc = {};
+            Kinetic.Patch._indexDoc(obj, key, undefined, doc, []);
+            for(var k in doc) {
+                types[k] = doc[k].obj.nodeType;
+            }
+        }
+
+        if(patch === null || typeof patch !== 'object' || patch.version !== schema.version) {
+            throw new Error('Kinetic.Patch: expected a patch with version ' + schema.version);
+        }
+        var ops = patch.ops;
+        if(!schema._isArray(ops)) {
+            throw new Error('Kinetic.Patch: expected a patch with an ops array');
+        }
+
+        for(var n = 0; n < ops.length; n++) {
+            var op = ops[n];
+            var path = 'ops[' + n + ']';
+            if(!schema._isObject(op)) {
+                error(path, 'expected an object');
+                continue;
+            }
+            // moves, attr changes, and removals refer to nodes that are on the stage
+            var hasNode = nodes[op.key] !== undefined && !removed[op.key];
+            var hasParent = isKnown(op.parent);
+
+            switch(op.op) {
+                case 'insert':
+                    if(!hasParent) {
+                        error(path + '.parent', 'unknown node ' + JSON.stringify(op.parent));
+                    }
+                    else if(!schema._isObject(op.node)) {
+                        error(path + '.node', 'expected a node object');
+                    }
+                    else {
+                        schema._validateNode(op.node, path + '.node', getType(op.parent), errors);
+                        try {
+                            addTypes(op.node, op.key);
+                        }
+                        catch(e) {
+                            error(path + '.key', e.message);
+                        }
+                    }
+                    break;
+                case 'move':
+                    if(!hasNode) {
+                        error(path + '.key', 'unknown node ' + JSON.stringify(op.key));
+                    }
+                    else if(!hasParent) {
+                        error(path + '.parent', 'unknown node ' + JSON.stringify(op.parent));
+                    }
+                    else if(!schema._canContain(getType(op.parent), nodes[op.key].nodeType)) {
+                        error(path, nodes[op.key].nodeType + ' nodes can\'t be added to ' + getType(op.parent) + ' nodes');
+                    }
+                    break;
+                case 'attrs':
+                    if(!hasNode) {
+                        error(path + '.key', 'unknown node ' + JSON.stringify(op.key));
+                    }
+                    else if(!schema._isObject(op.attrs)) {
+                        error(path + '.attrs', 'expected an object');
+                    }
+                    else {
+                        var node = nodes[op.key];
+                        schema._validateNode({
+                            attrs: op.attrs,
+                            nodeType: node.nodeType,
+                            shapeType: node.shapeType
+                        }, path, undefined, errors);
+                    }
+                    break;
+                case 'remove':
+                    if(!hasNode || op.key === '') {
+                        error(path + '.key', 'unknown node ' + JSON.stringify(op.key));
+                    }
+                    else {
+                        removed[op.key] = true;
+                    }
+                    break;
+                default:
+                    error(path + '.op', 'unknown operation ' + JSON.stringify(op.op));
+                    break;
+            }
+        }
+
+        if(errors.length > 0) {
+            var messages = [];
+            for(var n = 0; n < errors.length; n++) {
+                messages.push(errors[n].path + ': ' + errors[n].message);
+            }
+            var err = new Error('Kinetic.Patch: invalid patch, ' + messages.join('; '));
+            err.errors = errors;
+            throw err;
+        }
+    }
+};
+/**
+ * get a patch that changes one stage document, such as the JSON made
+ *  by Stage.toJSON, into another.  Apply the patch to a stage in the
+ *  first state with Stage.applyPatch
+ * ex:
+ * var patch = Kinetic.diff(oldJson, stage.toJSON());
+ * @param {String|Object} jsonA JSON string or parsed object
+ * @param {String|Object} jsonB JSON string or parsed object
+ */
+Kinetic.diff = function(jsonA, jsonB) {
+    return Kinetic.Patch.diff(jsonA, jsonB);
+};
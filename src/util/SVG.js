@@ -0,0 +1,828 @@
+///////////////////////////////////////////////////////////////////////
+//  SVG
+///////////////////////////////////////////////////////////////////////
+/**
+ * SVG constructor.&nbsp; Builds an SVG document from a node tree.  The
+ *  toSVG() Node method uses this class, so you usually don't need to
+ *  create one yourself
+ * @constructor
+ */
+Kinetic.SVG = function() {
+    this.defs = [];
+    this.idCounter = 0;
+};
+/*
+ * SVG methods
+ */
+Kinetic.SVG.prototype = {
+    /**
+     * get SVG document string for a node and its descendants.  The
+     *  transforms of the ancestors of the node are also applied so that
+     *  the node is positioned the same way as it is on the stage
+     * @param {Node} node
+     */
+    getDocument: function(node) {
+        var content = this.getNodeMarkup(node);
+        var parent = node.getParent();
+
+        if(parent !== undefined) {
+            var t = new Kinetic.Transform();
+            var family = [];
+            while(parent) {
+                family.unshift(parent);
+                parent = parent.getParent();
+            }
+            for(var n = 0; n < family.length; n++) {
+                t.multiply(this._getNodeTransform(family[n]));
+            }
+
+            var transform = this.getMatrix(t);
+            if(transform !== undefined) {
+                content = this.element('g', {
+                    transform: transform
+                }, content);
+            }
+        }
+
+        var stage = node.getStage();
+        var attrs = {
+            xmlns: 'http://www.w3.org/2000/svg',
+            'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+            version: '1.1'
+        };
+
+        if(stage !== undefined) {
+            attrs.width = stage.attrs.width;
+            attrs.height = stage.attrs.height;
+        }
+
+        var defs = this.defs.length > 0 ? this.element('defs', {}, this.defs.join('')) : '';
+        return this.element('svg', attrs, defs + content);
+    },
+    /**
+     * get SVG markup for a node.  Nodes are converted into SVG
+     *  groups that hold the node transform and alpha.  Hidden nodes
+     *  are skipped because they aren't drawn either
+     * @param {Node} node
+     */
+    getNodeMarkup: function(node) {
+        if(!node.attrs.visible) {
+            return '';
+        }
+
+        var content = '';
+        if(node.nodeType === 'Shape') {
+            content = node._toSVG(this);
+        }
+        else {
+            var children = node.getChildren();
+            for(var n = 0; n < children.length; n++) {
+                content += this.getNodeMarkup(children[n]);
+            }
+        }
+
+        return this.element('g', {
+            id: node.attrs.id,
+            'class': node.attrs.name,
+            transform: this.getMatrix(this._getNodeTransform(node)),
+            opacity: node.attrs.alpha !== 1 ? node.attrs.alpha : undefined
+        }, content);
+    },
+    /**
+     * build an SVG element.  Undefined attrs are left out.  If content is
+     *  undefined, an empty element is created
+     * @param {String} tag
+     * @param {Object} attrs
+     * @param {String} [content]
+     */
+    element: function(tag, attrs, content) {
+        var str = '<' + tag;
+        for(var key in attrs) {
+            var val = attrs[key];
+            if(val !== undefined) {
+                if(Kinetic.GlobalObject._isNumber(val)) {
+                    val = this.number(val);
+                }
+                str += ' ' + key + '="' + this.escape(String(val)) + '"';
+            }
+        }
+
+        if(content === undefined || content === '') {
+            return str + '/>';
+        }
+        return str + '>' + content + '</' + tag + '>';
+    },
+    /**
+     * get the fill, stroke, line join, and shadow attrs of a shape
+     *  using the same defaults as the Shape fill() and stroke() helpers
+     * @param {Shape} shape
+     */
+    getShapeAttrs: function(shape) {
+        var a = shape.attrs;
+        var attrs = {
+            fill: this.getFill(a.fill),
+            filter: this.getShadow(a.shadow)
+        };
+
+        if(!!a.stroke || !!a.strokeWidth) {
+            attrs.stroke = !!a.stroke ? a.stroke : 'black';
+            attrs['stroke-width'] = !!a.strokeWidth ? a.strokeWidth : 2;
+            attrs['stroke-linejoin'] = a.lineJoin;
+        }
+
+        return attrs;
+    },
+    /**
+     * get SVG paint for a shape fill, which can be a color, a linear
+     *  gradient object, a radial gradient object, or a pattern object
+     * @param {String|Object} fill
+     */
+    getFill: function(fill) {
+        if(!fill) {
+            return 'none';
+        }
+        else if( typeof fill === 'string') {
+            return fill;
+        }
+        else if(fill.image !== undefined) {
+            var offset = fill.offset || {
+                x: 0,
+                y: 0
+            };
+            return this.addPattern(fill.image, fill.repeat, offset.x, offset.y);
+        }
+
+        var s = fill.start;
+        var e = fill.end;
+        var stops = [];
+        for(var n = 0; n < fill.colorStops.length; n += 2) {
+            stops.push([fill.colorStops[n], fill.colorStops[n + 1]]);
+        }
+
+        if(s.radius === undefined && e.radius === undefined) {
+            return this.addLinearGradient(s.x, s.y, e.x, e.y, stops);
+        }
+        else if(s.radius !== undefined && e.radius !== undefined) {
+            return this.addRadialGradient(s.x, s.y, s.radius, e.x, e.y, e.radius, stops);
+        }
+
+        return 'black';
+    },
+    /**
+     * get filter for a shadow object.  Shadows are only drawn when
+     *  they have a color
+     * @param {Object} shadow
+     */
+    getShadow: function(shadow) {
+        if(shadow === undefined || shadow.color === undefined || shadow.alpha === undefined) {
+            return undefined;
+        }
+
+        var offset = shadow.offset || {
+            x: 0,
+            y: 0
+        };
+        return this.addShadow(shadow.color, shadow.blur, shadow.alpha, offset.x, offset.y);
+    },
+    /**
+     * add linear gradient definition and return its url
+     * @param {Array} stops array of [offset, color] arrays
+     * @param {String} [transform]
+     */
+    addLinearGradient: function(x1, y1, x2, y2, stops, transform) {
+        var id = this.getId('linear-gradient');
+        this.defs.push(this.element('linearGradient', {
+            id: id,
+            gradientUnits: 'userSpaceOnUse',
+            gradientTransform: transform,
+            x1: x1,
+            y1: y1,
+            x2: x2,
+            y2: y2
+        }, this._getStops(stops)));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * add radial gradient definition and return its url.  The start
+     *  circle becomes the focal circle
+     * @param {Array} stops array of [offset, color] arrays
+     * @param {String} [transform]
+     */
+    addRadialGradient: function(x1, y1, r1, x2, y2, r2, stops, transform) {
+        var id = this.getId('radial-gradient');
+        this.defs.push(this.element('radialGradient', {
+            id: id,
+            gradientUnits: 'userSpaceOnUse',
+            gradientTransform: transform,
+            fx: x1,
+            fy: y1,
+            fr: r1,
+            cx: x2,
+            cy: y2,
+            r: r2
+        }, this._getStops(stops)));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * add pattern definition and return its url.  Canvas patterns are
+     *  anchored to the origin of the shape, and so are SVG patterns in
+     *  user space.  Directions that don't repeat are given a tile that is
+     *  large enough to only show the image once
+     * @param {ImageObject} image
+     * @param {String} [repeat] can be repeat, repeat-x, repeat-y, or no-repeat
+     * @param {String} [transform]
+     */
+    addPattern: function(image, repeat, x, y, transform) {
+        var id = this.getId('pattern');
+        var big = 100000;
+        repeat = repeat === undefined ? 'repeat' : repeat;
+
+        this.defs.push(this.element('pattern', {
+            id: id,
+            patternUnits: 'userSpaceOnUse',
+            patternTransform: transform,
+            x: x,
+            y: y,
+            width: repeat === 'repeat' || repeat === 'repeat-x' ? image.width : big,
+            height: repeat === 'repeat' || repeat === 'repeat-y' ? image.height : big
+        }, this.element('image', {
+            width: image.width,
+            height: image.height,
+            'xlink:href': this.getImageURL(image)
+        })));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * add drop shadow filter definition and return its url.  Canvas
+     *  shadow blur is roughly twice the SVG standard deviation
+     */
+    addShadow: function(color, blur, alpha, offsetX, offsetY) {
+        var id = this.getId('shadow');
+        this.defs.push(this.element('filter', {
+            id: id,
+            x: '-50%',
+            y: '-50%',
+            width: '200%',
+            height: '200%'
+        }, this.element('feDropShadow', {
+            dx: offsetX,
+            dy: offsetY,
+            stdDeviation: blur / 2,
+            'flood-color': color,
+            'flood-opacity': alpha
+        })));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * add clip path definition and return its url
+     * @param {String} content clip path elements
+     */
+    addClipPath: function(content) {
+        var id = this.getId('clip');
+        this.defs.push(this.element('clipPath', {
+            id: id
+        }, content));
+        return 'url(#' + id + ')';
+    },
+    /**
+     * get data URL for an image.  If crop is defined, only the
+     *  cropped part of the image is used.  Images from other domains
+     *  can't be read back, in which case the image src is used
+     * @param {ImageObject} image
+     * @param {Object} [crop] object with x, y, width, and height
+     */
+    getImageURL: function(image, crop) {
+        if(crop === undefined && image.src !== undefined && image.src.indexOf('data:') === 0) {
+            return image.src;
+        }
+
+        var x = crop !== undefined ? crop.x : 0;
+        var y = crop !== undefined ? crop.y : 0;
+        var width = crop !== undefined ? crop.width : image.width;
+        var height = crop !== undefined ? crop.height : image.height;
+
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, x, y, width, height, 0, 0, width, height);
+
+        try {
+            return canvas.toDataURL();
+        }
+        catch(e) {
+            return image.src;
+        }
+    },
+    /**
+     * get SVG matrix string for a transform.  Returns undefined
+     *  for the identity transform
+     * @param {Kinetic.Transform} t
+     */
+    getMatrix: function(t) {
+        var m = t.getMatrix();
+        if(m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0) {
+            return undefined;
+        }
+
+        var arr = [];
+        for(var n = 0; n < 6; n++) {
+            arr.push(this.number(m[n]));
+        }
+        return 'matrix(' + arr.join(' ') + ')';
+    },
+    /**
+     * get SVG points string from an array of point objects
+     * @param {Array} points
+     */
+    getPointsString: function(points) {
+        var arr = [];
+        for(var n = 0; n < points.length; n++) {
+            arr.push(this.number(points[n].x) + ',' + this.number(points[n].y));
+        }
+        return arr.join(' ');
+    },
+    /**
+     * get unique id for a definition
+     * @param {String} prefix
+     */
+    getId: function(prefix) {
+        return 'kinetic-' + prefix + '-' + this.idCounter++;
+    },
+    /**
+     * round number to four decimal places so that floating point
+     *  noise doesn't end up in the document
+     * @param {Number} num
+     */
+    number: function(num) {
+        return Math.round(num * 10000) / 10000;
+    },
+    /**
+     * escape XML special characters
+     * @param {String} str
+     */
+    escape: function(str) {
+        return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+    /**
+     * get node transform including the center offset, which is
+     *  how shapes are transformed when they are drawn
+     */
+    _getNodeTransform: function(node) {
+        var t = node.getTransform();
+        if(node.attrs.centerOffset.x !== 0 || node.attrs.centerOffset.y !== 0) {
+            t.translate(-1 * node.attrs.centerOffset.x, -1 * node.attrs.centerOffset.y);
+        }
+        return t;
+    },
+    _getStops: function(stops) {
+        var str = '';
+        for(var n = 0; n < stops.length; n++) {
+            str += this.element('stop', {
+                offset: stops[n][0],
+                'stop-color': stops[n][1]
+            });
+        }
+        return str;
+    }
+};
+
+///////////////////////////////////////////////////////////////////////
+//  SVG Context
+///////////////////////////////////////////////////////////////////////
+/**
+ * SVG context constructor.&nbsp; The SVG context implements the canvas
+ *  path, transform, text, and image API, and records what's drawn as SVG
+ *  elements.  It's used to export shapes with custom drawing functions.
+ *  Paths are recorded in the coordinate space of the shape, so the
+ *  context transforms that are in effect when a path is built are
+ *  baked into the path data
+ * @constructor
+ * @param {Kinetic.SVG} svg
+ * @param {Number} alpha absolute alpha of the shape.  The shape groups
+ *  already apply node alpha, so it's divided out of globalAlpha
+ */
+Kinetic.SVGContext = function(svg, alpha) {
+    this.svg = svg;
+    this.alpha = alpha;
+    this.elements = [];
+    this.stack = [];
+    this.path = '';
+    this.currentPoint = undefined;
+    this.subpathStart = undefined;
+    this.canvas = document.createElement('canvas');
+
+    // context state
+    this.transformMatrix = new Kinetic.Transform();
+    this.fillStyle = 'black';
+    this.strokeStyle = 'black';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.lineJoin = 'miter';
+    this.miterLimit = 10;
+    this.globalAlpha = alpha;
+    this.shadowColor = 'rgba(0, 0, 0, 0)';
+    this.shadowBlur = 0;
+    this.shadowOffsetX = 0;
+    this.shadowOffsetY = 0;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.clipPath = undefined;
+};
+/*
+ * SVG context methods
+ */
+Kinetic.SVGContext.prototype = {
+    /**
+     * get recorded SVG markup
+     */
+    getMarkup: function() {
+        return this.elements.join('');
+    },
+    save: function() {
+        var state = {};
+        for(var n = 0; n < this._stateKeys.length; n++) {
+            var key = this._stateKeys[n];
+            state[key] = this[key];
+        }
+        state.transformMatrix = this._copyTransform(this.transformMatrix);
+        this.stack.push(state);
+    },
+    restore: function() {
+        var state = this.stack.pop();
+        if(state !== undefined) {
+            for(var key in state) {
+                this[key] = state[key];
+            }
+        }
+    },
+    translate: function(x, y) {
+        this.transformMatrix.translate(x, y);
+    },
+    rotate: function(rad) {
+        this.transformMatrix.rotate(rad);
+    },
+    scale: function(sx, sy) {
+        this.transformMatrix.scale(sx, sy);
+    },
+    transform: function(a, b, c, d, e, f) {
+        var t = new Kinetic.Transform();
+        t.m = [a, b, c, d, e, f];
+        this.transformMatrix.multiply(t);
+    },
+    setTransform: function(a, b, c, d, e, f) {
+        this.transformMatrix = new Kinetic.Transform();
+        this.transform(a, b, c, d, e, f);
+    },
+    beginPath: function() {
+        this.path = '';
+        this.currentPoint = undefined;
+        this.subpathStart = undefined;
+    },
+    moveTo: function(x, y) {
+        var p = this._point(x, y);
+        this.path += 'M' + this._pointStr(p);
+        this.currentPoint = p;
+        this.subpathStart = p;
+    },
+    lineTo: function(x, y) {
+        if(this.currentPoint === undefined) {
+            this.moveTo(x, y);
+            return;
+        }
+        var p = this._point(x, y);
+        this.path += 'L' + this._pointStr(p);
+        this.currentPoint = p;
+    },
+    bezierCurveTo: function(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if(this.currentPoint === undefined) {
+            this.moveTo(cp1x, cp1y);
+        }
+        var p = this._point(x, y);
+        this.path += 'C' + this._pointStr(this._point(cp1x, cp1y)) + ' ' + this._pointStr(this._point(cp2x, cp2y)) + ' ' + this._pointStr(p);
+        this.currentPoint = p;
+    },
+    quadraticCurveTo: function(cpx, cpy, x, y) {
+        if(this.currentPoint === undefined) {
+            this.moveTo(cpx, cpy);
+        }
+        var p = this._point(x, y);
+        this.path += 'Q' + this._pointStr(this._point(cpx, cpy)) + ' ' + this._pointStr(p);
+        this.currentPoint = p;
+    },
+    /**
+     * arcs are converted into cubic bezier curves of at most
+     *  a quarter turn so that any transform can be applied to them
+     */
+    arc: function(x, y, radius, startAngle, endAngle, anticlockwise) {
+        var twoPi = Math.PI * 2;
+        var sweep = endAngle - startAngle;
+
+        if(!anticlockwise && sweep >= twoPi || anticlockwise && -sweep >= twoPi) {
+            sweep = anticlockwise ? -twoPi : twoPi;
+        }
+        else {
+            sweep = sweep % twoPi;
+            if(!anticlockwise && sweep < 0) {
+                sweep += twoPi;
+            }
+            else if(anticlockwise && sweep > 0) {
+                sweep -= twoPi;
+            }
+        }
+
+        var startX = x + radius * Math.cos(startAngle);
+        var startY = y + radius * Math.sin(startAngle);
+        if(this.currentPoint === undefined) {
+            this.moveTo(startX, startY);
+        }
+        else {
+            this.lineTo(startX, startY);
+        }
+
+        var segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        var delta = sweep / segments;
+        var k = 4 / 3 * Math.tan(delta / 4);
+        var angle = startAngle;
+
+        for(var n = 0; n < segments; n++) {
+            var a1 = angle;
+            var a2 = angle + delta;
+            var cos1 = Math.cos(a1), sin1 = Math.sin(a1);
+            var cos2 = Math.cos(a2), sin2 = Math.sin(a2);
+
+            this.bezierCurveTo(x + radius * (cos1 - k * sin1), y + radius * (sin1 + k * cos1), x + radius * (cos2 + k * sin2), y + radius * (sin2 - k * cos2), x + radius * cos2, y + radius * sin2);
+            angle = a2;
+        }
+    },
+    arcTo: function(x1, y1, x2, y2, radius) {
+        // current point in user space
+        var inv = this._copyTransform(this.transformMatrix);
+        inv.invert();
+        var p0 = this.currentPoint === undefined ? {
+            x: x1,
+            y: y1
+        } : this._applyTransform(inv, this.currentPoint.x, this.currentPoint.y);
+
+        var v1x = p0.x - x1, v1y = p0.y - y1;
+        var v2x = x2 - x1, v2y = y2 - y1;
+        var len1 = Math.sqrt(v1x * v1x + v1y * v1y);
+        var len2 = Math.sqrt(v2x * v2x + v2y * v2y);
+        var cross = v1x * v2y - v1y * v2x;
+
+        if(radius === 0 || len1 === 0 || len2 === 0 || cross === 0) {
+            this.lineTo(x1, y1);
+            return;
+        }
+
+        var angle = Math.acos((v1x * v2x + v1y * v2y) / (len1 * len2));
+        var dist = radius / Math.tan(angle / 2);
+        var t1x = x1 + v1x / len1 * dist, t1y = y1 + v1y / len1 * dist;
+        var t2x = x1 + v2x / len2 * dist, t2y = y1 + v2y / len2 * dist;
+
+        // arc center is perpendicular to the first tangent
+        var anticlockwise = cross > 0;
+        var nx = anticlockwise ? v1y / len1 : -v1y / len1;
+        var ny = anticlockwise ? -v1x / len1 : v1x / len1;
+        var cx = t1x + nx * radius, cy = t1y + ny * radius;
+
+        this.arc(cx, cy, radius, Math.atan2(t1y - cy, t1x - cx), Math.atan2(t2y - cy, t2x - cx), anticlockwise);
+    },
+    rect: function(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+        this.moveTo(x, y);
+    },
+    closePath: function() {
+        if(this.currentPoint !== undefined) {
+            this.path += 'Z';
+            this.currentPoint = this.subpathStart;
+        }
+    },
+    fill: function() {
+        if(this.path !== '') {
+            var attrs = this._getCommonAttrs();
+            attrs.d = this.path;
+            attrs.fill = this._getPaint(this.fillStyle);
+            this.elements.push(this.svg.element('path', attrs));
+        }
+    },
+    stroke: function() {
+        if(this.path !== '') {
+            var attrs = this._getCommonAttrs();
+            attrs.d = this.path;
+            attrs.fill = 'none';
+            this._addStrokeAttrs(attrs);
+            this.elements.push(this.svg.element('path', attrs));
+        }
+    },
+    clip: function() {
+        this.clipPath = this.svg.addClipPath(this.svg.element('path', {
+            d: this.path
+        }));
+    },
+    fillRect: function(x, y, width, height) {
+        this._withTempPath(function() {
+            this.rect(x, y, width, height);
+            this.fill();
+        });
+    },
+    strokeRect: function(x, y, width, height) {
+        this._withTempPath(function() {
+            this.rect(x, y, width, height);
+            this.stroke();
+        });
+    },
+    clearRect: function() {
+    },
+    fillText: function(text, x, y) {
+        var attrs = this._getTextAttrs(text, x, y);
+        attrs.fill = this._getPaint(this.fillStyle);
+        this.elements.push(this.svg.element('text', attrs, this.svg.escape(String(text))));
+    },
+    strokeText: function(text, x, y) {
+        var attrs = this._getTextAttrs(text, x, y);
+        attrs.fill = 'none';
+        this._addStrokeAttrs(attrs);
+        attrs['stroke-width'] = this.lineWidth;
+        this.elements.push(this.svg.element('text', attrs, this.svg.escape(String(text))));
+    },
+    measureText: function(text) {
+        var context = this.canvas.getContext('2d');
+        context.font = this.font;
+        return context.measureText(text);
+    },
+    drawImage: function() {
+        var a = arguments;
+        var image = a[0];
+        var crop, x, y, width, height;
+
+        if(a.length === 9) {
+            crop = {
+                x: a[1],
+                y: a[2],
+                width: a[3],
+                height: a[4]
+            };
+            x = a[5];
+            y = a[6];
+            width = a[7];
+            height = a[8];
+        }
+        else {
+            x = a[1];
+            y = a[2];
+            width = a.length === 5 ? a[3] : image.width;
+            height = a.length === 5 ? a[4] : image.height;
+        }
+
+        var attrs = this._getCommonAttrs();
+        attrs.transform = this.svg.getMatrix(this.transformMatrix);
+        attrs.x = x;
+        attrs.y = y;
+        attrs.width = width;
+        attrs.height = height;
+        attrs.preserveAspectRatio = 'none';
+        attrs['xlink:href'] = this.svg.getImageURL(image, crop);
+        this.elements.push(this.svg.element('image', attrs));
+    },
+    createLinearGradient: function(x1, y1, x2, y2) {
+        return this._createGradient({
+            type: 'linear',
+            coords: [x1, y1, x2, y2]
+        });
+    },
+    createRadialGradient: function(x1, y1, r1, x2, y2, r2) {
+        return this._createGradient({
+            type: 'radial',
+            coords: [x1, y1, r1, x2, y2, r2]
+        });
+    },
+    createPattern: function(image, repeat) {
+        return {
+            type: 'pattern',
+            image: image,
+            repeat: repeat
+        };
+    },
+    isPointInPath: function() {
+        return false;
+    },
+    _stateKeys: ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit', 'globalAlpha', 'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'font', 'textAlign', 'textBaseline', 'clipPath'],
+    _createGradient: function(grd) {
+        grd.stops = [];
+        grd.addColorStop = function(offset, color) {
+            grd.stops.push([offset, color]);
+        };
+        return grd;
+    },
+    /**
+     * convert fill or stroke style into SVG paint.  Gradients and
+     *  patterns are defined in the current user space
+     */
+    _getPaint: function(style) {
+        if( typeof style === 'string') {
+            return style;
+        }
+
+        var transform = this.svg.getMatrix(this.transformMatrix);
+        var c = style.coords;
+        switch(style.type) {
+            case 'linear':
+                return this.svg.addLinearGradient(c[0], c[1], c[2], c[3], style.stops, transform);
+            case 'radial':
+                return this.svg.addRadialGradient(c[0], c[1], c[2], c[3], c[4], c[5], style.stops, transform);
+            case 'pattern':
+                return this.svg.addPattern(style.image, style.repeat, 0, 0, transform);
+        }
+
+        return 'black';
+    },
+    _getCommonAttrs: function() {
+        var attrs = {
+            'clip-path': this.clipPath
+        };
+
+        if(this.alpha > 0 && this.globalAlpha !== this.alpha) {
+            attrs.opacity = this.globalAlpha / this.alpha;
+        }
+
+        /*
+         * canvas only draws shadows if the color isn't fully
+         * transparent and there's a blur or an offset
+         */
+        var hasShadow = this.shadowBlur !== 0 || this.shadowOffsetX !== 0 || this.shadowOffsetY !== 0;
+        if(hasShadow && this.shadowColor !== 'rgba(0, 0, 0, 0)' && this.shadowColor !== 'transparent') {
+            attrs.filter = this.svg.addShadow(this.shadowColor, this.shadowBlur, 1, this.shadowOffsetX, this.shadowOffsetY);
+        }
+
+        return attrs;
+    },
+    _addStrokeAttrs: function(attrs) {
+        var m = this.transformMatrix.getMatrix();
+        // approximate the line width scale for the baked in transform
+        var scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+
+        attrs.stroke = this._getPaint(this.strokeStyle);
+        attrs['stroke-width'] = this.lineWidth * scale;
+        attrs['stroke-linecap'] = this.lineCap !== 'butt' ? this.lineCap : undefined;
+        attrs['stroke-linejoin'] = this.lineJoin !== 'miter' ? this.lineJoin : undefined;
+    },
+    _getTextAttrs: function(text, x, y) {
+        var anchors = {
+            start: 'start',
+            left: 'start',
+            center: 'middle',
+            end: 'end',
+            right: 'end'
+        };
+        var baselines = {
+            top: 'text-before-edge',
+            hanging: 'hanging',
+            middle: 'central',
+            alphabetic: 'alphabetic',
+            ideographic: 'ideographic',
+            bottom: 'text-after-edge'
+        };
+
+        var attrs = this._getCommonAttrs();
+        attrs.transform = this.svg.getMatrix(this.transformMatrix);
+        attrs.x = x;
+        attrs.y = y;
+        attrs.style = 'font: ' + this.font;
+        attrs['text-anchor'] = anchors[this.textAlign];
+        attrs['dominant-baseline'] = baselines[this.textBaseline];
+        return attrs;
+    },
+    _withTempPath: function(func) {
+        var path = this.path;
+        var currentPoint = this.currentPoint;
+        var subpathStart = this.subpathStart;
+        this.beginPath();
+        func.call(this);
+        this.path = path;
+        this.currentPoint = currentPoint;
+        this.subpathStart = subpathStart;
+    },
+    _copyTransform: function(t) {
+        var copy = new Kinetic.Transform();
+        copy.m = t.getMatrix().slice(0);
+        return copy;
+    },
+    _applyTransform: function(t, x, y) {
+        var m = t.getMatrix();
+        return {
+            x: m[0] * x + m[2] * y + m[4],
+            y: m[1] * x + m[3] * y + m[5]
+        };
+    },
+    _point: function(x, y) {
+        return this._applyTransform(this.transformMatrix, x, y);
+    },
+    _pointStr: function(p) {
+        return this.svg.number(p.x) + ' ' + this.svg.number(p.y);
+    }
+};
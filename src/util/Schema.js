@@ -0,0 +1,497 @@
+///////////////////////////////////////////////////////////////////////
+//  Schema
+///////////////////////////////////////////////////////////////////////
+/**
+ * Schema for the JSON documents made by Node.toJSON.  Documents hold a
+ *  top level version number.  Older documents are upgraded by the
+ *  registered migrations, one version at a time, and documents are
+ *  validated before Stage.load and Kinetic.Node.create build any nodes.
+ *  Attr specs are strings of type names separated by "|", arrays of
+ *  allowed values, or objects that hold the specs of nested attrs.  Attrs
+ *  without a spec, such as the attrs of custom shapes, aren't checked
+ * ex:
+ * Kinetic.Schema.registerMigration(1, function(doc) {<br>
+ *     // upgrade doc from version 1 to version 2<br>
+ *     return doc;<br>
+ * });
+ * @namespace
+ */
+Kinetic.Schema = {
+    version: 1,
+    migrations: {
+        // documents saved before the format was versioned are already valid version 1 documents
+        0: function(doc) {
+            return doc;
+        }
+    },
+    specs: {
+        Node: {
+            visible: 'boolean',
+            listening: 'boolean',
+            name: 'string',
+            id: 'string',
+            alpha: 'number',
+            x: 'number',
+            y: 'number',
+            scale: 'point',
+            rotation: 'number',
+            centerOffset: 'point',
+            dragConstraint: ['none', 'horizontal', 'vertical'],
+            dragBounds: {
+                left: 'number',
+                top: 'number',
+                right: 'number',
+                bottom: 'number'
+            },
+            draggable: 'boolean',
+            dragBoundFunc: 'function',
+            dragSnap: {
+                grid: 'number|point',
+                edges: 'boolean',
+                tolerance: 'number'
+            },
+            dragDistance: 'number',
+            dragInertia: 'boolean|object',
+            dropTarget: 'boolean',
+            selectable: 'boolean'
+        },
+        Stage: {
+            width: 'number',
+            height: 'number',
+            throttle: 'number',
+            marquee: 'boolean'
+        },
+        Layer: {
+            throttle: 'number',
+            autoDraw: 'boolean'
+        },
+        Group: {},
+        Shape: {
+            fill: 'string|object',
+            stroke: 'string',
+            strokeWidth: 'number',
+            lineJoin: ['miter', 'round', 'bevel'],
+            detectionType: ['path', 'pixel'],
+            shadow: {
+                color: 'string',
+                blur: 'number',
+                alpha: 'number',
+                offset: 'point'
+            },
+            drawFunc: 'function'
+        },
+        Circle: {
+            radius: 'number'
+        },
+        Image: {
+            image: 'image',
+            crop: {
+                x: 'number',
+                y: 'number',
+                width: 'number',
+                height: 'number'
+            },
+            width: 'number',
+            height: 'number'
+        },
+        Line: {
+            points: 'points',
+            lineCap: ['butt', 'round', 'square'],
+            dashArray: 'array'
+        },
+        Path: {
+            data: 'string'
+        },
+        Polygon: {
+            points: 'points'
+        },
+        Rect: {
+            width: 'number',
+            height: 'number',
+            cornerRadius: 'number'
+        },
+        RegularPolygon: {
+            radius: 'number',
+            sides: 'number'
+        },
+        Sprite: {
+            image: 'image',
+            animation: 'string',
+            animations: 'object',
+            index: 'number',
+            frameRate: 'number'
+        },
+        Star: {
+            numPoints: 'number',
+            innerRadius: 'number',
+            outerRadius: 'number'
+        },
+        Text: {
+            fontFamily: 'string',
+            text: 'string',
+            fontSize: 'number',
+            align: ['left', 'center', 'right'],
+            verticalAlign: ['top', 'middle', 'bottom'],
+            padding: 'number',
+            fontStyle: ['normal', 'italic', 'bold'],
+            width: 'number|string',
+            textFill: 'string|object',
+            textStroke: 'string',
+            textStrokeWidth: 'number'
+        },
+        Transformer: {
+            keepRatio: 'boolean',
+            resizeEnabled: 'boolean',
+            rotateEnabled: 'boolean',
+            rotationSnaps: 'array',
+            rotationSnapTolerance: 'number',
+            minWidth: 'number',
+            minHeight: 'number',
+            bounds: {
+                left: 'number',
+                top: 'number',
+                right: 'number',
+                bottom: 'number'
+            },
+            anchorSize: 'number',
+            anchorFill: 'string',
+            anchorStroke: 'string',
+            borderStroke: 'string',
+            rotateAnchorOffset: 'number'
+        }
+    },
+    // node types of the shape classes, found by creating an instance of each class once
+    nodeTypes: {},
+    /**
+     * register a migration that upgrades documents from a version to
+     *  the next version.  The function is passed a copy of the document,
+     *  and returns the upgraded document or changes it in place
+     * @param {Number} version version that the migration upgrades from
+     * @param {Function} func
+     */
+    registerMigration: function(version, func) {
+        this.migrations[version] = func;
+    },
+    /**
+     * register the attr specs of a shape type, such as a custom shape
+     *  class registered with Kinetic.Serializer
+     * @param {String} type
+     * @param {Object} spec
+     */
+    registerSpec: function(type, spec) {
+        this.specs[type] = spec;
+    },
+    /**
+     * get a copy of a document upgraded to the current version.
+     *  Documents without a version were saved before the format was
+     *  versioned.  Documents that are newer than the current version
+     *  throw an error
+     * @param {Object} doc
+     */
+    migrate: function(doc) {
+        if(!this._isObject(doc)) {
+            throw new Error('Kinetic.Schema: expected a document object');
+        }
+        var version = doc.version === undefined ? 0 : doc.version;
+        if( typeof version !== 'number' || version < 0 || version % 1 !== 0) {
+            throw new Error('Kinetic.Schema: invalid document version ' + JSON.stringify(version));
+        }
+        if(version > this.version) {
+            throw new Error('Kinetic.Schema: document version ' + version + ' is newer than the supported version ' + this.version);
+        }
+
+        doc = Kinetic.GlobalObject._clone(doc);
+        while(version < this.version) {
+            var migration = this.migrations[version];
+            if(migration !== undefined) {
+                var upgraded = migration(doc);
+                if(upgraded !== undefined) {
+                    doc = upgraded;
+                }
+            }
+            version++;
+            doc.version = version;
+        }
+        return doc;
+    },
+    /**
+     * validate a document in the current version.  Returns an array of
+     *  errors, which is empty if the document is valid.  Each error has a
+     *  path to the invalid value, such as children[0].attrs.radius, and
+     *  a message
+     * @param {Object} doc
+     */
+    validate: function(doc) {
+        var errors = [];
+        if(!this._isObject(doc)) {
+            this._addError(errors, '', 'expected a document object');
+            return errors;
+        }
+        if(doc.version !== this.version) {
+            this._addError(errors, 'version', 'expected version ' + this.version);
+        }
+        this._validateNode(doc, '', undefined, errors);
+        return errors;
+    },
+    /**
+     * migrate and validate a document.  Invalid documents throw an error
+     *  with an errors property that holds the validation errors
+     * @param {Object} doc
+     */
+    upgrade: function(doc) {
+        doc = this.migrate(doc);
+        var errors = this.validate(doc);
+        if(errors.length > 0) {
+            var messages = [];
+            for(var n = 0; n < errors.length; n++) {
+                messages.push(errors[n].path === '' ? errors[n].message : errors[n].path + ': ' + errors[n].message);
+            }
+            var err = new Error('Kinetic.Schema: invalid document, ' + messages.join('; '));
+            err.errors = errors;
+            throw err;
+        }
+        return doc;
+    },
+    /**
+     * validate a serialized node and its descendants
+     * @param {Object} obj
+     * @param {String} path
+     * @param {String} parentType node type of the parent, if there is one
+     * @param {Array} errors
+     */
+    _validateNode: function(obj, path, parentType, errors) {
+        var nodeType = obj.nodeType;
+        var shapeType = obj.shapeType;
+
+        if(nodeType !== 'Stage' && nodeType !== 'Layer' && nodeType !== 'Group' && nodeType !== 'Shape') {
+            this._addError(errors, this._join(path, 'nodeType'), 'unknown node type ' + JSON.stringify(nodeType));
+            return;
+        }
+        if(parentType !== undefined && !this._canContain(parentType, nodeType)) {
+            this._addError(errors, path, nodeType + ' nodes can\'t be added to ' + parentType + ' nodes');
+        }
+        if(shapeType !== undefined) {
+            var Type = this._getShapeClass(shapeType);
+            var shapeNodeType = Type === undefined ? undefined : this._getNodeType(shapeType, Type);
+            if(shapeNodeType === undefined) {
+                this._addError(errors, this._join(path, 'shapeType'), 'unknown shape type ' + JSON.stringify(shapeType));
+            }
+            else if(shapeNodeType !== nodeType) {
+                this._addError(errors, this._join(path, 'shapeType'), 'shape type ' + JSON.stringify(shapeType) + ' doesn\'t create ' + nodeType + ' nodes');
+            }
+        }
+
+        if(obj.attrs !== undefined) {
+            if(this._isObject(obj.attrs)) {
+                var attrsPath = this._join(path, 'attrs');
+                this._validateAttrs(obj.attrs, this.specs.Node, attrsPath, errors);
+                this._validateAttrs(obj.attrs, this.specs[nodeType], attrsPath, errors);
+                if( typeof shapeType === 'string' && this.specs.hasOwnProperty(shapeType)) {
+                    this._validateAttrs(obj.attrs, this.specs[shapeType], attrsPath, errors);
+                }
+            }
+            else {
+                this._addError(errors, this._join(path, 'attrs'), 'expected an object');
+            }
+        }
+
+        if(obj.listeners !== undefined) {
+            this._validateListeners(obj.listeners, this._join(path, 'listeners'), errors);
+        }
+
+        var children = obj.children;
+        if(children !== undefined) {
+            var childrenPath = this._join(path, 'children');
+            if(nodeType === 'Shape') {
+                this._addError(errors, childrenPath, 'shapes can\'t have children');
+            }
+            else if(!this._isArray(children)) {
+                this._addError(errors, childrenPath, 'expected an array');
+            }
+            else {
+                for(var n = 0; n < children.length; n++) {
+                    var childPath = childrenPath + '[' + n + ']';
+                    if(this._isObject(children[n])) {
+                        this._validateNode(children[n], childPath, nodeType, errors);
+                    }
+                    else {
+                        this._addError(errors, childPath, 'expected a node object');
+                    }
+                }
+            }
+        }
+    },
+    /**
+     * validate attrs against the specs of a type
+     * @param {Object} attrs
+     * @param {Object} specs
+     * @param {String} path
+     * @param {Array} errors
+     */
+    _validateAttrs: function(attrs, specs, path, errors) {
+        for(var key in specs) {
+            if(attrs[key] !== undefined) {
+                this._validateValue(attrs[key], specs[key], this._join(path, key), errors);
+            }
+        }
+    },
+    /**
+     * validate a value against a spec
+     * @param {Object} val
+     * @param {String|Array|Object} spec
+     * @param {String} path
+     * @param {Array} errors
+     */
+    _validateValue: function(val, spec, path, errors) {
+        // allowed values
+        if(this._isArray(spec)) {
+            for(var n = 0; n < spec.length; n++) {
+                if(val === spec[n]) {
+                    return;
+                }
+            }
+            this._addError(errors, path, 'expected one of ' + JSON.stringify(spec).slice(1, -1).replace(/,/g, ', '));
+        }
+        // nested attrs
+        else if( typeof spec === 'object') {
+            if(this._isObject(val)) {
+                this._validateAttrs(val, spec, path, errors);
+            }
+            else {
+                this._addError(errors, path, 'expected an object');
+            }
+        }
+        // type names
+        else {
+            var types = spec.split('|');
+            for(var n = 0; n < types.length; n++) {
+                if(this._isType(val, types[n])) {
+                    return;
+                }
+            }
+            this._addError(errors, path, 'expected ' + types.join(' or '));
+        }
+    },
+    /**
+     * validate serialized event listeners
+     * @param {Array} listeners
+     * @param {String} path
+     * @param {Array} errors
+     */
+    _validateListeners: function(listeners, path, errors) {
+        if(!this._isArray(listeners)) {
+            this._addError(errors, path, 'expected an array');
+            return;
+        }
+        for(var n = 0; n < listeners.length; n++) {
+            var listenerPath = path + '[' + n + ']';
+            if(this._isObject(listeners[n])) {
+                this._validateAttrs(listeners[n], {
+                    type: 'string',
+                    handler: 'string',
+                    capture: 'boolean'
+                }, listenerPath, errors);
+            }
+            else {
+                this._addError(errors, listenerPath, 'expected an object');
+            }
+        }
+    },
+    /**
+     * determine if a value is of a type
+     * @param {Object} val
+     * @param {String} type
+     */
+    _isType: function(val, type) {
+        switch(type) {
+            case 'number':
+                return typeof val === 'number' && isFinite(val);
+            case 'string':
+                return typeof val === 'string';
+            case 'boolean':
+                return typeof val === 'boolean';
+            case 'object':
+                return this._isObject(val);
+            case 'array':
+                return this._isArray(val);
+            case 'function':
+                return this._isObject(val) && typeof val.$func === 'string';
+            case 'image':
+                return this._isObject(val) && typeof val.$image === 'string';
+            case 'point':
+                return this._isObject(val) && (val.x === undefined || this._isType(val.x, 'number')) && (val.y === undefined || this._isType(val.y, 'number'));
+            case 'points':
+                if(!this._isArray(val)) {
+                    return false;
+                }
+                for(var n = 0; n < val.length; n++) {
+                    if(!this._isType(val[n], 'number') && !this._isType(val[n], 'point')) {
+                        return false;
+                    }
+                }
+                return true;
+        }
+        return false;
+    },
+    /**
+     * determine if a node type can be added to a container type
+     * @param {String} parentType
+     * @param {String} nodeType
+     */
+    _canContain: function(parentType, nodeType) {
+        if(parentType === 'Stage') {
+            return nodeType === 'Layer';
+        }
+        return parentType !== 'Shape' && (nodeType === 'Group' || nodeType === 'Shape');
+    },
+    /**
+     * get the class of a shape type that is registered with
+     *  Kinetic.Serializer or is a Kinetic class
+     * @param {String} type
+     */
+    _getShapeClass: function(type) {
+        if( typeof type !== 'string') {
+            return undefined;
+        }
+        var Type = Kinetic.Serializer.types.hasOwnProperty(type) ? Kinetic.Serializer.types[type] : Kinetic.hasOwnProperty(type) ? Kinetic[type] : undefined;
+        return typeof Type === 'function' ? Type : undefined;
+    },
+    /**
+     * get the node type of the nodes that a shape class creates.  Node
+     *  types are set by the constructors, so the class is instantiated
+     * @param {String} type
+     * @param {Function} Type
+     */
+    _getNodeType: function(type, Type) {
+        var cached = this.nodeTypes[type];
+        if(cached === undefined || cached.Type !== Type) {
+            var nodeType = undefined;
+            try {
+                nodeType = new Type({}).nodeType;
+            }
+            catch(e) {
+                // classes that can't be created without attrs have no node type
+            }
+            cached = this.nodeTypes[type] = {
+                Type: Type,
+                nodeType: nodeType
+            };
+        }
+        return cached.nodeType;
+    },
+    _isObject: function(val) {
+        return val !== null && typeof val === 'object' && !this._isArray(val);
+    },
+    _isArray: function(val) {
+        return Object.prototype.toString.call(val) === '[object Array]';
+    },
+    _join: function(path, key) {
+        return path === '' ? key : path + '.' + key;
+    },
+    _addError: function(errors, path, message) {
+        errors.push({
+            path: path,
+            message: message
+        });
+    }
+};
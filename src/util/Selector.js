@@ -0,0 +1,350 @@
+///////////////////////////////////////////////////////////////////////
+//  Selector
+///////////////////////////////////////////////////////////////////////
+/**
+ * Selector engine used by Container.get.  Selectors are made of node
+ *  types or shape types such as 'Group' and 'Rect', ids such as '#foo',
+ *  names such as '.bar', and attribute predicates such as '[alpha<0.5]'.
+ *  Selectors can be combined with descendant and child combinators, and
+ *  comma separated lists of selectors select the union of their matches
+ * @namespace
+ */
+Kinetic.Selector = {
+    cache: {},
+    cacheKeys: [],
+    cacheSize: 100,
+    /**
+     * get a collection of the descendants of a container that match
+     *  a selector in document order
+     * @param {Container} container
+     * @param {String} selector
+     */
+    select: function(container, selector) {
+        var selectors = this.parse(selector);
+        var arr = new Kinetic.Collection();
+        var that = this;
+
+        function traverse(cont) {
+            var children = cont.getChildren();
+            for(var n = 0; n < children.length; n++) {
+                var child = children[n];
+                if(that._matchSelectors(child, selectors)) {
+                    arr.push(child);
+                }
+                if(child.nodeType !== 'Shape') {
+                    traverse(child);
+                }
+            }
+        }
+        traverse(container);
+
+        return arr;
+    },
+    /**
+     * determine if a node matches a selector
+     * @param {Node} node
+     * @param {String} selector
+     */
+    matches: function(node, selector) {
+        return this._matchSelectors(node, this.parse(selector));
+    },
+    /**
+     * parse a selector string into a list of complex selectors.  Each
+     *  complex selector is a list of compound selectors, which hold the
+     *  combinator that joins them to the previous compound selector.
+     *  Invalid selectors throw an error with an offset property that holds
+     *  the character offset of the problem
+     * @param {String} selector
+     */
+    parse: function(selector) {
+        /*
+         * the cache keys are prefixed so that selectors such as toString
+         * and __proto__ don't clash with the properties of plain objects
+         */
+        var key = '$' + selector;
+        if(this.cache[key] !== undefined) {
+            return this.cache[key];
+        }
+
+        var str = selector;
+        var pos = 0;
+        var identRegex = /[^\s#.\[\],>]+/g;
+        var keyRegex = /[A-Za-z0-9_$.\-]+/g;
+        var numberRegex = /^[+\-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+\-]?\d+)?$/;
+        var selectors = [];
+        var complex = [];
+        var compound = undefined;
+        var combinator = undefined;
+
+        function error(message) {
+            var err = new Error('Kinetic.Selector: ' + message + ' at offset ' + pos + ' in selector "' + str + '"');
+            err.offset = pos;
+            throw err;
+        }
+        function match(regex) {
+            regex.lastIndex = pos;
+            var m = regex.exec(str);
+            if(m === null || m.index !== pos) {
+                return undefined;
+            }
+            pos += m[0].length;
+            return m[0];
+        }
+        function ident() {
+            var val = match(identRegex);
+            if(val === undefined) {
+                error('expected a name');
+            }
+            return val;
+        }
+        function skip() {
+            var start = pos;
+            while(pos < str.length && ' \t\r\n\f'.indexOf(str.charAt(pos)) !== -1) {
+                pos++;
+            }
+            return pos > start;
+        }
+        function getCompound() {
+            if(compound === undefined) {
+                compound = {
+                    combinator: combinator,
+                    type: undefined,
+                    id: undefined,
+                    names: [],
+                    attrs: []
+                };
+                combinator = undefined;
+            }
+            return compound;
+        }
+        function endCompound() {
+            if(compound === undefined) {
+                error('expected a selector');
+            }
+            complex.push(compound);
+            compound = undefined;
+        }
+        function attr() {
+            // opening bracket
+            pos++;
+            skip();
+            var key = match(keyRegex);
+            if(key === undefined) {
+                error('expected an attribute name');
+            }
+            skip();
+            var op = match(/!=|<=|>=|=|<|>/g);
+            var value = undefined;
+            if(op !== undefined) {
+                skip();
+                var quote = str.charAt(pos);
+                if(quote === '"' || quote === "'") {
+                    var end = str.indexOf(quote, pos + 1);
+                    if(end === -1) {
+                        error('unterminated string');
+                    }
+                    value = str.slice(pos + 1, end);
+                    pos = end + 1;
+                }
+                else {
+                    value = match(/[^\s\]]+/g);
+                    if(value === undefined) {
+                        error('expected an attribute value');
+                    }
+                    if(value === 'true' || value === 'false') {
+                        value = value === 'true';
+                    }
+                    else if(numberRegex.test(value)) {
+                        value = parseFloat(value);
+                    }
+                }
+                skip();
+            }
+            if(str.charAt(pos) !== ']') {
+                error('expected "]"');
+            }
+            pos++;
+            return {
+                key: key,
+                op: op,
+                value: value
+            };
+        }
+
+        skip();
+        while(pos < str.length) {
+            var ch = str.charAt(pos);
+
+            if(ch === '#') {
+                pos++;
+                getCompound().id = ident();
+            }
+            else if(ch === '.') {
+                pos++;
+                getCompound().names.push(ident());
+            }
+            else if(ch === '[') {
+                getCompound().attrs.push(attr());
+            }
+            else if(ch === '>') {
+                endCompound();
+                pos++;
+                skip();
+                combinator = '>';
+                continue;
+            }
+            else if(ch === ',') {
+                endCompound();
+                selectors.push(complex);
+                complex = [];
+                pos++;
+                skip();
+                continue;
+            }
+            else {
+                if(compound !== undefined) {
+                    error('unexpected character "' + ch + '"');
+                }
+                getCompound().type = ident();
+            }
+
+            // white space followed by another selector is a descendant combinator
+            if(skip() && pos < str.length && str.charAt(pos) !== '>' && str.charAt(pos) !== ',') {
+                endCompound();
+                combinator = ' ';
+            }
+        }
+
+        endCompound();
+        selectors.push(complex);
+
+        this._cacheSelectors(key, selectors);
+        return selectors;
+    },
+    /**
+     * cache a parsed selector.  The oldest selectors are dropped once
+     *  the cache is full, so that dynamic selectors such as ids built
+     *  at runtime don't grow it forever
+     * @param {String} key prefixed selector
+     * @param {Array} selectors
+     */
+    _cacheSelectors: function(key, selectors) {
+        if(this.cacheKeys.length >= this.cacheSize) {
+            delete this.cache[this.cacheKeys.shift()];
+        }
+        this.cache[key] = selectors;
+        this.cacheKeys.push(key);
+    },
+    /**
+     * determine if a node matches any selector in a list
+     * @param {Node} node
+     * @param {Array} selectors
+     */
+    _matchSelectors: function(node, selectors) {
+        for(var n = 0; n < selectors.length; n++) {
+            var complex = selectors[n];
+            if(this._matchComplex(node, complex, complex.length - 1)) {
+                return true;
+            }
+        }
+        return false;
+    },
+    /**
+     * match a complex selector from right to left
+     * @param {Node} node
+     * @param {Array} complex
+     * @param {Number} index
+     */
+    _matchComplex: function(node, complex, index) {
+        var compound = complex[index];
+        if(!this._matchCompound(node, compound)) {
+            return false;
+        }
+        if(index === 0) {
+            return true;
+        }
+
+        var parent = node.getParent();
+        if(compound.combinator === '>') {
+            return parent !== undefined && this._matchComplex(parent, complex, index - 1);
+        }
+
+        while(parent !== undefined) {
+            if(this._matchComplex(parent, complex, index - 1)) {
+                return true;
+            }
+            parent = parent.getParent();
+        }
+        return false;
+    },
+    /**
+     * match a compound selector
+     * @param {Node} node
+     * @param {Object} compound
+     */
+    _matchCompound: function(node, compound) {
+        var type = compound.type;
+        if(type !== undefined && type !== '*' && node.nodeType !== type && node.shapeType !== type) {
+            return false;
+        }
+        if(compound.id !== undefined && node.attrs.id !== compound.id) {
+            return false;
+        }
+        if(compound.names.length > 0) {
+            var names = node.attrs.name === undefined ? [] : node.attrs.name.split(/\s+/);
+            for(var n = 0; n < compound.names.length; n++) {
+                var found = false;
+                for(var i = 0; i < names.length; i++) {
+                    if(names[i] === compound.names[n]) {
+                        found = true;
+                        break;
+                    }
+                }
+                if(!found) {
+                    return false;
+                }
+            }
+        }
+        for(var n = 0; n < compound.attrs.length; n++) {
+            if(!this._matchAttr(node, compound.attrs[n])) {
+                return false;
+            }
+        }
+        return true;
+    },
+    /**
+     * match an attribute predicate.  Dotted keys such as scale.x
+     *  select nested attrs
+     * @param {Node} node
+     * @param {Object} pred
+     */
+    _matchAttr: function(node, pred) {
+        var val = node.attrs;
+        var keys = pred.key.split('.');
+        for(var n = 0; n < keys.length; n++) {
+            if(val === undefined || val === null) {
+                return false;
+            }
+            val = val[keys[n]];
+        }
+
+        var value = pred.value;
+        switch(pred.op) {
+            case undefined:
+                return val !== undefined;
+            case '=':
+                return typeof value === 'string' ? val !== undefined && String(val) === value : val === value;
+            case '!=':
+                return typeof value === 'string' ? val === undefined || String(val) !== value : val !== value;
+            case '<':
+                return typeof val === 'number' && val < value;
+            case '<=':
+                return typeof val === 'number' && val <= value;
+            case '>':
+                return typeof val === 'number' && val > value;
+            case '>=':
+                return typeof val === 'number' && val >= value;
+        }
+        return false;
+    }
+};
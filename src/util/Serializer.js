@@ -0,0 +1,418 @@
+///////////////////////////////////////////////////////////////////////
+//  Serializer
+///////////////////////////////////////////////////////////////////////
+/**
+ * Serializer used by Node.toJSON, Kinetic.Node.create, and Stage.load.
+ *  Nodes are serialized into plain objects without changing their attrs.
+ *  Images and canvases are stored as src or data URLs, and functions such
+ *  as drawFuncs and event handlers are stored by the names that they're
+ *  registered with.  Functions that aren't registered, and other DOM
+ *  elements, are left out.  Custom shape classes are registered under a
+ *  type name so that they can be rebuilt
+ * ex:
+ * Kinetic.Serializer.registerType('Triangle', Triangle);
+ * Kinetic.Serializer.registerFunc('highlight', highlight);
+ * @namespace
+ */
+Kinetic.Serializer = {
+    types: {},
+    funcs: {},
+    /**
+     * register a custom node class under a type name.  Nodes that are
+     *  instances of the class are serialized with the type name as their
+     *  shapeType, and are rebuilt by calling the class with their attrs.
+     *  Children of custom classes aren't serialized, because the class is
+     *  expected to create them
+     * @param {String} name
+     * @param {Function} constructor
+     */
+    registerType: function(name, constructor) {
+        this.types[name] = constructor;
+    },
+    /**
+     * register a function, such as a drawFunc or an event handler, under
+     *  a name.  Attrs and event listeners that use the function are
+     *  serialized with the name
+     * @param {String} name
+     * @param {Function} func
+     */
+    registerFunc: function(name, func) {
+        this.funcs[name] = func;
+    },
+    /**
+     * serialize a node and its descendants into a plain object that can
+     *  be passed to JSON.stringify
+     * @param {Node} node
+     */
+    serialize: function(node) {
+        var obj = {};
+        var type = this._getTypeName(node);
+
+        obj.attrs = this._serializeAttrs(node.attrs);
+        obj.nodeType = node.nodeType;
+        obj.shapeType = type !== undefined ? type : node.shapeType;
+
+        var listeners = this._serializeListeners(node);
+        if(listeners.length > 0) {
+            obj.listeners = listeners;
+        }
+
+        if(node.nodeType !== 'Shape' && obj.shapeType === undefined) {
+            obj.children = [];
+            var children = node.getChildren();
+            for(var n = 0; n < children.length; n++) {
+                obj.children.push(this.serialize(children[n]));
+            }
+        }
+
+        return obj;
+    },
+    /**
+     * serialize a node into a document, which is a serialized node
+     *  with the version of the format at the top level
+     * @param {Node} node
+     */
+    serializeDocument: function(node) {
+        var doc = {
+            version: Kinetic.Schema.version
+        };
+        var obj = this.serialize(node);
+        for(var key in obj) {
+            doc[key] = obj[key];
+        }
+        return doc;
+    },
+    /**
+     * create a detached node and its descendants from a serialized
+     *  object in the current version.  Use Kinetic.Schema.upgrade to
+     *  migrate and validate documents first.  The callback is called once
+     *  all of the images have loaded
+     * @param {Object} obj
+     * @param {Function} [callback]
+     */
+    create: function(obj, callback) {
+        if(obj.nodeType === 'Stage') {
+            throw new Error('Kinetic.Serializer: stages can\'t be created, use Stage.load instead');
+        }
+
+        var loader = {
+            pending: 1,
+            callback: callback
+        };
+        var node = this._createNode(obj, loader);
+        this._done(loader);
+        return node;
+    },
+    /**
+     * load the attrs, listeners, and children of a serialized object in
+     *  the current version into an existing container, such as a stage.
+     *  The callback is called once all of the images have loaded
+     * @param {Container} container
+     * @param {Object} obj
+     * @param {Function} [callback]
+     */
+    load: function(container, obj, callback) {
+        var loader = {
+            pending: 1,
+            callback: callback
+        };
+        var deferred = {};
+
+        container.attrs = this._deserializeAttrs(obj.attrs, loader, deferred);
+        this._loadDeferred(container, deferred, loader);
+        this._deserializeListeners(container, obj);
+        this._deserializeChildren(container, obj, loader);
+
+        // release the hold on the callback now that every image has been requested
+        this._done(loader);
+    },
+    /**
+     * get the registered type name of a node
+     * @param {Node} node
+     */
+    _getTypeName: function(node) {
+        for(var name in this.types) {
+            if( node instanceof this.types[name]) {
+                return name;
+            }
+        }
+        return undefined;
+    },
+    /**
+     * get the registered name of a function
+     * @param {Function} func
+     */
+    _getFuncName: function(func) {
+        for(var name in this.funcs) {
+            if(this.funcs[name] === func) {
+                return name;
+            }
+        }
+        return undefined;
+    },
+    /**
+     * copy attrs into a plain object.  Values that can't be serialized are
+     *  left out so that they aren't added to the JSON
+     * @param {Object} attrs
+     */
+    _serializeAttrs: function(attrs) {
+        var obj = {};
+        for(var key in attrs) {
+            var val = this._serializeValue(attrs[key]);
+            if(val !== undefined) {
+                obj[key] = val;
+            }
+        }
+        return obj;
+    },
+    /**
+     * serialize an attr value.  Returns undefined if the value
+     *  can't be serialized
+     * @param {Object} val
+     */
+    _serializeValue: function(val) {
+        var go = Kinetic.GlobalObject;
+        if(val === null || ( typeof val !== 'object' && typeof val !== 'function')) {
+            return val;
+        }
+        if(go._isFunction(val)) {
+            var name = this._getFuncName(val);
+            return name === undefined ? undefined : {
+                $func: name
+            };
+        }
+        if(go._isElement(val)) {
+            var src = this._getImageSrc(val);
+            return src === undefined ? undefined : {
+                $image: src
+            };
+        }
+        if(Object.prototype.toString.call(val) === '[object Array]') {
+            var arr = [];
+            for(var n = 0; n < val.length; n++) {
+                var item = this._serializeValue(val[n]);
+                arr.push(item === undefined ? null : item);
+            }
+            return arr;
+        }
+        if(go._hasMethods(val)) {
+            return undefined;
+        }
+        return this._serializeAttrs(val);
+    },
+    /**
+     * get the src of an image, or a data URL for a canvas.  Returns
+     *  undefined for other DOM elements
+     * @param {Element} el
+     */
+    _getImageSrc: function(el) {
+        if(el.tagName === 'IMG' && el.src) {
+            return el.src;
+        }
+        if(el.tagName === 'CANVAS' && el.toDataURL !== undefined) {
+            try {
+                return el.toDataURL();
+            }
+            catch(e) {
+                // canvases with images from other domains can't be read back
+            }
+        }
+        return undefined;
+    },
+    /**
+     * serialize the event listeners of a node whose handlers
+     *  have been registered
+     * @param {Node} node
+     */
+    _serializeListeners: function(node) {
+        var listeners = [];
+        for(var type in node.eventListeners) {
+            var events = node.eventListeners[type];
+            for(var n = 0; n < events.length; n++) {
+                var name = this._getFuncName(events[n].handler);
+                if(name !== undefined) {
+                    var listener = {
+                        type: events[n].name === '' ? type : type + '.' + events[n].name,
+                        handler: name
+                    };
+                    if(events[n].capture) {
+                        listener.capture = true;
+                    }
+                    listeners.push(listener);
+                }
+            }
+        }
+        return listeners;
+    },
+    /**
+     * create nodes for the serialized children of an object and
+     *  add them to a container
+     * @param {Container} container
+     * @param {Object} obj
+     * @param {Object} loader
+     */
+    _deserializeChildren: function(container, obj, loader) {
+        var children = obj.children;
+        if(children === undefined) {
+            return;
+        }
+        for(var n = 0; n < children.length; n++) {
+            container.add(this._createNode(children[n], loader));
+        }
+    },
+    /**
+     * create a node and its descendants from a serialized object
+     * @param {Object} obj
+     * @param {Object} loader
+     */
+    _createNode: function(obj, loader) {
+        var deferred = {};
+        var Type = this._getConstructor(obj);
+        var node = new Type(this._deserializeAttrs(obj.attrs, loader, deferred));
+        this._loadDeferred(node, deferred, loader);
+        this._deserializeListeners(node, obj);
+        this._deserializeChildren(node, obj, loader);
+        return node;
+    },
+    /**
+     * get the class to rebuild a serialized node with.  Registered types
+     *  are used first, then the Kinetic classes
+     * @param {Object} obj
+     */
+    _getConstructor: function(obj) {
+        var type = obj.shapeType;
+        if(type !== undefined && this.types[type] !== undefined) {
+            return this.types[type];
+        }
+        if(type !== undefined) {
+            return Kinetic[type];
+        }
+        return Kinetic[obj.nodeType];
+    },
+    /**
+     * deserialize attrs.  Top level attrs that hold images are set to
+     *  undefined and added to the deferred object, so that they're only set
+     *  once their images have loaded
+     * @param {Object} attrs
+     * @param {Object} loader
+     * @param {Object} deferred
+     */
+    _deserializeAttrs: function(attrs, loader, deferred) {
+        var obj = {};
+        for(var key in attrs) {
+            var images = [];
+            obj[key] = this._deserializeValue(attrs[key], images);
+            if(images.length > 0) {
+                deferred[key] = {
+                    val: obj[key],
+                    images: images
+                };
+                obj[key] = undefined;
+            }
+        }
+        return obj;
+    },
+    /**
+     * deserialize an attr value.  Images are created for image
+     *  URLs and added to the images array
+     * @param {Object} val
+     * @param {Array} images
+     */
+    _deserializeValue: function(val, images) {
+        if(val === null || typeof val !== 'object') {
+            return val;
+        }
+        if(Object.prototype.toString.call(val) === '[object Array]') {
+            var arr = [];
+            for(var n = 0; n < val.length; n++) {
+                arr.push(this._deserializeValue(val[n], images));
+            }
+            return arr;
+        }
+        if(val.$func !== undefined) {
+            return this.funcs[val.$func];
+        }
+        if(val.$image !== undefined) {
+            var image = new Image();
+            images.push({
+                image: image,
+                src: val.$image
+            });
+            return image;
+        }
+        var obj = {};
+        for(var key in val) {
+            obj[key] = this._deserializeValue(val[key], images);
+        }
+        return obj;
+    },
+    /**
+     * load the images of deferred attrs, and set each attr once all of
+     *  its images have loaded.  Attrs with images that fail to load
+     *  aren't set, so that broken images aren't drawn
+     * @param {Node} node
+     * @param {Object} deferred
+     * @param {Object} loader
+     */
+    _loadDeferred: function(node, deferred, loader) {
+        var that = this;
+
+        function loadAttr(key, item) {
+            var remaining = item.images.length;
+            var failed = false;
+
+            function onDone() {
+                remaining--;
+                if(remaining === 0 && !failed) {
+                    var oldVal = node.attrs[key];
+                    node.attrs[key] = item.val;
+                    // loading an image isn't an edit, so it isn't recorded in the history
+                    node._fireChangeEvent(key, oldVal, item.val, false);
+                }
+                that._done(loader);
+            }
+            for(var n = 0; n < item.images.length; n++) {
+                var image = item.images[n].image;
+                loader.pending++;
+                image.onload = onDone;
+                image.onerror = function() {
+                    failed = true;
+                    onDone();
+                };
+                image.src = item.images[n].src;
+            }
+        }
+
+        for(var key in deferred) {
+            loadAttr(key, deferred[key]);
+        }
+    },
+    /**
+     * add the serialized event listeners of an object to a node
+     * @param {Node} node
+     * @param {Object} obj
+     */
+    _deserializeListeners: function(node, obj) {
+        var listeners = obj.listeners;
+        if(listeners === undefined) {
+            return;
+        }
+        for(var n = 0; n < listeners.length; n++) {
+            var handler = this.funcs[listeners[n].handler];
+            if(handler !== undefined) {
+                node.on(listeners[n].type, handler, listeners[n].capture);
+            }
+        }
+    },
+    /**
+     * mark a pending image or load step as done, and call the
+     *  callback when nothing is pending
+     * @param {Object} loader
+     */
+    _done: function(loader) {
+        loader.pending--;
+        if(loader.pending === 0 && loader.callback !== undefined) {
+            loader.callback();
+        }
+    }
+};
@@ -17,16 +17,19 @@ Kinetic.Transition = function(node, config) {
     this.tweens = [];
     var that = this;
 
-    // add tween for each property
-    function addTween(c, attrs) {
+    /*
+     * add tween for each property.  attr is the top level attr
+     * that the property belongs to, such as scale for scale.x
+     */
+    function addTween(c, attrs, attr) {
         for(var key in c) {
             if(key !== 'duration' && key !== 'easing' && key !== 'callback') {
                 // if val is an object then traverse
                 if(Kinetic.GlobalObject._isObject(c[key])) {
-                    addTween(c[key], attrs[key]);
+                    addTween(c[key], attrs[key], attr === undefined ? key : attr);
                 }
                 else {
-                    that._add(that._getTween(attrs, key, c[key]));
+                    that._add(that._getTween(attrs, key, c[key], attr === undefined ? key : attr));
                 }
             }
         }
@@ -80,7 +83,8 @@ Kinetic.Transition.prototype = {
     _add: function(tween) {
         this.tweens.push(tween);
     },
-    _getTween: function(key, prop, val) {
+    _getTween: function(key, prop, val, attr) {
+        var go = Kinetic.GlobalObject;
         var config = this.config;
         var node = this.node;
         var easing = config.easing;
@@ -89,7 +93,12 @@ Kinetic.Transition.prototype = {
         }
 
         var tween = new Kinetic.Tween(node, function(i) {
+            var oldVal = go._clone(node.attrs[attr]);
             key[prop] = i;
+            if(!go._isEqual(oldVal, node.attrs[attr])) {
+                // the history records the end result of the transition instead
+                node._fireChangeEvent(attr, oldVal, node.attrs[attr], false);
+            }
         }, Kinetic.Tweens[easing], key[prop], val, config.duration);
 
         return tween;
@@ -12,6 +12,30 @@ function test(condition, message) {
 function log(message) {
     console.log("LOG: " + message);
 }
+/**
+ * simulate a mouse event at a point in stage coordinates
+ * @param {Stage} stage
+ * @param {String} type event type such as mousedown
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Object} [props] extra event properties such as shiftKey
+ */
+function simulateMouse(stage, type, x, y, props) {
+    var pos = stage._getContentPosition();
+    var evt = {
+        type: type,
+        clientX: x + pos.left - window.pageXOffset,
+        clientY: y + pos.top - window.pageYOffset,
+        preventDefault: function() {
+        }
+    };
+    for(var key in props) {
+        evt[key] = props[key];
+    }
+    // reset the throttle so that every simulated event is handled
+    stage.lastEventTime = 0;
+    stage._handleInput(evt);
+}
 /**
  * Test constructor
  */
@@ -1163,6 +1163,457 @@ Test.prototype.tests = {
         layer.add(redCircle);
         stage.add(layer);
     },
+    'EVENTS - click a shape to focus it, then nudge it with arrow keys or remove it with delete': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+
+        for(var n = 0; n < 3; n++) {
+            var rect = new Kinetic.Rect({
+                x: 100 + n * 150,
+                y: 75,
+                width: 80,
+                height: 50,
+                fill: 'green',
+                stroke: 'black',
+                strokeWidth: 4
+            });
+
+            rect.on('click tap', function() {
+                this.focus();
+            });
+            rect.on('focus', function() {
+                this.setFill('red');
+                layer.draw();
+            });
+            rect.on('blur', function() {
+                this.setFill('green');
+                layer.draw();
+            });
+
+            layer.add(rect);
+        }
+
+        layer.on('keydown', function(evt) {
+            var shape = evt.target;
+            var keyCode = evt.evt.keyCode;
+            var moves = {
+                37: [-5, 0],
+                38: [0, -5],
+                39: [5, 0],
+                40: [0, 5]
+            };
+            if(moves[keyCode] !== undefined) {
+                shape.move(moves[keyCode][0], moves[keyCode][1]);
+                evt.preventDefault();
+            }
+            else if(keyCode === 46 || keyCode === 8) {
+                layer.remove(shape);
+                evt.preventDefault();
+            }
+            layer.draw();
+        });
+
+        stage.add(layer);
+    },
+    'EVENTS - pinch and rotate a group with two fingers': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group({
+            x: stage.getWidth() / 2,
+            y: stage.getHeight() / 2
+        });
+        var rect = new Kinetic.Rect({
+            width: 200,
+            height: 100,
+            fill: 'green',
+            stroke: 'black',
+            strokeWidth: 4,
+            centerOffset: [100, 50]
+        });
+
+        group.on('pinchmove', function(evt) {
+            var scale = this.getScale();
+            this.setScale(scale.x * evt.scaleDelta, scale.y * evt.scaleDelta);
+            layer.draw();
+        });
+        group.on('rotatemove', function(evt) {
+            this.rotate(evt.rotationDelta);
+            layer.draw();
+        });
+        group.on('pinchstart', function() {
+            log('pinchstart');
+        });
+        group.on('pinchend', function() {
+            log('pinchend');
+        });
+
+        group.add(rect);
+        layer.add(group);
+        stage.add(layer);
+    },
+    'DRAG AND DROP - resize and rotate shapes with a transformer': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var rect = new Kinetic.Rect({
+            x: 100,
+            y: 60,
+            width: 150,
+            height: 80,
+            fill: 'green',
+            stroke: 'black',
+            strokeWidth: 4,
+            draggable: true
+        });
+        var star = new Kinetic.Star({
+            x: 420,
+            y: 100,
+            numPoints: 5,
+            innerRadius: 25,
+            outerRadius: 50,
+            fill: 'yellow',
+            stroke: 'black',
+            strokeWidth: 4,
+            draggable: true
+        });
+        var tr = new Kinetic.Transformer({
+            rotationSnaps: [0, 90, 180, 270],
+            bounds: {
+                left: 0,
+                top: 0,
+                right: stage.getWidth(),
+                bottom: stage.getHeight()
+            }
+        });
+
+        layer.add(rect);
+        layer.add(star);
+        layer.add(tr);
+        stage.add(layer);
+
+        // click a shape to select it, and shift click to add it to the selection
+        rect.on('click', function(evt) {
+            tr.attachTo(evt.evt.shiftKey ? tr.getNodes().concat([rect]) : rect);
+            layer.draw();
+        });
+        star.on('click', function(evt) {
+            tr.attachTo(evt.evt.shiftKey ? tr.getNodes().concat([star]) : star);
+            layer.draw();
+        });
+        tr.on('transformend', function(evt) {
+            log('transformend with the ' + evt.anchor + ' anchor');
+        });
+    },
+    'DRAG AND DROP - snap to a grid and to sibling edges, and drag along a circle': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var gridRect = new Kinetic.Rect({
+            x: 20,
+            y: 20,
+            width: 60,
+            height: 60,
+            fill: 'green',
+            stroke: 'black',
+            strokeWidth: 4,
+            draggable: true,
+            dragDistance: 5,
+            dragSnap: {
+                grid: 20
+            }
+        });
+        var edgeRect = new Kinetic.Rect({
+            x: 200,
+            y: 100,
+            width: 80,
+            height: 60,
+            fill: 'blue',
+            stroke: 'black',
+            strokeWidth: 4,
+            draggable: true,
+            dragSnap: {
+                edges: true,
+                tolerance: 10
+            }
+        });
+        var circle = new Kinetic.Circle({
+            x: 470,
+            y: 30,
+            radius: 15,
+            fill: 'red',
+            stroke: 'black',
+            strokeWidth: 4,
+            draggable: true,
+            // keep the circle on a track around 470, 100
+            dragBoundFunc: function(pos) {
+                var angle = Math.atan2(pos.y - 100, pos.x - 470);
+                return {
+                    x: 470 + 70 * Math.cos(angle),
+                    y: 100 + 70 * Math.sin(angle)
+                };
+            }
+        });
+
+        layer.add(gridRect);
+        layer.add(edgeRect);
+        layer.add(circle);
+        stage.add(layer);
+
+        gridRect.on('click', function() {
+            log('clicked without dragging');
+        });
+    },
+    'DRAG AND DROP - flick the stage and shapes with drag inertia': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200,
+            draggable: true,
+            dragInertia: true
+        });
+        var layer = new Kinetic.Layer();
+
+        for(var n = 0; n < 20; n++) {
+            layer.add(new Kinetic.Circle({
+                x: n * 60,
+                y: 100 + Math.sin(n) * 60,
+                radius: 20,
+                fill: n % 2 === 0 ? 'green' : 'blue',
+                stroke: 'black',
+                strokeWidth: 4
+            }));
+        }
+        var puck = new Kinetic.Rect({
+            x: 250,
+            y: 80,
+            width: 40,
+            height: 40,
+            fill: 'red',
+            stroke: 'black',
+            strokeWidth: 4,
+            draggable: true,
+            dragConstraint: 'horizontal',
+            dragBounds: {
+                left: 0,
+                right: 538
+            },
+            dragInertia: {
+                friction: 0.9
+            }
+        });
+        layer.add(puck);
+        stage.add(layer);
+
+        // flick the background to scroll, and flick the red square along its track
+        puck.on('dragstop', function() {
+            log('puck stopped at ' + Math.round(puck.getX()));
+        });
+        stage.on('dragstop', function(evt) {
+            if(evt.target === stage) {
+                log('stage stopped at ' + Math.round(stage.getX()));
+            }
+        });
+    },
+    'DRAG AND DROP - undo and redo drags with a history': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var colors = ['red', 'orange', 'yellow', 'green', 'blue'];
+
+        for(var n = 0; n < colors.length; n++) {
+            layer.add(new Kinetic.Rect({
+                x: 150 + n * 60,
+                y: 60,
+                width: 50,
+                height: 50,
+                fill: colors[n],
+                stroke: 'black',
+                strokeWidth: 4,
+                draggable: true
+            }));
+        }
+        var undoButton = new Kinetic.Text({
+            x: 10,
+            y: 10,
+            text: 'undo',
+            fontSize: 14,
+            textFill: 'white',
+            fill: 'black',
+            padding: 10
+        });
+        var redoButton = new Kinetic.Text({
+            x: 10,
+            y: 60,
+            text: 'redo',
+            fontSize: 14,
+            textFill: 'white',
+            fill: 'black',
+            padding: 10
+        });
+        layer.add(undoButton);
+        layer.add(redoButton);
+        stage.add(layer);
+
+        // each drag is undone in one step, and double clicking a square moves it to the top
+        var history = new Kinetic.History(stage);
+        undoButton.on('click', function() {
+            history.undo();
+        });
+        redoButton.on('click', function() {
+            history.redo();
+        });
+        layer.on('dblclick', function(evt) {
+            if(evt.shape.shapeType === 'Rect') {
+                evt.shape.moveToTop();
+                layer.draw();
+            }
+        });
+        history.on('change', function(evt) {
+            log(evt.action + ' ' + (evt.transaction.label || 'change') + ', can undo: ' + history.canUndo() + ', can redo: ' + history.canRedo());
+        });
+    },
+    'DRAG AND DROP - mirror drags on a peer stage with patches': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var colors = ['red', 'orange', 'yellow', 'green', 'blue'];
+
+        for(var n = 0; n < colors.length; n++) {
+            layer.add(new Kinetic.Rect({
+                x: 150 + n * 60,
+                y: 60,
+                width: 50,
+                height: 50,
+                fill: colors[n],
+                stroke: 'black',
+                strokeWidth: 4,
+                draggable: true,
+                id: colors[n]
+            }));
+        }
+        stage.add(layer);
+
+        // the peer is drawn below the stage, and each drag is sent to it as a patch
+        var peer = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var json = stage.toJSON();
+        peer.load(json);
+
+        layer.on('dragend', function(evt) {
+            evt.shape.moveToTop();
+            layer.draw();
+
+            var newJson = stage.toJSON();
+            var patch = Kinetic.diff(json, newJson);
+            json = newJson;
+            peer.applyPatch(JSON.parse(JSON.stringify(patch)));
+            log(patch.ops.length + ' operations, peer matches: ' + (peer.toJSON() === json));
+        });
+    },
+    'DRAG AND DROP - drop shapes onto drop targets': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var columns = ['todo', 'done'];
+
+        for(var n = 0; n < columns.length; n++) {
+            layer.add(new Kinetic.Rect({
+                name: columns[n],
+                x: 200 + n * 190,
+                y: 10,
+                width: 170,
+                height: 180,
+                fill: '#ddd',
+                stroke: 'black',
+                strokeWidth: 2,
+                dropTarget: true
+            }));
+        }
+        var card = new Kinetic.Rect({
+            x: 50,
+            y: 70,
+            width: 100,
+            height: 60,
+            fill: 'green',
+            stroke: 'black',
+            strokeWidth: 4,
+            draggable: true
+        });
+        layer.add(card);
+        stage.add(layer);
+
+        // drag the card over the columns and drop it
+        layer.on('dragenter', function(evt) {
+            evt.target.setFill('#aaf');
+            layer.draw();
+        });
+        layer.on('dragleave drop', function(evt) {
+            evt.target.setFill('#ddd');
+            layer.draw();
+        });
+        layer.on('drop', function(evt) {
+            log('dropped onto ' + evt.target.getName());
+        });
+    },
+    'DRAG AND DROP - select shapes with clicks and a marquee': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200,
+            marquee: true
+        });
+        var layer = new Kinetic.Layer();
+        var tr = new Kinetic.Transformer();
+
+        for(var n = 0; n < 4; n++) {
+            layer.add(new Kinetic.Rect({
+                x: 40 + n * 130,
+                y: 60,
+                width: 80,
+                height: 80,
+                fill: n === 3 ? 'gray' : 'green',
+                stroke: 'black',
+                strokeWidth: 4,
+                draggable: true,
+                selectable: n !== 3
+            }));
+        }
+        layer.add(tr);
+        stage.add(layer);
+
+        // drag a marquee around the green shapes, and shift click to toggle them
+        stage.on('selectionchange', function() {
+            tr.attachTo(stage.getSelection().toArray());
+            layer.draw();
+            log('selected ' + stage.getSelection().length + ' shapes');
+        });
+    },
     'DRAG AND DROP - custom draw func and drag and drop layer': function(containerId) {
         var stage = new Kinetic.Stage({
             container: containerId,
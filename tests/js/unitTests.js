@@ -232,7 +232,7 @@ Test.prototype.tests = {
         group.add(circle);
         layer.draw();
 
-        var expectedJson = '{"attrs":{"width":578,"height":200,"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Stage","children":[{"attrs":{"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Layer","children":[{"attrs":{"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Group","children":[{"attrs":{"radius":70,"fill":"green","stroke":"black","strokeWidth":4,"detectionType":"path","shadow":{"blur":10,"alpha":1,"offset":{"x":0,"y":0}},"visible":true,"listening":true,"name":"myCircle","alpha":1,"x":289,"y":100,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":true},"nodeType":"Shape","shapeType":"Circle"}]}]}]}';
+        var expectedJson = '{"version":1,"attrs":{"width":578,"height":200,"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Stage","children":[{"attrs":{"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Layer","children":[{"attrs":{"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Group","children":[{"attrs":{"radius":70,"fill":"green","stroke":"black","strokeWidth":4,"detectionType":"path","shadow":{"blur":10,"alpha":1,"offset":{"x":0,"y":0}},"visible":true,"listening":true,"name":"myCircle","alpha":1,"x":289,"y":100,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":true},"nodeType":"Shape","shapeType":"Circle"}]}]}]}';
         test(stage.toJSON() === expectedJson, 'problem with serialization');
     },
     'STAGE - reset stage': function(containerId) {
@@ -320,7 +320,8 @@ Test.prototype.tests = {
         var json = '{"attrs":{"width":578,"height":200,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Stage","children":[{"attrs":{"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Layer","children":[{"attrs":{"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Group","children":[{"attrs":{"radius":70,"fill":"green","stroke":"black","strokeWidth":4,"detectionType":"path","shadow":{"blur":10,"alpha":1,"offset":{"x":0,"y":0}},"visible":true,"listening":true,"name":"myCircle","alpha":1,"x":289,"y":100,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":true},"nodeType":"Shape","shapeType":"Circle"}]}]}]}';
         stage.load(json);
 
-        test(stage.toJSON() === json, "problem loading stage with json");
+        // the json was saved before the format was versioned
+        test(stage.toJSON() === '{"version":1,' + json.slice(1), "problem loading stage with json");
     },
     'STAGE - serialize stage with custom shape': function(containerId) {
         var stage = new Kinetic.Stage({
@@ -356,7 +357,7 @@ Test.prototype.tests = {
 
         test(triangle.getId() === 'myTriangle', 'triangle id should be myTriangle');
 
-        var expectedJson = '{"attrs":{"width":578,"height":200,"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Stage","children":[{"attrs":{"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Layer","children":[{"attrs":{"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Group","children":[{"attrs":{"fill":"#00D2FF","stroke":"black","strokeWidth":4,"detectionType":"path","shadow":{"blur":10,"alpha":1,"offset":{"x":0,"y":0}},"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false,"id":"myTriangle"},"nodeType":"Shape"}]}]}]}';
+        var expectedJson = '{"version":1,"attrs":{"width":578,"height":200,"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Stage","children":[{"attrs":{"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Layer","children":[{"attrs":{"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Group","children":[{"attrs":{"fill":"#00D2FF","stroke":"black","strokeWidth":4,"detectionType":"path","shadow":{"blur":10,"alpha":1,"offset":{"x":0,"y":0}},"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false,"id":"myTriangle"},"nodeType":"Shape"}]}]}]}';
         test(stage.toJSON() === expectedJson, "problem serializing stage with custom shape");
     },
     'STAGE - load stage with custom shape using json': function(containerId) {
@@ -384,7 +385,8 @@ Test.prototype.tests = {
         customShape.setDrawFunc(drawTriangle);
 
         stage.draw();
-        test(stage.toJSON() === json, "problem loading stage with custom shape json");
+        // the json was saved before the format was versioned
+        test(stage.toJSON() === '{"version":1,' + json.slice(1), "problem loading stage with custom shape json");
     },
     'STAGE - set stage size': function(containerId) {
         var stage = new Kinetic.Stage({
@@ -836,7 +838,8 @@ Test.prototype.tests = {
 
             var json = stage.toJSON();
 
-            test(json === '{"attrs":{"width":578,"height":200,"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Stage","children":[{"attrs":{"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Layer","children":[{"attrs":{"crop":{"x":0,"y":0},"detectionType":"path","shadow":{"blur":10,"alpha":1,"offset":{"x":0,"y":0}},"visible":true,"listening":true,"alpha":1,"x":200,"y":60,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":50,"y":150},"dragConstraint":"none","dragBounds":{},"draggable":false,"id":"darth"},"nodeType":"Shape","shapeType":"Image"}]}]}');
+            test(json === '{"version":1,"attrs":{"width":578,"height":200,"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Stage","children":[{"attrs":{"throttle":80,"visible":true,"listening":true,"alpha":1,"x":0,"y":0,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":0,"y":0},"dragConstraint":"none","dragBounds":{},"draggable":false},"nodeType":"Layer","children":[{"attrs":{"crop":{"x":0,"y":0},"detectionType":"path","shadow":{"blur":10,"alpha":1,"offset":{"x":0,"y":0}},"visible":true,"listening":true,"alpha":1,"x":200,"y":60,"scale":{"x":1,"y":1},"rotation":0,"centerOffset":{"x":50,"y":150},"dragConstraint":"none","dragBounds":{},"draggable":false,"image":{"$image":' + JSON.stringify(imageObj.src) + '},"id":"darth"},"nodeType":"Shape","shapeType":"Image"}]}]}');
+            test(darth.getImage() === imageObj, 'serializing should not remove the image from the live attrs');
         };
         imageObj.src = '../darth-vader.jpg';
     },
@@ -857,10 +860,425 @@ Test.prototype.tests = {
         };
         imageObj.src = '../darth-vader.jpg';
     },
+    'STAGE - lossless json round trip with registered types and functions': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group({
+            x: 10
+        });
+
+        var Triangle = function(config) {
+            this.setDefaultAttrs({
+                size: 50
+            });
+            config.drawFunc = function() {
+                var context = this.getContext();
+                context.beginPath();
+                context.moveTo(0, 0);
+                context.lineTo(this.attrs.size, 0);
+                context.lineTo(0, this.attrs.size);
+                context.closePath();
+                this.fill();
+            };
+            Kinetic.Shape.apply(this, [config]);
+        };
+        Triangle.prototype = {};
+        Kinetic.GlobalObject.extend(Triangle, Kinetic.Shape);
+
+        var drawSquare = function() {
+            var context = this.getContext();
+            context.beginPath();
+            context.rect(0, 0, 20, 20);
+            context.closePath();
+            this.fill();
+        };
+        var clicks = 0;
+        var onClick = function() {
+            clicks++;
+        };
+
+        Kinetic.Serializer.registerType('JsonTriangle', Triangle);
+        Kinetic.Serializer.registerFunc('jsonSquare', drawSquare);
+        Kinetic.Serializer.registerFunc('jsonClick', onClick);
+
+        var triangle = new Triangle({
+            size: 80,
+            fill: 'red',
+            id: 'triangle'
+        });
+        var square = new Kinetic.Shape({
+            drawFunc: drawSquare,
+            fill: 'blue',
+            id: 'square'
+        });
+        var canvas = document.createElement('canvas');
+        canvas.width = 10;
+        canvas.height = 10;
+        var image = new Kinetic.Image({
+            image: canvas,
+            id: 'image'
+        });
+
+        square.on('click.json', onClick);
+        square.on('mouseover', function() {
+        });
+        group.add(triangle);
+        group.add(square);
+        group.add(image);
+        layer.add(group);
+        stage.add(layer);
+
+        var json = stage.toJSON();
+        var obj = JSON.parse(json);
+        var squareObj = obj.children[0].children[0].children[1];
+        var imageObj = obj.children[0].children[0].children[2];
+
+        test(square.attrs.drawFunc === drawSquare && image.getImage() === canvas && triangle.attrs.drawFunc !== undefined, 'serializing should not change the live attrs');
+        test(obj.children[0].children[0].children[0].shapeType === 'JsonTriangle', 'registered types should be stored by name');
+        test(squareObj.attrs.drawFunc.$func === 'jsonSquare', 'registered drawFuncs should be stored by name');
+        test(squareObj.listeners.length === 1 && squareObj.listeners[0].type === 'click.json' && squareObj.listeners[0].handler === 'jsonClick', 'only registered handlers should be stored');
+        test(imageObj.attrs.image.$image === canvas.toDataURL(), 'canvases should be stored as data URLs');
+        test(stage.toJSON() === json, 'serializing twice should give the same json');
+
+        var stage2 = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        stage2.load(json, function() {
+            var image2 = stage2.get('#image')[0];
+            test(image2.getImage() !== undefined && image2.getImage().src === canvas.toDataURL(), 'images should be set once they have loaded');
+            test(stage2.toJSON() === json, 'loaded stage should serialize to the same json');
+        });
+
+        var triangle2 = stage2.get('#triangle')[0];
+        var square2 = stage2.get('#square')[0];
+        test( triangle2 instanceof Triangle && triangle2.attrs.size === 80 && triangle2.attrs.drawFunc !== undefined, 'registered types should be rebuilt');
+        test(square2.attrs.drawFunc === drawSquare, 'registered drawFuncs should be restored');
+        square2._handleEvents('click');
+        test(clicks === 1, 'registered handlers should be restored');
+        test(stage2.get('#image')[0].getImage() === undefined, 'images should not be set before they load');
+    },
+    'NODE - serialize a node and create a copy with Kinetic.Node.create': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer({
+            name: 'layer'
+        });
+        var group = new Kinetic.Group({
+            x: 20,
+            name: 'template'
+        });
+        var rect = new Kinetic.Rect({
+            width: 100,
+            height: 50,
+            fill: 'green',
+            name: 'box'
+        });
+        var text = new Kinetic.Text({
+            x: 10,
+            y: 10,
+            text: 'label',
+            fontSize: 12,
+            textFill: 'black',
+            name: 'label'
+        });
+        group.add(rect);
+        group.add(text);
+        layer.add(group);
+        stage.add(layer);
+
+        var json = group.toJSON();
+        var obj = JSON.parse(json);
+        test(obj.nodeType === 'Group' && obj.children.length === 2 && obj.children[1].shapeType === 'Text', 'group json should hold its children');
+        test(obj.version === Kinetic.Schema.version, 'json should hold the version of the format');
+        test(JSON.stringify(Kinetic.Serializer.serialize(rect)) === JSON.stringify(obj.children[0]), 'shape json should be the same as in its parent json');
+
+        var loadedNode;
+        var copy = Kinetic.Node.create(json, layer, function(node) {
+            loadedNode = node;
+        });
+        test(loadedNode === copy, 'callback should be called with the node when there are no images to load');
+        test(copy.nodeType === 'Group' && copy.getParent() === layer && layer.getChildren().length === 2, 'copy should be added to the container');
+        test(copy.getChildren()[0].shapeType === 'Rect' && copy.getChildren()[1].shapeType === 'Text', 'children should be rebuilt with their classes');
+        test(copy.getChildren()[1].getText() === 'label' && copy.getX() === 20, 'attrs should be copied');
+        test(copy.toJSON() === json, 'copy should serialize to the same json');
+        test(stage.get('.label').length === 2, 'copied nodes should be registered with the stage');
+
+        copy.getChildren()[0].setFill('red');
+        test(rect.getFill() === 'green', 'changing the copy should not change the original');
+
+        var detached = Kinetic.Node.create(obj);
+        test(detached.getParent() === undefined && detached.getStage() === undefined, 'nodes created without a container should be detached');
+
+        var layer2 = Kinetic.Node.create(layer.toJSON());
+        test(layer2.nodeType === 'Layer' && layer2.getChildren().length === 2, 'layers should be created with their children');
+        stage.add(layer2);
+        test(stage.getChildren().length === 2, 'created layer should be added to the stage');
+
+        var error;
+        try {
+            Kinetic.Node.create(stage.toJSON());
+        }
+        catch(e) {
+            error = e;
+        }
+        test(error !== undefined, 'creating a stage should throw an error');
+    },
+    'STAGE - migrate and validate versioned json documents': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var schema = Kinetic.Schema;
+
+        // unversioned documents were saved before the format was versioned
+        var legacy = {
+            attrs: {
+                width: 578,
+                height: 200
+            },
+            nodeType: 'Stage',
+            children: [{
+                nodeType: 'Layer',
+                children: [{
+                    attrs: {
+                        radius: 70,
+                        fill: 'green',
+                        id: 'legacyCircle'
+                    },
+                    nodeType: 'Shape',
+                    shapeType: 'Circle'
+                }]
+            }]
+        };
+        var doc = schema.migrate(legacy);
+        test(doc.version === schema.version && legacy.version === undefined, 'migrating should upgrade a copy of the document');
+        test(schema.validate(doc).length === 0, 'migrated legacy document should be valid');
+
+        stage.load(JSON.stringify(legacy));
+        test(stage.get('#legacyCircle')[0].getRadius() === 70, 'legacy document should load');
+        test(JSON.parse(stage.toJSON()).version === schema.version, 'stage json should hold the current version');
+
+        // migrations upgrade documents one version at a time
+        schema.version = 2;
+        schema.registerMigration(1, function(doc) {
+            doc.children[0].children[0].attrs.radius *= 2;
+        });
+        var migrated;
+        try {
+            migrated = schema.migrate(legacy);
+        }
+        finally {
+            schema.version = 1;
+            delete schema.migrations[1];
+        }
+        test(migrated.version === 2 && migrated.children[0].children[0].attrs.radius === 140, 'registered migration should upgrade the document');
+
+        var error;
+        try {
+            stage.load('{"version":2,"attrs":{},"nodeType":"Stage","children":[]}');
+        }
+        catch(e) {
+            error = e;
+        }
+        test(error !== undefined && error.message.indexOf('newer') !== -1, 'documents newer than the current version should throw an error');
+        test(stage.get('#legacyCircle').length === 1, 'stage should not change when a document fails to load');
+
+        var invalid = {
+            version: 1,
+            attrs: {},
+            nodeType: 'Stage',
+            children: [{
+                nodeType: 'Layer',
+                children: [{
+                    nodeType: 'Group',
+                    children: [{
+                        attrs: {},
+                        nodeType: 'Layer'
+                    }]
+                }, {
+                    attrs: {
+                        radius: 'big',
+                        shadow: {
+                            offset: {
+                                x: '1'
+                            }
+                        }
+                    },
+                    nodeType: 'Shape',
+                    shapeType: 'Circle'
+                }, {
+                    attrs: {
+                        align: 'justify',
+                        points: [{
+                            x: 0,
+                            y: 0
+                        }]
+                    },
+                    nodeType: 'Shape',
+                    shapeType: 'Text',
+                    children: []
+                }, {
+                    nodeType: 'Shape',
+                    shapeType: 'Hexagon'
+                }, {
+                    nodeType: 'Shape',
+                    shapeType: 'History'
+                }, {
+                    nodeType: 'Group',
+                    shapeType: 'Rect'
+                }]
+            }]
+        };
+        var errors = schema.validate(invalid);
+        var paths = [];
+        for(var n = 0; n < errors.length; n++) {
+            paths.push(errors[n].path);
+        }
+        test(paths.join(',') === 'children[0].children[0].children[0],children[0].children[1].attrs.shadow.offset,children[0].children[1].attrs.radius,children[0].children[2].attrs.align,children[0].children[2].children,children[0].children[3].shapeType,children[0].children[4].shapeType,children[0].children[5].shapeType', 'validation errors should hold the paths of the invalid nodes and attrs: ' + paths.join(','));
+        test(errors[2].message === 'expected number', 'validation errors should hold a message');
+        test(errors[6].message === 'unknown shape type "History"', 'Kinetic classes that aren\'t nodes should not be shape types');
+        test(errors[7].message === 'shape type "Rect" doesn\'t create Group nodes', 'shape types should create nodes of the declared node type');
+
+        error = undefined;
+        try {
+            Kinetic.Node.create(invalid.children[0]);
+        }
+        catch(e) {
+            error = e;
+        }
+        test(error !== undefined && error.errors.length === 8, 'creating nodes from an invalid document should throw an error with the validation errors');
+    },
     ////////////////////////////////////////////////////////////////////////
     //  LAYERS tests
     ////////////////////////////////////////////////////////////////////////
 
+    'STAGE - export stage as SVG': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer({
+            alpha: 0.5
+        });
+        var group = new Kinetic.Group({
+            x: 100,
+            y: 50
+        });
+        var rect = new Kinetic.Rect({
+            width: 100,
+            height: 50,
+            cornerRadius: 10,
+            fill: {
+                start: {
+                    x: 0,
+                    y: 0
+                },
+                end: {
+                    x: 100,
+                    y: 50
+                },
+                colorStops: [0, 'red', 1, 'blue']
+            },
+            stroke: 'black',
+            strokeWidth: 4,
+            shadow: {
+                color: 'black',
+                blur: 10,
+                offset: [5, 5],
+                alpha: 0.5
+            }
+        });
+        var line = new Kinetic.Line({
+            points: [0, 0, 50, 50, 100, 0],
+            stroke: 'red',
+            strokeWidth: 3,
+            lineCap: 'round',
+            dashArray: [10, 5]
+        });
+        var path = new Kinetic.Path({
+            data: 'M 10 10 L 50 50 z',
+            fill: 'green'
+        });
+        var text = new Kinetic.Text({
+            text: 'Hello <World>',
+            textFill: 'black',
+            fontSize: 10,
+            fontFamily: 'Calibri',
+            padding: 5
+        });
+        var hidden = new Kinetic.Circle({
+            radius: 20,
+            fill: 'red',
+            visible: false
+        });
+
+        group.add(rect);
+        group.add(line);
+        group.add(path);
+        group.add(text);
+        group.add(hidden);
+        layer.add(group);
+        stage.add(layer);
+
+        var svg = stage.toSVG();
+        test(svg.indexOf('<svg xmlns="http://www.w3.org/2000/svg"') === 0, 'should be an SVG document');
+        test(svg.indexOf('width="578" height="200"') !== -1, 'document should be the size of the stage');
+        test(svg.indexOf('<g opacity="0.5">') !== -1, 'layer alpha should be exported');
+        test(svg.indexOf('<g transform="matrix(1 0 0 1 100 50)">') !== -1, 'group transform should be exported');
+        test(svg.indexOf('<linearGradient') !== -1, 'linear gradient should be defined');
+        test(svg.indexOf('<feDropShadow dx="5" dy="5" stdDeviation="5" flood-color="black" flood-opacity="0.5"/>') !== -1, 'shadow filter should be defined');
+        test(svg.indexOf('width="100" height="50" rx="10" ry="10"') !== -1, 'rect corner radius should be exported');
+        test(svg.indexOf('points="0,0 50,50 100,0" stroke-linecap="round" stroke-dasharray="10 5"') !== -1, 'line should be exported');
+        test(svg.indexOf('d="M 10 10 L 50 50 z"') !== -1, 'path data should be exported');
+        test(svg.indexOf('font-size="10pt"') !== -1, 'text font size should be exported');
+        test(svg.indexOf('Hello &lt;World&gt;</text>') !== -1, 'text should be escaped');
+        test(svg.indexOf('r="20"') === -1, 'hidden circle should not be exported');
+
+        var groupSvg = group.toSVG();
+        test(groupSvg.indexOf('<g opacity="0.5">') === -1, 'parent transforms should not add alpha');
+        test(groupSvg.indexOf('rx="10"') !== -1, 'group export should include rect');
+    },
+    'STAGE - export custom shape as SVG': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var triangle = new Kinetic.Shape({
+            drawFunc: function() {
+                var context = this.getContext();
+                context.beginPath();
+                context.moveTo(200, 50);
+                context.lineTo(420, 80);
+                context.quadraticCurveTo(300, 100, 260, 170);
+                context.closePath();
+                this.fill();
+                this.stroke();
+            },
+            fill: '#00D2FF',
+            stroke: 'black',
+            strokeWidth: 4
+        });
+
+        layer.add(triangle);
+        stage.add(layer);
+
+        var svg = triangle.toSVG();
+        test(svg.indexOf('<path d="M200 50L420 80Q300 100 260 170Z" fill="#00D2FF"/>') !== -1, 'custom shape fill should be recorded');
+        test(svg.indexOf('<path d="M200 50L420 80Q300 100 260 170Z" fill="none" stroke="black" stroke-width="4"/>') !== -1, 'custom shape stroke should be recorded');
+    },
     'LAYER - add layer': function(containerId) {
         var stage = new Kinetic.Stage({
             container: containerId,
@@ -975,6 +1393,60 @@ Test.prototype.tests = {
         var layer = new Kinetic.Layer();
         stage.add(layer);
     },
+    'LAYER - batch draw and auto draw': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var autoLayer = new Kinetic.Layer({
+            autoDraw: true
+        });
+        var circle = new Kinetic.Circle({
+            x: 100,
+            y: 100,
+            radius: 50,
+            fill: 'red'
+        });
+        autoLayer.add(circle);
+        stage.add(layer);
+        stage.add(autoLayer);
+
+        var go = Kinetic.GlobalObject;
+        var draws = [];
+        layer.beforeDraw(function() {
+            draws.push('layer');
+        });
+        autoLayer.beforeDraw(function() {
+            draws.push('autoLayer');
+        });
+
+        test(autoLayer.getAutoDraw() === true && !layer.getAutoDraw(), 'autoDraw should be disabled by default');
+
+        layer.batchDraw();
+        layer.batchDraw();
+        circle.setX(150);
+        circle.setFill('blue');
+        circle.rotate(1);
+
+        test(draws.length === 0, 'batched layers should not be drawn until the next frame');
+        test(go.batchLayers.length === 2, 'each layer should only be queued once');
+
+        // simulate the next animation frame
+        go._runFrames();
+        test(draws.sort().join(',') === 'autoLayer,layer', 'each batched layer should be drawn once');
+        test(go.batchLayers.length === 0 && !autoLayer.isDirty(), 'batch queue should be empty after the frame');
+
+        autoLayer.add(new Kinetic.Rect({
+            width: 10,
+            height: 10
+        }));
+        test(go.batchLayers.length === 1 && go.batchLayers[0] === autoLayer, 'adding a node should batch a draw');
+
+        autoLayer.destroy();
+        test(go.batchLayers.length === 0, 'destroyed layers should be removed from the batch queue');
+    },
     'LAYER - remove all children from layer': function(containerId) {
         var stage = new Kinetic.Stage({
             container: containerId,
@@ -1372,10 +1844,16 @@ Test.prototype.tests = {
         test(path.getData() === 'M200,100h100v50z', 'data are incorrect');
         test(path.getDataArray().length === 4, 'data array should have 4 elements');
 
-        path.setData('M200');
+        var offset;
+        try {
+            path.setData('M200');
+        }
+        catch(e) {
+            offset = e.offset;
+        }
 
         test(path.getData() === 'M200', 'data are incorrect');
-        test(path.getDataArray().length === 1, 'data array should have 1 element');
+        test(offset === 4, 'incomplete moveTo should throw an error at the end of the data');
 
         path.setData('M200,100h100v50z');
 
@@ -1640,6 +2118,91 @@ Test.prototype.tests = {
         stage.add(layer);
 
     },
+    'SHAPE - path with arcs, smooth curves, and exponent notation': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var path = new Kinetic.Path({
+            data: 'M100,100 a50,50 0 1,1 100,0 A50 50 0 0020 100 z',
+            fill: 'green',
+            stroke: 'black',
+            strokeWidth: 2
+        });
+
+        layer.add(path);
+        stage.add(layer);
+
+        var ca = path.getDataArray();
+        test(ca[0].command === 'M', 'first command should be a moveTo');
+        test(ca[1].command === 'C' && ca[2].command === 'C', 'half circle arc should be converted into two curves');
+        test(ca[2].points[4] === 200 && ca[2].points[5] === 100, 'arc should end at 200, 100');
+        test(ca[ca.length - 2].points[4] === 20 && ca[ca.length - 2].points[5] === 100, 'arc with flags without separators should end at 20, 100');
+        test(ca[ca.length - 1].command === 'z', 'last command should be a closePath');
+
+        path.setData('M0,0 C10,0 20,10 20,20 s20,20 20,0 Q50,0 60,10 t20,0 t20,0');
+        ca = path.dataArray;
+        test(ca[2].command === 'C' && ca[2].points[0] === 20 && ca[2].points[1] === 30, 'smooth cubic curve should reflect the previous control point');
+        test(ca[2].points[4] === 40 && ca[2].points[5] === 20, 'relative smooth cubic curve should end at 40, 20');
+        test(ca[4].command === 'Q' && ca[4].points[0] === 70 && ca[4].points[1] === 20, 'smooth quadratic curve should reflect the previous control point');
+        test(ca[5].points[0] === 90 && ca[5].points[1] === 0, 'chained smooth quadratic curves should reflect the previous control point');
+
+        path.setData('M1e1-5L.5.5-1e-1,2');
+        ca = path.dataArray;
+        test(ca[0].points[0] === 10 && ca[0].points[1] === -5, 'exponent notation should be parsed');
+        test(ca[1].points[0] === 0.5 && ca[1].points[1] === 0.5, 'numbers with several decimal points should be split');
+        test(ca[2].command === 'L' && ca[2].points[0] === -0.1 && ca[2].points[1] === 2, 'implicit lineTo should be added');
+
+        var offset;
+        try {
+            path.setData('M10,10 L20,20 X');
+        }
+        catch(e) {
+            offset = e.offset;
+        }
+        test(offset === 14, 'parse error should have the offset of the bad character');
+    },
+    'SHAPE - path length, point at length, angle at length, and bounding box': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var path = new Kinetic.Path({
+            data: 'M10,10 L110,10 L110,110',
+            stroke: 'black',
+            strokeWidth: 2
+        });
+
+        layer.add(path);
+        stage.add(layer);
+
+        test(path.getLength() === 200, 'path length should be 200');
+        var point = path.getPointAtLength(150);
+        test(point.x === 110 && point.y === 60, 'point at length 150 should be 110, 60');
+        test(path.getAngleAtLength(50) === 0, 'angle of first line should be 0');
+        test(path.getAngleAtLength(150) === Math.PI / 2, 'angle of second line should be PI / 2');
+        point = path.getPointAtLength(1000);
+        test(point.x === 110 && point.y === 110, 'point beyond the end should be clamped to the end');
+        var box = path.getBoundingBox();
+        test(box.x === 10 && box.y === 10 && box.width === 100 && box.height === 100, 'bounding box is incorrect');
+
+        // cached geometry should be recomputed after setData
+        path.setData('M10,100 Q60,0 110,100');
+        box = path.getBoundingBox();
+        test(box.x === 10 && box.y === 50 && box.width === 100 && box.height === 50, 'bounding box should include the curve extreme and not the control point');
+        point = path.getPointAtLength(path.getLength() / 2);
+        test(Math.abs(point.x - 60) < 0.01 && Math.abs(point.y - 50) < 0.01, 'mid point of symmetric curve should be 60, 50');
+        test(Math.abs(path.getAngleAtLength(path.getLength() / 2)) < 0.01, 'tangent at the top of the curve should be horizontal');
+
+        path.setData('M0,0 a50,50 0 0,1 100,0');
+        test(Math.abs(path.getLength() - Math.PI * 50) < 0.1, 'half circle length should be about ' + Math.PI * 50);
+        box = path.getBoundingBox();
+        test(Math.abs(box.y + 50) < 0.01 && Math.abs(box.height - 50) < 0.01, 'half circle bounding box is incorrect');
+    },
     'SHAPE - add shape with custom attr pointing to self': function(containerId) {
         var stage = new Kinetic.Stage({
             container: containerId,
@@ -2634,33 +3197,337 @@ Test.prototype.tests = {
             y: 151
         }) === false, 'intersects with point in shape');
     },
-    'CONTAINER - node type selector': function(containerId) {
+    'LAYER - get intersection from hit graph': function(containerId) {
         var stage = new Kinetic.Stage({
             container: containerId,
             width: 578,
             height: 200
         });
         var layer = new Kinetic.Layer();
-        var fooLayer = new Kinetic.Layer();
-        var group = new Kinetic.Group();
-
-        var blue = new Kinetic.Rect({
+        var rect = new Kinetic.Rect({
             x: 200,
             y: 100,
             width: 100,
             height: 50,
-            fill: 'blue'
+            fill: 'green',
+            stroke: 'black',
+            strokeWidth: 4
         });
-
-        var red = new Kinetic.Rect({
-            x: 250,
+        var circle = new Kinetic.Circle({
+            x: 100,
             y: 100,
-            width: 100,
-            height: 50,
-            fill: 'red'
-        });
-
-        group.add(red);
+            radius: 30,
+            fill: 'red',
+            centerOffset: {
+                x: -50,
+                y: 0
+            }
+        });
+
+        layer.add(rect);
+        layer.add(circle);
+        stage.add(layer);
+
+        var go = Kinetic.GlobalObject;
+        test(go.shapes[rect.colorKey]._id === rect._id, 'rect color key should be registered');
+        test(new Kinetic.Rect({}).colorKey !== new Kinetic.Rect({}).colorKey, 'shapes that have not been drawn should have their own color keys');
+        test(layer.getHitCanvas().width === 578 && layer.getHitCanvas().height === 200, 'hit canvas should be the same size as the stage');
+
+        test(layer.getIntersection(250, 125)._id === rect._id, 'rect should be at 250, 125');
+        test(layer.getIntersection(150, 100)._id === circle._id, 'circle should be at 150, 100 because of its center offset');
+        test(layer.getIntersection(100, 100) === undefined, 'there should be no shape at 100, 100');
+        test(stage._getIntersectingShape({
+            x: 250,
+            y: 125
+        })._id === rect._id, 'stage should find rect at 250, 125');
+
+        rect.hide();
+        test(layer.getIntersection(250, 125) === undefined, 'hidden rect should not be detected');
+        rect.show();
+        rect.listen(false);
+        test(layer.getIntersection(250, 125) === undefined, 'rect that is not listening should not be detected');
+        rect.listen(true);
+        test(layer.getIntersection(250, 125)._id === rect._id, 'rect should be detected again');
+
+        var colorKey = rect.colorKey;
+        layer.remove(rect);
+        test(go.shapes[colorKey] === undefined, 'rect color key should be removed');
+    },
+    'SHAPE - reuse the hit image of images with pixel detection': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var imageObj = document.createElement('canvas');
+        imageObj.width = 50;
+        imageObj.height = 40;
+        var image = new Kinetic.Image({
+            x: 100,
+            y: 50,
+            image: imageObj,
+            width: 50,
+            height: 40,
+            detectionType: 'pixel'
+        });
+
+        layer.add(image);
+        stage.add(layer);
+        layer._drawHit();
+
+        var cache = image.imageHit;
+        test(cache !== undefined && cache.canvas.width === 50 && cache.canvas.height === 40, 'the image should be drawn onto the hit image');
+
+        var draws = 0;
+        var canvas = cache.canvas;
+        var getContext = canvas.getContext;
+        canvas.getContext = function() {
+            draws++;
+            return getContext.apply(this, arguments);
+        };
+        layer._drawHit();
+        test(image.imageHit.canvas === canvas && draws === 0, 'the hit image should be reused when the image does not change');
+
+        image.setWidth(80);
+        layer._drawHit();
+        test(image.imageHit.canvas === canvas && draws === 1 && canvas.width === 80, 'the hit image should be drawn again when the image size changes');
+
+        image.setImage(document.createElement('canvas'));
+        layer._drawHit();
+        test(draws === 2, 'the hit image should be drawn again when the image changes');
+    },
+    'SHAPE - reuse the color keys of destroyed shapes': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var rect = new Kinetic.Rect({
+            x: 50,
+            y: 50,
+            width: 50,
+            height: 50,
+            fill: 'red'
+        });
+        layer.add(rect);
+        stage.add(layer);
+
+        var go = Kinetic.GlobalObject;
+        var colorKey = rect.colorKey;
+        rect.destroy();
+        rect.destroy();
+        test(new Kinetic.Circle({}).colorKey === colorKey, 'new shapes should use the color key of a destroyed shape');
+        test(new Kinetic.Circle({}).colorKey !== colorKey, 'the color key of a shape destroyed twice should only be used once');
+
+        var circle = new Kinetic.Circle({
+            x: 100,
+            y: 100,
+            radius: 20,
+            fill: 'blue'
+        });
+        layer.add(circle);
+        layer._drawHit();
+
+        var counter = go.colorKeyCounter;
+        go.colorKeyCounter = parseInt(circle.colorKey.slice(1), 16);
+        test(new Kinetic.Rect({}).colorKey !== circle.colorKey, 'the keys of shapes on a hit graph should be skipped');
+        go.colorKeyCounter = 0x1000000;
+        test(new Kinetic.Rect({}).colorKey !== '#000000', 'the counter should wrap around without using black');
+        go.colorKeyCounter = counter;
+    },
+    'CONTAINER - shape type, union, combinator, attribute, and multiple name selectors': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group({
+            name: 'widget'
+        });
+        var innerGroup = new Kinetic.Group();
+        var rect = new Kinetic.Rect({
+            width: 50,
+            height: 50,
+            name: 'handle top',
+            draggable: true
+        });
+        var circle = new Kinetic.Circle({
+            radius: 20,
+            name: 'handle',
+            alpha: 0.3
+        });
+        var text = new Kinetic.Text({
+            text: 'foo',
+            name: 'label',
+            id: 'myText'
+        });
+        var rect2 = new Kinetic.Rect({
+            width: 50,
+            height: 50,
+            name: 'background'
+        });
+
+        innerGroup.add(circle);
+        group.add(rect);
+        group.add(innerGroup);
+        layer.add(group);
+        layer.add(text);
+        layer.add(rect2);
+        stage.add(layer);
+
+        function ids(nodes) {
+            var arr = [];
+            for(var n = 0; n < nodes.length; n++) {
+                arr.push(nodes[n]._id);
+            }
+            return arr.join(',');
+        }
+
+        test(ids(stage.get('Rect')) === ids([rect, rect2]), 'problem with shape type selector');
+        test(ids(stage.get('Text, Rect')) === ids([rect, text, rect2]), 'union should be in document order');
+        test(ids(stage.get('Group')) === ids([group, innerGroup]), 'nested groups should be selected');
+        test(ids(stage.get('.handle')) === ids([rect, circle]), 'problem with name selector');
+        test(ids(stage.get('.top')) === ids([rect]), 'problem with second name');
+        test(ids(stage.get('.handle.top')) === ids([rect]), 'problem with compound name selector');
+        test(ids(stage.get('Group > .handle')) === ids([rect, circle]), 'problem with child combinator');
+        test(ids(stage.get('.widget > .handle')) === ids([rect]), 'child combinator should not select grandchildren');
+        test(ids(stage.get('.widget .handle')) === ids([rect, circle]), 'descendant combinator should select grandchildren');
+        test(ids(stage.get('Layer > Group Circle')) === ids([circle]), 'problem with mixed combinators');
+        test(ids(stage.get('Rect[draggable=true]')) === ids([rect]), 'problem with boolean attribute selector');
+        test(ids(stage.get('[alpha<0.5]')) === ids([circle]), 'problem with numeric attribute selector');
+        test(ids(stage.get('[name="handle top"]')) === ids([rect]), 'problem with quoted attribute selector');
+        test(ids(stage.get('Shape[id]')) === ids([text]), 'problem with attribute exists selector');
+        test(ids(stage.get('#myText')) === ids([text]), 'problem with id selector');
+        test(ids(group.get('Shape')) === ids([rect, circle]), 'selection should be limited to descendants');
+        test(stage.get('Foo').length === 0, 'unknown type should select nothing');
+
+        var offset;
+        try {
+            stage.get('Rect[alpha<');
+        }
+        catch(e) {
+            offset = e.offset;
+        }
+        test(offset === 11, 'invalid selector should throw an error with the offset');
+
+        var selector = Kinetic.Selector;
+        for(var n = 0; n < selector.cacheSize + 10; n++) {
+            stage.get('Rect[x=' + n + ']');
+        }
+        test(selector.cacheKeys.length === selector.cacheSize && selector.cache['$Rect[x=0]'] === undefined && selector.cache['$Rect[x=10]'] !== undefined, 'selector cache should drop the oldest selectors');
+
+        test(stage.get('toString').length === 0 && stage.get('constructor').length === 0 && stage.get('__proto__').length === 0, 'selectors named after object properties should select nothing');
+        test(stage.get('toString').length === 0, 'cached selectors named after object properties should select nothing');
+    },
+    'CONTAINER - chainable collections': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var layer2 = new Kinetic.Layer();
+        var group = new Kinetic.Group();
+
+        for(var n = 0; n < 3; n++) {
+            group.add(new Kinetic.Circle({
+                x: 100 + n * 100,
+                y: 100,
+                radius: 20,
+                name: 'dot',
+                fill: 'red'
+            }));
+        }
+        layer2.add(new Kinetic.Rect({
+            width: 50,
+            height: 50,
+            name: 'dot'
+        }));
+
+        layer.add(group);
+        stage.add(layer);
+        stage.add(layer2);
+
+        var dots = stage.get('.dot');
+        test(dots instanceof Kinetic.Collection, 'get should return a collection');
+        test(dots.length === 4 && dots[0].getName() === 'dot', 'collection should be array-like');
+
+        var clicks = 0;
+        var ret = dots.setAttrs({
+            alpha: 0.5
+        }).move(10, 0).on('click', function() {
+            clicks++;
+        });
+        test(ret === dots, 'node methods should be chainable');
+        test(dots[0].getAlpha() === 0.5 && dots[3].getAlpha() === 0.5, 'setAttrs should apply to every node');
+        test(dots[0].getX() === 110 && dots[3].getX() === 10, 'move should apply to every node');
+        dots.fire('click');
+        test(clicks === 4, 'on should apply to every node');
+        dots.off('click');
+        dots.fire('click');
+        test(clicks === 4, 'off should apply to every node');
+
+        var circles = dots.filter(function(node) {
+            return node.shapeType === 'Circle';
+        });
+        test(circles instanceof Kinetic.Collection && circles.length === 3, 'filter should return a collection of 3 circles');
+        var xs = circles.map(function(node, n) {
+            return this.getX() + n;
+        });
+        test(xs.join(',') === '110,211,312', 'map should return the results');
+        var visited = 0;
+        dots.each(function(node, n) {
+            visited++;
+            return n < 1;
+        });
+        test(visited === 2, 'each should stop when false is returned');
+
+        circles.hide();
+        test(!dots[0].isVisible() && dots[3].isVisible(), 'hide should apply to the circles');
+
+        var draws = 0;
+        layer.draw = function() {
+            draws++;
+        };
+        layer2.draw = function() {
+            draws++;
+        };
+        dots.draw();
+        test(draws === 2, 'each layer should only be drawn once');
+
+        circles.moveTo(layer2);
+        test(layer2.getChildren().length === 4, 'circles should be moved to the second layer');
+    },
+    'CONTAINER - node type selector': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var fooLayer = new Kinetic.Layer();
+        var group = new Kinetic.Group();
+
+        var blue = new Kinetic.Rect({
+            x: 200,
+            y: 100,
+            width: 100,
+            height: 50,
+            fill: 'blue'
+        });
+
+        var red = new Kinetic.Rect({
+            x: 250,
+            y: 100,
+            width: 100,
+            height: 50,
+            fill: 'red'
+        });
+
+        group.add(red);
         layer.add(blue);
         layer.add(group);
         stage.add(layer);
@@ -3527,6 +4394,1734 @@ Test.prototype.tests = {
 
         test(foo === 'bar', 'foo should equal bar');
     },
+    'STAGE - multi-touch pinch and rotate events': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group();
+        var rect = new Kinetic.Rect({
+            x: 0,
+            y: 0,
+            width: 200,
+            height: 200,
+            fill: 'green'
+        });
+
+        group.add(rect);
+        layer.add(group);
+        stage.add(layer);
+
+        var pos = stage._getContentPosition();
+        // simulate touch events with touch points in stage coordinates
+        function touch(points) {
+            var touches = [];
+            for(var n = 0; n < points.length; n++) {
+                touches.push({
+                    identifier: points[n][0],
+                    clientX: points[n][1] + pos.left - window.pageXOffset,
+                    clientY: points[n][2] + pos.top - window.pageYOffset
+                });
+            }
+            var evt = {
+                touches: touches
+            };
+            stage._setTouchPosition(evt);
+            stage._handleGesture(evt);
+        }
+
+        var events = [];
+        var lastEvt = undefined;
+        group.on('pinchstart pinchmove pinchend rotatestart rotatemove rotateend', function(evt) {
+            lastEvt = evt;
+        });
+        group.on('pinchstart', function(evt) {
+            events.push('pinchstart');
+        });
+        group.on('pinchmove', function(evt) {
+            events.push('pinchmove');
+        });
+        group.on('pinchend', function(evt) {
+            events.push('pinchend');
+        });
+        group.on('rotatemove', function(evt) {
+            events.push('rotatemove');
+        });
+
+        touch([[1, 50, 100]]);
+        test(stage.getTouchPositions().length === 1, 'there should be 1 touch position');
+        test(events.length === 0, 'one finger should not start a gesture');
+
+        touch([[1, 50, 100], [2, 150, 100]]);
+        var positions = stage.getTouchPositions();
+        test(positions.length === 2, 'there should be 2 touch positions');
+        test(positions[1].id === 2 && positions[1].x === 150 && positions[1].y === 100, 'second touch position is incorrect');
+        test(events.join(',') === 'pinchstart', 'pinchstart should fire on the group under the centroid');
+        test(lastEvt.centroid.x === 100 && lastEvt.centroid.y === 100, 'centroid should be 100, 100');
+
+        // spread the fingers to twice the distance, then rotate them a quarter turn
+        touch([[1, 0, 100], [2, 200, 100]]);
+        test(events.join(',') === 'pinchstart,pinchmove,rotatemove', 'pinchmove and rotatemove should fire');
+        test(lastEvt.scaleDelta === 2, 'scale delta should be 2');
+        test(lastEvt.rotationDelta === 0, 'rotation delta should be 0');
+
+        touch([[1, 100, 0], [2, 100, 200]]);
+        test(lastEvt.scaleDelta === 1, 'scale delta should be 1');
+        test(Math.abs(lastEvt.rotationDelta - Math.PI / 2) < 0.0001, 'rotation delta should be PI / 2');
+
+        touch([[2, 100, 200]]);
+        test(events[events.length - 1] === 'pinchend', 'pinchend should fire when a finger is lifted');
+        test(stage.getTouchPosition().x === 100 && stage.getTouchPosition().y === 200, 'touch position should follow the remaining finger');
+
+        touch([[1, 10, 20], [2, 100, 200]]);
+        stage._setTouchPosition({
+            type: 'touchend',
+            touches: [{
+                identifier: 1,
+                clientX: 10 + pos.left - window.pageXOffset,
+                clientY: 20 + pos.top - window.pageYOffset
+            }],
+            changedTouches: [{
+                identifier: 2,
+                clientX: 100 + pos.left - window.pageXOffset,
+                clientY: 200 + pos.top - window.pageYOffset
+            }]
+        });
+        test(stage.getTouchPositions().length === 1 && stage.getTouchPosition().x === 100 && stage.getTouchPosition().y === 200, 'touchend position should be where the finger was lifted');
+    },
+    'STAGE - pointer events are translated into mouse and touch events': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        stage.add(layer);
+
+        var pos = stage._getContentPosition();
+        // simulate a pointer event in stage coordinates
+        function pointer(type, pointerType, id, x, y) {
+            stage._handleInput({
+                type: type,
+                pointerType: pointerType,
+                pointerId: id,
+                clientX: x + pos.left - window.pageXOffset,
+                clientY: y + pos.top - window.pageYOffset,
+                preventDefault: function() {
+                }
+            });
+        }
+
+        var events = [];
+        var types = ['mousedown', 'mousemove', 'mouseup', 'touchstart', 'touchmove', 'touchend'];
+        for(var n = 0; n < types.length; n++) {
+            (function(type) {
+                stage._onContent(type, function(evt) {
+                    events.push(type + ' ' + evt.pointerType);
+                });
+            })(types[n]);
+        }
+
+        pointer('pointerdown', 'mouse', 1, 10, 10);
+        test(stage.getMousePosition().x === 10 && stage.getMousePosition().y === 10, 'mouse position should be 10, 10');
+        pointer('pointermove', 'pen', 2, 20, 20);
+
+        pointer('pointerdown', 'touch', 3, 30, 40);
+        pointer('pointerdown', 'touch', 4, 50, 60);
+        var positions = stage.getTouchPositions();
+        test(positions.length === 2, 'there should be 2 touch positions');
+        test(positions[0].id === 3 && positions[1].id === 4 && positions[1].x === 50 && positions[1].y === 60, 'touch positions are incorrect');
+        test(stage.getTouchPosition().x === 30, 'touch position should follow the first finger');
+
+        pointer('pointermove', 'touch', 3, 35, 40);
+        test(stage.getTouchPositions()[0].x === 35, 'moved touch pointer should be updated');
+        pointer('pointerup', 'touch', 3, 35, 40);
+        test(stage.getTouchPositions().length === 1 && stage.getTouchPositions()[0].id === 4, 'lifted touch pointer should be removed');
+        test(stage.getTouchPosition().x === 35 && stage.getTouchPosition().y === 40, 'touch position should be where the finger was lifted');
+        test(events.join(',') === 'mousedown mouse,mousemove pen,touchstart touch,touchstart touch,touchmove touch,touchend touch', 'pointer events should be translated into mouse and touch events');
+    },
+    'STAGE - click, shift click, and marquee selection with multi-node drag': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200,
+            marquee: true
+        });
+        var layer = new Kinetic.Layer();
+        var rect1 = new Kinetic.Rect({
+            x: 50,
+            y: 50,
+            width: 50,
+            height: 50,
+            fill: 'red',
+            selectable: true,
+            draggable: true
+        });
+        var rect2 = rect1.clone({
+            x: 200
+        });
+        var rect3 = rect1.clone({
+            x: 350,
+            selectable: false
+        });
+        layer.add(rect1);
+        layer.add(rect2);
+        layer.add(rect3);
+        stage.add(layer);
+
+        function selected() {
+            return stage.getSelection().map(function() {
+                return this === rect1 ? 'rect1' : this === rect2 ? 'rect2' : 'rect3';
+            }).join(',');
+        }
+
+        var changes = 0;
+        stage.on('selectionchange', function() {
+            changes++;
+        });
+
+        simulateMouse(stage, 'mousedown', 75, 75);
+        simulateMouse(stage, 'mouseup', 75, 75);
+        test(selected() === 'rect1' && changes === 1, 'clicking a selectable node should select it');
+
+        simulateMouse(stage, 'mousedown', 225, 75, {
+            shiftKey: true
+        });
+        simulateMouse(stage, 'mouseup', 225, 75, {
+            shiftKey: true
+        });
+        test(selected() === 'rect1,rect2', 'shift clicking should add a node to the selection');
+
+        simulateMouse(stage, 'mousedown', 75, 75, {
+            shiftKey: true
+        });
+        simulateMouse(stage, 'mouseup', 75, 75, {
+            shiftKey: true
+        });
+        test(selected() === 'rect2' && stage.isSelected(rect2) && !stage.isSelected(rect1), 'shift clicking a selected node should remove it');
+
+        simulateMouse(stage, 'mousedown', 375, 75);
+        simulateMouse(stage, 'mouseup', 375, 75);
+        test(selected() === '' && changes === 4, 'clicking a node that is not selectable should clear the selection');
+
+        simulateMouse(stage, 'mousedown', 10, 150);
+        simulateMouse(stage, 'mousemove', 400, 10);
+        test(stage.getContent().lastChild.className === 'kineticjs-marquee', 'marquee should be shown while dragging');
+        stage.add(new Kinetic.Layer());
+        layer.moveToTop();
+        var content = stage.getContent();
+        test(content.lastChild.className === 'kineticjs-marquee' && content.children[content.children.length - 2] === layer.canvas, 'reordering layers should keep the marquee above the layers');
+        simulateMouse(stage, 'mouseup', 400, 10);
+        test(stage.getContent().lastChild.className !== 'kineticjs-marquee', 'marquee should be removed');
+        test(selected() === 'rect1,rect2', 'marquee should select the selectable nodes that it intersects');
+
+        var events = [];
+        var nodes = [rect1, rect2];
+        for(var n = 0; n < nodes.length; n++) {
+            (function(name) {
+                nodes[n].on('dragstart dragmove dragend', function(evt) {
+                    events.push(name + ' ' + evt.type);
+                });
+            })('rect' + (n + 1));
+        }
+
+        simulateMouse(stage, 'mousedown', 75, 75);
+        test(selected() === 'rect1,rect2', 'pressing a selected node should keep the selection');
+        simulateMouse(stage, 'mousemove', 85, 95);
+        simulateMouse(stage, 'mouseup', 85, 95);
+        test(rect1.getX() === 60 && rect1.getY() === 70, 'dragged node should move');
+        test(rect2.getX() === 210 && rect2.getY() === 70, 'other selected nodes should move with the dragged node');
+        test(rect3.getX() === 350 && rect3.getY() === 50, 'unselected nodes should not move');
+        test(events.join(',') === 'rect1 dragstart,rect2 dragstart,rect1 dragmove,rect2 dragmove,rect1 dragend,rect2 dragend', 'drag events should be fired on every selected node');
+
+        layer.remove(rect2);
+        test(selected() === 'rect1', 'removed nodes should be removed from the selection');
+
+        var group = new Kinetic.Group();
+        layer.add(group);
+        rect1.moveTo(group);
+        stage.setSelection([rect1]);
+        group.destroy();
+        test(stage.getSelection().length === 0, 'destroying a group should remove its descendants from the selection');
+
+        stage.clearSelection();
+        test(stage.getSelection().length === 0, 'clearSelection should empty the selection');
+    },
+    'STAGE - drop targets receive dragenter, dragover, dragleave, and drop': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var column = new Kinetic.Group({
+            name: 'column',
+            dropTarget: true
+        });
+        column.add(new Kinetic.Rect({
+            x: 200,
+            y: 0,
+            width: 150,
+            height: 200,
+            fill: 'blue'
+        }));
+        var bin = new Kinetic.Rect({
+            name: 'bin',
+            x: 400,
+            y: 0,
+            width: 150,
+            height: 200,
+            fill: 'gray'
+        });
+        var card = new Kinetic.Rect({
+            name: 'card',
+            x: 50,
+            y: 50,
+            width: 50,
+            height: 50,
+            fill: 'red',
+            draggable: true
+        });
+        layer.add(column);
+        layer.add(bin);
+        layer.add(card);
+        stage.add(layer);
+
+        bin.setDropTarget(true);
+        test(bin.getDropTarget() === true, 'bin should be a drop target');
+
+        var events = [];
+        var targets = [column, bin];
+        for(var n = 0; n < targets.length; n++) {
+            targets[n].on('dragenter dragover dragleave drop', function(evt) {
+                events.push(this.getName() + ' ' + evt.type + (evt.dragNode === card ? '' : ' without drag node'));
+            });
+        }
+
+        simulateMouse(stage, 'mousedown', 75, 75);
+        simulateMouse(stage, 'mousemove', 150, 75);
+        test(events.length === 0, 'no drop target events should fire over an empty area');
+
+        simulateMouse(stage, 'mousemove', 275, 75);
+        simulateMouse(stage, 'mousemove', 285, 85);
+        test(events.join(',') === 'column dragenter,column dragover,column dragover', 'drop target should get dragenter and dragover even though the dragged node is on top');
+        test(stage._getIntersectingShape({
+            x: 285,
+            y: 85
+        }) !== card, 'dragged node should be left out of the hit graph');
+
+        events = [];
+        simulateMouse(stage, 'mousemove', 475, 75);
+        test(events.join(',') === 'column dragleave,bin dragenter,bin dragover', 'moving to another drop target should fire dragleave and dragenter');
+
+        events = [];
+        var mouseups = [];
+        layer.on('mouseup', function(evt) {
+            mouseups.push(evt.shape.getName());
+        });
+        simulateMouse(stage, 'mouseup', 475, 75);
+        test(events.join(',') === 'bin drop', 'releasing over a drop target should fire drop');
+        test(mouseups.join(',') === 'card', 'mouseup should be fired on the dragged node rather than on the shape under it');
+        test(stage._getIntersectingShape({
+            x: 475,
+            y: 75
+        }) === card, 'dropped node should be put back into the hit graph');
+
+        events = [];
+        simulateMouse(stage, 'mousedown', 475, 75);
+        simulateMouse(stage, 'mousemove', 480, 80);
+        simulateMouse(stage, 'mousemove', 100, 100);
+        simulateMouse(stage, 'mouseup', 100, 100);
+        test(events.join(',') === 'bin dragenter,bin dragover,bin dragleave', 'dragging off a drop target should fire dragleave and no drop');
+    },
+    'STAGE - drag bound functions, snapping, and drag distance': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group({
+            x: 100,
+            y: 100,
+            rotation: Math.PI / 2,
+            scale: 2
+        });
+        var rect = new Kinetic.Rect({
+            x: 0,
+            y: 0,
+            width: 10,
+            height: 10,
+            fill: 'red',
+            draggable: true
+        });
+        var other = new Kinetic.Rect({
+            x: 300,
+            y: 20,
+            width: 50,
+            height: 50,
+            fill: 'blue'
+        });
+        var box = new Kinetic.Rect({
+            x: 100,
+            y: 20,
+            width: 50,
+            height: 50,
+            fill: 'green',
+            draggable: true
+        });
+        group.add(rect);
+        layer.add(group);
+        layer.add(other);
+        layer.add(box);
+        stage.add(layer);
+
+        function drag(node, fromX, fromY, toX, toY) {
+            Kinetic.GlobalObject.drag.node = node;
+            Kinetic.GlobalObject.drag.start = {
+                x: fromX,
+                y: fromY
+            };
+            Kinetic.GlobalObject.drag.offset = {
+                x: fromX - node.getAbsolutePosition().x,
+                y: fromY - node.getAbsolutePosition().y
+            };
+            simulateMouse(stage, 'mousemove', toX, toY);
+            simulateMouse(stage, 'mouseup', toX, toY);
+        }
+        function near(a, b) {
+            return Math.abs(a - b) < 0.0001;
+        }
+
+        /*
+         * the group is rotated and scaled, so bounds are in stage
+         * coordinates while constraints follow the parent's axes
+         */
+        rect.setDragConstraint('horizontal');
+        rect.setDragBounds({
+            bottom: 110
+        });
+        drag(rect, 95, 105, 195, 125);
+        var absPos = rect.getAbsolutePosition();
+        test(near(absPos.x, 100) && near(absPos.y, 110), 'bounds should work in stage coordinates');
+        test(near(rect.getX(), 5) && near(rect.getY(), 0), 'horizontal constraint should keep the node on the horizontal axis of its parent');
+
+        rect.setDragConstraint('none');
+        rect.setDragBounds({});
+        rect.setDragBoundFunc(function(p) {
+            // keep the node on a circle with a radius of 50 around 100, 100
+            var angle = Math.atan2(p.y - 100, p.x - 100);
+            return {
+                x: 100 + 50 * Math.cos(angle),
+                y: 100 + 50 * Math.sin(angle)
+            };
+        });
+        test(rect.getDragBoundFunc() !== undefined, 'drag bound func should be set');
+        absPos = rect.getAbsolutePosition();
+        drag(rect, absPos.x, absPos.y, 100, 190);
+        absPos = rect.getAbsolutePosition();
+        test(near(absPos.x, 100) && near(absPos.y, 150), 'drag bound func should be able to move the node along a circle');
+
+        box.setDragSnap({
+            grid: 20
+        });
+        drag(box, 110, 30, 133, 49);
+        test(box.getX() === 120 && box.getY() === 40, 'node should snap to the grid');
+
+        box.setDragSnap({
+            edges: true,
+            tolerance: 6
+        });
+        drag(box, 130, 50, 364, 80);
+        // the left edge of the box would be at 354, which is 4px from the right edge of the other rect
+        test(box.getX() === 350 && box.getY() === 70, 'left edge should snap to the right edge of a sibling');
+        drag(box, 360, 80, 344, 72);
+        test(box.getX() === 334 && box.getY() === 62, 'edges that are far from sibling edges should not snap');
+
+        box.setDragSnap(undefined);
+        box.setPosition(100, 20);
+        // draw right away, rather than after the throttle, so that the hit graph is up to date
+        layer._draw();
+        box.setDragDistance(5);
+        test(box.getDragDistance() === 5, 'drag distance should be 5');
+
+        var clicks = 0;
+        box.on('click', function() {
+            clicks++;
+        });
+        simulateMouse(stage, 'mousedown', 120, 40);
+        simulateMouse(stage, 'mousemove', 122, 42);
+        test(!box.isDragging() && box.getX() === 100, 'moving less than the drag distance should not start a drag');
+        simulateMouse(stage, 'mouseup', 122, 42);
+        test(clicks === 1, 'moving less than the drag distance should still fire click');
+
+        simulateMouse(stage, 'mousedown', 120, 40);
+        simulateMouse(stage, 'mousemove', 130, 40);
+        test(box.isDragging() && box.getX() === 110, 'moving past the drag distance should start a drag from where the user pressed down');
+        simulateMouse(stage, 'mouseup', 130, 40);
+        test(clicks === 1, 'dragging should not fire click');
+    },
+    'STAGE - drag inertia': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var rect = new Kinetic.Rect({
+            x: 50,
+            y: 50,
+            width: 50,
+            height: 50,
+            fill: 'red',
+            draggable: true,
+            dragConstraint: 'horizontal',
+            dragBounds: {
+                right: 400
+            },
+            dragInertia: {
+                friction: 0.9
+            }
+        });
+        layer.add(rect);
+        stage.add(layer);
+
+        var go = Kinetic.GlobalObject;
+        // drag to x, y after moving at vx, vy pixels per ms
+        function flick(x, y, vx, vy) {
+            simulateMouse(stage, 'mousemove', x, y);
+            var now = new Date().getTime();
+            go.drag.samples = [];
+            for(var n = 4; n >= 0; n--) {
+                go.drag.samples.push({
+                    x: x - vx * n * 10,
+                    y: y - vy * n * 10,
+                    time: now - n * 10
+                });
+            }
+        }
+
+        var events = [];
+        rect.on('dragend dragstop', function(evt) {
+            events.push(evt.type);
+        });
+
+        go.drag.samples = [{
+            x: 0,
+            y: 0,
+            time: 0
+        }, {
+            x: 50,
+            y: 20,
+            time: 10
+        }, {
+            x: 60,
+            y: 20,
+            time: 20
+        }, {
+            x: 80,
+            y: 40,
+            time: 40
+        }];
+        var velocity = stage._getDragVelocity();
+        test(velocity.x === 0 && velocity.y === 0, 'releasing long after the last move should not have any velocity');
+
+        simulateMouse(stage, 'mousedown', 75, 75);
+        flick(100, 80, 0.5, 0.1);
+        velocity = stage._getDragVelocity();
+        test(Math.round(velocity.x) === 500 && Math.round(velocity.y) === 100, 'velocity should be measured in pixels per second');
+
+        simulateMouse(stage, 'mouseup', 100, 80);
+        var anim = rect.inertiaAnim;
+        test(anim !== undefined && events.join(',') === 'dragend', 'releasing a flicked node should keep it moving');
+        go._removeAnimation(anim);
+
+        var time = new Date().getTime();
+        anim.func({
+            lastTime: time
+        });
+        var lastX = rect.getX();
+        anim.func({
+            lastTime: time + 20
+        });
+        test(rect.getX() > lastX && rect.getX() - lastX <= 10 && rect.getY() === 50, 'node should keep moving along the drag constraint');
+
+        var frames = 0;
+        while(rect.inertiaAnim !== undefined && frames < 1000) {
+            frames++;
+            anim.func({
+                lastTime: time + 20 + frames * 20
+            });
+        }
+        test(frames < 1000 && rect.getX() < 400, 'node should slow down and come to rest');
+        test(events.join(',') === 'dragend,dragstop', 'dragstop should fire when the node comes to rest');
+
+        events = [];
+        simulateMouse(stage, 'mousedown', rect.getX() + 25, 75);
+        flick(rect.getX() + 35, 75, 5, 0);
+        simulateMouse(stage, 'mouseup', rect.getX() + 25, 75);
+        anim = rect.inertiaAnim;
+        go._removeAnimation(anim);
+        time = new Date().getTime();
+        frames = 0;
+        while(rect.inertiaAnim !== undefined && frames < 1000) {
+            frames++;
+            anim.func({
+                lastTime: time + frames * 20
+            });
+        }
+        test(rect.getX() === 400 && frames < 10, 'node should stop at the drag bounds');
+        test(events.join(',') === 'dragend,dragstop', 'dragstop should fire when the node stops at the drag bounds');
+
+        rect.setDragInertia(undefined);
+        test(rect.getDragInertia() === undefined, 'drag inertia should be undefined');
+        events = [];
+        rect.setX(50);
+        // draw right away, rather than after the throttle, so that the hit graph is up to date
+        layer._draw();
+        simulateMouse(stage, 'mousedown', 75, 75);
+        flick(100, 75, 1, 0);
+        simulateMouse(stage, 'mouseup', 100, 75);
+        test(rect.inertiaAnim === undefined && events.join(',') === 'dragend,dragstop', 'nodes without drag inertia should stop right away');
+
+        // selected nodes in other layers keep moving and are drawn with the flicked node
+        var otherLayer = new Kinetic.Layer();
+        var circle = new Kinetic.Circle({
+            x: 300,
+            y: 150,
+            radius: 20,
+            fill: 'blue',
+            selectable: true
+        });
+        otherLayer.add(circle);
+        stage.add(otherLayer);
+        rect.setAttrs({
+            selectable: true
+        });
+        stage.setSelection([rect, circle]);
+        rect.setDragInertia({
+            friction: 0.9
+        });
+        layer._draw();
+
+        var batchDraws = 0;
+        otherLayer.batchDraw = function() {
+            batchDraws++;
+            Kinetic.Layer.prototype.batchDraw.call(this);
+        };
+        simulateMouse(stage, 'mousedown', rect.getX() + 25, 75);
+        flick(rect.getX() + 35, 75, 1, 0);
+        simulateMouse(stage, 'mouseup', rect.getX() + 25, 75);
+        anim = rect.inertiaAnim;
+        go._removeAnimation(anim);
+        var circleX = circle.getX();
+        time = new Date().getTime();
+        frames = 0;
+        while(rect.inertiaAnim !== undefined && frames < 1000) {
+            frames++;
+            anim.func({
+                lastTime: time + frames * 20
+            });
+        }
+        delete otherLayer.batchDraw;
+        test(circle.getX() > circleX, 'selected nodes should keep moving with the flicked node');
+        test(frames > 1 && batchDraws === frames - 1, 'the layers of the selected nodes should be drawn on every frame, including the last one');
+    },
+    'STAGE - undo and redo changes with a history': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group();
+        var rect = new Kinetic.Rect({
+            x: 50,
+            y: 50,
+            width: 50,
+            height: 50,
+            fill: 'red',
+            draggable: true
+        });
+        var circle = new Kinetic.Circle({
+            x: 200,
+            y: 100,
+            radius: 30,
+            fill: 'blue',
+            id: 'historyCircle'
+        });
+        group.add(rect);
+        group.add(circle);
+        layer.add(group);
+        stage.add(layer);
+
+        var history = new Kinetic.History(stage, {
+            limit: 10
+        });
+        var actions = [];
+        history.on('change', function(evt) {
+            actions.push(evt.action);
+        });
+        test(!history.canUndo() && !history.canRedo() && history.getLimit() === 10, 'new history should be empty');
+
+        rect.setFill('green');
+        rect.setAttrs({
+            x: 60,
+            scale: {
+                x: 2
+            }
+        });
+        test(history.undoStack.length === 2 && actions.join(',') === 'record,record', 'setters and setAttrs should be recorded');
+
+        history.undo();
+        test(rect.getX() === 50 && rect.getScale().x === 1 && rect.getFill() === 'green' && history.canRedo(), 'undo should restore the attrs');
+        history.redo();
+        test(rect.getX() === 60 && rect.getScale().x === 2 && rect.getScale().y === 1, 'redo should apply the attrs again');
+        history.undo();
+        history.undo();
+        test(rect.getFill() === 'red' && !history.canUndo(), 'undoing everything should restore the original attrs');
+        rect.setFill('yellow');
+        test(!history.canRedo(), 'new changes should clear the redo stack');
+
+        history.begin('align');
+        rect.setX(0);
+        circle.setX(0);
+        circle.setX(10);
+        history.end();
+        test(history.undoStack[history.undoStack.length - 1].label === 'align' && history.undoStack[history.undoStack.length - 1].changes.length === 2, 'transactions should group changes and merge changes to the same attr');
+        history.undo();
+        test(rect.getX() === 50 && circle.getX() === 200, 'transactions should be undone together');
+
+        var undoSteps = history.undoStack.length;
+        rect.move(10, 5);
+        test(history.undoStack.length === undoSteps + 1, 'move should be recorded as one change');
+        history.undo();
+        test(rect.getX() === 50 && rect.getY() === 50, 'undoing a move should restore both coordinates');
+
+        // structural changes
+        var group2 = new Kinetic.Group();
+        layer.add(group2);
+        circle.moveTo(group2);
+        rect.moveToTop();
+        test(group.getChildren().length === 1 && group2.getChildren()[0] === circle, 'circle should be moved to the new group');
+        history.undo();
+        history.undo();
+        test(circle.getParent() === group && circle.index === 1 && rect.index === 0, 'undo should move the circle back to its index');
+        history.undo();
+        test(layer.getChildren().length === 1, 'undo should remove added nodes');
+
+        layer.remove(group);
+        test(layer.getChildren().length === 0 && stage.get('#historyCircle').length === 0, 'group should be removed');
+        history.undo();
+        test(layer.getChildren()[0] === group && group.getChildren().length === 2 && stage.get('#historyCircle')[0] === circle, 'undo should add the group back with its children');
+        history.redo();
+        test(layer.getChildren().length === 0, 'redo should remove the group again');
+        var draws = 0;
+        var draw = layer._draw;
+        layer._draw = function() {
+            draws++;
+            draw.call(layer);
+        };
+        history.undo();
+        layer._draw = draw;
+        test(draws === 1, 'undo should draw the changed layer right away, so that its hit graph is up to date');
+
+        // a drag gesture is one transaction
+        var length = history.undoStack.length;
+        simulateMouse(stage, 'mousedown', 75, 75);
+        simulateMouse(stage, 'mousemove', 85, 80);
+        simulateMouse(stage, 'mousemove', 95, 90);
+        simulateMouse(stage, 'mousemove', 105, 95);
+        simulateMouse(stage, 'mouseup', 105, 95);
+        test(rect.getX() === 80 && rect.getY() === 70, 'rect should be dragged');
+        test(history.undoStack.length === length + 1 && history.undoStack[length].label === 'drag', 'drag gesture should be recorded as one transaction');
+        history.undo();
+        test(rect.getX() === 50 && rect.getY() === 50, 'undo should move the rect back to where the drag started');
+
+        // transitions are recorded by their end result
+        length = history.undoStack.length;
+        var trans = circle.transitionTo({
+            x: 300,
+            duration: 1
+        });
+        test(history.undoStack.length === length, 'transition frames should not be recorded');
+        for(var n = 0; n < trans.tweens.length; n++) {
+            trans.tweens[n].setTime(2);
+        }
+        test(circle.getX() === 300 && history.undoStack.length === length + 1, 'finished transition should be recorded');
+        history.undo();
+        test(circle.getX() === 200, 'undo should restore the attrs from before the transition');
+
+        for(var n = 0; n < 12; n++) {
+            rect.setX(n);
+        }
+        test(history.undoStack.length === 10, 'history should not go over the limit');
+        history.setLimit(2);
+        test(history.undoStack.length === 2 && history.getLimit() === 2, 'setting the limit should forget the oldest transactions');
+        history.undo();
+        history.undo();
+        test(rect.getX() === 9, 'only the newest transactions should be undone');
+
+        actions = [];
+        history.clear();
+        test(!history.canUndo() && !history.canRedo() && actions.join(',') === 'clear', 'clear should forget every transaction');
+        test(history.undo() === false, 'undo should return false when there is nothing to undo');
+
+        // destroyed nodes can't be restored, so the changes that refer to them are forgotten
+        history.setLimit(10);
+        var group3 = new Kinetic.Group();
+        layer.add(group3);
+        var dot = new Kinetic.Circle({
+            radius: 5,
+            fill: 'black'
+        });
+        group3.add(dot);
+        group3.add(dot.clone());
+        dot.setX(10);
+        rect.setX(20);
+        test(history.undoStack.length === 5, 'adding the group and its children should be recorded');
+        actions = [];
+        group3.destroy();
+        test(history.undoStack.length === 1 && actions.join(',') === 'forget', 'destroying a group should forget the changes to the group and its children without recording new ones');
+        history.undo();
+        test(rect.getX() === 9 && layer.getChildren().length === 1 && !history.canUndo(), 'undo should only undo the changes to nodes that were not destroyed');
+
+        var ball = dot.clone();
+        layer.add(ball);
+        layer.remove(ball);
+        ball.destroy();
+        test(history.undo() === false && layer.getChildren().length === 1, 'nodes that are destroyed after they are removed should not be added back');
+    },
+    'STAGE - diff two stages and apply the patch to a peer': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer1 = new Kinetic.Layer({
+            id: 'patchLayer1'
+        });
+        var layer2 = new Kinetic.Layer();
+        var layer3 = new Kinetic.Layer();
+        var group1 = new Kinetic.Group({
+            id: 'patchGroup1'
+        });
+        var group2 = new Kinetic.Group({
+            id: 'patchGroup2'
+        });
+        var rect1 = new Kinetic.Rect({
+            x: 20,
+            y: 20,
+            width: 50,
+            height: 50,
+            fill: 'red',
+            id: 'patchRect1'
+        });
+        var circle = new Kinetic.Circle({
+            x: 150,
+            y: 100,
+            radius: 30,
+            fill: 'blue'
+        });
+        var rect2 = new Kinetic.Rect({
+            x: 300,
+            y: 20,
+            width: 50,
+            height: 50,
+            fill: 'yellow',
+            id: 'patchRect2'
+        });
+        var rect3 = new Kinetic.Rect({
+            x: 400,
+            y: 20,
+            width: 50,
+            height: 50,
+            fill: 'purple',
+            id: 'patchRect3'
+        });
+        group1.add(rect1);
+        group1.add(circle);
+        group2.add(rect3);
+        group2.add(rect2);
+        layer1.add(group1);
+        layer2.add(group2);
+        layer3.add(new Kinetic.Circle({
+            x: 500,
+            y: 150,
+            radius: 20,
+            fill: 'black'
+        }));
+        stage.add(layer1);
+        stage.add(layer2);
+        stage.add(layer3);
+
+        // the peer starts out in the same state
+        var peer = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var jsonA = stage.toJSON();
+        peer.load(jsonA);
+        test(Kinetic.diff(jsonA, peer.toJSON()).ops.length === 0, 'identical documents should have an empty patch');
+
+        rect1.setFill('green');
+        rect1.setAttrs({
+            offset: {
+                x: 5,
+                y: 5
+            }
+        });
+        rect2.moveTo(group1);
+        circle.moveToTop();
+        group2.remove(rect3);
+        group2.add(new Kinetic.Star({
+            x: 450,
+            y: 120,
+            numPoints: 5,
+            innerRadius: 10,
+            outerRadius: 20,
+            fill: 'orange',
+            id: 'patchStar'
+        }));
+        var jsonB = stage.toJSON();
+
+        var patch = Kinetic.diff(jsonA, JSON.parse(jsonB));
+        var counts = {};
+        for(var n = 0; n < patch.ops.length; n++) {
+            var op = patch.ops[n].op;
+            counts[op] = counts[op] === undefined ? 1 : counts[op] + 1;
+        }
+        test(patch.version === Kinetic.Schema.version, 'patch should have the version of the format');
+        test(counts.insert === 1 && counts.move === 1 && counts.attrs === 1 && counts.remove === 1, 'patch should have one insert, one move, one attrs change, and one removal');
+        var attrsOp = patch.ops[2];
+        test(attrsOp.key === '#patchRect1' && attrsOp.attrs.fill === 'green' && attrsOp.attrs.offset.x === 5 && attrsOp.attrs.x === undefined, 'attrs operation should only hold the changed attrs');
+        test(JSON.parse(JSON.stringify(patch)).ops.length === patch.ops.length, 'patch should be serializable');
+
+        var draws = [];
+        var layers = peer.getChildren();
+        for(var n = 0; n < layers.length; n++) {
+            (function(layer, index) {
+                var draw = layer.draw;
+                layer.draw = function() {
+                    draws.push(index);
+                    draw.call(layer);
+                };
+            })(layers[n], n);
+        }
+        var history = new Kinetic.History(peer);
+        peer.applyPatch(patch);
+        test(peer.toJSON() === jsonB, 'patched peer should match the edited stage');
+        test(draws.sort().join(',') === '0,1', 'only the layers that changed should be drawn');
+        test(peer.get('#patchStar').length === 1 && peer.get('#patchRect3').length === 0, 'inserted and removed nodes should be registered and unregistered');
+
+        history.undo();
+        test(peer.toJSON() === jsonA, 'undo should revert the whole patch');
+        history.redo();
+        test(peer.toJSON() === jsonB, 'redo should apply the whole patch again');
+
+        // patches for unrelated states aren't applied
+        var error;
+        try {
+            peer.applyPatch({
+                version: Kinetic.Schema.version,
+                ops: [{
+                    op: 'attrs',
+                    key: '#patchGroup2',
+                    attrs: {
+                        x: 10
+                    }
+                }, {
+                    op: 'remove',
+                    key: '#missing'
+                }]
+            });
+        }
+        catch(e) {
+            error = e;
+        }
+        test(error !== undefined && error.errors.length === 1 && error.errors[0].path === 'ops[1].key', 'patch with an unknown node should throw');
+        test(peer.toJSON() === jsonB, 'invalid patch should not change the stage');
+
+        // children are reordered with the fewest moves
+        var jsonC = stage.toJSON();
+        circle.moveToBottom();
+        patch = Kinetic.diff(jsonC, stage.toJSON());
+        test(patch.ops.length === 1 && patch.ops[0].op === 'move' && patch.ops[0].index === 0, 'moving a node to the bottom should be a single move');
+        peer.load(jsonC);
+        peer.applyPatch(patch);
+        test(peer.toJSON() === stage.toJSON(), 'reordered peer should match the edited stage');
+
+        // removed nodes are destroyed when the patch can't be undone
+        peer.history = undefined;
+        peer.load(jsonA);
+        var destroyed = false;
+        peer.get('#patchRect3')[0].on('destroy', function() {
+            destroyed = true;
+        });
+        peer.applyPatch(Kinetic.diff(jsonA, jsonB));
+        test(destroyed && peer.toJSON() === jsonB, 'removed nodes should be destroyed when the stage has no history');
+    },
+    'STAGE - keyboard events are delivered to the focused node': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group();
+        var rect = new Kinetic.Rect({
+            x: 100,
+            y: 50,
+            width: 100,
+            height: 50,
+            fill: 'green'
+        });
+        var circle = new Kinetic.Circle({
+            x: 300,
+            y: 100,
+            radius: 50,
+            fill: 'red'
+        });
+
+        group.add(rect);
+        layer.add(group);
+        layer.add(circle);
+        stage.add(layer);
+
+        var log = [];
+        rect.on('keydown', function(evt) {
+            if(evt.evt.keyCode === 39) {
+                this.move(10, 0);
+            }
+        });
+        rect.on('focus blur', function(evt) {
+            log.push('rect ' + evt.type);
+        });
+        group.on('keydown', function(evt) {
+            log.push('group keydown');
+        });
+        circle.on('keyup', function(evt) {
+            log.push('circle keyup');
+        });
+
+        test(stage.getFocusedNode() === undefined, 'no node should have focus');
+
+        rect.focus();
+        test(stage.getFocusedNode() === rect && rect.isFocused(), 'rect should have focus');
+        stage._handleKeyEvent({
+            type: 'keydown',
+            keyCode: 39
+        });
+        test(rect.getX() === 110, 'right arrow should nudge rect to 110');
+        test(log.join(',') === 'rect focus,group keydown', 'keydown should bubble to the group');
+
+        circle.focus();
+        stage._handleKeyEvent({
+            type: 'keyup',
+            keyCode: 39
+        });
+        test(log.join(',') === 'rect focus,group keydown,rect blur,circle keyup', 'focus should move to the circle');
+
+        layer.remove(circle);
+        test(stage.getFocusedNode() === undefined, 'removed node should lose focus');
+    },
+    'NODE - clone shapes and groups': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group({
+            x: 10,
+            id: 'myGroup'
+        });
+        var rect = new Kinetic.Rect({
+            x: 50,
+            y: 50,
+            width: 100,
+            height: 50,
+            fill: 'green',
+            name: 'myRect',
+            draggable: true,
+            scale: [2, 2],
+            shadow: {
+                color: 'black',
+                offset: [5, 5]
+            }
+        });
+        var triangle = new Kinetic.Shape({
+            drawFunc: function() {
+                var context = this.getContext();
+                context.beginPath();
+                context.moveTo(0, 0);
+                context.lineTo(50, 0);
+                context.lineTo(25, 50);
+                context.closePath();
+                this.fill();
+            },
+            fill: 'blue',
+            name: 'triangle'
+        });
+
+        var clicks = [];
+        rect.on('click.foo', function() {
+            clicks.push(this);
+        });
+
+        group.add(rect);
+        group.add(triangle);
+        layer.add(group);
+        stage.add(layer);
+
+        var clone = rect.clone({
+            x: 200,
+            name: 'clone'
+        });
+        test(clone.shapeType === 'Rect' && clone instanceof Kinetic.Rect, 'clone should be a rect');
+        test(clone.getX() === 200 && clone.getY() === 50 && clone.getName() === 'clone', 'overrides should be applied');
+        test(clone.getScale().x === 2 && clone.attrs.shadow.offset.x === 5, 'attrs should be copied');
+
+        clone.setScale(3);
+        clone.attrs.shadow.offset.x = 10;
+        test(rect.getScale().x === 2 && rect.attrs.shadow.offset.x === 5, 'nested attrs should not be shared');
+        test(clone.attrs.draggable === true && clone.eventListeners.mousedown.length === 1, 'clone should be draggable');
+
+        clone.fire('click');
+        test(clicks.length === 1 && clicks[0] === clone, 'listeners should be copied');
+        clone.off('click.foo');
+        rect.fire('click');
+        test(clicks.length === 2 && clicks[1] === rect, 'listeners should not be shared');
+
+        var noListeners = rect.clone(undefined, false);
+        test(noListeners.eventListeners.click === undefined, 'listeners should not be copied');
+
+        var groupClone = group.clone({
+            id: 'groupClone'
+        });
+        test(groupClone.getChildren().length === 2, 'group clone should have 2 children');
+        var children = groupClone.getChildren();
+        test(children[0].shapeType === 'Rect' && children[0] !== rect, 'first child should be a rect clone');
+        test(children[1].shapeType === undefined && children[1].attrs.drawFunc === triangle.attrs.drawFunc, 'custom shape should keep its draw function');
+
+        test(stage.get('#groupClone').length === 0, 'clone should not be registered before it is added');
+        layer.add(groupClone);
+        test(stage.get('#groupClone')[0] === groupClone, 'clone id should be registered');
+        test(stage.get('.triangle').length === 2, 'clone children names should be registered');
+        test(stage.get('.triangle')[1].getParent() === groupClone, 'clone children should be in the clone');
+    },
+    'NODE - destroy nodes': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group({
+            id: 'myGroup'
+        });
+        var circle = new Kinetic.Circle({
+            x: 100,
+            y: 100,
+            radius: 50,
+            fill: 'red',
+            id: 'myCircle',
+            name: 'myCircle'
+        });
+        var rect = new Kinetic.Rect({
+            width: 50,
+            height: 50,
+            name: 'myRect'
+        });
+
+        group.add(circle);
+        layer.add(group);
+        layer.add(rect);
+        stage.add(layer);
+
+        var go = Kinetic.GlobalObject;
+        var destroyed = [];
+        circle.on('destroy', function() {
+            destroyed.push('circle');
+        });
+        group.on('destroy', function() {
+            destroyed.push('group');
+        });
+
+        // rename the circle after it was added to the stage
+        circle.attrs.name = 'renamed';
+        circle.transitionTo({
+            x: 300,
+            duration: 10
+        });
+        stage.targetShape = circle;
+        stage.mouseoutShape = circle;
+        circle.focus();
+        go.drag.node = circle;
+
+        var numAnimations = go.animations.length;
+        group.destroy();
+
+        test(destroyed.join(',') === 'group,circle', 'destroy events should be fired');
+        test(layer.getChildren().length === 1 && layer.getChildren()[0] === rect, 'group should be removed from the layer');
+        test(group.getParent() === undefined && circle.getParent() === undefined, 'destroyed nodes should not have parents');
+        test(go.animations.length === numAnimations - 1 && circle.transAnim === undefined, 'transition should be stopped');
+        test(stage.get('#myGroup').length === 0 && stage.get('#myCircle').length === 0, 'ids should be unregistered');
+        test(stage.names.myCircle === undefined, 'renamed node should be removed from the name registry');
+        test(stage.targetShape === undefined && stage.mouseoutShape === undefined && stage.getFocusedNode() === undefined, 'stage references should be cleared');
+        test(go.drag.node === undefined, 'drag node should be cleared');
+        test(go.shapes[circle.colorKey] === undefined, 'circle should be removed from the hit graph registry');
+
+        // removing a layer clears the references to its descendants, which stay in the layer
+        stage.targetShape = rect;
+        rect.focus();
+        go.drag.node = rect;
+        stage.remove(layer);
+        test(stage.targetShape === undefined && stage.getFocusedNode() === undefined && go.drag.node === undefined, 'references to descendants of a removed node should be cleared');
+        test(stage.get('.myRect').length === 0 && rect.getParent() === layer, 'descendants should be unregistered and stay in the removed node');
+        stage.add(layer);
+        test(stage.get('.myRect').length === 1 && stage.names.myRect.length === 1, 'descendants should be registered once when the node is added again');
+
+        var dots = [];
+        for(var n = 0; n < 3; n++) {
+            dots.push(new Kinetic.Circle({
+                radius: 5,
+                name: 'dot'
+            }));
+            layer.add(dots[n]);
+        }
+        dots[0].destroy();
+        dots[2].destroy();
+        test(stage.names.dot.length === 1 && stage.names.dot[0] === dots[1], 'name registry should only hold the remaining node');
+        dots[1].destroy();
+        test(stage.names.dot === undefined && stage.registry[dots[1]._id] === undefined, 'registries should be empty');
+
+        var numStages = go.stages.length;
+        stage.destroy();
+        test(go.stages.length === numStages - 1, 'stage should be removed from the global stages');
+        test(stage.getChildren().length === 0, 'stage should not have children');
+        test(stage.getContainer().childNodes.length === 0, 'stage content should be removed from the container');
+    },
+    'NODE - attr change events and dirty layers': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var otherLayer = new Kinetic.Layer();
+        var group = new Kinetic.Group();
+        var circle = new Kinetic.Circle({
+            x: 100,
+            y: 100,
+            radius: 50,
+            fill: 'red'
+        });
+
+        group.add(circle);
+        layer.add(group);
+        stage.add(layer);
+        stage.add(otherLayer);
+
+        test(!layer.isDirty() && !otherLayer.isDirty(), 'layers should be clean after being drawn');
+
+        var changes = [];
+        circle.on('xChange', function(evt) {
+            changes.push('x:' + evt.oldVal + '->' + evt.newVal);
+        });
+        circle.on('attrchange', function(evt) {
+            changes.push('attrchange:' + evt.attr);
+        });
+
+        circle.setX(150);
+        test(changes.join(',') === 'x:100->150,attrchange:x', 'setter should fire xChange and then attrchange');
+        test(layer.isDirty() && !otherLayer.isDirty(), 'only the changed layer should be dirty');
+        test(layer.getDirtyNodes().length === 1 && layer.getDirtyNodes()[0] === circle, 'circle should be the dirty node');
+
+        changes = [];
+        circle.setX(150);
+        test(changes.length === 0, 'setting the same value should not fire change events');
+
+        var fillChange;
+        circle.on('fillChange', function(evt) {
+            fillChange = evt;
+        });
+        circle.setAttrs({
+            fill: 'blue',
+            radius: 50
+        });
+        test(fillChange.oldVal === 'red' && fillChange.newVal === 'blue', 'setAttrs should fire fillChange');
+        test(changes.join(',') === 'attrchange:fill', 'setAttrs should only fire events for changed attrs');
+
+        var rotationChange;
+        circle.on('rotationChange', function(evt) {
+            rotationChange = evt;
+        });
+        circle.rotateDeg(90);
+        test(rotationChange.oldVal === 0 && Math.abs(rotationChange.newVal - Math.PI / 2) < 0.0001, 'rotateDeg should fire rotationChange');
+
+        var scaleChange;
+        circle.on('scaleChange', function(evt) {
+            scaleChange = evt;
+        });
+        circle.setScale(2, 1);
+        test(scaleChange.oldVal.x === 1 && scaleChange.newVal.x === 2 && scaleChange.newVal.y === 1, 'nested attr changes should fire with old and new objects');
+
+        var trans = circle.transitionTo({
+            scale: {
+                x: 4
+            },
+            duration: 1
+        });
+        trans.stop();
+        Kinetic.GlobalObject._removeAnimation(circle.transAnim);
+        circle.transAnim = undefined;
+        // the first frame can run right away, so restore the start value
+        circle.setScale(2, 1);
+        trans.tweens[0].setTime(0.5);
+        test(scaleChange.oldVal.x === 2 && scaleChange.newVal.x === 3, 'transition tweens should fire change events');
+
+        var rotationInChange;
+        circle.on('xChange.absolute', function() {
+            rotationInChange = circle.getRotation();
+        });
+        circle.setAbsolutePosition(200, 100);
+        test(Math.abs(rotationInChange - Math.PI / 2) < 0.0001, 'setAbsolutePosition should fire xChange with the rotation restored');
+        circle.off('xChange.absolute');
+
+        var drawn = [];
+        layer.beforeDraw(function() {
+            drawn.push('layer');
+        });
+        otherLayer.beforeDraw(function() {
+            drawn.push('otherLayer');
+        });
+        layer.lastDrawTime = 0;
+        stage.drawDirty();
+        test(drawn.join(',') === 'layer', 'drawDirty should only draw dirty layers');
+        test(!layer.isDirty(), 'drawing should clean the layer');
+
+        otherLayer.add(new Kinetic.Rect({
+            width: 10,
+            height: 10
+        }));
+        test(otherLayer.isDirty(), 'adding a node should make the layer dirty');
+
+        layer.lastDrawTime = 0;
+        otherLayer.lastDrawTime = 0;
+        stage.drawDirty();
+        test(drawn.join(',') === 'layer,otherLayer', 'drawDirty should draw the layer with the added node');
+
+        group.remove(circle);
+        test(layer.isDirty() && layer.getDirtyNodes()[0] === group, 'removing a node should make its container dirty');
+    },
+    'NODE - self rects and client rects': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group({
+            x: 100,
+            y: 50
+        });
+        var rect = new Kinetic.Rect({
+            x: 10,
+            y: 20,
+            width: 100,
+            height: 50,
+            stroke: 'black',
+            strokeWidth: 4
+        });
+        var circle = new Kinetic.Circle({
+            x: 200,
+            y: 100,
+            radius: 30,
+            fill: 'red'
+        });
+        var line = new Kinetic.Line({
+            points: [0, 0, 50, 20],
+            stroke: 'black',
+            strokeWidth: 10
+        });
+        var star = new Kinetic.Star({
+            numPoints: 5,
+            innerRadius: 20,
+            outerRadius: 40
+        });
+        var path = new Kinetic.Path({
+            data: 'M10,10 L60,10 L60,40 Z'
+        });
+        var text = new Kinetic.Text({
+            text: 'Hello',
+            fontSize: 20,
+            padding: 5,
+            align: 'center'
+        });
+        var canvas = document.createElement('canvas');
+        canvas.width = 100;
+        canvas.height = 80;
+        var image = new Kinetic.Image({
+            image: canvas,
+            crop: [10, 10, 40, 30]
+        });
+        var hidden = new Kinetic.Rect({
+            x: -500,
+            width: 10,
+            height: 10,
+            visible: false
+        });
+
+        group.add(rect);
+        group.add(circle);
+        group.add(hidden);
+        layer.add(group);
+        stage.add(layer);
+
+        function same(r, x, y, width, height) {
+            return Math.abs(r.x - x) < 0.0001 && Math.abs(r.y - y) < 0.0001 && Math.abs(r.width - width) < 0.0001 && Math.abs(r.height - height) < 0.0001;
+        }
+
+        test(same(rect.getSelfRect(), 0, 0, 100, 50), 'rect self rect should not include the stroke');
+        test(same(rect.getClientRect(), 108, 68, 104, 54), 'rect client rect should include the stroke and the transform');
+        test(same(rect.getClientRect({
+            skipStroke: true,
+            skipTransform: true
+        }), 0, 0, 100, 50), 'skipStroke and skipTransform should be respected');
+        test(same(circle.getSelfRect(), -30, -30, 60, 60), 'circle self rect should be centered');
+        test(same(line.getSelfRect(), -5, -5, 60, 30), 'line self rect should include the stroke width');
+        test(same(line.getClientRect(), -5, -5, 60, 30), 'line stroke should not be added twice');
+        var starWidth = 80 * Math.sin(72 * Math.PI / 180);
+        test(same(star.getSelfRect(), starWidth / -2, -40, starWidth, 40 + 40 * Math.cos(36 * Math.PI / 180)), 'star self rect should bound the vertices');
+        test(same(path.getSelfRect(), 10, 10, 50, 30), 'path self rect should bound the path');
+        test(same(text.getSelfRect(), text.getTextWidth() / -2 - 5, 0, text.getTextWidth() + 10, text.getTextHeight() + 10), 'text self rect should include padding and alignment');
+        test(same(image.getSelfRect(), 0, 0, 100, 80), 'cropped image self rect should be the size the image is drawn at');
+
+        test(same(group.getClientRect(), 108, 68, 222, 112), 'group client rect should be the union of its visible children');
+        test(same(group.getClientRect({
+            skipTransform: true
+        }), 8, 18, 222, 112), 'skipTransform should get the group rect in its own space');
+
+        circle.setShadow({
+            color: 'black',
+            blur: 5,
+            offset: [10, 10],
+            alpha: 0.5
+        });
+        test(same(circle.getClientRect({
+            relativeTo: group
+        }), 170, 70, 75, 75), 'client rect should include the shadow');
+        test(same(circle.getClientRect({
+            relativeTo: group,
+            skipShadow: true
+        }), 170, 70, 60, 60), 'skipShadow should be respected');
+
+        group.setRotationDeg(90);
+        test(same(rect.getClientRect(), 28, 58, 54, 104), 'rotated rect client rect should bound the rotated corners');
+
+        var groupRect = group.getClientRect();
+        test(same(layer.getClientRect(), groupRect.x, groupRect.y, groupRect.width, groupRect.height), 'layer client rect should match its only group');
+    },
+    'TRANSFORMER - resize, rotate, and bounds': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var rect = new Kinetic.Rect({
+            x: 50,
+            y: 60,
+            width: 100,
+            height: 50,
+            fill: 'green'
+        });
+        var circle = new Kinetic.Circle({
+            x: 300,
+            y: 100,
+            radius: 20,
+            fill: 'red'
+        });
+        var tr = new Kinetic.Transformer({
+            rotationSnaps: [0, 90, 180, 270]
+        });
+        layer.add(rect);
+        layer.add(circle);
+        layer.add(tr);
+        stage.add(layer);
+
+        function near(a, b) {
+            return Math.abs(a - b) < 0.0001;
+        }
+
+        test(!tr.border.isVisible() && !tr.anchors['top-left'].isVisible(), 'detached transformer should be hidden');
+
+        tr.attachTo(rect);
+        test(tr.getNodes().length === 1 && tr.getX() === 50 && tr.getY() === 60, 'transformer should be positioned at the node');
+        test(tr.border.getWidth() === 100 && tr.border.getHeight() === 50, 'border should fit the node');
+        test(tr.anchors['bottom-right'].getX() === 100 && tr.anchors['bottom-right'].getY() === 50, 'anchors should be at the corners');
+        test(stage.get('Transformer')[0] === tr, 'transformer should be selectable by type');
+
+        var events = [];
+        tr.on('transformstart transform transformend', function(evt) {
+            events.push(evt.type + ':' + evt.anchor);
+        });
+        rect.on('transformend', function() {
+            events.push('rect');
+        });
+
+        // drag the bottom right anchor from 150, 110 to 200, 160
+        var batchDraws = 0;
+        layer.batchDraw = function() {
+            batchDraws++;
+            Kinetic.Layer.prototype.batchDraw.call(this);
+        };
+        simulateMouse(stage, 'mousedown', 150, 110);
+        simulateMouse(stage, 'mousemove', 200, 160);
+        test(batchDraws === 1, 'the transformer layer should be drawn again after the anchor moves');
+        simulateMouse(stage, 'mouseup', 200, 160);
+        test(batchDraws === 2, 'the transformer layer should be drawn again after the transform ends');
+        delete layer.batchDraw;
+        test(near(rect.getScale().x, 1.5) && near(rect.getScale().y, 2), 'dragging the bottom right anchor should scale the node');
+        test(rect.getX() === 50 && rect.getY() === 60, 'the top left corner should stay in place');
+        test(events.join(',') === 'transformstart:bottom-right,transform:bottom-right,transformend:bottom-right,rect', 'transform events should be fired');
+        test(near(tr.border.getWidth(), 150) && near(tr.border.getHeight(), 100), 'border should fit the scaled node');
+
+        tr._startTransform('top-left');
+        tr._moveAnchor('top-left', {
+            x: 200,
+            y: 0
+        });
+        tr._endTransform('top-left');
+        test(near(tr.border.getWidth(), 5) && near(rect.getX(), 195), 'the box should not be smaller than the min size');
+
+        tr._startTransform('bottom-right');
+        tr._moveAnchor('bottom-right', {
+            x: 100,
+            y: 100
+        });
+        tr._endTransform('bottom-right');
+
+        tr.setKeepRatio(true);
+        tr._startTransform('bottom-right');
+        tr._moveAnchor('bottom-right', {
+            x: 200,
+            y: 120
+        });
+        tr._endTransform('bottom-right');
+        test(near(tr.border.getWidth(), 200) && near(tr.border.getHeight(), 200), 'corner anchors should keep the aspect ratio');
+
+        var before = rect.getClientRect();
+        tr._startTransform('rotater');
+        tr._moveAnchor('rotater', {
+            x: 300,
+            y: 103
+        });
+        tr._endTransform('rotater');
+        var after = rect.getClientRect();
+        test(near(rect.getRotation(), Math.PI / 2), 'rotation should snap to 90 degrees');
+        test(near(rect.getCenterOffset().x, 50) && near(rect.getCenterOffset().y, 25), 'center offset should be moved to the center of the node');
+        test(near(before.x + before.width / 2, after.x + after.width / 2) && near(before.y + before.height / 2, after.y + after.height / 2), 'node should rotate around its center');
+        test(near(tr.getRotation(), Math.PI / 2), 'box should rotate with the node');
+
+        tr.setAttrs({
+            bounds: {
+                top: 0
+            }
+        });
+        var scale = rect.getScale().x;
+        tr._startTransform('middle-left');
+        tr._moveAnchor('middle-left', {
+            x: -1000,
+            y: 100
+        });
+        tr._endTransform('middle-left');
+        test(rect.getScale().x === scale, 'transforms outside of the bounds should be ignored');
+
+        var layoutChanges = [];
+        tr.on('xChange yChange rotationChange', function(evt) {
+            layoutChanges.push(evt.attr);
+        });
+        tr.attachTo([rect, circle]);
+        test(layoutChanges.join(',').indexOf('rotation') !== -1, 'laying out the box should fire change events');
+        var rectBox = rect.getClientRect({
+            skipStroke: true
+        });
+        var right = Math.max(rectBox.x + rectBox.width, 320);
+        test(near(tr.getX(), Math.min(rectBox.x, 280)) && near(tr.getRotation(), 0) && near(tr.getX() + tr.border.getWidth(), right), 'box should bound several nodes');
+
+        circle.setX(rectBox.x + rectBox.width + 100);
+        test(near(tr.getX() + tr.border.getWidth(), rectBox.x + rectBox.width + 120), 'box should follow attr changes');
+
+        circle.destroy();
+        test(tr.getNodes().length === 1, 'destroyed nodes should be detached');
+
+        var copy = rect.clone();
+        test(copy.eventListeners.attrchange === undefined && copy.eventListeners.destroy === undefined && copy.eventListeners.transformend.length === 1, 'clones should not copy the transformer listeners');
+
+        tr.detach();
+        test(tr.getNodes().length === 0 && !tr.border.isVisible() && rect.eventListeners.attrchange === undefined, 'detach should remove the node listeners');
+
+        var tr2 = new Kinetic.Transformer();
+        layer.add(tr2);
+        tr.attachTo(rect);
+        tr2.attachTo(rect);
+        tr.detach();
+        test(rect.eventListeners.attrchange.length === 1 && rect.eventListeners.attrchange[0].name === tr2.namespace, 'detach should only remove the listeners of its own transformer');
+    },
+    'NODE - event capture, bubbling to the stage, and stopPropagation': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group({
+            x: 100,
+            y: 50
+        });
+        var rect = new Kinetic.Rect({
+            x: 20,
+            y: 10,
+            width: 100,
+            height: 50,
+            fill: 'green'
+        });
+
+        group.add(rect);
+        layer.add(group);
+        stage.add(layer);
+
+        var log = [];
+        function logger(name) {
+            return function(evt) {
+                log.push(name + ' ' + evt.eventPhase);
+            };
+        }
+        stage.on('click', logger('stage'));
+        stage.on('click', logger('stage'), true);
+        layer.on('click', logger('layer'));
+        group.on('click', logger('group'), true);
+        group.on('click', function(evt) {
+            log.push('group ' + evt.eventPhase);
+            test(evt.type === 'click', 'event type should be click');
+            test(evt.target === rect && evt.shape === rect, 'event target should be the rect');
+            test(evt.currentTarget === group, 'current target should be the group');
+            test(evt.getStagePosition().x === 150 && evt.getStagePosition().y === 80, 'stage position should be 150, 80');
+            test(evt.getLocalPosition().x === 50 && evt.getLocalPosition().y === 30, 'group position should be 50, 30');
+        });
+        rect.on('click', function(evt) {
+            log.push('rect ' + evt.eventPhase);
+            test(evt.getLocalPosition().x === 30 && evt.getLocalPosition().y === 20, 'rect position should be 30, 20');
+            test(evt.evt.which === 1, 'DOM event should be wrapped');
+        });
+
+        stage._setMousePosition({
+            offsetX: 150,
+            offsetY: 80
+        });
+        rect._handleEvents('click', {
+            which: 1
+        });
+        test(log.join(',') === 'stage capture,group capture,rect target,group bubble,layer bubble,stage bubble', 'event should be captured and then bubble to the stage');
+
+        // stopping propagation during the capture phase
+        log = [];
+        group.on('click.stop', function(evt) {
+            evt.stopPropagation();
+        }, true);
+        rect._handleEvents('click', {});
+        test(log.join(',') === 'stage capture,group capture', 'event should not reach the rect');
+
+        // stopping propagation during the bubble phase
+        log = [];
+        group.off('click.stop');
+        rect.on('click', function(evt) {
+            evt.stopPropagation();
+        });
+        var prevented = false;
+        rect.on('click', function(evt) {
+            evt.preventDefault();
+        });
+        var e = rect._handleEvents('click', {
+            which: 1,
+            preventDefault: function() {
+                prevented = true;
+            }
+        });
+        test(log.join(',') === 'stage capture,group capture,rect target', 'event should not bubble past the rect');
+        test(e.defaultPrevented && prevented, 'preventDefault should be passed to the DOM event');
+    },
+    'NODE - fire custom events with payloads': function(containerId) {
+        var stage = new Kinetic.Stage({
+            container: containerId,
+            width: 578,
+            height: 200
+        });
+        var layer = new Kinetic.Layer();
+        var group = new Kinetic.Group();
+        var circle = new Kinetic.Circle({
+            x: stage.getWidth() / 2,
+            y: stage.getHeight() / 2,
+            radius: 70,
+            fill: 'green'
+        });
+
+        group.add(circle);
+        layer.add(group);
+        stage.add(layer);
+
+        var log = [];
+        circle.on('valuechange', function(evt) {
+            log.push('circle ' + evt.value);
+        });
+        circle.on('valuechange.foo', function(evt) {
+            log.push('foo ' + evt.value);
+            test(this === circle && evt.target === circle, 'circle should be the target');
+        });
+        group.on('valuechange', function(evt) {
+            log.push('group ' + evt.value);
+        });
+
+        // firing events without listeners should not throw
+        circle.fire('selected');
+        circle.simulate('selected');
+
+        var e = circle.fire('valuechange', {
+            value: 5
+        });
+        test(log.join(',') === 'circle 5,foo 5', 'custom event should not bubble by default');
+        test(e.type === 'valuechange' && e.value === 5, 'fire should return the event object');
+
+        log = [];
+        circle.off('valuechange.foo');
+        circle.fire('valuechange', {
+            value: 6
+        }, true);
+        test(log.join(',') === 'circle 6,group 6', 'custom event should bubble to the group');
+
+        log = [];
+        circle.simulate('valuechange');
+        test(log.join(',') === 'circle undefined,group undefined', 'simulated events should bubble to the group');
+
+        var reserved = ['type', 'target', 'cancelBubble', 'stopPropagation'];
+        for(var n = 0; n < reserved.length; n++) {
+            var payload = {};
+            payload[reserved[n]] = 'foo';
+            var error = undefined;
+            try {
+                circle.fire('valuechange', payload);
+            }
+            catch(err) {
+                error = err;
+            }
+            test(error !== undefined, 'payload with the reserved key ' + reserved[n] + ' should throw');
+        }
+    },
     'STAGE - add layer then shape': function(containerId) {
         var stage = new Kinetic.Stage({
             container: containerId,